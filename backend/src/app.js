@@ -0,0 +1,62 @@
+const express = require('express');
+const cors = require('cors');
+
+const urlRoutes = require('./routes/urlRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const shortcodeRegistry = require('./services/shortcodeRegistry');
+const { expressLoggingMiddleware } = require('@url-shortener/logging-middleware');
+const { notFoundHandler, globalErrorHandler } = require('./middleware/errorHandler');
+
+/**
+ * Build the Express application with its middleware, routes and error handlers.
+ * Kept apart from server.js so tests can drive the app without listening on a port.
+ * @param {Object} logger - Logger from @url-shortener/logging-middleware
+ * @returns {Object} - Express app
+ */
+const createApp = (logger) => {
+  const app = express();
+
+  // Trust proxy (for getting real IP addresses behind reverse proxy)
+  app.set('trust proxy', true);
+
+  // CORS configuration
+  const corsOptions = {
+    origin: [
+      'http://localhost:3000',
+      'http://localhost:3001',
+      'http://127.0.0.1:3000',
+      'http://127.0.0.1:3001'
+    ],
+    credentials: true,
+    optionsSuccessStatus: 200,
+    exposedHeaders: ['Idempotent-Replayed'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Key', 'Idempotency-Key']
+  };
+
+  // Middleware
+  app.use(cors(corsOptions));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // New comprehensive logging middleware (must be before routes)
+  app.use(expressLoggingMiddleware(logger));
+
+  // Routes
+  app.use('/admin', adminRoutes);
+  app.use('/', urlRoutes);
+
+  // Route names can never be claimed as shortcodes
+  shortcodeRegistry.reserveRouteNames(adminRoutes, '/admin');
+  shortcodeRegistry.reserveRouteNames(urlRoutes);
+
+  // 404 handler
+  app.use(notFoundHandler);
+
+  // Global error handler (must be last)
+  app.use(globalErrorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
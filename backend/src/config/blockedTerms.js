@@ -0,0 +1,19 @@
+// Default denylist for shortcodes. Matching is case-insensitive, leetspeak-aware
+// and finds terms anywhere inside a shortcode, so short words that appear inside
+// ordinary ones (e.g. "grape") are left out. Extend it per deployment with
+// BLOCKED_SHORTCODE_TERMS or at runtime through the admin API.
+module.exports = [
+  'fuck',
+  'shit',
+  'cunt',
+  'bitch',
+  'bastard',
+  'pussy',
+  'whore',
+  'slut',
+  'nigger',
+  'nigga',
+  'faggot',
+  'nazi',
+  'porn'
+];
@@ -0,0 +1,265 @@
+const shortcodeRegistry = require('../services/shortcodeRegistry');
+const domainService = require('../services/domainService');
+const { errorCodeOf } = require('../utils/errors');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const REGISTRY_LISTS = ['reserved', 'blocked'];
+
+// HTTP answers for the error codes of the admin services (see utils/errors)
+const ERROR_RESPONSES = {
+  conflict: { statusCode: 409, error: 'Conflict' },
+  invalid: { statusCode: 400, error: 'Bad Request' },
+  error: { statusCode: 500, error: 'Internal Server Error' }
+};
+
+/**
+ * Answer a failed admin change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ * @param {string} action - What failed, for the log and 500 message
+ * @param {Object} details - Extra fields for the log
+ */
+const respondError = (req, res, error, action, details) => {
+  const errorClass = errorCodeOf(error);
+  if (errorClass === 'error') {
+    getLogger().logError('backend', 'admin-controller', error, `Error trying to ${action}`, {
+      ...details,
+      requestId: req.requestId
+    });
+  }
+
+  const { statusCode, error: errorName } = ERROR_RESPONSES[errorClass];
+  res.status(statusCode).json({
+    error: errorName,
+    message: errorClass === 'error' ? `Failed to ${action}` : error.message
+  });
+};
+
+/**
+ * Answer a failed short domain change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by domainService
+ * @param {string} action - What failed, for the log and 500 message
+ */
+const respondDomainError = (req, res, error, action) => respondError(
+  req, res, error, action,
+  { host: req.params.host || (req.body && req.body.host) }
+);
+
+/**
+ * Answer a failed shortcode registry change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by shortcodeRegistry
+ * @param {string} action - What failed, for the log and 500 message
+ */
+const respondRegistryError = (req, res, error, action) => respondError(
+  req, res, error, action,
+  { list: req.params.list, term: req.params.term || (req.body && req.body.term) }
+);
+
+class AdminController {
+  /**
+   * List reserved words and blocked terms
+   * GET /admin/shortcode-registry
+   */
+  async getShortcodeRegistry(req, res) {
+    res.json(shortcodeRegistry.list());
+  }
+
+  /**
+   * Add a reserved word or blocked term
+   * POST /admin/shortcode-registry/:list
+   */
+  async addRegistryTerm(req, res) {
+    const logger = getLogger();
+    const { list } = req.params;
+    const { term } = req.body;
+
+    if (!REGISTRY_LISTS.includes(list)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown registry list '${list}'. Expected one of: ${REGISTRY_LISTS.join(', ')}`
+      });
+    }
+
+    if (typeof term !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Term is required'
+      });
+    }
+
+    try {
+      const added = await shortcodeRegistry.add(list, term);
+
+      logger.Log('backend', 'info', 'admin-controller', 'Shortcode registry term added', {
+        list,
+        term,
+        alreadyPresent: !added,
+        requestId: req.requestId
+      });
+
+      res.status(added ? 201 : 200).json({ list, term: term.toLowerCase(), added });
+    } catch (error) {
+      respondRegistryError(req, res, error, 'add shortcode registry term');
+    }
+  }
+
+  /**
+   * Remove a reserved word or blocked term
+   * DELETE /admin/shortcode-registry/:list/:term
+   */
+  async removeRegistryTerm(req, res) {
+    const logger = getLogger();
+    const { list, term } = req.params;
+
+    if (!REGISTRY_LISTS.includes(list)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown registry list '${list}'. Expected one of: ${REGISTRY_LISTS.join(', ')}`
+      });
+    }
+
+    try {
+      const removed = await shortcodeRegistry.remove(list, term);
+
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `'${term}' is not in the ${list} list`
+        });
+      }
+
+      logger.Log('backend', 'info', 'admin-controller', 'Shortcode registry term removed', {
+        list,
+        term,
+        requestId: req.requestId
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      respondRegistryError(req, res, error, 'remove shortcode registry term');
+    }
+  }
+
+  /**
+   * List registered short domains
+   * GET /admin/domains
+   */
+  async listDomains(req, res) {
+    try {
+      res.json({ domains: await domainService.listDomains() });
+    } catch (error) {
+      respondDomainError(req, res, error, 'list short domains');
+    }
+  }
+
+  /**
+   * Register a short domain with optional link defaults
+   * POST /admin/domains
+   */
+  async registerDomain(req, res) {
+    const { host, defaults = {} } = req.body || {};
+    const normalizedHost = domainService.normalizeHost(host);
+
+    if (!normalizedHost) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'host must be a hostname such as go.example.com'
+      });
+    }
+
+    const defaultsError = domainService.validateDefaults(defaults);
+    if (defaultsError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: defaultsError
+      });
+    }
+
+    try {
+      const domain = await domainService.registerDomain(normalizedHost, defaults);
+
+      getLogger().Log('backend', 'info', 'admin-controller', 'Short domain registered', {
+        host: normalizedHost,
+        requestId: req.requestId
+      });
+
+      res.status(201).json(domain);
+    } catch (error) {
+      respondDomainError(req, res, error, 'register short domain');
+    }
+  }
+
+  /**
+   * Replace the link defaults of a short domain
+   * PATCH /admin/domains/:host
+   */
+  async updateDomain(req, res) {
+    const host = domainService.normalizeHost(req.params.host);
+    const { defaults } = req.body || {};
+
+    const defaultsError = defaults === undefined ? 'defaults is required' : domainService.validateDefaults(defaults);
+    if (defaultsError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: defaultsError
+      });
+    }
+
+    try {
+      const domain = host && await domainService.updateDomain(host, defaults);
+
+      if (!domain) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Short domain '${req.params.host}' is not registered`
+        });
+      }
+
+      getLogger().Log('backend', 'info', 'admin-controller', 'Short domain defaults updated', {
+        host,
+        requestId: req.requestId
+      });
+
+      res.json(domain);
+    } catch (error) {
+      respondDomainError(req, res, error, 'update short domain');
+    }
+  }
+
+  /**
+   * Remove a short domain; refused while links still live on it
+   * DELETE /admin/domains/:host
+   */
+  async removeDomain(req, res) {
+    const host = domainService.normalizeHost(req.params.host);
+
+    try {
+      const removed = host && await domainService.removeDomain(host);
+
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Short domain '${req.params.host}' is not registered`
+        });
+      }
+
+      getLogger().Log('backend', 'info', 'admin-controller', 'Short domain removed', {
+        host,
+        requestId: req.requestId
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      respondDomainError(req, res, error, 'remove short domain');
+    }
+  }
+}
+
+module.exports = new AdminController();
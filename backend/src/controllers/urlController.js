@@ -1,113 +1,1303 @@
 const urlService = require('../services/urlService');
-const inMemoryStore = require('../models/InMemoryStore');
+const domainService = require('../services/domainService');
+const exportService = require('../services/exportService');
+const healthMonitor = require('../services/healthMonitor');
+const {
+  LIST_STATUSES,
+  LIST_SORT_FIELDS,
+  ROLLUP_FIELDS,
+  HEALTH_STATUSES,
+  searchTokens,
+  linkKey
+} = require('../storage/listQuery');
+const { parseCsv } = require('../utils/csv');
+const { isAdminRequest } = require('../middleware/auth');
+const { errorCodeOf } = require('../utils/errors');
+const { sendErrorResponse } = require('../middleware/errorHandler');
+const unlockThrottle = require('../services/unlockThrottle');
+const { renderUnlockPage } = require('../views/unlockPage');
+const { renderPreviewPage } = require('../views/previewPage');
+const { renderQrSvg, renderQrPng } = require('../views/qrCode');
+const { ERROR_CORRECTION_LEVELS, encodeQr } = require('../utils/qrcode');
+const { utmCampaignOf } = require('../utils/utm');
+const { isSafeForwardPath } = require('../utils/passthrough');
+const shortcodeRegistry = require('../services/shortcodeRegistry');
 
 // Get logger instance
 const getLogger = () => global.appLogger;
 
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 200;
+const QR_FORMATS = ['svg', 'png'];
+const MIN_QR_SIZE = 64;
+const MAX_QR_SIZE = 4096;
+const MAX_QR_MARGIN = 16;
+const QR_COLOR_PATTERN = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Sources a short link can be marked with on its URL (?src=qr in QR codes); recorded on the click
+const QR_SOURCE = 'qr';
+const CLICK_SOURCES = [QR_SOURCE];
+
+/**
+ * Answer a redirect for a link that has expired or used up its maxClicks: send the
+ * visitor to its fallback URL (see urlService.fallbackUrlFor) when there is one, otherwise 410
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} urlData - URL entry
+ * @param {string} reason - expired | exhausted
+ */
+const respondGone = (req, res, urlData, reason) => {
+  const fallbackUrl = urlService.fallbackUrlFor(urlData, reason);
+  if (fallbackUrl) {
+    getLogger().Log('backend', 'info', 'url-controller', 'Redirecting to fallback URL', {
+      shortcode: urlData.shortcode,
+      reason,
+      fallbackUrl,
+      requestId: req.requestId
+    });
+    // Never cached: extending the link brings it back
+    return res.set('Cache-Control', 'no-store').redirect(fallbackUrl);
+  }
+
+  sendErrorResponse(req, res, 410, {
+    error: 'Gone',
+    message: reason === 'expired' ? 'Short URL has expired' : 'Short URL has reached its click limit'
+  });
+};
+
+/**
+ * Answer a redirect for a link that has used up its maxClicks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} urlData - URL entry
+ */
+const respondExhausted = (req, res, urlData) => {
+  getLogger().Log('backend', 'warn', 'url-controller', 'Short URL click limit reached', {
+    shortcode: urlData.shortcode,
+    maxClicks: urlData.maxClicks,
+    requestId: req.requestId
+  });
+
+  respondGone(req, res, urlData, 'exhausted');
+};
+
+/**
+ * Answer for links that cannot be followed right now (expired, deactivated,
+ * not active yet or out of clicks)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} urlData - URL entry
+ * @returns {boolean} - True if a response was sent
+ */
+const respondIfUnavailable = (req, res, urlData) => {
+  const logger = getLogger();
+  const { shortcode } = urlData;
+
+  if (urlData.expiresAt && new Date() > urlData.expiresAt) {
+    logger.Log('backend', 'warn', 'url-controller', 'Short URL has expired', {
+      shortcode,
+      expiresAt: urlData.expiresAt,
+      currentTime: new Date().toISOString(),
+      requestId: req.requestId
+    });
+
+    respondGone(req, res, urlData, 'expired');
+    return true;
+  }
+
+  if (!urlData.isActive) {
+    logger.Log('backend', 'warn', 'url-controller', 'Short URL is deactivated', {
+      shortcode,
+      requestId: req.requestId
+    });
+
+    sendErrorResponse(req, res, 410, {
+      error: 'Gone',
+      message: 'Short URL has been deactivated'
+    });
+    return true;
+  }
+
+  if (urlData.activeFrom && new Date() < urlData.activeFrom) {
+    logger.Log('backend', 'warn', 'url-controller', 'Short URL is not active yet', {
+      shortcode,
+      activeFrom: urlData.activeFrom,
+      requestId: req.requestId
+    });
+
+    res.set('Retry-After', String(Math.ceil((urlData.activeFrom.getTime() - Date.now()) / 1000)));
+    sendErrorResponse(req, res, 403, {
+      error: 'Forbidden',
+      message: 'Short URL is not active yet',
+      activeFrom: urlData.activeFrom.toISOString()
+    });
+    return true;
+  }
+
+  if (urlData.maxClicks && urlData.clickCount >= urlData.maxClicks) {
+    respondExhausted(req, res, urlData);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Work out what a redirect request forwards to the destination of a link
+ * @param {Object} urlData - URL entry
+ * @param {string} suffix - Raw request target after the shortcode ('/extra/path?x=1', '?x=1' or '')
+ * @returns {Object} - { forwarded: { path, search } }, or { statusCode, error, message } to answer with
+ */
+const resolveForwarded = (urlData, suffix) => {
+  const queryStart = suffix.indexOf('?');
+  const rawPath = queryStart === -1 ? suffix : suffix.slice(0, queryStart);
+  const path = rawPath === '/' ? '' : rawPath;
+  const search = queryStart === -1 ? '' : suffix.slice(queryStart);
+
+  // Links without path passthrough only answer on their own path, as before forwarding existed
+  if (path && !(urlData.passthrough && urlData.passthrough.path)) {
+    return { statusCode: 404, error: 'Not Found', message: 'Short URL not found' };
+  }
+  if (path && !isSafeForwardPath(path)) {
+    return { statusCode: 400, error: 'Bad Request', message: 'Forwarded path must not contain . or .. segments' };
+  }
+  return { forwarded: { path, search } };
+};
+
+/**
+ * Take the preview switch (?preview=1 or ?preview=0) and the click source marker (?src=qr)
+ * out of a redirect request so they are never forwarded to the destination. src values
+ * other than the known sources belong to the visitor's query and stay.
+ * @param {string} suffix - Raw request target after the shortcode
+ * @returns {Object} - { suffix, preview, source }; preview is undefined and source null when
+ *   the request does not say
+ */
+const takeRedirectParams = (suffix) => {
+  const queryStart = suffix.indexOf('?');
+  if (queryStart === -1) {
+    return { suffix, preview: undefined, source: null };
+  }
+
+  let preview;
+  let source = null;
+  const kept = suffix.slice(queryStart + 1).split('&').filter(pair => {
+    const [key, value = ''] = pair.split('=');
+    if (key === 'preview') {
+      preview = !['0', 'false'].includes(value);
+      return false;
+    }
+    if (key === 'src' && CLICK_SOURCES.includes(value)) {
+      source = value;
+      return false;
+    }
+    return pair !== '';
+  });
+  return { suffix: suffix.slice(0, queryStart) + (kept.length > 0 ? `?${kept.join('&')}` : ''), preview, source };
+};
+
+/**
+ * Append a query parameter to a path that may already have a query
+ * @param {string} target - Path with optional query
+ * @param {string} pair - Encoded key=value
+ * @returns {string}
+ */
+const appendQuery = (target, pair) => `${target}${target.includes('?') ? '&' : '?'}${pair}`;
+
+/**
+ * Work out where a visitor is sent: the link's redirect rules, then its split
+ * variants, then its destination, with the forwarded path and query and UTM defaults
+ * @param {Object} req - Express request object
+ * @param {Object} urlData - URL entry
+ * @param {Object} forwarded - { path, search } from resolveForwarded
+ * @returns {Object} - { destination, rule, variant }
+ */
+const chooseDestination = (req, urlData, forwarded) => {
+  const rule = urlService.matchRedirectRule(urlData, {
+    userAgent: req.get('User-Agent'),
+    acceptLanguage: req.get('Accept-Language'),
+    referer: req.get('Referer')
+  });
+  // Visitors a rule sends elsewhere take no part in the split
+  const variant = rule ? null : urlService.chooseVariant(urlData, { ip: req.ip, userAgent: req.get('User-Agent') });
+  return { destination: urlService.redirectTarget(urlData, forwarded, { rule, variant }), rule, variant };
+};
+
+/**
+ * Record the click and send the visitor to the destination from chooseDestination,
+ * with cache headers that never outlive the link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} urlData - URL entry that passed respondIfUnavailable
+ * @param {number} statusCode - Redirect status (the link's redirectStatus, or 303 after the unlock form)
+ * @param {Object} forwarded - { path, search } from resolveForwarded
+ * @param {string|null} [source] - Source marked on the short link (see takeRedirectParams)
+ */
+const completeRedirect = async (req, res, urlData, statusCode, forwarded, source = null) => {
+  const { shortcode } = urlData;
+  const { destination, rule, variant } = chooseDestination(req, urlData, forwarded);
+
+  // Record click; for click-limited links this claims one of the remaining redirects
+  const counted = await urlService.recordClick(urlData.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    referer: req.get('Referer'),
+    utmCampaign: utmCampaignOf(destination),
+    rule: rule ? rule.name : null,
+    variant: variant ? variant.name : null,
+    source
+  });
+
+  if (!counted && urlData.maxClicks) {
+    // Another request took the last click between the lookup and now
+    return respondExhausted(req, res, urlData);
+  }
+
+  getLogger().Log('backend', 'info', 'url-controller', 'Successful redirect performed', {
+    shortcode,
+    originalUrl: urlData.originalUrl,
+    destination,
+    rule: rule ? rule.name : null,
+    variant: variant ? variant.name : null,
+    source,
+    clickCount: urlData.clickCount + 1,
+    requestId: req.requestId
+  });
+
+  res.set(urlService.redirectCacheHeaders(urlData)).redirect(statusCode, destination);
+};
+
+/**
+ * Count a preview view and show the visitor where the link would take them; the
+ * continue button follows the short link again with the preview switched off
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} urlData - URL entry that passed respondIfUnavailable
+ * @param {Object} forwarded - { path, search } from resolveForwarded
+ * @param {string|null} [source] - Source marked on the short link, kept on the continue link
+ */
+const sendPreviewPage = async (req, res, urlData, forwarded, source = null) => {
+  const { shortcode } = urlData;
+  const { destination } = chooseDestination(req, urlData, forwarded);
+  await urlService.recordPreview(urlData.id);
+  const continueUrl = appendQuery(`/${encodeURIComponent(shortcode)}${forwarded.path}${forwarded.search}`, 'preview=0');
+
+  getLogger().Log('backend', 'info', 'url-controller', 'Serving preview page', {
+    shortcode,
+    destination,
+    requestId: req.requestId
+  });
+
+  res.status(200)
+    .set('Cache-Control', 'no-store')
+    .type('html')
+    .send(renderPreviewPage({
+      shortcode,
+      destination,
+      createdAt: urlData.createdAt,
+      expiresAt: urlData.expiresAt,
+      continueUrl: source ? appendQuery(continueUrl, `src=${source}`) : continueUrl
+    }));
+};
+
+/**
+ * Serve the unlock form of a protected link
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status
+ * @param {string} shortcode - Protected shortcode
+ * @param {string} [error] - Message shown above the form
+ * @param {string} [forward] - Request target after the shortcode, carried through the form
+ */
+const sendUnlockPage = (res, statusCode, shortcode, error, forward) => {
+  res.status(statusCode)
+    .set('Cache-Control', 'no-store')
+    .type('html')
+    .send(renderUnlockPage({ shortcode, error, forward }));
+};
+
+// HTTP answers for the codes of errors thrown by urlService.createShortUrl (see errorCodeOf)
+const CREATE_ERROR_RESPONSES = {
+  conflict: { statusCode: 409, error: 'Conflict' },
+  forbidden: { statusCode: 403, error: 'Forbidden' },
+  invalid: { statusCode: 400, error: 'Bad Request' },
+  error: { statusCode: 500, error: 'Internal Server Error' }
+};
+
+const BULK_CSV_COLUMNS = ['url', 'validity', 'shortcode', 'domain', 'tags', 'campaign', 'note'];
+
+/**
+ * Link key a management request addresses: the :shortcode parameter on the short
+ * domain named by ?shortDomain=, or on the default domain without it
+ * @param {Object} req - Express request object
+ * @returns {string} - Link key
+ */
+const requestLinkKey = (req) => {
+  const { shortDomain } = req.query;
+  const domain = typeof shortDomain === 'string' && shortDomain ? shortDomain.trim().toLowerCase() : null;
+  return linkKey(domain, req.params.shortcode);
+};
+
+/**
+ * Link key a visitor's request addresses: the shortcode in the namespace of the
+ * registered short domain the request was made on (Host header), otherwise the default one
+ * @param {Object} req - Express request object
+ * @param {string} shortcode - Shortcode from the path
+ * @returns {Promise<string>} - Link key
+ */
+const visitorLinkKey = async (req, shortcode) => {
+  const shortDomain = await domainService.resolveHost(req.hostname);
+  return linkKey(shortDomain ? shortDomain.host : null, shortcode);
+};
+
+/**
+ * Describe the caller of a change for the link history
+ * @param {Object} req - Express request object
+ * @returns {Object} - { changedBy, requestId, authorized }
+ */
+const changeContext = (req) => {
+  const admin = isAdminRequest(req);
+  return {
+    changedBy: {
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || '',
+      admin
+    },
+    requestId: req.requestId,
+    authorized: admin
+  };
+};
+
+/**
+ * Copy of a create request body that is safe to log
+ * @param {Object} body - Request body
+ * @returns {Object} - Body with the link password masked
+ */
+const redactBody = (body) => (body && body.password !== undefined ? { ...body, password: '[redacted]' } : body);
+
+/**
+ * Parse an ISO date query/body value
+ * @param {*} value - Raw value
+ * @returns {Date|null} - Date, or null if the value is not a valid date string
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate the filter parameters shared by listing and export
+ * @param {Object} query - req.query
+ * @returns {{ error?: string, filters?: Object }} - Filters or the first validation error
+ */
+const parseFilterQuery = (query) => {
+  const filters = {};
+
+  if (query.status !== undefined) {
+    if (!LIST_STATUSES.includes(query.status)) {
+      return { error: `status must be one of: ${LIST_STATUSES.join(', ')}` };
+    }
+    filters.status = query.status;
+  }
+
+  for (const field of ['createdAfter', 'createdBefore']) {
+    if (query[field] !== undefined) {
+      filters[field] = parseDate(query[field]);
+      if (!filters[field]) {
+        return { error: `${field} must be an ISO 8601 date` };
+      }
+    }
+  }
+
+  if (query.domain !== undefined) {
+    if (typeof query.domain !== 'string' || !/^[a-zA-Z0-9.-]+$/.test(query.domain)) {
+      return { error: 'domain must be a hostname such as example.com' };
+    }
+    filters.domain = query.domain.toLowerCase();
+  }
+
+  if (query.shortDomain !== undefined) {
+    if (typeof query.shortDomain !== 'string' || !/^[a-zA-Z0-9.-]+$/.test(query.shortDomain)) {
+      return { error: 'shortDomain must be a hostname such as go.example.com' };
+    }
+    filters.shortDomain = query.shortDomain.toLowerCase();
+  }
+
+  if (query.health !== undefined) {
+    if (!HEALTH_STATUSES.includes(query.health)) {
+      return { error: `health must be one of: ${HEALTH_STATUSES.join(', ')}` };
+    }
+    filters.health = query.health;
+  }
+
+  for (const field of ['tag', 'campaign']) {
+    if (query[field] !== undefined) {
+      if (typeof query[field] !== 'string' || query[field].trim() === '') {
+        return { error: `${field} must be a non-empty string` };
+      }
+      filters[field] = query[field].trim();
+    }
+  }
+  if (filters.tag) {
+    filters.tag = filters.tag.toLowerCase();
+  }
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH || searchTokens(query.q).length === 0) {
+      return { error: `q must contain at least one letter or digit and at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    filters.q = query.q;
+  }
+
+  return { filters };
+};
+
+/**
+ * Validate page and limit query parameters
+ * @param {Object} query - req.query
+ * @param {number} defaultLimit - Page size when no limit is given
+ * @returns {{ error?: string, page?: number, limit?: number }} - Page and limit or the first validation error
+ */
+const parsePageQuery = (query, defaultLimit) => {
+  const page = query.page !== undefined ? Number(query.page) : 1;
+  const limit = query.limit !== undefined ? Number(query.limit) : defaultLimit;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1-${MAX_PAGE_SIZE}` };
+  }
+  return { page, limit };
+};
+
+/**
+ * Validate GET /shorturls query parameters
+ * @param {Object} query - req.query
+ * @returns {{ error?: string, options?: Object }} - Listing options or the first validation error
+ */
+const parseListQuery = (query) => {
+  const { error: pageError, page, limit } = parsePageQuery(query, 20);
+  if (pageError) {
+    return { error: pageError };
+  }
+
+  const options = {
+    page,
+    limit,
+    sort: query.sort || 'createdAt',
+    order: query.order || 'desc'
+  };
+
+  if (!LIST_SORT_FIELDS.includes(options.sort)) {
+    return { error: `sort must be one of: ${LIST_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const { error, filters } = parseFilterQuery(query);
+  if (error) {
+    return { error };
+  }
+
+  return { options: { ...options, ...filters } };
+};
+
+/**
+ * Validate GET /shorturls/:shortcode/qr query parameters
+ * @param {Object} query - req.query
+ * @returns {{ error?: string, options?: Object }} - QR options (colors as #rrggbb) or the first validation error
+ */
+const parseQrQuery = (query) => {
+  const options = {
+    format: query.format !== undefined ? String(query.format).toLowerCase() : 'svg',
+    size: query.size !== undefined ? Number(query.size) : 300,
+    margin: query.margin !== undefined ? Number(query.margin) : 4,
+    errorCorrection: query.ecc !== undefined ? String(query.ecc).toUpperCase() : 'M'
+  };
+
+  if (!QR_FORMATS.includes(options.format)) {
+    return { error: `format must be one of: ${QR_FORMATS.join(', ')}` };
+  }
+  if (!Number.isInteger(options.size) || options.size < MIN_QR_SIZE || options.size > MAX_QR_SIZE) {
+    return { error: `size must be an integer between ${MIN_QR_SIZE}-${MAX_QR_SIZE}` };
+  }
+  if (!Number.isInteger(options.margin) || options.margin < 0 || options.margin > MAX_QR_MARGIN) {
+    return { error: `margin must be an integer between 0-${MAX_QR_MARGIN}` };
+  }
+  if (!ERROR_CORRECTION_LEVELS.includes(options.errorCorrection)) {
+    return { error: `ecc must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}` };
+  }
+
+  for (const [field, name, fallback] of [['fg', 'foreground', '000000'], ['bg', 'background', 'ffffff']]) {
+    const match = String(query[field] !== undefined ? query[field] : fallback).match(QR_COLOR_PATTERN);
+    if (!match) {
+      return { error: `${field} must be a hex color such as 1a73e8 or #1a73e8` };
+    }
+    const hex = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+    options[name] = `#${hex.toLowerCase()}`;
+  }
+  if (options.foreground === options.background) {
+    return { error: 'fg and bg must be different colors' };
+  }
+
+  return { options };
+};
+
+/**
+ * Turn an uploaded CSV into create requests. The header row names the
+ * columns (url, validity, shortcode, domain, tags, campaign, note; any order,
+ * case-insensitive). Multiple tags are separated by semicolons.
+ * @param {string} text - CSV text
+ * @returns {{ error?: string, rows?: Array<Object> }} - Create requests or a parse error
+ */
+const parseBulkCsv = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (records.length === 0) {
+    return { error: 'CSV must have a header row' };
+  }
+
+  const header = records[0].map(column => column.trim().toLowerCase());
+  if (!header.includes('url')) {
+    return { error: `CSV header must include a url column (supported columns: ${BULK_CSV_COLUMNS.join(', ')})` };
+  }
+
+  const rows = records.slice(1).map(record => {
+    const row = {};
+    header.forEach((column, index) => {
+      const value = (record[index] || '').trim();
+      if (!BULK_CSV_COLUMNS.includes(column) || value === '') return;
+      if (column === 'tags') {
+        row.tags = value.split(';').map(tag => tag.trim()).filter(Boolean);
+        return;
+      }
+      // Non-numeric validity stays a string so it fails the usual validation
+      row[column] = column === 'validity' && !isNaN(Number(value)) ? Number(value) : value;
+    });
+    return row;
+  });
+
+  return { rows };
+};
+
 class UrlController {
   /**
-   * Create a new short URL
-   * POST /shorturls
+   * Create a new short URL
+   * POST /shorturls
+   */
+  async createShortUrl(req, res) {
+    const logger = getLogger();
+    
+    try {
+      const {
+        url,
+        validity,
+        activeFrom,
+        expiresAt,
+        neverExpires,
+        maxClicks,
+        password,
+        tags,
+        campaign,
+        note,
+        utm,
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        shortcode,
+        domain,
+        reuseExisting
+      } = req.body;
+
+      logger.Log('backend', 'info', 'url-controller', 'Creating short URL request received', {
+        url,
+        validity: validity || (expiresAt || neverExpires ? undefined : 'default (30 minutes)'),
+        activeFrom,
+        expiresAt,
+        neverExpires,
+        maxClicks,
+        passwordProtected: password !== undefined,
+        tags,
+        campaign,
+        utm,
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        shortcode: shortcode || 'auto-generated',
+        domain,
+        requestId: req.requestId
+      });
+
+      // Validate required fields and types
+      const validationError = urlService.validateCreateData(req.body);
+      if (validationError) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid short URL request', {
+          providedFields: Object.keys(req.body),
+          reason: validationError,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: validationError
+        });
+      }
+
+      const result = await urlService.createShortUrl({
+        url,
+        validity,
+        activeFrom,
+        expiresAt,
+        neverExpires,
+        maxClicks,
+        password,
+        tags,
+        campaign,
+        note,
+        utm,
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        shortcode,
+        domain,
+        reuseExisting
+      }, changeContext(req));
+
+      logger.Log('backend', 'info', 'url-controller', result.reused ? 'Existing short URL reused' : 'Short URL created successfully', {
+        shortcode: result.shortcode,
+        domain: result.domain,
+        originalUrl: result.originalUrl,
+        expiresAt: result.expiresAt,
+        isCustomShortcode: !!shortcode,
+        reused: !!result.reused,
+        requestId: req.requestId
+      });
+
+      res.status(result.reused ? 200 : 201).json(result);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error creating short URL', {
+        requestId: req.requestId,
+        body: redactBody(req.body)
+      });
+
+      const errorClass = errorCodeOf(error);
+
+      if (errorClass === 'conflict') {
+        logger.Log('backend', 'warn', 'url-controller', 'Shortcode collision detected', {
+          shortcode: req.body.shortcode,
+          errorType: 'SHORTCODE_EXISTS',
+          requestId: req.requestId
+        });
+      }
+
+      const { statusCode, error: errorName } = CREATE_ERROR_RESPONSES[errorClass];
+      res.status(statusCode).json({
+        error: errorName,
+        message: errorClass === 'error' ? 'Failed to create short URL' : error.message
+      });
+    }
+  }
+
+  /**
+   * Create many short URLs from a JSON array or an uploaded CSV
+   * POST /shorturls/bulk
+   */
+  async createShortUrlsBulk(req, res) {
+    const logger = getLogger();
+    const maxRows = parseInt(process.env.BULK_MAX_ROWS) || 1000;
+
+    try {
+      let rows = req.body;
+      const csvText = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : null);
+
+      if (csvText !== null) {
+        const parsed = parseBulkCsv(csvText);
+        if (parsed.error) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: parsed.error
+          });
+        }
+        rows = parsed.rows;
+      }
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid bulk request body', {
+          contentType: req.get('Content-Type'),
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Provide a non-empty JSON array or a CSV file with ${BULK_CSV_COLUMNS.join(', ')} columns`
+        });
+      }
+
+      if (rows.length > maxRows) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `A bulk request may contain at most ${maxRows} rows`
+        });
+      }
+
+      logger.Log('backend', 'info', 'url-controller', 'Bulk short URL request received', {
+        rows: rows.length,
+        source: csvText !== null ? 'csv' : 'json',
+        requestId: req.requestId
+      });
+
+      const results = (await urlService.createShortUrls(rows, changeContext(req))).map(({ row, status, shortUrl, message }) => {
+        if (shortUrl) {
+          return { row, status, statusCode: status === 'reused' ? 200 : 201, result: shortUrl };
+        }
+        const { statusCode, error } = CREATE_ERROR_RESPONSES[status];
+        return { row, status: 'failed', statusCode, error, message };
+      });
+
+      const summary = {
+        total: results.length,
+        created: results.filter(result => result.status === 'created').length,
+        reused: results.filter(result => result.status === 'reused').length,
+        failed: results.filter(result => result.status === 'failed').length
+      };
+
+      logger.Log('backend', 'info', 'url-controller', 'Bulk short URL request completed', {
+        ...summary,
+        requestId: req.requestId
+      });
+
+      res.json({ ...summary, results });
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error creating short URLs in bulk', {
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to create short URLs'
+      });
+    }
+  }
+
+  /**
+   * List short URLs with pagination, sorting and filters
+   * GET /shorturls
+   */
+  async listShortUrls(req, res) {
+    const logger = getLogger();
+
+    try {
+      const { error, options } = parseListQuery(req.query);
+
+      if (error) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid list query', {
+          query: req.query,
+          reason: error,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      const result = await urlService.listUrls(options, isAdminRequest(req));
+
+      logger.Log('backend', 'info', 'url-controller', 'Short URLs listed', {
+        page: result.page,
+        returned: result.items.length,
+        total: result.total,
+        requestId: req.requestId
+      });
+
+      res.json(result);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error listing short URLs', {
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to list short URLs'
+      });
+    }
+  }
+
+  /**
+   * Search short URLs by text, tag or campaign; accepts the listing parameters
+   * GET /shorturls/search?q=&tag=&campaign=
+   */
+  async searchShortUrls(req, res) {
+    const logger = getLogger();
+
+    try {
+      const { error, options } = parseListQuery(req.query);
+      const reason = error || (['q', 'tag', 'campaign'].every(field => options[field] === undefined)
+        ? 'At least one of q, tag or campaign is required'
+        : null);
+
+      if (reason) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid search query', {
+          query: req.query,
+          reason,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: reason
+        });
+      }
+
+      const result = await urlService.listUrls(options, isAdminRequest(req));
+
+      logger.Log('backend', 'info', 'url-controller', 'Short URLs searched', {
+        q: options.q,
+        tag: options.tag,
+        campaign: options.campaign,
+        returned: result.items.length,
+        total: result.total,
+        requestId: req.requestId
+      });
+
+      res.json(result);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error searching short URLs', {
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to search short URLs'
+      });
+    }
+  }
+
+  /**
+   * Links whose destination failed its latest health check; accepts the listing parameters
+   * GET /shorturls/broken
+   */
+  async getBrokenLinks(req, res) {
+    const logger = getLogger();
+
+    try {
+      const { error, options } = parseListQuery({ ...req.query, health: 'broken' });
+
+      if (error) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid broken links query', {
+          query: req.query,
+          reason: error,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      const result = await urlService.listUrls(options, isAdminRequest(req));
+
+      logger.Log('backend', 'info', 'url-controller', 'Broken links listed', {
+        returned: result.items.length,
+        total: result.total,
+        requestId: req.requestId
+      });
+
+      res.json({ ...result, lastRun: healthMonitor.lastRun });
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error listing broken links', {
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to list broken links'
+      });
+    }
+  }
+
+  /**
+   * Roll up links and clicks per tag or per campaign
+   * GET /shorturls/rollup?by=tag|campaign
+   */
+  async getClickRollup(req, res) {
+    const logger = getLogger();
+    const by = req.query.by || 'tag';
+
+    if (!ROLLUP_FIELDS.includes(by)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `by must be one of: ${ROLLUP_FIELDS.join(', ')}`
+      });
+    }
+
+    try {
+      const result = await urlService.rollupClicks(by);
+
+      logger.Log('backend', 'info', 'url-controller', 'Click rollup retrieved', {
+        by,
+        groups: result.items.length,
+        requestId: req.requestId
+      });
+
+      res.json(result);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error rolling up clicks', {
+        by,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to roll up clicks'
+      });
+    }
+  }
+
+  /**
+   * Stream every matching link with its click records
+   * GET /shorturls/export?format=csv|json|ndjson
+   */
+  async exportShortUrls(req, res) {
+    const logger = getLogger();
+    const formatName = req.query.format || 'json';
+    const format = exportService.getFormat(formatName);
+
+    if (!format) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'format must be one of: csv, json, ndjson'
+      });
+    }
+
+    const { error, filters } = parseFilterQuery(req.query);
+    if (error) {
+      logger.Log('backend', 'error', 'url-controller', 'Invalid export query', {
+        query: req.query,
+        reason: error,
+        requestId: req.requestId
+      });
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    logger.Log('backend', 'info', 'url-controller', 'Export request received', {
+      format: formatName,
+      filters,
+      requestId: req.requestId
+    });
+
+    const filename = `shorturls-${new Date().toISOString().replace(/[:.]/g, '-')}.${format.extension}`;
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await exportService.exportTo(res, formatName, filters, isAdminRequest(req));
+      res.end();
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error streaming export', {
+        format: formatName,
+        requestId: req.requestId
+      });
+
+      // Part of the body may already be sent; cut the response so the client sees a failed download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to export short URLs'
+      });
+    }
+  }
+
+  /**
+   * Update a short URL's destination, expiry, labels or active flag
+   * PATCH /shorturls/:shortcode
    */
-  async createShortUrl(req, res) {
+  async updateShortUrl(req, res) {
     const logger = getLogger();
-    
-    try {
-      const { url, validity, shortcode } = req.body;
+    const shortcode = requestLinkKey(req);
 
-      logger.Log('backend', 'info', 'url-controller', 'Creating short URL request received', {
+    try {
+      const {
         url,
-        validity: validity || 'default (30 minutes)',
-        shortcode: shortcode || 'auto-generated',
-        requestId: req.requestId
-      });
-
-      // Validate required fields
-      if (!url) {
-        logger.Log('backend', 'error', 'url-controller', 'Missing required field: url', {
-          providedFields: Object.keys(req.body),
+        validity,
+        activeFrom,
+        expiresAt,
+        neverExpires,
+        tags,
+        campaign,
+        note,
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        isActive
+      } = req.body;
+      const badRequest = (message) => {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid short URL update', {
+          shortcode,
+          reason: message,
           requestId: req.requestId
         });
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'URL is required'
+          message
         });
-      }
+      };
 
-      // Validate validity if provided
-      if (validity !== undefined) {
-        if (typeof validity !== 'number' || validity <= 0 || validity > 10080) { // Max 1 week
-          logger.Log('backend', 'error', 'url-controller', 'Invalid validity parameter', {
-            providedValidity: validity,
-            expectedRange: '1-10080 minutes',
-            requestId: req.requestId
-          });
-          return res.status(400).json({
-            error: 'Bad Request',
-            message: 'Validity must be a positive number (in minutes) and not exceed 10080 minutes (1 week)'
-          });
-        }
+      if ([url, validity, activeFrom, expiresAt, neverExpires, tags, campaign, note, utmDefaults, passthrough,
+        redirectRules, variants, redirectStatus, preview, fallbackUrl, isActive].every(value => value === undefined)) {
+        return badRequest('At least one of url, validity, activeFrom, expiresAt, neverExpires, tags, campaign, note, ' +
+          'utmDefaults, passthrough, redirectRules, variants, redirectStatus, preview, fallbackUrl or isActive is required');
+      }
+      if (url !== undefined && typeof url !== 'string') {
+        return badRequest('URL must be a string');
+      }
+      const validityError = validity !== undefined ? urlService.validateValidity(validity) : null;
+      if (validityError) {
+        return badRequest(validityError);
+      }
+      const scheduleError = urlService.validateScheduleFields(req.body);
+      if (scheduleError) {
+        return badRequest(scheduleError);
+      }
+      if (neverExpires === false) {
+        return badRequest('neverExpires can only be set to true; send validity or expiresAt to set an expiry');
+      }
+      const fieldError = urlService.validateLabelFields(req.body) || urlService.validateRedirectOptions(req.body);
+      if (fieldError) {
+        return badRequest(fieldError);
+      }
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return badRequest('isActive must be a boolean');
       }
 
-      const result = await urlService.createShortUrl({
+      const result = await urlService.updateShortUrl(shortcode, {
         url,
         validity,
-        shortcode
-      });
+        activeFrom,
+        expiresAt,
+        neverExpires,
+        tags,
+        campaign,
+        note,
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        isActive
+      }, changeContext(req));
 
-      logger.Log('backend', 'info', 'url-controller', 'Short URL created successfully', {
-        shortcode: result.shortcode,
-        originalUrl: result.originalUrl,
-        expiresAt: result.expiresAt,
-        isCustomShortcode: !!shortcode,
-        requestId: req.requestId
-      });
+      if (!result) {
+        logger.Log('backend', 'warn', 'url-controller', 'Update requested for non-existent URL', {
+          shortcode,
+          requestId: req.requestId
+        });
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Short URL not found'
+        });
+      }
 
-      res.status(201).json(result);
+      res.json(result);
     } catch (error) {
-      logger.logError('backend', 'url-controller', error, 'Error creating short URL', {
+      logger.logError('backend', 'url-controller', error, 'Error updating short URL', {
+        shortcode,
         requestId: req.requestId,
         body: req.body
       });
 
-      if (error.message.includes('already exists')) {
-        logger.Log('backend', 'warn', 'url-controller', 'Shortcode collision detected', {
-          shortcode: req.body.shortcode,
-          errorType: 'SHORTCODE_EXISTS',
+      const errorClass = errorCodeOf(error);
+      if (errorClass === 'forbidden' || errorClass === 'invalid') {
+        const { statusCode, error: errorName } = CREATE_ERROR_RESPONSES[errorClass];
+        return res.status(statusCode).json({
+          error: errorName,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to update short URL'
+      });
+    }
+  }
+
+  /**
+   * Get the revision history of a short URL
+   * GET /shorturls/:shortcode/history
+   */
+  async getUrlHistory(req, res) {
+    const logger = getLogger();
+    const shortcode = requestLinkKey(req);
+
+    try {
+      const history = await urlService.getUrlHistory(shortcode, isAdminRequest(req));
+
+      if (!history) {
+        logger.Log('backend', 'warn', 'url-controller', 'History requested for non-existent URL', {
+          shortcode,
           requestId: req.requestId
         });
-        return res.status(409).json({
-          error: 'Conflict',
-          message: error.message
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Short URL not found'
         });
       }
 
-      if (error.message.includes('shortcode') || error.message.includes('URL')) {
+      res.json(history);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error retrieving history', {
+        shortcode,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve history'
+      });
+    }
+  }
+
+  /**
+   * Restore a short URL to an earlier revision
+   * POST /shorturls/:shortcode/rollback
+   */
+  async rollbackShortUrl(req, res) {
+    const logger = getLogger();
+    const shortcode = requestLinkKey(req);
+
+    try {
+      const { revision } = req.body;
+
+      if (!Number.isInteger(revision) || revision < 1) {
         return res.status(400).json({
           error: 'Bad Request',
+          message: 'revision must be a positive integer'
+        });
+      }
+
+      const result = await urlService.rollbackShortUrl(shortcode, revision, changeContext(req));
+
+      if (!result) {
+        logger.Log('backend', 'warn', 'url-controller', 'Rollback requested for non-existent URL', {
+          shortcode,
+          requestId: req.requestId
+        });
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Short URL not found'
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      if (errorCodeOf(error) === 'not_found') {
+        return res.status(404).json({
+          error: 'Not Found',
           message: error.message
         });
       }
 
+      logger.logError('backend', 'url-controller', error, 'Error rolling back short URL', {
+        shortcode,
+        requestId: req.requestId,
+        body: req.body
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to roll back short URL'
+      });
+    }
+  }
+
+  /**
+   * Delete a short URL and its analytics
+   * DELETE /shorturls/:shortcode
+   */
+  async deleteShortUrl(req, res) {
+    const logger = getLogger();
+    const shortcode = requestLinkKey(req);
+
+    try {
+      const deleted = await urlService.deleteShortUrl(shortcode);
+
+      if (!deleted) {
+        logger.Log('backend', 'warn', 'url-controller', 'Delete requested for non-existent URL', {
+          shortcode,
+          requestId: req.requestId
+        });
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Short URL not found'
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error deleting short URL', {
+        shortcode,
+        requestId: req.requestId
+      });
+
       res.status(500).json({
         error: 'Internal Server Error',
-        message: 'Failed to create short URL'
+        message: 'Failed to delete short URL'
       });
     }
   }
 
   /**
-   * Redirect to original URL
-   * GET /:shortcode
+   * Redirect to original URL, forwarding extra path and query for links with passthrough.
+   * A trailing '+' on the shortcode, ?preview=1 or the link's preview flag show the
+   * preview page instead; ?preview=0 skips the flag
+   * GET /:shortcode and GET /:shortcode/*
    */
-  async redirectToUrl(req, res) {
+  async redirectToUrl(req, res, next) {
     const logger = getLogger();
     
     try {
-      const { shortcode } = req.params;
+      // Shortcodes are alphanumeric, so a trailing '+' can only be the preview marker
+      const previewMarker = req.params.shortcode.endsWith('+');
+      const shortcode = previewMarker ? req.params.shortcode.slice(0, -1) : req.params.shortcode;
+
+      // /shorturls/... and other route prefixes are never shortcodes; leave them to the 404 handler
+      if (req.params[0] !== undefined && shortcodeRegistry.isRouteName(shortcode)) {
+        return next();
+      }
 
       logger.Log('backend', 'info', 'url-controller', 'Redirect request received', {
         shortcode,
+        host: req.hostname,
         userAgent: req.get('User-Agent'),
         ip: req.ip,
         requestId: req.requestId
@@ -117,13 +1307,13 @@ class UrlController {
         logger.Log('backend', 'error', 'url-controller', 'Missing shortcode parameter', {
           requestId: req.requestId
         });
-        return res.status(400).json({
+        return sendErrorResponse(req, res, 400, {
           error: 'Bad Request',
           message: 'Shortcode is required'
         });
       }
 
-      const urlData = await urlService.getUrlByShortcode(shortcode);
+      const urlData = await urlService.getUrlByShortcode(await visitorLinkKey(req, shortcode));
 
       if (!urlData) {
         logger.Log('backend', 'warn', 'url-controller', 'Short URL not found', {
@@ -131,49 +1321,52 @@ class UrlController {
           requestId: req.requestId
         });
         
-        return res.status(404).json({
+        return sendErrorResponse(req, res, 404, {
           error: 'Not Found',
           message: 'Short URL not found'
         });
       }
 
-      // Check if URL has expired
-      if (urlData.expiresAt && new Date() > urlData.expiresAt) {
-        logger.Log('backend', 'warn', 'url-controller', 'Short URL has expired', {
+      // Everything after the first path segment, still percent-encoded
+      const { suffix, preview, source } = takeRedirectParams(req.originalUrl.replace(/^\/[^/?]*/, ''));
+      const { forwarded, statusCode, error, message } = resolveForwarded(urlData, suffix);
+      if (!forwarded) {
+        logger.Log('backend', 'warn', 'url-controller', 'Forwarded path refused', {
           shortcode,
-          expiresAt: urlData.expiresAt,
-          currentTime: new Date().toISOString(),
+          suffix,
+          reason: message,
           requestId: req.requestId
         });
-        
-        return res.status(410).json({
-          error: 'Gone',
-          message: 'Short URL has expired'
-        });
+        return sendErrorResponse(req, res, statusCode, { error, message });
       }
 
-      // Record click
-      await urlService.recordClick(shortcode, {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        referer: req.get('Referer')
-      });
+      if (respondIfUnavailable(req, res, urlData)) {
+        return;
+      }
 
-      logger.Log('backend', 'info', 'url-controller', 'Successful redirect performed', {
-        shortcode,
-        originalUrl: urlData.originalUrl,
-        clickCount: urlData.clicks ? urlData.clicks.length + 1 : 1,
-        requestId: req.requestId
-      });
+      // Protected links ask for the password first; the click is recorded on unlock
+      if (urlData.passwordHash) {
+        logger.Log('backend', 'info', 'url-controller', 'Serving unlock page for protected short URL', {
+          shortcode,
+          requestId: req.requestId
+        });
+        // The form carries the forwarded path and query, and the source marker
+        const forward = urlData.passthrough ? suffix : '';
+        return sendUnlockPage(res, 200, shortcode, undefined, source ? appendQuery(forward, `src=${source}`) : forward);
+      }
+
+      if (previewMarker || (preview !== undefined ? preview : urlData.preview)) {
+        return await sendPreviewPage(req, res, urlData, forwarded, source);
+      }
 
-      res.redirect(urlData.originalUrl);
+      await completeRedirect(req, res, urlData, urlData.redirectStatus, forwarded, source);
     } catch (error) {
       logger.logError('backend', 'url-controller', error, 'Error during redirect', {
         shortcode: req.params.shortcode,
         requestId: req.requestId
       });
 
-      res.status(500).json({
+      sendErrorResponse(req, res, 500, {
         error: 'Internal Server Error',
         message: 'Failed to redirect'
       });
@@ -181,13 +1374,95 @@ class UrlController {
   }
 
   /**
-   * Get URL analytics
+   * Verify the password of a protected link and redirect
+   * POST /:shortcode/unlock
+   */
+  async unlockShortUrl(req, res) {
+    const logger = getLogger();
+    const { shortcode } = req.params;
+
+    try {
+      const urlData = await urlService.getUrlByShortcode(await visitorLinkKey(req, shortcode));
+
+      if (!urlData) {
+        return sendErrorResponse(req, res, 404, {
+          error: 'Not Found',
+          message: 'Short URL not found'
+        });
+      }
+
+      if (respondIfUnavailable(req, res, urlData)) {
+        return;
+      }
+
+      if (!urlData.passwordHash) {
+        return sendErrorResponse(req, res, 400, {
+          error: 'Bad Request',
+          message: 'Short URL is not password protected'
+        });
+      }
+
+      // The form carries the source marker, and the path and query of the original request for links with passthrough
+      const body = req.body || {};
+      const carried = typeof body.forward === 'string' && /^[/?]/.test(body.forward) ? body.forward : '';
+      const { suffix, source } = takeRedirectParams(carried);
+      const forward = urlData.passthrough || source ? carried : '';
+      const { forwarded, statusCode, error, message } = resolveForwarded(urlData, urlData.passthrough ? suffix : '');
+      if (!forwarded) {
+        return sendErrorResponse(req, res, statusCode, { error, message });
+      }
+
+      const retryAfter = unlockThrottle.retryAfter(urlData.id, req.ip);
+      if (retryAfter > 0) {
+        logger.Log('backend', 'warn', 'url-controller', 'Unlock attempt throttled', {
+          shortcode,
+          ip: req.ip,
+          retryAfter,
+          requestId: req.requestId
+        });
+        res.set('Retry-After', String(retryAfter));
+        return sendUnlockPage(res, 429, shortcode,
+          `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`, forward);
+      }
+
+      // Count the attempt before the slow password check so parallel guesses cannot all
+      // get past the limit while earlier ones are pending; a correct password clears it
+      const attemptsLeft = unlockThrottle.recordFailure(urlData.id, req.ip);
+      const { password } = body;
+      if (typeof password !== 'string' || !(await urlService.verifyUnlockPassword(urlData, password))) {
+        logger.Log('backend', 'warn', 'url-controller', 'Wrong password for protected short URL', {
+          shortcode,
+          ip: req.ip,
+          attemptsLeft,
+          requestId: req.requestId
+        });
+        return sendUnlockPage(res, 401, shortcode, 'Incorrect password', forward);
+      }
+
+      unlockThrottle.reset(urlData.id, req.ip);
+      // 303 so the browser follows up with a GET on the destination
+      await completeRedirect(req, res, urlData, 303, forwarded, source);
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error unlocking short URL', {
+        shortcode,
+        requestId: req.requestId
+      });
+
+      sendErrorResponse(req, res, 500, {
+        error: 'Internal Server Error',
+        message: 'Failed to unlock short URL'
+      });
+    }
+  }
+
+  /**
+   * Get URL analytics with a page of the raw clicks (?page=&limit=, oldest first)
    * GET /shorturls/:shortcode/analytics
    */
   async getUrlAnalytics(req, res) {
     const logger = getLogger();
     try {
-      const { shortcode } = req.params;
+      const shortcode = requestLinkKey(req);
 
       logger.Log('backend', 'info', 'url-controller', 'Analytics request received', {
         shortcode,
@@ -204,7 +1479,22 @@ class UrlController {
         });
       }
 
-      const analytics = await urlService.getUrlAnalytics(shortcode);
+      const { error, page, limit } = parsePageQuery(req.query, MAX_PAGE_SIZE);
+
+      if (error) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid analytics query', {
+          shortcode,
+          query: req.query,
+          reason: error,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      const analytics = await urlService.getUrlAnalytics(shortcode, isAdminRequest(req), { page, limit });
 
       if (!analytics) {
         logger.Log('backend', 'warn', 'url-controller', 'Analytics requested for non-existent URL', {
@@ -219,7 +1509,7 @@ class UrlController {
 
       logger.Log('backend', 'info', 'url-controller', 'Analytics retrieved successfully', {
         shortcode,
-        clickCount: analytics.clickCount,
+        clickCount: analytics.totalClicks,
         hasExpiry: !!analytics.expiresAt,
         requestId: req.requestId
       });
@@ -238,6 +1528,79 @@ class UrlController {
     }
   }
 
+  /**
+   * QR code of a short link, encoding its short URL marked with ?src=qr so scans
+   * are told apart from other clicks
+   * GET /shorturls/:shortcode/qr?format=svg|png&size=300&margin=4&ecc=M&fg=000000&bg=ffffff
+   */
+  async getQrCode(req, res) {
+    const logger = getLogger();
+    const shortcode = requestLinkKey(req);
+
+    try {
+      const { error, options } = parseQrQuery(req.query);
+      if (error) {
+        logger.Log('backend', 'error', 'url-controller', 'Invalid QR code request', {
+          shortcode,
+          query: req.query,
+          reason: error,
+          requestId: req.requestId
+        });
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      const urlData = await urlService.getUrlByShortcode(shortcode);
+      if (!urlData) {
+        logger.Log('backend', 'warn', 'url-controller', 'QR code requested for non-existent URL', {
+          shortcode,
+          requestId: req.requestId
+        });
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Short URL not found'
+        });
+      }
+
+      const target = appendQuery(urlService.toShortUrlResponse(urlData).shortUrl, `src=${QR_SOURCE}`);
+      const qr = encodeQr(target, { errorCorrection: options.errorCorrection });
+      const minimumSize = qr.size + options.margin * 2;
+      if (options.size < minimumSize) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `size must be at least ${minimumSize} for this link with margin ${options.margin}`
+        });
+      }
+
+      logger.Log('backend', 'info', 'url-controller', 'QR code generated', {
+        shortcode,
+        format: options.format,
+        size: options.size,
+        version: qr.version,
+        errorCorrection: options.errorCorrection,
+        requestId: req.requestId
+      });
+
+      res.set('Content-Disposition', `inline; filename="${urlData.shortcode}-qr.${options.format}"`);
+      if (options.format === 'png') {
+        return res.type('png').send(renderQrPng(qr, options));
+      }
+      res.type('svg').send(renderQrSvg(qr, options));
+    } catch (error) {
+      logger.logError('backend', 'url-controller', error, 'Error generating QR code', {
+        shortcode,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to generate QR code'
+      });
+    }
+  }
+
   /**
    * Health check endpoint
    * GET /health
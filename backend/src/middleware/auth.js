@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+/**
+ * Constant-time string comparison
+ * @param {string} provided - Value supplied by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - True if equal
+ */
+const safeEqual = (provided, expected) => {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Whether the request carries the admin API key (X-Admin-Key header)
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the key matches ADMIN_API_KEY
+ */
+const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.get('X-Admin-Key');
+  return !!expected && !!provided && safeEqual(provided, expected);
+};
+
+/**
+ * Reject requests without the admin API key.
+ * Admin endpoints stay disabled until ADMIN_API_KEY is configured.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Admin API is disabled. Set ADMIN_API_KEY to enable it'
+    });
+  }
+
+  if (!isAdminRequest(req)) {
+    getLogger().Log('backend', 'warn', 'auth', 'Rejected admin request with missing or invalid key', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      requestId: req.requestId
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid X-Admin-Key header is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  isAdminRequest,
+  requireAdmin
+};
@@ -1,4 +1,31 @@
 const { logger } = require('./logger');
+const { renderErrorPage } = require('../views/errorPage');
+
+/**
+ * Send an error as JSON to API clients and as a branded HTML page to browsers
+ * (requests whose Accept header prefers text/html over JSON)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - JSON error body ({ error, message, ... })
+ */
+const sendErrorResponse = (req, res, statusCode, body) => {
+  res.vary('Accept');
+  if (req.accepts(['json', 'html']) !== 'html') {
+    return res.status(statusCode).json(body);
+  }
+
+  res.status(statusCode)
+    .set('Cache-Control', 'no-store')
+    .type('html')
+    .send(renderErrorPage({
+      statusCode,
+      message: body.message,
+      brandName: process.env.BRAND_NAME || undefined,
+      homeUrl: process.env.FRONTEND_URL || undefined,
+      activeFrom: body.activeFrom ? new Date(body.activeFrom) : undefined
+    }));
+};
 
 // 404 handler - for routes that don't exist
 const notFoundHandler = (req, res, next) => {
@@ -8,7 +35,7 @@ const notFoundHandler = (req, res, next) => {
     url: req.url
   });
 
-  res.status(404).json({
+  sendErrorResponse(req, res, 404, {
     error: 'Not Found',
     message: 'The requested resource was not found',
     path: req.url,
@@ -108,6 +135,7 @@ const asyncHandler = (fn) => {
 };
 
 module.exports = {
+  sendErrorResponse,
   notFoundHandler,
   globalErrorHandler,
   asyncHandler
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const idempotencyStore = require('../services/idempotencyStore');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the parts of a request that must match when a key is reused
+ * @param {Object} req - Express request object
+ * @returns {string} - Request fingerprint
+ */
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+  .update(req.file ? req.file.buffer : '')
+  .digest('hex');
+
+/**
+ * Scope a key to the endpoint and client that sent it, so one client's keys
+ * can neither replay nor block another client's requests
+ * @param {Object} req - Express request object
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} - Key under which the request is stored
+ */
+const scopeKey = (req, key) => `${req.method} ${req.baseUrl}${req.path} ${req.ip} ${key}`;
+
+/**
+ * Honor the Idempotency-Key header: the first successful (2xx) response for a
+ * key is stored and replayed for every retry carrying the same key and body.
+ * Requests without the header pass through untouched.
+ */
+const idempotency = () => (req, res, next) => {
+  const logger = getLogger();
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Idempotency-Key must be between 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const fingerprint = fingerprintRequest(req);
+  const scopedKey = scopeKey(req, key);
+  const existing = idempotencyStore.get(scopedKey);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      logger.Log('backend', 'warn', 'idempotency', 'Idempotency-Key reused with a different request', {
+        idempotencyKey: key,
+        requestId: req.requestId
+      });
+      return res.status(422).json({
+        error: 'Unprocessable Entity',
+        message: 'Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (existing.state === 'pending') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A request with this Idempotency-Key is still in progress'
+      });
+    }
+
+    logger.Log('backend', 'info', 'idempotency', 'Replaying stored response for Idempotency-Key', {
+      idempotencyKey: key,
+      statusCode: existing.response.statusCode,
+      requestId: req.requestId
+    });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.statusCode).json(existing.response.body);
+  }
+
+  idempotencyStore.begin(scopedKey, fingerprint);
+
+  const originalJson = res.json;
+  res.json = function(body) {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      idempotencyStore.complete(scopedKey, { statusCode: res.statusCode, body });
+    } else {
+      idempotencyStore.abort(scopedKey);
+    }
+    return originalJson.call(this, body);
+  };
+
+  // Release the key if the request ends without a JSON response
+  res.on('close', () => idempotencyStore.abort(scopedKey));
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,42 @@
+const express = require('express');
+const multer = require('multer');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const multipart = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single('file');
+
+const csvText = express.text({ type: ['text/csv', 'application/csv'], limit: MAX_UPLOAD_BYTES });
+
+/**
+ * Accept a CSV either as a multipart upload (field "file", available as
+ * req.file) or as a raw text/csv body (available as the string req.body).
+ * JSON bodies pass through untouched.
+ */
+const csvUpload = () => (req, res, next) => {
+  csvText(req, res, (textError) => {
+    if (textError) return next(textError);
+
+    multipart(req, res, (error) => {
+      if (!error) return next();
+
+      getLogger().Log('backend', 'error', 'upload', 'Rejected file upload', {
+        reason: error.message,
+        requestId: req.requestId
+      });
+      res.status(400).json({
+        error: 'Bad Request',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Uploaded file must not exceed ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+          : `Invalid upload: ${error.message}`
+      });
+    });
+  });
+};
+
+module.exports = { csvUpload };
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing counters (e.g. for sequential shortcodes)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Registered short domains, each with its own shortcode namespace
+const domainSchema = new mongoose.Schema({
+  host: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Settings applied to links created on the domain when the request leaves them out
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+module.exports = mongoose.model('Domain', domainSchema);
@@ -1,123 +1,621 @@
-// In-memory storage for URL shortener
+const {
+  entryStatus,
+  urlHost,
+  hostMatchesDomain,
+  searchTokens,
+  entrySearchTokens,
+  compareRollups,
+  linkKey,
+  nextHealthCheckAt,
+  CLICK_PAGE_SIZE
+} = require('../storage/listQuery');
+const { ServiceError } = require('../utils/errors');
+const { visitorKey } = require('../utils/variants');
+
+// Add a link key under a key of a secondary index
+const addToIndex = (index, key, shortcode) => {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(shortcode);
+};
+
+// Remove a link key from a key of a secondary index, dropping empty keys
+const removeFromIndex = (index, key, shortcode) => {
+  const shortcodes = index.get(key);
+  if (!shortcodes) return;
+
+  shortcodes.delete(shortcode);
+  if (shortcodes.size === 0) {
+    index.delete(key);
+  }
+};
+
+// Position of the first item of a sorted array that is not less than value
+const lowerBound = (sorted, value, isLess = (item, target) => item < target) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (isLess(sorted[middle], value)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+// Order of the due health check index: soonest due first, ties by link key
+const isDueBefore = (item, target) => item.dueAt < target.dueAt || (item.dueAt === target.dueAt && item.id < target.id);
+
+// Fields that feed the secondary indexes
+const INDEXED_FIELDS = ['originalUrl', 'tags', 'campaign', 'note'];
+
+// In-memory storage for URL shortener, keyed by link key (see linkKey)
+// Expired entries are kept as tombstones for `tombstoneRetentionMs` so they
+// can still be told apart from unknown shortcodes and their analytics stay readable
 class InMemoryStore {
-  constructor() {
+  constructor(options = {}) {
     this.urls = new Map();
     this.analytics = new Map();
+    this.sequences = new Map();
+    // link key -> revisions, oldest first
+    this.revisions = new Map();
+    // Secondary indexes: originalUrl / tag / campaign / search word -> Set of link keys
+    this.byOriginalUrl = new Map();
+    this.byTag = new Map();
+    this.byCampaign = new Map();
+    this.bySearchToken = new Map();
+    // Keys of bySearchToken in ascending order, so prefix lookups are a binary search
+    this.sortedSearchTokens = [];
+    // { dueAt, id } of every link with a next health check time (see nextHealthCheckAt), soonest first,
+    // and the due time each link is filed under
+    this.dueHealthChecks = [];
+    this.healthCheckDueAt = new Map();
+    // host -> registered short domain
+    this.domains = new Map();
+    // "<list>/<term>" -> runtime shortcode registry change
+    this.registryChanges = new Map();
+    this.tombstoneRetentionMs = options.tombstoneRetentionMs || 0;
+  }
+
+  // Whether an entry has passed its expiry (entries without expiresAt never expire)
+  isExpired(url, now = new Date()) {
+    return !!url.expiresAt && now > url.expiresAt;
+  }
+
+  // Whether an entry has used up its click limit (entries without maxClicks never do)
+  isExhausted(url) {
+    return !!url.maxClicks && url.clickCount >= url.maxClicks;
+  }
+
+  // Whether an entry can be followed right now: not expired, not deactivated,
+  // past its activeFrom time (if it has one) and below its click limit
+  isLive(url, now = new Date()) {
+    return !this.isExpired(url, now) && url.isActive && !(url.activeFrom && now < url.activeFrom) &&
+      !this.isExhausted(url);
+  }
+
+  // Whether an expired entry has also outlived its tombstone retention
+  isPurgeable(url, now = new Date()) {
+    return !!url.expiresAt && now.getTime() > url.expiresAt.getTime() + this.tombstoneRetentionMs;
   }
 
   // Create a new URL entry
   create(data) {
-    const { shortcode, originalUrl, expiresAt } = data;
+    const {
+      shortcode,
+      domain = null,
+      originalUrl,
+      createdAt,
+      activeFrom = null,
+      maxClicks = null,
+      passwordHash = null,
+      tags = [],
+      campaign = null,
+      note = null,
+      utmDefaults = null,
+      passthrough = null,
+      redirectRules = null,
+      variants = null,
+      redirectStatus = 302,
+      preview = false,
+      previewCount = 0,
+      fallbackUrl = null,
+      health = null,
+      isActive = true
+    } = data;
     
-    if (this.urls.has(shortcode)) {
-      throw new Error('Shortcode already exists');
+    const key = linkKey(domain, shortcode);
+
+    // A tombstone past its retention may be reclaimed before the sweeper gets to it
+    const existing = this.urls.get(key);
+    if (existing && !this.isPurgeable(existing)) {
+      throw new ServiceError('conflict', 'Shortcode already exists');
     }
 
     const urlEntry = {
-      id: shortcode,
+      id: key,
       shortcode,
+      domain,
       originalUrl,
-      expiresAt: expiresAt || new Date(Date.now() + 30 * 60 * 1000), // 30 minutes default
-      createdAt: new Date(),
+      // null never expires; omitted defaults to 30 minutes
+      expiresAt: data.expiresAt !== undefined ? data.expiresAt : new Date(Date.now() + 30 * 60 * 1000),
+      createdAt: createdAt || new Date(),
+      activeFrom,
+      maxClicks,
+      passwordHash,
+      tags,
+      campaign,
+      note,
+      utmDefaults,
+      passthrough,
+      redirectRules,
+      variants,
+      redirectStatus,
+      preview,
+      previewCount,
+      fallbackUrl,
+      health,
+      isActive,
+      clickCount: 0,
       clicks: []
     };
 
-    this.urls.set(shortcode, urlEntry);
-    this.analytics.set(shortcode, { totalClicks: 0, uniqueClicks: 0 });
+    if (existing) {
+      this.remove(key);
+    }
+
+    this.urls.set(key, urlEntry);
+    this.analytics.set(key, { totalClicks: 0, uniqueClicks: 0, ips: new Set() });
+    this.indexEntry(urlEntry);
+    this.indexDueTime(urlEntry);
     
     return urlEntry;
   }
 
-  // Find URL by shortcode
+  // Find URL by shortcode (expired entries are returned while retained as tombstones)
   findByShortcode(shortcode) {
     const url = this.urls.get(shortcode);
-    if (!url) return null;
-    
-    // Check if expired
-    if (url.expiresAt && new Date() > url.expiresAt) {
-      this.urls.delete(shortcode);
-      this.analytics.delete(shortcode);
-      return null;
-    }
+    if (!url || this.isPurgeable(url)) return null;
     
     return url;
   }
 
+  // Find the live URL on a short domain without a click limit or password for a destination that expires last
+  findActiveByOriginalUrl(originalUrl, domain = null) {
+    const shortcodes = this.byOriginalUrl.get(originalUrl);
+    if (!shortcodes) return null;
+
+    const expiry = (url) => (url.expiresAt ? url.expiresAt.getTime() : Infinity);
+    let best = null;
+    for (const shortcode of shortcodes) {
+      const url = this.urls.get(shortcode);
+      if (url && url.domain === domain && !url.maxClicks && !url.passwordHash && this.isLive(url) &&
+        (!best || expiry(url) > expiry(best))) {
+        best = url;
+      }
+    }
+    return best;
+  }
+
   // Add click to URL
   addClick(shortcode, clickData) {
     const url = this.urls.get(shortcode);
     if (!url) return false;
 
-    // Check if expired
-    if (url.expiresAt && new Date() > url.expiresAt) {
-      this.urls.delete(shortcode);
-      this.analytics.delete(shortcode);
-      return false;
-    }
+    // Expired, deactivated, not-yet-active and exhausted links accept no clicks.
+    // The check and the append run without yielding, so concurrent clicks never overshoot maxClicks
+    if (!this.isLive(url)) return false;
 
-    const click = {
+    return this.appendClick(shortcode, {
       timestamp: new Date(),
       userAgent: clickData.userAgent || '',
       ip: clickData.ip || '',
-      referer: clickData.referer || ''
-    };
+      referer: clickData.referer || '',
+      utmCampaign: clickData.utmCampaign || null,
+      rule: clickData.rule || null,
+      variant: clickData.variant || null,
+      source: clickData.source || null
+    });
+  }
+
+  // Count a preview page view of a live URL
+  addPreview(shortcode) {
+    const url = this.urls.get(shortcode);
+    if (!url || !this.isLive(url)) return false;
+
+    return this.appendPreview(shortcode);
+  }
+
+  // Count a preview without checks (also used when replaying persisted previews)
+  appendPreview(shortcode) {
+    const url = this.urls.get(shortcode);
+    if (!url) return false;
+
+    url.previewCount++;
+    return true;
+  }
+
+  // Append an already-built click record (also used when replaying persisted clicks)
+  appendClick(shortcode, click) {
+    const url = this.urls.get(shortcode);
+    if (!url) return false;
 
     url.clicks.push(click);
+    url.clickCount++;
     
     // Update analytics
     const analytics = this.analytics.get(shortcode);
     analytics.totalClicks++;
     
-    // Count unique clicks by IP (simple approach)
-    const uniqueIps = new Set(url.clicks.map(c => c.ip));
-    analytics.uniqueClicks = uniqueIps.size;
+    // Count unique clicks by IP, keeping the IPs seen so each click costs the same
+    analytics.ips.add(click.ip);
+    analytics.uniqueClicks = analytics.ips.size;
 
     return true;
   }
 
-  // Get analytics for a shortcode
-  getAnalytics(shortcode) {
+  // Apply changes (originalUrl, expiresAt, activeFrom, tags, campaign, note, utmDefaults, passthrough,
+  // redirectRules, variants, redirectStatus, preview, fallbackUrl, isActive) to a retained entry
+  update(shortcode, changes) {
+    if (!this.findByShortcode(shortcode)) return null;
+
+    return this.applyUpdate(shortcode, changes);
+  }
+
+  // Apply changes to an entry whether or not it is retained (also used when replaying persisted
+  // updates, which were accepted while the entry was retained)
+  applyUpdate(shortcode, changes) {
     const url = this.urls.get(shortcode);
     if (!url) return null;
 
-    // Check if expired
-    if (url.expiresAt && new Date() > url.expiresAt) {
-      this.urls.delete(shortcode);
-      this.analytics.delete(shortcode);
-      return null;
+    const reindex = INDEXED_FIELDS.some(field => changes[field] !== undefined);
+    if (reindex) {
+      this.unindexEntry(url);
+      INDEXED_FIELDS
+        .filter(field => changes[field] !== undefined)
+        .forEach(field => { url[field] = changes[field]; });
+      this.indexEntry(url);
+    }
+    if (changes.expiresAt !== undefined) {
+      url.expiresAt = changes.expiresAt;
+    }
+    if (changes.activeFrom !== undefined) {
+      url.activeFrom = changes.activeFrom;
+    }
+    if (changes.utmDefaults !== undefined) {
+      url.utmDefaults = changes.utmDefaults;
+    }
+    if (changes.passthrough !== undefined) {
+      url.passthrough = changes.passthrough;
+    }
+    if (changes.redirectRules !== undefined) {
+      url.redirectRules = changes.redirectRules;
+    }
+    if (changes.variants !== undefined) {
+      url.variants = changes.variants;
+    }
+    if (changes.redirectStatus !== undefined) {
+      url.redirectStatus = changes.redirectStatus;
+    }
+    if (changes.preview !== undefined) {
+      url.preview = changes.preview;
+    }
+    if (changes.fallbackUrl !== undefined) {
+      url.fallbackUrl = changes.fallbackUrl;
+    }
+    if (changes.isActive !== undefined) {
+      url.isActive = changes.isActive;
+    }
+
+    return url;
+  }
+
+  // Entries allowed by the tag, campaign and search filters, found through the
+  // secondary indexes; null when the query uses none of them
+  indexedCandidates({ tag, campaign, q }) {
+    const sets = [];
+
+    if (tag) sets.push(this.byTag.get(tag) || new Set());
+    if (campaign) sets.push(this.byCampaign.get(campaign) || new Set());
+    if (q) {
+      // Every query word must prefix one of the entry's words
+      for (const word of searchTokens(q)) {
+        const matching = new Set();
+        for (let i = lowerBound(this.sortedSearchTokens, word); i < this.sortedSearchTokens.length; i++) {
+          const token = this.sortedSearchTokens[i];
+          if (!token.startsWith(word)) break;
+          this.bySearchToken.get(token).forEach(shortcode => matching.add(shortcode));
+        }
+        sets.push(matching);
+      }
+    }
+    if (sets.length === 0) return null;
+
+    const [smallest, ...rest] = sets.sort((a, b) => a.size - b.size);
+    return [...smallest]
+      .filter(shortcode => rest.every(set => set.has(shortcode)))
+      .map(shortcode => this.urls.get(shortcode));
+  }
+
+  // Retained entries matching a query's filters, sorted (see storage/listQuery.js)
+  query(query = {}) {
+    const { status, createdAfter, createdBefore, domain, shortDomain, health, sort = 'createdAt', order = 'desc' } = query;
+    const now = new Date();
+
+    const matches = (this.indexedCandidates(query) || this.getAll()).filter(url => {
+      if (this.isPurgeable(url, now)) return false;
+      if (status && entryStatus(url, now) !== status) return false;
+      if (createdAfter && url.createdAt < createdAfter) return false;
+      if (createdBefore && url.createdAt > createdBefore) return false;
+      if (domain && !hostMatchesDomain(urlHost(url.originalUrl), domain)) return false;
+      if (shortDomain && url.domain !== shortDomain) return false;
+      if (health && (!url.health || url.health.status !== health)) return false;
+      return true;
+    });
+
+    const sortValue = (url) => {
+      if (sort === 'clickCount') return url.clickCount;
+      if (sort === 'shortcode') return url.id;
+      // Never-expiring entries sort after every dated expiry
+      return url[sort] ? url[sort].getTime() : Infinity;
+    };
+    const direction = order === 'asc' ? 1 : -1;
+
+    return matches.sort((a, b) => {
+      const left = sortValue(a);
+      const right = sortValue(b);
+      if (left !== right) return (left < right ? -1 : 1) * direction;
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+  }
+
+  // List retained entries matching a query, sorted and paginated
+  list(query = {}) {
+    const { offset = 0, limit } = query;
+    const matches = this.query(query);
+
+    const page = limit !== undefined ? matches.slice(offset, offset + limit) : matches.slice(offset);
+    return {
+      total: matches.length,
+      entries: page.map(({ clicks, ...url }) => url)
+    };
+  }
+
+  // Append a revision, numbering it after the latest one unless it already carries a number
+  addRevision(shortcode, revision) {
+    if (!this.urls.has(shortcode)) return null;
+
+    const revisions = this.revisions.get(shortcode) || [];
+    const stored = { ...revision, revision: revision.revision || revisions.length + 1 };
+    revisions.push(stored);
+    this.revisions.set(shortcode, revisions);
+    return stored;
+  }
+
+  // Revisions of a retained entry, oldest first
+  listRevisions(shortcode) {
+    if (!this.findByShortcode(shortcode)) return [];
+    return this.revisions.get(shortcode) || [];
+  }
+
+  // Replace the latest destination health check of a retained entry
+  setHealth(shortcode, health) {
+    if (!this.findByShortcode(shortcode)) return false;
+
+    return this.applyHealth(shortcode, health);
+  }
+
+  // Replace the health of an entry whether or not it is retained (also used when replaying persisted checks)
+  applyHealth(shortcode, health) {
+    const url = this.urls.get(shortcode);
+    if (!url) return false;
+
+    this.unindexDueTime(url);
+    url.health = health;
+    this.indexDueTime(url);
+    return true;
+  }
+
+  // Live entries due for a destination health check, soonest due first (ties by link key),
+  // read from the due time index up to now
+  listDueHealthChecks(now, limit) {
+    const due = [];
+    for (const { dueAt, id } of this.dueHealthChecks) {
+      if (dueAt > now.getTime() || due.length >= limit) break;
+
+      const url = this.urls.get(id);
+      if (this.isLive(url, now)) {
+        due.push(url);
+      }
     }
+    return due;
+  }
+
+  // Get analytics for a shortcode with a page of its clicks, oldest first
+  getAnalytics(shortcode, { offset = 0, limit = CLICK_PAGE_SIZE } = {}) {
+    const url = this.urls.get(shortcode);
+    if (!url || this.isPurgeable(url)) return null;
 
     const analytics = this.analytics.get(shortcode);
     return {
-      shortcode,
+      shortcode: url.shortcode,
+      domain: url.domain,
       originalUrl: url.originalUrl,
       createdAt: url.createdAt,
       expiresAt: url.expiresAt,
+      activeFrom: url.activeFrom,
+      maxClicks: url.maxClicks,
+      passwordProtected: !!url.passwordHash,
+      tags: url.tags,
+      campaign: url.campaign,
+      variants: url.variants,
+      isExpired: this.isExpired(url),
+      isActive: url.isActive,
       totalClicks: analytics.totalClicks,
       uniqueClicks: analytics.uniqueClicks,
-      clicks: url.clicks
+      totalPreviews: url.previewCount,
+      health: url.health,
+      clicks: url.clicks.slice(offset, offset + limit)
     };
   }
 
-  // Clean up expired URLs (can be called periodically)
+  // Clicks and unique visitors per value of a click field (missing values under null)
+  countClicks(shortcode, field) {
+    const url = this.urls.get(shortcode);
+    if (!url || this.isPurgeable(url)) return [];
+
+    const groups = new Map();
+    url.clicks.forEach(click => {
+      const value = click[field] || null;
+      if (!groups.has(value)) {
+        groups.set(value, { value, clicks: 0, visitors: new Set() });
+      }
+      const group = groups.get(value);
+      group.clicks++;
+      group.visitors.add(visitorKey(click));
+    });
+    return [...groups.values()].map(({ visitors, ...group }) => ({ ...group, uniqueVisitors: visitors.size }));
+  }
+
+  // Links and clicks per tag or campaign over retained entries, most clicked first
+  rollupClicks(by) {
+    const index = by === 'tag' ? this.byTag : this.byCampaign;
+    const now = new Date();
+    const rows = [];
+
+    for (const [key, shortcodes] of index) {
+      let links = 0;
+      let clicks = 0;
+      for (const shortcode of shortcodes) {
+        const url = this.urls.get(shortcode);
+        if (this.isPurgeable(url, now)) continue;
+        links++;
+        clicks += url.clickCount;
+      }
+      if (links > 0) {
+        rows.push({ key, links, clicks });
+      }
+    }
+
+    return rows.sort(compareRollups);
+  }
+
+  // Purge tombstones past their retention window (can be called periodically)
   cleanupExpired() {
     const now = new Date();
     const expired = [];
     
     for (const [shortcode, url] of this.urls.entries()) {
-      if (url.expiresAt && now > url.expiresAt) {
+      if (this.isPurgeable(url, now)) {
         expired.push(shortcode);
       }
     }
     
-    expired.forEach(shortcode => {
-      this.urls.delete(shortcode);
-      this.analytics.delete(shortcode);
-    });
+    expired.forEach(shortcode => this.remove(shortcode));
     
     return expired.length;
   }
 
+  // Remove a URL entry and its analytics
+  remove(shortcode) {
+    const url = this.urls.get(shortcode);
+    if (url) {
+      this.unindexEntry(url);
+      this.unindexDueTime(url);
+    }
+    this.analytics.delete(shortcode);
+    this.revisions.delete(shortcode);
+    return this.urls.delete(shortcode);
+  }
+
+  indexEntry(url) {
+    addToIndex(this.byOriginalUrl, url.originalUrl, url.id);
+    url.tags.forEach(tag => addToIndex(this.byTag, tag, url.id));
+    if (url.campaign) {
+      addToIndex(this.byCampaign, url.campaign, url.id);
+    }
+    entrySearchTokens(url).forEach(token => {
+      if (!this.bySearchToken.has(token)) {
+        this.sortedSearchTokens.splice(lowerBound(this.sortedSearchTokens, token), 0, token);
+      }
+      addToIndex(this.bySearchToken, token, url.id);
+    });
+  }
+
+  unindexEntry(url) {
+    removeFromIndex(this.byOriginalUrl, url.originalUrl, url.id);
+    url.tags.forEach(tag => removeFromIndex(this.byTag, tag, url.id));
+    if (url.campaign) {
+      removeFromIndex(this.byCampaign, url.campaign, url.id);
+    }
+    entrySearchTokens(url).forEach(token => {
+      removeFromIndex(this.bySearchToken, token, url.id);
+      const position = lowerBound(this.sortedSearchTokens, token);
+      if (!this.bySearchToken.has(token) && this.sortedSearchTokens[position] === token) {
+        this.sortedSearchTokens.splice(position, 1);
+      }
+    });
+  }
+
+  indexDueTime(url) {
+    const dueAt = nextHealthCheckAt(url.health);
+    if (dueAt === null) return;
+
+    const item = { dueAt, id: url.id };
+    this.dueHealthChecks.splice(lowerBound(this.dueHealthChecks, item, isDueBefore), 0, item);
+    this.healthCheckDueAt.set(url.id, dueAt);
+  }
+
+  unindexDueTime(url) {
+    if (!this.healthCheckDueAt.has(url.id)) return;
+
+    const position = lowerBound(this.dueHealthChecks, { dueAt: this.healthCheckDueAt.get(url.id), id: url.id }, isDueBefore);
+    this.dueHealthChecks.splice(position, 1);
+    this.healthCheckDueAt.delete(url.id);
+  }
+
+  // Increment and return a named counter
+  nextSequence(name) {
+    const value = (this.sequences.get(name) || 0) + 1;
+    this.sequences.set(name, value);
+    return value;
+  }
+
+  // Register a short domain or replace its settings
+  saveDomain(domain) {
+    const stored = { host: domain.host, defaults: domain.defaults, createdAt: domain.createdAt };
+    this.domains.set(domain.host, stored);
+    return stored;
+  }
+
+  // Find a registered short domain
+  findDomain(host) {
+    return this.domains.get(host) || null;
+  }
+
+  // Registered short domains ordered by host
+  listDomains() {
+    return [...this.domains.values()].sort((a, b) => (a.host < b.host ? -1 : 1));
+  }
+
+  // Unregister a short domain
+  deleteDomain(host) {
+    return this.domains.delete(host);
+  }
+
+  // Record a shortcode registry change, replacing the previous change of the term
+  saveRegistryChange({ list, term, action }) {
+    this.registryChanges.set(`${list}/${term}`, { list, term, action });
+  }
+
+  // Shortcode registry changes ordered by list, then term
+  listRegistryChanges() {
+    return [...this.registryChanges.keys()].sort().map(key => this.registryChanges.get(key));
+  }
+
   // Get all URLs (for debugging/testing)
   getAll() {
     return Array.from(this.urls.values());
@@ -132,5 +630,4 @@ class InMemoryStore {
   }
 }
 
-// Export singleton instance
-module.exports = new InMemoryStore();
+module.exports = InMemoryStore;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Runtime additions to and removals from the shortcode registry (see shortcodeRegistry),
+// one per list and term, replayed over the configured lists at startup
+const registryChangeSchema = new mongoose.Schema({
+  list: {
+    type: String,
+    enum: ['reserved', 'blocked'],
+    required: true
+  },
+  term: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['add', 'remove'],
+    required: true
+  }
+});
+
+registryChangeSchema.index({ list: 1, term: 1 }, { unique: true });
+
+module.exports = mongoose.model('RegistryChange', registryChangeSchema);
@@ -16,9 +16,53 @@ const clickSchema = new mongoose.Schema({
   referer: {
     type: String,
     default: ''
+  },
+  // utm_campaign of the URL the visitor was sent to
+  utmCampaign: {
+    type: String,
+    default: null
+  },
+  // Name of the redirect rule that chose the destination; null means the default destination
+  rule: {
+    type: String,
+    default: null
+  },
+  // Name of the split variant the visitor was sent to; null when the link was not split
+  variant: {
+    type: String,
+    default: null
+  },
+  // Where the visitor came from as marked on the short link (?src=qr); null when unmarked
+  source: {
+    type: String,
+    default: null
   }
 });
 
+// Link history; `state` holds the link fields after the change
+const revisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'rollback'],
+    required: true
+  },
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: mongoose.Schema.Types.Mixed,
+  requestId: String,
+  sourceRevision: Number
+}, { _id: false });
+
 const urlSchema = new mongoose.Schema({
   originalUrl: {
     type: String,
@@ -36,6 +80,7 @@ const urlSchema = new mongoose.Schema({
       message: 'Please provide a valid URL'
     }
   },
+  // Link key: the shortcode, prefixed with "<domain>/" on a registered short domain (see linkKey)
   shortcode: {
     type: String,
     required: true,
@@ -43,18 +88,118 @@ const urlSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         // Alphanumeric characters only, reasonable length (3-20 chars)
-        return /^[a-zA-Z0-9]{3,20}$/.test(v);
+        return /^([a-z0-9.-]+\/)?[a-zA-Z0-9]{3,20}$/.test(v);
       },
       message: 'Shortcode must be alphanumeric and between 3-20 characters'
     }
   },
+  // Registered short domain the link lives on; null for the default domain
+  domain: {
+    type: String,
+    default: null,
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  // Links that never expire hold the latest representable date and have no purgeAt
   expiresAt: {
     type: Date,
     required: true,
+    index: true
+  },
+  // Redirects are refused until activeFrom; null means immediately
+  activeFrom: {
+    type: Date,
+    default: null
+  },
+  // Redirects are refused once clickCount reaches maxClicks; null means unlimited
+  maxClicks: {
+    type: Number,
+    default: null
+  },
+  // Salted hash of the unlock password; null means the link redirects directly
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // Normalized labels used for filtering and click rollups
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  campaign: {
+    type: String,
+    default: null,
+    index: true
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  // UTM fields appended at redirect time when the destination lacks them; null means none
+  utmDefaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Path and query forwarding ({ path, query, onConflict }); null means extra path and query are dropped
+  passthrough: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Ordered rules ({ name, when, url }); the first match replaces originalUrl, null means none
+  redirectRules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Weighted destinations ({ name, url, weight, retired }) that replace originalUrl; null means no split
+  variants: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // HTTP status of the redirect
+  redirectStatus: {
+    type: Number,
+    enum: [301, 302, 307, 308],
+    default: 302
+  },
+  // Show the preview page instead of redirecting
+  preview: {
+    type: Boolean,
+    default: false
+  },
+  // Preview page views, counted apart from clicks
+  previewCount: {
+    type: Number,
+    default: 0
+  },
+  // Where visitors go once the link has expired or used up its clicks; null uses the deployment default
+  fallbackUrl: {
+    type: String,
+    default: null
+  },
+  // Latest destination health check (see healthMonitor); null until checked
+  health: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // When the destination is next due for a health check (see nextHealthCheckAt): the epoch
+  // until the link is checked, then the nextCheckAt of its health; null is never due
+  nextHealthCheckAt: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  // Words the link can be found by (see entrySearchTokens), matched by prefix
+  searchTokens: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Expired links are kept as tombstones until purgeAt (expiresAt + retention)
+  purgeAt: {
+    type: Date,
     index: { expireAfterSeconds: 0 }
   },
   clickCount: {
@@ -62,16 +207,22 @@ const urlSchema = new mongoose.Schema({
     default: 0
   },
   clicks: [clickSchema],
+  revisions: [revisionSchema],
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
   }
 });
 
-// Index for efficient queries
-urlSchema.index({ shortcode: 1 });
-urlSchema.index({ expiresAt: 1 });
+// Index for efficient queries (shortcode, expiresAt and the purgeAt TTL
+// are indexed by their field options above)
 urlSchema.index({ createdAt: -1 });
+urlSchema.index({ originalUrl: 1, expiresAt: -1 });
+urlSchema.index({ nextHealthCheckAt: 1, shortcode: 1 });
 
 // Instance method to check if URL is expired
 urlSchema.methods.isExpired = function() {
@@ -0,0 +1,21 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin route requires the admin API key
+router.use(requireAdmin);
+
+// Reserved and blocked shortcode registry
+router.get('/shortcode-registry', adminController.getShortcodeRegistry);
+router.post('/shortcode-registry/:list', adminController.addRegistryTerm);
+router.delete('/shortcode-registry/:list/:term', adminController.removeRegistryTerm);
+
+// Short domains and their link defaults
+router.get('/domains', adminController.listDomains);
+router.post('/domains', adminController.registerDomain);
+router.patch('/domains/:host', adminController.updateDomain);
+router.delete('/domains/:host', adminController.removeDomain);
+
+module.exports = router;
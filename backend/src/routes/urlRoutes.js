@@ -1,18 +1,44 @@
 const express = require('express');
 const urlController = require('../controllers/urlController');
+const { idempotency } = require('../middleware/idempotency');
+const { requireAdmin } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Create short URL
-router.post('/shorturls', urlController.createShortUrl);
+router.post('/shorturls', idempotency(), urlController.createShortUrl);
+
+// Create many short URLs from a JSON array or a CSV upload
+router.post('/shorturls/bulk', csvUpload(), idempotency(), urlController.createShortUrlsBulk);
+
+// List, export, search, roll up, report broken, update and delete short URLs; the broken links
+// report and changes need the admin key
+router.get('/shorturls', urlController.listShortUrls);
+router.get('/shorturls/export', urlController.exportShortUrls);
+router.get('/shorturls/search', urlController.searchShortUrls);
+router.get('/shorturls/rollup', urlController.getClickRollup);
+router.get('/shorturls/broken', requireAdmin, urlController.getBrokenLinks);
+router.patch('/shorturls/:shortcode', requireAdmin, urlController.updateShortUrl);
+router.delete('/shorturls/:shortcode', requireAdmin, urlController.deleteShortUrl);
+
+// Revision history and rollback; rolling back needs the admin key
+router.get('/shorturls/:shortcode/history', urlController.getUrlHistory);
+router.post('/shorturls/:shortcode/rollback', requireAdmin, urlController.rollbackShortUrl);
 
 // Get URL analytics
 router.get('/shorturls/:shortcode/analytics', urlController.getUrlAnalytics);
 
+// QR code of a short link (SVG or PNG)
+router.get('/shorturls/:shortcode/qr', urlController.getQrCode);
+
 // Health check
 router.get('/health', urlController.healthCheck);
 
-// Redirect route (should be last to catch all other routes)
+// Redirect routes (should be last to catch all other routes); the wildcard form forwards
+// extra path segments for links with passthrough and skips the route names above
 router.get('/:shortcode', urlController.redirectToUrl);
+router.get('/:shortcode/*', urlController.redirectToUrl);
+router.post('/:shortcode/unlock', urlController.unlockShortUrl);
 
 module.exports = router;
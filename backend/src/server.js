@@ -1,13 +1,16 @@
-const express = require('express');
-const cors = require('cors');
 require('dotenv').config();
 
-const urlRoutes = require('./routes/urlRoutes');
-const { createLogger, expressLoggingMiddleware } = require('@url-shortener/logging-middleware');
-const { notFoundHandler, globalErrorHandler } = require('./middleware/errorHandler');
+const { createApp } = require('./app');
+const { getStorage } = require('./storage');
+const urlService = require('./services/urlService');
+const tombstoneSweeper = require('./services/tombstoneSweeper');
+const healthMonitor = require('./services/healthMonitor');
+const shortcodeRegistry = require('./services/shortcodeRegistry');
+const { createLogger } = require('@url-shortener/logging-middleware');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
+const storage = getStorage();
+let server;
 
 // Initialize the new comprehensive logging middleware
 const logger = createLogger({
@@ -23,43 +26,14 @@ const logger = createLogger({
 // Make logger globally available
 global.appLogger = logger;
 
-// Trust proxy (for getting real IP addresses behind reverse proxy)
-app.set('trust proxy', true);
-
-// CORS configuration
-const corsOptions = {
-  origin: [
-    'http://localhost:3000',
-    'http://localhost:3001',
-    'http://127.0.0.1:3000',
-    'http://127.0.0.1:3001'
-  ],
-  credentials: true,
-  optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-};
-
-// Middleware
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// New comprehensive logging middleware (must be before routes)
-app.use(expressLoggingMiddleware(logger));
-
-// Routes
-app.use('/', urlRoutes);
-
-// 404 handler
-app.use(notFoundHandler);
-
-// Global error handler (must be last)
-app.use(globalErrorHandler);
+const app = createApp(logger);
 
 // Graceful shutdown handling
 process.on('SIGTERM', async () => {
   logger.Log('backend', 'info', 'server', 'SIGTERM received, shutting down gracefully');
+  tombstoneSweeper.stop();
+  healthMonitor.stop();
+  await storage.close();
   await logger.shutdown();
   server.close(() => {
     logger.Log('backend', 'info', 'server', 'Process terminated');
@@ -69,6 +43,9 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.Log('backend', 'info', 'server', 'SIGINT received, shutting down gracefully');
+  tombstoneSweeper.stop();
+  healthMonitor.stop();
+  await storage.close();
   await logger.shutdown();
   server.close(() => {
     logger.Log('backend', 'info', 'server', 'Process terminated');
@@ -95,21 +72,40 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.Log('backend', 'info', 'server', 'URL Shortener Microservice started successfully', {
-    port: PORT,
-    environment: process.env.NODE_ENV || 'development',
-    mongoUri: process.env.MONGODB_URI ? 'Connected' : 'Not configured',
-    baseUrl: process.env.BASE_URL || `http://localhost:${PORT}`,
-    testServerUrl: process.env.TEST_SERVER_URL || 'http://localhost:8080/api'
-  });
+// Start server once the storage backend is ready
+const startServer = async () => {
+  await storage.connect();
+  await shortcodeRegistry.load();
+  const shortcodeStrategy = urlService.configureShortcodes();
+  tombstoneSweeper.start();
+  healthMonitor.start();
+
+  server = app.listen(PORT, () => {
+    logger.Log('backend', 'info', 'server', 'URL Shortener Microservice started successfully', {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      storage: storage.name,
+      shortcodeStrategy: shortcodeStrategy.name,
+      mongoUri: process.env.MONGODB_URI ? 'Connected' : 'Not configured',
+      baseUrl: process.env.BASE_URL || `http://localhost:${PORT}`,
+      testServerUrl: process.env.TEST_SERVER_URL || 'http://localhost:8080/api'
+    });
   
-  console.log(`🚀 URL Shortener Microservice running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 Base URL: ${process.env.BASE_URL || `http://localhost:${PORT}`}`);
-  console.log(`🧪 Test Server: ${process.env.TEST_SERVER_URL || 'http://localhost:8080/api'}`);
-  console.log(`📝 Comprehensive logging enabled with test server integration`);
+    console.log(`🚀 URL Shortener Microservice running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`💾 Storage: ${storage.name}`);
+    console.log(`🌐 Base URL: ${process.env.BASE_URL || `http://localhost:${PORT}`}`);
+    console.log(`🧪 Test Server: ${process.env.TEST_SERVER_URL || 'http://localhost:8080/api'}`);
+    console.log(`📝 Comprehensive logging enabled with test server integration`);
+  });
+};
+
+startServer().catch((error) => {
+  logger.Log('backend', 'fatal', 'server', 'Failed to initialize storage backend', {
+    storage: storage.name,
+    error: error.message
+  });
+  process.exit(1);
 });
 
 module.exports = app;
@@ -0,0 +1,200 @@
+const { getStorage } = require('../storage');
+const urlService = require('./urlService');
+const { normalizeUtm } = require('../utils/utm');
+const { ServiceError } = require('../utils/errors');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+// Link settings a short domain can default for the links created on it
+const DOMAIN_DEFAULT_FIELDS = ['validity', 'redirectStatus', 'preview', 'fallbackUrl', 'utmDefaults'];
+
+const HOST_LABEL = '[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?';
+const HOST_PATTERN = new RegExp(`^${HOST_LABEL}(\\.${HOST_LABEL})*$`);
+const MAX_HOST_LENGTH = 253;
+
+class DomainService {
+  /**
+   * Hostname of BASE_URL; it serves the default namespace and cannot be registered
+   * @returns {string|null}
+   */
+  defaultHost() {
+    try {
+      return new URL(process.env.BASE_URL).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a short domain hostname
+   * @param {*} host - Hostname as given by the client
+   * @returns {string|null} - Lowercase hostname, or null if it is not a valid hostname
+   */
+  normalizeHost(host) {
+    if (typeof host !== 'string') {
+      return null;
+    }
+    const normalized = host.trim().toLowerCase();
+    return normalized.length <= MAX_HOST_LENGTH && HOST_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Validate the link defaults of a short domain
+   * @param {*} defaults - Defaults as given by the client
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateDefaults(defaults) {
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+      return 'defaults must be an object';
+    }
+    const unknown = Object.keys(defaults).find(field => !DOMAIN_DEFAULT_FIELDS.includes(field));
+    if (unknown) {
+      return `Unknown default '${unknown}'. Expected any of: ${DOMAIN_DEFAULT_FIELDS.join(', ')}`;
+    }
+    if (defaults.validity !== undefined) {
+      const validityError = urlService.validateValidity(defaults.validity);
+      if (validityError) return validityError;
+    }
+    return urlService.validateRedirectOptions(defaults);
+  }
+
+  /**
+   * Normalize validated defaults; unset and null settings are left out
+   * @param {Object} defaults - Validated defaults
+   * @returns {Object} - Normalized defaults
+   */
+  normalizeDefaults(defaults) {
+    const normalized = {};
+    if (defaults.validity !== undefined) {
+      normalized.validity = defaults.validity;
+    }
+    if (defaults.redirectStatus) {
+      normalized.redirectStatus = defaults.redirectStatus;
+    }
+    if (typeof defaults.preview === 'boolean') {
+      normalized.preview = defaults.preview;
+    }
+    if (defaults.fallbackUrl) {
+      normalized.fallbackUrl = urlService.validateAndNormalizeUrl(defaults.fallbackUrl);
+    }
+    if (defaults.utmDefaults) {
+      normalized.utmDefaults = normalizeUtm(defaults.utmDefaults);
+    }
+    return normalized;
+  }
+
+  /**
+   * Register a short domain
+   * @param {string} host - Normalized hostname
+   * @param {Object} [defaults] - Validated link defaults
+   * @returns {Promise<Object>} - Domain response
+   * @throws {ServiceError} - invalid for the default domain, conflict if already registered
+   */
+  async registerDomain(host, defaults = {}) {
+    if (host === this.defaultHost()) {
+      throw new ServiceError('invalid', `'${host}' is the default domain (BASE_URL) and cannot be registered`);
+    }
+    if (await getStorage().findDomain(host)) {
+      throw new ServiceError('conflict', `Short domain '${host}' is already registered`);
+    }
+
+    const domain = await getStorage().saveDomain({
+      host,
+      defaults: this.normalizeDefaults(defaults),
+      createdAt: new Date()
+    });
+
+    getLogger().Log('backend', 'info', 'domain-service', 'Short domain registered', {
+      host,
+      defaults: domain.defaults
+    });
+
+    return this.toDomainResponse(domain);
+  }
+
+  /**
+   * Replace the link defaults of a short domain
+   * @param {string} host - Normalized hostname
+   * @param {Object} defaults - Validated link defaults
+   * @returns {Promise<Object|null>} - Domain response, or null if the domain is not registered
+   */
+  async updateDomain(host, defaults) {
+    const existing = await getStorage().findDomain(host);
+    if (!existing) {
+      return null;
+    }
+
+    const domain = await getStorage().saveDomain({
+      host,
+      defaults: this.normalizeDefaults(defaults),
+      createdAt: existing.createdAt
+    });
+
+    getLogger().Log('backend', 'info', 'domain-service', 'Short domain defaults updated', {
+      host,
+      defaults: domain.defaults
+    });
+
+    return this.toDomainResponse(domain);
+  }
+
+  /**
+   * Remove a short domain that no longer has links
+   * @param {string} host - Normalized hostname
+   * @returns {Promise<boolean>} - False if the domain is not registered
+   * @throws {ServiceError} - conflict if links (tombstones included) still live on the domain
+   */
+  async removeDomain(host) {
+    if (!await getStorage().findDomain(host)) {
+      return false;
+    }
+
+    const { total } = await getStorage().list({ shortDomain: host, limit: 1 });
+    if (total > 0) {
+      throw new ServiceError('conflict', `Short domain '${host}' still has ${total} link(s); delete them first`);
+    }
+
+    await getStorage().deleteDomain(host);
+
+    getLogger().Log('backend', 'info', 'domain-service', 'Short domain removed', { host });
+    return true;
+  }
+
+  /**
+   * List registered short domains
+   * @returns {Promise<Array<Object>>} - Domain responses ordered by host
+   */
+  async listDomains() {
+    const domains = await getStorage().listDomains();
+    return domains.map(domain => this.toDomainResponse(domain));
+  }
+
+  /**
+   * Find the registered short domain a request was made on
+   * @param {string} hostname - Request hostname
+   * @returns {Promise<Object|null>} - Stored domain, or null for the default domain and unknown hosts
+   */
+  async resolveHost(hostname) {
+    const host = this.normalizeHost(hostname);
+    if (!host || host === this.defaultHost()) {
+      return null;
+    }
+    return getStorage().findDomain(host);
+  }
+
+  /**
+   * Build the API view of a stored domain
+   * @param {Object} domain - Stored domain
+   * @returns {Object} - { host, defaults, createdAt }
+   */
+  toDomainResponse(domain) {
+    return {
+      host: domain.host,
+      defaults: domain.defaults,
+      createdAt: domain.createdAt.toISOString()
+    };
+  }
+}
+
+module.exports = new DomainService();
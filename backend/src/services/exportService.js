@@ -0,0 +1,151 @@
+const { getStorage } = require('../storage');
+const urlService = require('./urlService');
+const { toCsvRow } = require('../utils/csv');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const CSV_COLUMNS = [
+  'shortcode', 'domain', 'originalUrl', 'shortUrl', 'createdAt', 'expiresAt', 'isActive', 'status', 'clickCount',
+  'clickTimestamp', 'clickIp', 'clickUserAgent', 'clickReferer'
+];
+
+/**
+ * Wait until a stream can take more data, or has been closed
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+/**
+ * Serialize an exported link (summary plus click records). Visitor IPs and user agents
+ * are only exported to admins
+ * @param {Object} entry - URL entry with clicks
+ * @param {boolean} authorized - Caller presented the admin key (see urlService.redactDestinations)
+ * @returns {Object} - Export record
+ */
+const toExportRecord = (entry, authorized) => ({
+  ...urlService.redactDestinations(urlService.toUrlSummary(entry), !!entry.passwordHash, authorized),
+  clicks: entry.clicks.map(click => ({
+    timestamp: click.timestamp.toISOString(),
+    ip: authorized ? click.ip : null,
+    userAgent: authorized ? click.userAgent : null,
+    referer: click.referer,
+    utmCampaign: click.utmCampaign || null,
+    rule: click.rule || null,
+    variant: click.variant || null,
+    source: click.source || null
+  }))
+});
+
+/**
+ * Output formats. Each turns records into text chunks:
+ * header() once, record(record, index) per link, footer() once.
+ */
+const FORMATS = {
+  // One row per click; links without clicks get a single row with empty click columns
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => toCsvRow(CSV_COLUMNS),
+    record: ({ clicks, ...link }) => {
+      const linkColumns = [
+        link.shortcode, link.domain, link.originalUrl, link.shortUrl, link.createdAt, link.expiresAt,
+        link.isActive, link.status, link.clickCount
+      ];
+      if (clicks.length === 0) {
+        return toCsvRow([...linkColumns, '', '', '', '']);
+      }
+      return clicks
+        .map(click => toCsvRow([...linkColumns, click.timestamp, click.ip, click.userAgent, click.referer]))
+        .join('');
+    },
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[',
+    record: (record, index) => (index > 0 ? ',' : '') + JSON.stringify(record),
+    footer: () => ']\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    record: (record) => `${JSON.stringify(record)}\n`,
+    footer: () => ''
+  }
+};
+
+class ExportService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * Look up an output format
+   * @param {string} name - csv | json | ndjson
+   * @returns {Object|null} - Format with contentType and extension, or null if unknown
+   */
+  getFormat(name) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, name) ? FORMATS[name] : null;
+  }
+
+  /**
+   * Stream every matching link with its clicks to a writable stream.
+   * Links are read from storage one at a time and writes wait for the
+   * stream to drain, so memory use does not grow with the export size.
+   * Stops early if the stream is destroyed (e.g. the client disconnects).
+   * @param {Object} stream - Writable stream (such as an Express response)
+   * @param {string} formatName - csv | json | ndjson
+   * @param {Object} [filters] - status, createdAfter and createdBefore filters
+   * @param {boolean} [authorized] - Caller presented the admin key; otherwise destinations
+   *   of protected links and visitor IPs and user agents are left out
+   * @returns {Promise<number>} - Number of links written
+   */
+  async exportTo(stream, formatName, filters = {}, authorized = false) {
+    const format = this.getFormat(formatName);
+    if (!format) {
+      throw new Error(`Unknown export format '${formatName}'`);
+    }
+
+    const write = async (chunk) => {
+      if (chunk && !stream.write(chunk)) {
+        await waitForDrain(stream);
+      }
+    };
+
+    let count = 0;
+    await write(format.header());
+
+    for await (const entry of getStorage().iterate(filters)) {
+      if (stream.destroyed) break;
+      await write(format.record(toExportRecord(entry, authorized), count));
+      count++;
+    }
+
+    if (!stream.destroyed) {
+      await write(format.footer());
+    }
+
+    getLogger().Log('backend', 'info', 'export-service', 'Export completed', {
+      format: formatName,
+      links: count,
+      aborted: stream.destroyed,
+      filters
+    });
+
+    return count;
+  }
+}
+
+module.exports = new ExportService();
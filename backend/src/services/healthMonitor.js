@@ -0,0 +1,174 @@
+const { getStorage } = require('../storage');
+const { checkDestination, isHealthy } = require('../utils/healthCheck');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Run a worker over items with at most `limit` of them in flight
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = [];
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+};
+
+class HealthMonitor {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Current settings, read from the environment
+   * @returns {Object} - { concurrency, batchSize, timeoutMs, recheckMs, retryMs, maxBackoffMs, allowPrivateAddresses }
+   */
+  settings() {
+    return {
+      concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || 5,
+      batchSize: parseInt(process.env.HEALTH_CHECK_BATCH_SIZE) || 100,
+      timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+      recheckMs: (parseInt(process.env.HEALTH_CHECK_RECHECK_MINUTES) || 60) * MINUTE_MS,
+      retryMs: (parseInt(process.env.HEALTH_CHECK_RETRY_MINUTES) || 5) * MINUTE_MS,
+      maxBackoffMs: (parseInt(process.env.HEALTH_CHECK_MAX_BACKOFF_MINUTES) || 1440) * MINUTE_MS,
+      allowPrivateAddresses: process.env.HEALTH_CHECK_ALLOW_PRIVATE_ADDRESSES === 'true'
+    };
+  }
+
+  /**
+   * Start checking due links on a fixed interval, unless HEALTH_CHECK_ENABLED=false
+   * @param {number} [intervalMs] - Milliseconds between runs
+   *   (default: HEALTH_CHECK_INTERVAL_MS env or 60000)
+   */
+  start(intervalMs = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 60000) {
+    if (this.timer || process.env.HEALTH_CHECK_ENABLED === 'false') return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+
+    getLogger().Log('backend', 'info', 'health-monitor', 'Destination health monitor started', {
+      intervalMs,
+      ...this.settings()
+    });
+  }
+
+  /**
+   * Stop the periodic checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delay before the next check: recheckMs while healthy, then retryMs doubling with
+   * every consecutive failure up to maxBackoffMs
+   * @param {number} failures - Consecutive failed checks
+   * @param {Object} settings - From settings()
+   * @returns {number} - Milliseconds
+   */
+  nextCheckDelay(failures, { recheckMs, retryMs, maxBackoffMs }) {
+    if (failures === 0) return recheckMs;
+    return Math.min(retryMs * 2 ** (failures - 1), maxBackoffMs);
+  }
+
+  /**
+   * Check the destination of one link and store the result
+   * @param {Object} entry - URL entry
+   * @param {Object} settings - From settings()
+   * @returns {Promise<Object>} - Stored health: the checkDestination result plus status (ok | broken),
+   *   url (the destination checked), checkedAt, failures (consecutive), brokenSince and nextCheckAt
+   */
+  async checkLink(entry, settings) {
+    const result = await checkDestination(entry.originalUrl, {
+      timeoutMs: settings.timeoutMs,
+      allowPrivateAddresses: settings.allowPrivateAddresses
+    });
+    const previous = entry.health && entry.health.url === entry.originalUrl ? entry.health : null;
+    const healthy = isHealthy(result);
+    const failures = healthy ? 0 : (previous ? previous.failures : 0) + 1;
+    const checkedAt = new Date();
+
+    const health = {
+      status: healthy ? 'ok' : 'broken',
+      url: entry.originalUrl,
+      ...result,
+      checkedAt: checkedAt.toISOString(),
+      failures,
+      brokenSince: healthy ? null : (previous && previous.brokenSince) || checkedAt.toISOString(),
+      nextCheckAt: new Date(checkedAt.getTime() + this.nextCheckDelay(failures, settings)).toISOString()
+    };
+    await getStorage().setHealth(entry.id, health);
+
+    if (failures === 1) {
+      getLogger().Log('backend', 'warn', 'health-monitor', 'Link destination is broken', {
+        shortcode: entry.id,
+        originalUrl: entry.originalUrl,
+        statusCode: result.statusCode,
+        error: result.error
+      });
+    } else if (healthy && previous && previous.status === 'broken') {
+      getLogger().Log('backend', 'info', 'health-monitor', 'Link destination recovered', {
+        shortcode: entry.id,
+        originalUrl: entry.originalUrl,
+        statusCode: result.statusCode
+      });
+    }
+
+    return health;
+  }
+
+  /**
+   * Check every link that is due, a batch at a time
+   * @returns {Promise<Object|null>} - { at, checked, broken, durationMs }, or null if a run is already in progress
+   */
+  async run() {
+    const logger = getLogger();
+
+    // Skip overlapping runs when checks outlast the interval
+    if (this.running) return null;
+    this.running = true;
+
+    const startedAt = Date.now();
+    const settings = this.settings();
+
+    try {
+      // Never-checked links and links whose destination changed (see dropStaleHealth) are due at once
+      const due = await getStorage().listDueHealthChecks(new Date(startedAt), settings.batchSize);
+      const results = await runWithConcurrency(due, settings.concurrency, entry => this.checkLink(entry, settings));
+
+      this.lastRun = {
+        at: new Date(startedAt).toISOString(),
+        checked: results.length,
+        broken: results.filter(health => health.status === 'broken').length,
+        durationMs: Date.now() - startedAt
+      };
+
+      logger.Log('backend', this.lastRun.broken > 0 ? 'info' : 'debug', 'health-monitor', 'Health check run completed', this.lastRun);
+      return this.lastRun;
+    } catch (error) {
+      logger.logError('backend', 'health-monitor', error, 'Health check run failed');
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new HealthMonitor();
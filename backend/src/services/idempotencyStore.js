@@ -0,0 +1,94 @@
+// Remembers successful responses by Idempotency-Key so retried requests
+// get the original response instead of repeating the side effect.
+// Keys are scoped by the caller (see the idempotency middleware) and the
+// store holds at most maxKeys of them, evicting the oldest first
+class IdempotencyStore {
+  constructor() {
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  get ttlMs() {
+    return (parseInt(process.env.IDEMPOTENCY_TTL_MINUTES) || 1440) * 60 * 1000;
+  }
+
+  get maxKeys() {
+    return parseInt(process.env.IDEMPOTENCY_MAX_KEYS) || 10000;
+  }
+
+  /**
+   * Look up a key
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} - { fingerprint, state: 'pending'|'complete', response? } or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt < Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Claim a key for an in-flight request
+   * @param {string} key - Idempotency key
+   * @param {string} fingerprint - Hash of the request the key was first used with
+   */
+  begin(key, fingerprint) {
+    this.sweep();
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size < this.maxKeys) break;
+      this.entries.delete(oldest);
+    }
+    this.entries.set(key, {
+      fingerprint,
+      state: 'pending',
+      expiresAt: Date.now() + this.ttlMs
+    });
+  }
+
+  /**
+   * Store the response for a claimed key
+   * @param {string} key - Idempotency key
+   * @param {Object} response - { statusCode, body }
+   */
+  complete(key, response) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.state = 'complete';
+    entry.response = response;
+    entry.expiresAt = Date.now() + this.ttlMs;
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   * @param {string} key - Idempotency key
+   */
+  abort(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.state === 'pending') {
+      this.entries.delete(key);
+    }
+  }
+
+  // Drop expired keys at most once per TTL period
+  sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < this.ttlMs) return;
+
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt < now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new IdempotencyStore();
@@ -0,0 +1,209 @@
+const defaultBlockedTerms = require('../config/blockedTerms');
+const { isValidShortcode } = require('../utils/helpers');
+const { getStorage } = require('../storage');
+const { ServiceError } = require('../utils/errors');
+
+// Characters commonly substituted for letters. 'l' and '1' both fold to 'i'
+// so either spelling of a term matches either substitution.
+const LEET_MAP = {
+  '0': 'o',
+  '1': 'i',
+  'l': 'i',
+  '2': 'z',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '6': 'g',
+  '7': 't',
+  '8': 'b',
+  '9': 'g'
+};
+
+/**
+ * Fold case and leetspeak substitutions to a canonical spelling
+ * @param {string} value - Shortcode or term
+ * @returns {string} - Canonical form
+ */
+const normalizeLeet = (value) => value
+  .toLowerCase()
+  .split('')
+  .map(char => LEET_MAP[char] || char)
+  .join('');
+
+/**
+ * Build a matcher for a blocked term that also catches stretched spellings ("fuuuck")
+ * @param {string} term - Blocked term
+ * @returns {RegExp} - Matcher for normalized shortcodes
+ */
+const buildTermPattern = (term) => new RegExp(normalizeLeet(term).split('').map(char => `${char}+`).join(''));
+
+/**
+ * Parse a comma-separated list of terms from the environment
+ * @param {string} value - Raw env value
+ * @returns {Array<string>} - Terms
+ */
+const parseTermList = (value) => (value || '')
+  .split(',')
+  .map(term => term.trim())
+  .filter(Boolean);
+
+class ShortcodeRegistry {
+  constructor() {
+    this.routeNames = new Set();
+    this.reserved = new Set(parseTermList(process.env.RESERVED_SHORTCODES).map(term => term.toLowerCase()));
+    this.blocked = new Map();
+
+    [...defaultBlockedTerms, ...parseTermList(process.env.BLOCKED_SHORTCODE_TERMS)]
+      .forEach(term => this.blocked.set(term.toLowerCase(), buildTermPattern(term)));
+  }
+
+  /**
+   * Reserve the literal first path segment of every route on a router
+   * @param {Object} router - Express router
+   * @param {string} [mountPath] - Path the router is mounted at
+   */
+  reserveRouteNames(router, mountPath = '/') {
+    const mountSegment = mountPath.split('/').filter(Boolean)[0];
+
+    if (mountSegment) {
+      this.routeNames.add(mountSegment.toLowerCase());
+      return;
+    }
+
+    router.stack
+      .filter(layer => layer.route && typeof layer.route.path === 'string')
+      .forEach(layer => {
+        const segment = layer.route.path.split('/').filter(Boolean)[0];
+        if (segment && !segment.startsWith(':')) {
+          this.routeNames.add(segment.toLowerCase());
+        }
+      });
+  }
+
+  /**
+   * Check whether a path segment is the literal first segment of a route
+   * @param {string} segment - Path segment
+   * @returns {boolean}
+   */
+  isRouteName(segment) {
+    return this.routeNames.has(segment.toLowerCase());
+  }
+
+  /**
+   * Check whether a shortcode may be used
+   * @param {string} shortcode - Shortcode to check
+   * @returns {{ allowed: boolean, reason?: string, term?: string }} - Verdict
+   */
+  check(shortcode) {
+    const lower = shortcode.toLowerCase();
+
+    // Express matches routes case-insensitively, so reserved words do too
+    if (this.routeNames.has(lower) || this.reserved.has(lower)) {
+      return { allowed: false, reason: 'reserved', term: lower };
+    }
+
+    const normalized = normalizeLeet(shortcode);
+    for (const [term, pattern] of this.blocked) {
+      if (pattern.test(normalized)) {
+        return { allowed: false, reason: 'blocked', term };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Apply the runtime changes kept in storage over the configured lists
+   * @returns {Promise<number>} - Number of changes applied
+   */
+  async load() {
+    const changes = await getStorage().listRegistryChanges();
+    changes.forEach(({ list, term, action }) => this.apply(list, term, action));
+    return changes.length;
+  }
+
+  /**
+   * Add a reserved word or blocked term, keeping the change in storage
+   * @param {string} list - 'reserved' or 'blocked'
+   * @param {string} term - Term to add
+   * @returns {Promise<boolean>} - False if the term was already present
+   * @throws {ServiceError} - invalid when the term is not a valid shortcode
+   */
+  async add(list, term) {
+    this.assertValidTerm(term);
+    const key = term.toLowerCase();
+
+    if (this.has(list, key) || (list === 'reserved' && this.routeNames.has(key))) return false;
+
+    await getStorage().saveRegistryChange({ list, term: key, action: 'add' });
+    this.apply(list, key, 'add');
+    return true;
+  }
+
+  /**
+   * Remove a reserved word or blocked term, keeping the change in storage
+   * @param {string} list - 'reserved' or 'blocked'
+   * @param {string} term - Term to remove
+   * @returns {Promise<boolean>} - False if the term was not present
+   * @throws {ServiceError} - conflict when removing a word reserved by a route
+   */
+  async remove(list, term) {
+    const key = term.toLowerCase();
+
+    if (list === 'reserved' && this.routeNames.has(key)) {
+      throw new ServiceError('conflict', `'${key}' is reserved by a route and cannot be removed`);
+    }
+    if (!this.has(list, key)) return false;
+
+    await getStorage().saveRegistryChange({ list, term: key, action: 'remove' });
+    this.apply(list, key, 'remove');
+    return true;
+  }
+
+  /**
+   * Check whether a list holds a term
+   * @param {string} list - 'reserved' or 'blocked'
+   * @param {string} key - Lowercase term
+   * @returns {boolean}
+   */
+  has(list, key) {
+    return list === 'reserved' ? this.reserved.has(key) : this.blocked.has(key);
+  }
+
+  /**
+   * Add a term to or remove it from a list in memory
+   * @param {string} list - 'reserved' or 'blocked'
+   * @param {string} key - Lowercase term
+   * @param {string} action - 'add' or 'remove'
+   */
+  apply(list, key, action) {
+    if (list === 'reserved') {
+      if (action === 'add') this.reserved.add(key);
+      else this.reserved.delete(key);
+    } else if (action === 'add') {
+      this.blocked.set(key, buildTermPattern(key));
+    } else {
+      this.blocked.delete(key);
+    }
+  }
+
+  /**
+   * List every registry entry
+   * @returns {Object} - { routes, reserved, blocked }
+   */
+  list() {
+    return {
+      routes: Array.from(this.routeNames).sort(),
+      reserved: Array.from(this.reserved).sort(),
+      blocked: Array.from(this.blocked.keys()).sort()
+    };
+  }
+
+  assertValidTerm(term) {
+    if (!isValidShortcode(term)) {
+      throw new ServiceError('invalid', 'Registry term must be alphanumeric and between 3-20 characters');
+    }
+  }
+}
+
+module.exports = new ShortcodeRegistry();
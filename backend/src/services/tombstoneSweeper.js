@@ -0,0 +1,71 @@
+const urlService = require('./urlService');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+class TombstoneSweeper {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastSweep = null;
+  }
+
+  /**
+   * Start sweeping on a fixed interval
+   * @param {number} [intervalMs] - Milliseconds between sweeps
+   *   (default: TOMBSTONE_SWEEP_INTERVAL_MS env or 60000)
+   */
+  start(intervalMs = parseInt(process.env.TOMBSTONE_SWEEP_INTERVAL_MS) || 60000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    this.timer.unref();
+
+    getLogger().Log('backend', 'info', 'tombstone-sweeper', 'Tombstone sweeper started', {
+      intervalMs
+    });
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge tombstones past their retention window
+   * @returns {Promise<number>} - Number of purged links (0 if a sweep is already running)
+   */
+  async sweep() {
+    const logger = getLogger();
+
+    // Skip overlapping runs when a sweep outlasts the interval
+    if (this.running) return 0;
+    this.running = true;
+
+    const startedAt = Date.now();
+
+    try {
+      const removed = await urlService.cleanupExpiredUrls();
+      this.lastSweep = {
+        at: new Date(startedAt).toISOString(),
+        removed,
+        durationMs: Date.now() - startedAt
+      };
+
+      logger.Log('backend', removed > 0 ? 'info' : 'debug', 'tombstone-sweeper', 'Tombstone sweep completed', this.lastSweep);
+      return removed;
+    } catch (error) {
+      logger.logError('backend', 'tombstone-sweeper', error, 'Tombstone sweep failed');
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new TombstoneSweeper();
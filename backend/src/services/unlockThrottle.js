@@ -0,0 +1,85 @@
+// Counts failed unlock attempts per shortcode and client so passwords of
+// protected links cannot be brute-forced. After UNLOCK_MAX_ATTEMPTS failures
+// the client is locked out of that link for UNLOCK_LOCKOUT_MINUTES.
+class UnlockThrottle {
+  constructor() {
+    this.attempts = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  get maxAttempts() {
+    return parseInt(process.env.UNLOCK_MAX_ATTEMPTS) || 5;
+  }
+
+  get lockoutMs() {
+    return (parseInt(process.env.UNLOCK_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+  }
+
+  key(shortcode, ip) {
+    return `${shortcode}\n${ip}`;
+  }
+
+  /**
+   * Seconds until a client may try again
+   * @param {string} shortcode - Protected shortcode
+   * @param {string} ip - Client IP
+   * @returns {number} - 0 if the client may attempt an unlock now
+   */
+  retryAfter(shortcode, ip) {
+    const entry = this.attempts.get(this.key(shortcode, ip));
+    if (!entry || entry.failures < this.maxAttempts) return 0;
+
+    const remainingMs = entry.resetAt - Date.now();
+    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+  }
+
+  /**
+   * Count a wrong password. Callers record every attempt before checking the
+   * password and reset() on success, so attempts still being checked count too.
+   * The window starts at the first failure and restarts once it has passed.
+   * @param {string} shortcode - Protected shortcode
+   * @param {string} ip - Client IP
+   * @returns {number} - Attempts left before the lockout
+   */
+  recordFailure(shortcode, ip) {
+    this.sweep();
+    const key = this.key(shortcode, ip);
+    const now = Date.now();
+    let entry = this.attempts.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { failures: 0, resetAt: now + this.lockoutMs };
+      this.attempts.set(key, entry);
+    }
+    entry.failures++;
+    if (entry.failures >= this.maxAttempts) {
+      entry.resetAt = now + this.lockoutMs;
+    }
+
+    return Math.max(this.maxAttempts - entry.failures, 0);
+  }
+
+  /**
+   * Forget failures after a successful unlock
+   * @param {string} shortcode - Protected shortcode
+   * @param {string} ip - Client IP
+   */
+  reset(shortcode, ip) {
+    this.attempts.delete(this.key(shortcode, ip));
+  }
+
+  // Drop finished windows at most once per lockout period
+  sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < this.lockoutMs) return;
+
+    this.lastSweep = now;
+    for (const [key, entry] of this.attempts) {
+      if (entry.resetAt <= now) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new UnlockThrottle();
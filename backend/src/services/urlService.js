@@ -1,42 +1,100 @@
-const crypto = require('crypto');
-const inMemoryStore = require('../models/InMemoryStore');
+const { getStorage } = require('../storage');
+const { createShortcodeStrategy } = require('../utils/shortcodeStrategies');
+const shortcodeRegistry = require('./shortcodeRegistry');
+const { entryStatus, linkKey, CLICK_PAGE_SIZE } = require('../storage/listQuery');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { validateUtm, normalizeUtm, applyUtm } = require('../utils/utm');
+const { validatePassthrough, normalizePassthrough, forwardRequest } = require('../utils/passthrough');
+const {
+  validateRedirectRules,
+  normalizeRedirectRules,
+  describeVisitor,
+  matchRedirectRule
+} = require('../utils/redirectRules');
+const { validateVariants, normalizeVariants, visitorKey, chooseVariant } = require('../utils/variants');
+const { ServiceError, errorCodeOf } = require('../utils/errors');
 
 // Get logger instance
 const getLogger = () => global.appLogger;
 
+const MAX_VALIDITY_MINUTES = 10080; // 1 week
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_CAMPAIGN_LENGTH = 100;
+const MAX_NOTE_LENGTH = 1000;
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const DEFAULT_REDIRECT_STATUS = 302;
+const DEFAULT_REDIRECT_CACHE_MAX_AGE = 300; // seconds
+
 class UrlService {
+  constructor() {
+    this.shortcodeStrategy = null;
+    this.maxValidityMinutes = MAX_VALIDITY_MINUTES;
+  }
+
   /**
-   * Generate a random shortcode
-   * @param {number} length - Length of the shortcode
-   * @returns {string} - Random alphanumeric string
+   * Configure shortcode generation (defaults come from the environment)
+   * @param {Object} [options] - Options for createShortcodeStrategy
+   * @param {string} [options.strategy] - random | sequential | hashids | pronounceable
+   * @param {number} [options.length] - Shortcode length
+   * @param {string} [options.salt] - Salt for the hashids strategy
+   * @returns {Object} - Active shortcode strategy
    */
-  generateShortcode(length = 6) {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    
-    for (let i = 0; i < length; i++) {
-      const randomByte = crypto.randomBytes(1)[0];
-      result += chars[randomByte % chars.length];
+  configureShortcodes(options = {}) {
+    this.shortcodeStrategy = createShortcodeStrategy({
+      strategy: process.env.SHORTCODE_STRATEGY || 'random',
+      length: parseInt(process.env.SHORTCODE_LENGTH) || 6,
+      salt: process.env.SHORTCODE_SALT || '',
+      nextSequence: (name) => getStorage().nextSequence(name),
+      ...options
+    });
+    return this.shortcodeStrategy;
+  }
+
+  /**
+   * Generate a shortcode with the configured strategy
+   * @returns {Promise<string>} - Generated shortcode (not yet checked for uniqueness)
+   */
+  async generateShortcode() {
+    if (!this.shortcodeStrategy) {
+      this.configureShortcodes();
     }
-    
-    return result;
+    return this.shortcodeStrategy.generate();
   }
 
   /**
    * Generate a unique shortcode that doesn't exist in the database
-   * @param {number} maxAttempts - Maximum attempts to generate unique code
+   * @param {string|null} [domain] - Short domain whose namespace the code must be free in (default: the default domain)
+   * @param {number} [maxAttempts] - Maximum attempts to generate unique code
+   *   (default: MAX_SHORTCODE_GENERATION_ATTEMPTS env or 10)
    * @returns {Promise<string>} - Unique shortcode
    */
-  async generateUniqueShortcode(maxAttempts = 10) {
+  async generateUniqueShortcode(domain = null, maxAttempts = parseInt(process.env.MAX_SHORTCODE_GENERATION_ATTEMPTS) || 10) {
     const logger = getLogger();
     
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const shortcode = this.generateShortcode();
-      const existing = inMemoryStore.findByShortcode(shortcode);
+      const shortcode = await this.generateShortcode();
+
+      // Generated codes obey the same reserved/blocked registry as custom ones
+      const verdict = shortcodeRegistry.check(shortcode);
+      if (!verdict.allowed) {
+        logger.Log('backend', 'warn', 'url-service', 'Generated shortcode rejected by registry', {
+          shortcode,
+          reason: verdict.reason,
+          attempt,
+          maxAttempts
+        });
+        continue;
+      }
+
+      const existing = await getStorage().findByShortcode(linkKey(domain, shortcode));
       
       if (!existing) {
         logger.Log('backend', 'debug', 'url-service', 'Unique shortcode generated successfully', {
           shortcode,
+          strategy: this.shortcodeStrategy.name,
           attemptsRequired: attempt + 1
         });
         return shortcode;
@@ -44,6 +102,7 @@ class UrlService {
       
       logger.Log('backend', 'warn', 'url-service', 'Shortcode collision detected', { 
         shortcode, 
+        strategy: this.shortcodeStrategy.name,
         attempt,
         maxAttempts
       });
@@ -73,8 +132,218 @@ class UrlService {
       
       return urlObj.toString();
     } catch (error) {
-      throw new Error('Invalid URL format');
+      throw new ServiceError('invalid', 'Invalid URL format');
+    }
+  }
+
+  /**
+   * Validate a validity period
+   * @param {*} validity - Validity in minutes
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateValidity(validity) {
+    if (typeof validity !== 'number' || validity <= 0 || validity > MAX_VALIDITY_MINUTES) {
+      return `Validity must be a positive number (in minutes) and not exceed ${MAX_VALIDITY_MINUTES} minutes (1 week)`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate the request-level fields of a create request; URL format and
+   * shortcode rules are checked by createShortUrl itself
+   * @param {Object} data - Create request body
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateCreateData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return 'Expected a JSON object with a url field';
+    }
+    if (!data.url) {
+      return 'URL is required';
+    }
+    if (data.validity !== undefined) {
+      const validityError = this.validateValidity(data.validity);
+      if (validityError) return validityError;
+    }
+    const scheduleError = this.validateScheduleFields(data);
+    if (scheduleError) return scheduleError;
+    if (data.shortcode !== undefined && typeof data.shortcode !== 'string') {
+      return 'Custom shortcode must be a string';
+    }
+    if (data.domain !== undefined && data.domain !== null && typeof data.domain !== 'string') {
+      return 'domain must be a hostname such as go.example.com';
+    }
+    if (data.maxClicks !== undefined && (!Number.isInteger(data.maxClicks) || data.maxClicks < 1)) {
+      return 'maxClicks must be a positive integer';
+    }
+    if (data.password !== undefined && (typeof data.password !== 'string' ||
+      data.password.length < MIN_PASSWORD_LENGTH || data.password.length > MAX_PASSWORD_LENGTH)) {
+      return `password must be a string of ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+    }
+    if (data.reuseExisting !== undefined && typeof data.reuseExisting !== 'boolean') {
+      return 'reuseExisting must be a boolean';
+    }
+    if (data.utm !== undefined) {
+      const utmError = validateUtm(data.utm, 'utm');
+      if (utmError) return utmError;
+    }
+    return this.validateRedirectOptions(data) || this.validateLabelFields(data);
+  }
+
+  /**
+   * Validate the redirect-time options (utmDefaults, passthrough, redirectRules, variants,
+   * redirectStatus, preview, fallbackUrl) of a create or update request; null turns an option
+   * off (redirectStatus goes back to 302)
+   * @param {Object} data - Request body
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateRedirectOptions(data) {
+    if (data.utmDefaults !== undefined && data.utmDefaults !== null) {
+      const utmError = validateUtm(data.utmDefaults, 'utmDefaults');
+      if (utmError) return utmError;
+    }
+    if (data.passthrough !== undefined && data.passthrough !== null) {
+      const passthroughError = validatePassthrough(data.passthrough);
+      if (passthroughError) return passthroughError;
+    }
+    if (data.redirectRules !== undefined && data.redirectRules !== null) {
+      const rulesError = validateRedirectRules(data.redirectRules);
+      if (rulesError) return rulesError;
+    }
+    if (data.variants !== undefined && data.variants !== null) {
+      const variantsError = validateVariants(data.variants);
+      if (variantsError) return variantsError;
+    }
+    if (data.redirectStatus !== undefined && data.redirectStatus !== null &&
+      !REDIRECT_STATUSES.includes(data.redirectStatus)) {
+      return `redirectStatus must be one of: ${REDIRECT_STATUSES.join(', ')}`;
+    }
+    if (data.preview !== undefined && data.preview !== null && typeof data.preview !== 'boolean') {
+      return 'preview must be a boolean';
+    }
+    if (data.fallbackUrl !== undefined && data.fallbackUrl !== null) {
+      try {
+        if (typeof data.fallbackUrl !== 'string') throw new Error();
+        this.validateAndNormalizeUrl(data.fallbackUrl);
+      } catch {
+        return 'fallbackUrl must be an HTTP or HTTPS URL';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate the tags, campaign and note of a create or update request
+   * @param {Object} data - Request body
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateLabelFields(data) {
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags) || data.tags.length > MAX_TAGS) {
+        return `tags must be an array of at most ${MAX_TAGS} tags`;
+      }
+      if (!data.tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag.trim().toLowerCase()))) {
+        return 'Each tag must be 1-32 letters, digits, hyphens or underscores, starting with a letter or digit';
+      }
+    }
+    if (data.campaign !== undefined && data.campaign !== null && (typeof data.campaign !== 'string' ||
+      data.campaign.trim() === '' || data.campaign.trim().length > MAX_CAMPAIGN_LENGTH)) {
+      return `campaign must be a string of 1-${MAX_CAMPAIGN_LENGTH} characters`;
+    }
+    if (data.note !== undefined && data.note !== null &&
+      (typeof data.note !== 'string' || data.note.length > MAX_NOTE_LENGTH)) {
+      return `note must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalize the label fields present in a validated request: tags are
+   * lowercased and de-duplicated, campaign is trimmed, null or '' clears a field
+   * @param {Object} data - Request body
+   * @returns {Object} - { tags, campaign, note }, each only when present in data
+   */
+  normalizeLabels(data) {
+    const labels = {};
+    if (data.tags !== undefined) {
+      labels.tags = [...new Set(data.tags.map(tag => tag.trim().toLowerCase()))];
+    }
+    if (data.campaign !== undefined) {
+      labels.campaign = data.campaign ? data.campaign.trim() : null;
+    }
+    if (data.note !== undefined) {
+      labels.note = data.note || null;
+    }
+    return labels;
+  }
+
+  /**
+   * Validate the types of the scheduling fields of a create or update request
+   * @param {Object} data - Request body
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateScheduleFields(data) {
+    if (data.activeFrom !== undefined && data.activeFrom !== null && typeof data.activeFrom !== 'string') {
+      return 'activeFrom must be an ISO 8601 date';
+    }
+    if (data.expiresAt !== undefined && typeof data.expiresAt !== 'string') {
+      return 'expiresAt must be an ISO 8601 date';
+    }
+    if (data.neverExpires !== undefined && typeof data.neverExpires !== 'boolean') {
+      return 'neverExpires must be a boolean';
+    }
+    const expiryFields = ['validity', 'expiresAt', 'neverExpires'].filter(field => data[field] !== undefined);
+    if (expiryFields.length > 1) {
+      return 'Provide only one of validity, expiresAt or neverExpires';
+    }
+    return null;
+  }
+
+  /**
+   * Create many short URLs, one row at a time. Every row is validated with the
+   * same rules as a single create; rows that succeed stay committed when others fail.
+   * @param {Array<Object>} rows - Create requests ({ url, validity, activeFrom, expiresAt, neverExpires, shortcode,
+   *   domain, tags, campaign, note, reuseExisting })
+   * @param {Object} [context] - Who is making the change ({ changedBy, requestId, authorized })
+   * @returns {Promise<Array<Object>>} - Per-row results in input order:
+   *   { row, status: 'created'|'reused', shortUrl } or { row, status: 'invalid'|'conflict'|'error', message }
+   */
+  async createShortUrls(rows, context = {}) {
+    const results = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = i + 1;
+      const validationError = this.validateCreateData(rows[i]);
+
+      if (validationError) {
+        results.push({ row, status: 'invalid', message: validationError });
+        continue;
+      }
+
+      try {
+        const shortUrl = await this.createShortUrl(rows[i], context);
+        results.push({ row, status: shortUrl.reused ? 'reused' : 'created', shortUrl });
+      } catch (error) {
+        const status = errorCodeOf(error);
+        if (status === 'error') {
+          getLogger().logError('backend', 'url-service', error, 'Bulk row failed unexpectedly', { row });
+        }
+        results.push({
+          row,
+          status,
+          message: status === 'error' ? 'Failed to create short URL' : error.message
+        });
+      }
     }
+
+    const failed = results.filter(result => !result.shortUrl).length;
+    getLogger().Log('backend', failed > 0 ? 'warn' : 'info', 'url-service', 'Bulk short URL creation completed', {
+      total: rows.length,
+      succeeded: rows.length - failed,
+      failed
+    });
+
+    return results;
   }
 
   /**
@@ -87,80 +356,718 @@ class UrlService {
     return new Date(now.getTime() + (validityMinutes * 60 * 1000));
   }
 
+  /**
+   * Resolve the activation and expiry of a link. Validity counts from activation;
+   * exact expiries must fall after activation and, unless the caller is authorized,
+   * within the maximum validity of it. Only authorized callers may make links that never expire.
+   * @param {Object} data - Scheduling fields (types already validated)
+   * @param {number} [data.validity] - Validity in minutes
+   * @param {string|null} [data.activeFrom] - ISO activation date; null activates immediately
+   * @param {string} [data.expiresAt] - ISO expiry date
+   * @param {boolean} [data.neverExpires] - Never expire
+   * @param {boolean} [authorized] - Whether the caller holds the admin key
+   * @param {Date|null} [currentActiveFrom] - Activation of the link being updated, used when data.activeFrom is absent
+   * @returns {Object} - { activeFrom, expiresAt }; a field is undefined when not requested,
+   *   activeFrom null means immediately and expiresAt null means never
+   * @throws {ServiceError} - invalid on a bad date or an out-of-range expiry, forbidden on an unauthorized neverExpires
+   */
+  resolveSchedule(data, authorized = false, currentActiveFrom = null) {
+    const schedule = {};
+
+    if (data.activeFrom !== undefined) {
+      schedule.activeFrom = data.activeFrom === null ? null : new Date(data.activeFrom);
+      if (schedule.activeFrom && isNaN(schedule.activeFrom.getTime())) {
+        throw new ServiceError('invalid', 'activeFrom must be an ISO 8601 date');
+      }
+    }
+    const activeFrom = data.activeFrom !== undefined ? schedule.activeFrom : currentActiveFrom;
+    const now = new Date();
+    const start = activeFrom && activeFrom > now ? activeFrom : now;
+
+    if (data.neverExpires) {
+      if (!authorized) {
+        throw new ServiceError('forbidden', 'Not authorized to create links that never expire');
+      }
+      schedule.expiresAt = null;
+    } else if (data.expiresAt !== undefined) {
+      schedule.expiresAt = new Date(data.expiresAt);
+      if (isNaN(schedule.expiresAt.getTime()) || schedule.expiresAt <= start) {
+        throw new ServiceError('invalid', 'expiresAt must be an ISO 8601 date in the future and after activeFrom');
+      }
+      if (!authorized && schedule.expiresAt.getTime() - start.getTime() > MAX_VALIDITY_MINUTES * 60 * 1000) {
+        throw new ServiceError('invalid', `expiresAt must be at most ${MAX_VALIDITY_MINUTES} minutes (1 week) after activation`);
+      }
+    } else if (data.validity !== undefined) {
+      schedule.expiresAt = new Date(start.getTime() + data.validity * 60 * 1000);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Fill in the settings a create request leaves out from the defaults of its short
+   * domain; the default validity only applies when the request sets no expiry at all
+   * @param {Object} data - Create request
+   * @param {Object} defaults - Normalized defaults of the domain
+   * @returns {Object} - Create request with the defaults applied
+   */
+  applyDomainDefaults(data, defaults) {
+    const applied = { ...data };
+    Object.entries(defaults).forEach(([field, value]) => {
+      const unset = field === 'validity'
+        ? [data.validity, data.expiresAt, data.neverExpires].every(setting => setting === undefined)
+        : data[field] === undefined;
+      if (unset) {
+        applied[field] = value;
+      }
+    });
+    return applied;
+  }
+
   /**
    * Create a short URL
    * @param {Object} data - URL creation data
    * @param {string} data.url - Original URL
-   * @param {number} [data.validity] - Validity in minutes
+   * @param {number} [data.validity] - Validity in minutes from activation
+   * @param {string} [data.activeFrom] - ISO date before which the link does not redirect
+   * @param {string} [data.expiresAt] - ISO expiry date (instead of validity)
+   * @param {boolean} [data.neverExpires] - Never expire (authorized callers only)
+   * @param {number} [data.maxClicks] - Redirects allowed before the link is exhausted (1 = one-time link)
+   * @param {string} [data.password] - Password visitors must enter before being redirected (stored hashed)
+   * @param {Array<string>} [data.tags] - Tags (case-insensitive)
+   * @param {string} [data.campaign] - Campaign name
+   * @param {string} [data.note] - Free-text note
+   * @param {Object} [data.utm] - UTM fields set on the destination (source, medium, campaign, term, content)
+   * @param {Object} [data.utmDefaults] - UTM fields added at redirect time unless the destination has them
+   * @param {Object} [data.passthrough] - Forward extra path and query ({ path, query, onConflict })
+   * @param {Array<Object>} [data.redirectRules] - Ordered rules ({ name, when, url }) choosing another
+   *   destination by visitor; originalUrl is used when none matches
+   * @param {Array<Object>} [data.variants] - Weighted destinations ({ name, url, weight, retired }) that
+   *   replace originalUrl, each visitor always getting the same one
+   * @param {number} [data.redirectStatus] - 301, 302 (default), 307 or 308
+   * @param {boolean} [data.preview] - Always show the preview page instead of redirecting
+   * @param {string} [data.fallbackUrl] - Where visitors go once the link has expired or used up its clicks
    * @param {string} [data.shortcode] - Custom shortcode
-   * @returns {Promise<Object>} - Created URL object
+   * @param {string} [data.domain] - Registered short domain to create the link on (default: the BASE_URL
+   *   domain); its defaults fill in the settings the request leaves out (see applyDomainDefaults)
+   * @param {boolean} [data.reuseExisting] - Return the live link for the same URL instead of
+   *   creating one (default: REUSE_EXISTING_URLS env); ignored with a custom shortcode, activeFrom,
+   *   maxClicks, password, tags, campaign, note, utmDefaults, passthrough, redirectRules, variants,
+   *   preview, fallbackUrl or a redirectStatus other than 302
+   * @param {Object} [context] - Who is making the change ({ changedBy, requestId }), kept in the link history;
+   *   context.authorized allows neverExpires and expiries beyond the maximum validity
+   * @returns {Promise<Object>} - Created URL object (with reused: true if an existing link was returned)
    */
-  async createShortUrl(data) {
-    const { url, validity = 30, shortcode: customShortcode } = data;
+  async createShortUrl(data, context = {}) {
+    const domain = data.domain ? data.domain.trim().toLowerCase() : null;
+    if (domain) {
+      const shortDomain = await getStorage().findDomain(domain);
+      if (!shortDomain) {
+        throw new ServiceError('invalid', `Short domain '${domain}' is not registered`);
+      }
+      data = this.applyDomainDefaults(data, shortDomain.defaults);
+    }
+
+    const { url, shortcode: customShortcode } = data;
+    const reuseExisting = data.reuseExisting !== undefined
+      ? data.reuseExisting
+      : process.env.REUSE_EXISTING_URLS === 'true';
+
+    // Validate and normalize URL; explicit utm fields replace any already in its query
+    const normalizedUrl = data.utm
+      ? applyUtm(this.validateAndNormalizeUrl(url), normalizeUtm(data.utm), { overwrite: true })
+      : this.validateAndNormalizeUrl(url);
+    const utmDefaults = data.utmDefaults ? normalizeUtm(data.utmDefaults) : null;
+    const passthrough = data.passthrough ? normalizePassthrough(data.passthrough) : null;
+    const redirectRules = data.redirectRules ? normalizeRedirectRules(data.redirectRules) : null;
+    const variants = data.variants ? normalizeVariants(data.variants) : null;
+    const redirectStatus = data.redirectStatus || DEFAULT_REDIRECT_STATUS;
+    const fallbackUrl = data.fallbackUrl ? this.validateAndNormalizeUrl(data.fallbackUrl) : null;
+
+    const usesDefaultValidity = [data.validity, data.expiresAt, data.neverExpires].every(value => value === undefined);
+    const schedule = this.resolveSchedule(usesDefaultValidity ? { ...data, validity: 30 } : data, context.authorized);
+    const labels = this.normalizeLabels(data);
 
-    // Validate and normalize URL
-    const normalizedUrl = this.validateAndNormalizeUrl(url);
+    // Scheduled, click-limited, protected and labeled links are never stand-ins for an ordinary live link
+    if (reuseExisting && !customShortcode && !schedule.activeFrom && !data.maxClicks && !data.password &&
+      Object.keys(labels).length === 0 && !utmDefaults && !passthrough && !redirectRules &&
+      !variants && redirectStatus === DEFAULT_REDIRECT_STATUS && !data.preview && !fallbackUrl) {
+      const existing = await getStorage().findActiveByOriginalUrl(normalizedUrl, domain);
+
+      if (existing) {
+        getLogger().Log('backend', 'info', 'url-service', 'Reusing existing short URL for destination', {
+          shortcode: existing.shortcode,
+          originalUrl: normalizedUrl
+        });
+        return { ...this.toShortUrlResponse(existing), reused: true };
+      }
+    }
 
     // Generate or validate shortcode
     let shortcode;
     if (customShortcode) {
       // Validate custom shortcode format
       if (!/^[a-zA-Z0-9]{3,20}$/.test(customShortcode)) {
-        throw new Error('Custom shortcode must be alphanumeric and between 3-20 characters');
+        throw new ServiceError('invalid', 'Custom shortcode must be alphanumeric and between 3-20 characters');
       }
 
-      // Check if custom shortcode already exists
-      const existing = inMemoryStore.findByShortcode(customShortcode);
+      const verdict = shortcodeRegistry.check(customShortcode);
+      if (!verdict.allowed) {
+        throw new ServiceError('invalid', verdict.reason === 'reserved'
+          ? 'Custom shortcode is reserved'
+          : 'Custom shortcode contains a blocked term');
+      }
+
+      // Check if custom shortcode already exists on the domain
+      const existing = await getStorage().findByShortcode(linkKey(domain, customShortcode));
       if (existing) {
-        throw new Error('Custom shortcode already exists');
+        throw new ServiceError('conflict', 'Custom shortcode already exists');
       }
       
       shortcode = customShortcode;
     } else {
-      shortcode = await this.generateUniqueShortcode();
+      shortcode = await this.generateUniqueShortcode(domain);
     }
 
-    // Calculate expiry date
-    const expiresAt = this.calculateExpiryDate(validity);
-
-    // Create URL in memory store
-    const urlDoc = inMemoryStore.create({
+    // Persist URL through the configured storage adapter
+    const urlDoc = await getStorage().create({
       originalUrl: normalizedUrl,
       shortcode,
-      expiresAt
+      domain,
+      expiresAt: schedule.expiresAt,
+      activeFrom: schedule.activeFrom || null,
+      maxClicks: data.maxClicks || null,
+      passwordHash: data.password ? await hashPassword(data.password) : null,
+      utmDefaults,
+      passthrough,
+      redirectRules,
+      variants,
+      redirectStatus,
+      preview: data.preview === true,
+      fallbackUrl,
+      ...labels
     });
 
+    await this.recordRevision(urlDoc, 'create', context);
+
     const logger = getLogger();
     logger.Log('backend', 'info', 'url-service', 'Short URL created successfully', {
       shortcode,
+      domain,
       originalUrl: normalizedUrl,
-      expiresAt: expiresAt.toISOString(),
+      expiresAt: urlDoc.expiresAt ? urlDoc.expiresAt.toISOString() : null,
+      activeFrom: urlDoc.activeFrom ? urlDoc.activeFrom.toISOString() : null,
+      maxClicks: urlDoc.maxClicks,
+      passwordProtected: !!urlDoc.passwordHash,
+      tags: urlDoc.tags,
+      campaign: urlDoc.campaign,
       customShortcode: !!customShortcode
     });
 
+    return this.toShortUrlResponse(urlDoc);
+  }
+
+  /**
+   * Build the public representation of a stored URL
+   * @param {Object} urlDoc - URL entry from storage
+   * @returns {Object} - Short URL response (expiresAt null = never expires, activeFrom null = active immediately,
+   *   maxClicks null = unlimited)
+   */
+  toShortUrlResponse(urlDoc) {
     return {
-      shortcode,
-      originalUrl: normalizedUrl,
-      shortUrl: `${process.env.BASE_URL}/${shortcode}`,
-      expiresAt: expiresAt.toISOString(),
+      shortcode: urlDoc.shortcode,
+      domain: urlDoc.domain || null,
+      originalUrl: urlDoc.originalUrl,
+      shortUrl: this.shortUrlFor(urlDoc),
+      expiresAt: urlDoc.expiresAt ? urlDoc.expiresAt.toISOString() : null,
+      activeFrom: urlDoc.activeFrom ? urlDoc.activeFrom.toISOString() : null,
+      maxClicks: urlDoc.maxClicks || null,
+      passwordProtected: !!urlDoc.passwordHash,
+      tags: urlDoc.tags || [],
+      campaign: urlDoc.campaign || null,
+      note: urlDoc.note || null,
+      utmDefaults: urlDoc.utmDefaults || null,
+      passthrough: urlDoc.passthrough || null,
+      redirectRules: urlDoc.redirectRules || null,
+      variants: urlDoc.variants || null,
+      redirectStatus: urlDoc.redirectStatus || DEFAULT_REDIRECT_STATUS,
+      preview: urlDoc.preview === true,
+      fallbackUrl: urlDoc.fallbackUrl || null,
       createdAt: urlDoc.createdAt.toISOString()
     };
   }
 
+  /**
+   * Public URL of a link: under BASE_URL on the default domain, otherwise on its
+   * short domain with the scheme of BASE_URL
+   * @param {Object} urlDoc - URL entry
+   * @returns {string} - Short URL
+   */
+  shortUrlFor(urlDoc) {
+    if (!urlDoc.domain) {
+      return `${process.env.BASE_URL}/${urlDoc.shortcode}`;
+    }
+    const protocol = /^http:/i.test(process.env.BASE_URL || '') ? 'http:' : 'https:';
+    return `${protocol}//${urlDoc.domain}/${urlDoc.shortcode}`;
+  }
+
+  /**
+   * Build the management view of a stored URL (used by listing and updates)
+   * @param {Object} urlDoc - URL entry, or list entry carrying clickCount
+   * @returns {Object} - Short URL response with isActive, status, clickCount and health (latest destination check)
+   */
+  toUrlSummary(urlDoc) {
+    return {
+      ...this.toShortUrlResponse(urlDoc),
+      isActive: urlDoc.isActive,
+      status: entryStatus(urlDoc),
+      clickCount: urlDoc.clickCount,
+      health: urlDoc.health || null
+    };
+  }
+
+  /**
+   * Hide where a password-protected link leads from callers without the admin key:
+   * its destination, the URLs of its rules and variants, and the URLs its latest
+   * health check visited
+   * @param {Object} view - Summary, analytics or revision state of the link
+   * @param {boolean} protectedLink - Whether the link has a password
+   * @param {boolean} authorized - Whether the caller presented the admin key
+   * @returns {Object} - The view, with those URLs null (redirects empty) unless the caller may see them
+   */
+  redactDestinations(view, protectedLink, authorized) {
+    if (!protectedLink || authorized) {
+      return view;
+    }
+
+    const redacted = { ...view, originalUrl: null };
+    if (view.redirectRules) {
+      redacted.redirectRules = view.redirectRules.map(rule => ({ ...rule, url: null }));
+    }
+    if (view.variants) {
+      redacted.variants = view.variants.map(variant => ({ ...variant, url: null }));
+    }
+    if (view.health) {
+      redacted.health = { ...view.health, url: null, redirects: [], finalUrl: null };
+    }
+    return redacted;
+  }
+
+  /**
+   * List short URLs page by page
+   * @param {Object} options - Listing options (validated by the controller)
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Page size
+   * @param {string} [options.status] - active | scheduled | exhausted | inactive | expired
+   * @param {Date} [options.createdAfter] - Earliest creation date
+   * @param {Date} [options.createdBefore] - Latest creation date
+   * @param {string} [options.domain] - Lowercase destination domain, subdomains included
+   * @param {string} [options.shortDomain] - Registered short domain the links live on
+   * @param {string} [options.health] - ok | broken: outcome of the latest destination check
+   * @param {string} [options.tag] - Normalized tag
+   * @param {string} [options.campaign] - Campaign name
+   * @param {string} [options.q] - Search text matched against URL, shortcode, tags, campaign and note
+   * @param {string} [options.sort] - createdAt | expiresAt | clickCount | shortcode
+   * @param {string} [options.order] - asc | desc
+   * @param {boolean} [authorized] - Caller presented the admin key; otherwise destinations
+   *   of protected links are hidden (see redactDestinations)
+   * @returns {Promise<Object>} - { items, page, limit, total, totalPages }
+   */
+  async listUrls(options, authorized = false) {
+    const { page, limit, ...filters } = options;
+    const { entries, total } = await getStorage().list({
+      ...filters,
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    return {
+      items: entries.map(entry => this.redactDestinations(this.toUrlSummary(entry), !!entry.passwordHash, authorized)),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Roll up links and their clicks per tag or per campaign
+   * @param {string} by - tag | campaign
+   * @returns {Promise<Object>} - { by, items: [{ key, links, clicks }] }, most clicked first
+   */
+  async rollupClicks(by) {
+    const items = await getStorage().rollupClicks(by);
+    return { by, items };
+  }
+
+  /**
+   * Update the destination, schedule, labels or active flag of a short URL
+   * @param {string} shortcode - Link key to update (see linkKey)
+   * @param {Object} data - Fields to change
+   * @param {string} [data.url] - New destination URL
+   * @param {number} [data.validity] - New validity in minutes from activation
+   * @param {string|null} [data.activeFrom] - New ISO activation date; null activates immediately
+   * @param {string} [data.expiresAt] - New ISO expiry date
+   * @param {boolean} [data.neverExpires] - Never expire (authorized callers only)
+   * @param {Array<string>} [data.tags] - Replacement tags
+   * @param {string|null} [data.campaign] - New campaign; null clears it
+   * @param {string|null} [data.note] - New note; null clears it
+   * @param {Object|null} [data.utmDefaults] - New redirect-time UTM fields; null clears them
+   * @param {Object|null} [data.passthrough] - New forwarding setting; null stops forwarding
+   * @param {Array<Object>|null} [data.redirectRules] - Replacement redirect rules; null removes them
+   * @param {Array<Object>|null} [data.variants] - Replacement split destinations (new weights, retired
+   *   variants); null stops splitting
+   * @param {number|null} [data.redirectStatus] - New redirect status; null goes back to 302
+   * @param {boolean|null} [data.preview] - Turn forced preview on or off (null = off)
+   * @param {string|null} [data.fallbackUrl] - New fallback destination; null goes back to the deployment default
+   * @param {boolean} [data.isActive] - Enable or disable the link
+   * @param {Object} [context] - Who is making the change ({ changedBy, requestId, authorized })
+   * @returns {Promise<Object|null>} - Updated URL summary or null if not found
+   * @throws {ServiceError} - On an invalid schedule (see resolveSchedule)
+   */
+  async updateShortUrl(shortcode, data, context = {}) {
+    const changes = {};
+
+    if (data.url !== undefined) {
+      changes.originalUrl = this.validateAndNormalizeUrl(data.url);
+    }
+    if (['validity', 'activeFrom', 'expiresAt', 'neverExpires'].some(field => data[field] !== undefined)) {
+      const existing = await getStorage().findByShortcode(shortcode);
+      if (!existing) {
+        return null;
+      }
+
+      Object.assign(changes, this.resolveSchedule(data, context.authorized, existing.activeFrom));
+      // Moving activation alone must not leave the link expiring before it starts
+      if (changes.activeFrom && changes.expiresAt === undefined && existing.expiresAt && existing.expiresAt <= changes.activeFrom) {
+        throw new ServiceError('invalid', 'activeFrom must be before the current expiresAt');
+      }
+    }
+    Object.assign(changes, this.normalizeLabels(data));
+    if (data.utmDefaults !== undefined) {
+      changes.utmDefaults = data.utmDefaults ? normalizeUtm(data.utmDefaults) : null;
+    }
+    if (data.passthrough !== undefined) {
+      changes.passthrough = data.passthrough ? normalizePassthrough(data.passthrough) : null;
+    }
+    if (data.redirectRules !== undefined) {
+      changes.redirectRules = data.redirectRules ? normalizeRedirectRules(data.redirectRules) : null;
+    }
+    if (data.variants !== undefined) {
+      changes.variants = data.variants ? normalizeVariants(data.variants) : null;
+    }
+    if (data.redirectStatus !== undefined) {
+      changes.redirectStatus = data.redirectStatus || DEFAULT_REDIRECT_STATUS;
+    }
+    if (data.preview !== undefined) {
+      changes.preview = data.preview === true;
+    }
+    if (data.fallbackUrl !== undefined) {
+      changes.fallbackUrl = data.fallbackUrl ? this.validateAndNormalizeUrl(data.fallbackUrl) : null;
+    }
+    if (data.isActive !== undefined) {
+      changes.isActive = data.isActive;
+    }
+
+    const updated = await getStorage().update(shortcode, changes);
+    if (!updated) {
+      return null;
+    }
+    const urlDoc = await this.dropStaleHealth(updated);
+
+    await this.recordRevision(urlDoc, 'update', context);
+
+    getLogger().Log('backend', 'info', 'url-service', 'Short URL updated successfully', {
+      shortcode,
+      changedFields: Object.keys(changes),
+      expiresAt: urlDoc.expiresAt ? urlDoc.expiresAt.toISOString() : null,
+      activeFrom: urlDoc.activeFrom ? urlDoc.activeFrom.toISOString() : null,
+      isActive: urlDoc.isActive
+    });
+
+    return this.toUrlSummary(urlDoc);
+  }
+
+  /**
+   * Forget a health check made against a destination the link no longer has
+   * @param {Object} urlDoc - URL entry after a change
+   * @returns {Promise<Object>} - URL entry whose health, if any, is about its current destination
+   */
+  async dropStaleHealth(urlDoc) {
+    if (!urlDoc.health || urlDoc.health.url === urlDoc.originalUrl) {
+      return urlDoc;
+    }
+    await getStorage().setHealth(urlDoc.id, null);
+    return { ...urlDoc, health: null };
+  }
+
+  /**
+   * Link fields captured by each revision
+   * @param {Object} urlDoc - URL entry
+   * @returns {Object} - JSON-serializable link state
+   */
+  toRevisionState(urlDoc) {
+    return {
+      originalUrl: urlDoc.originalUrl,
+      expiresAt: urlDoc.expiresAt ? urlDoc.expiresAt.toISOString() : null,
+      activeFrom: urlDoc.activeFrom ? urlDoc.activeFrom.toISOString() : null,
+      tags: urlDoc.tags || [],
+      campaign: urlDoc.campaign || null,
+      note: urlDoc.note || null,
+      utmDefaults: urlDoc.utmDefaults || null,
+      passthrough: urlDoc.passthrough || null,
+      redirectRules: urlDoc.redirectRules || null,
+      variants: urlDoc.variants || null,
+      redirectStatus: urlDoc.redirectStatus || DEFAULT_REDIRECT_STATUS,
+      preview: urlDoc.preview === true,
+      fallbackUrl: urlDoc.fallbackUrl || null,
+      isActive: urlDoc.isActive
+    };
+  }
+
+  /**
+   * Append the current state of a link to its history
+   * @param {Object} urlDoc - URL entry after the change
+   * @param {string} action - create | update | rollback
+   * @param {Object} [context] - { changedBy, requestId }
+   * @param {number} [sourceRevision] - Revision restored by a rollback
+   * @returns {Promise<Object|null>} - Stored revision
+   */
+  async recordRevision(urlDoc, action, context = {}, sourceRevision = null) {
+    return getStorage().addRevision(urlDoc.id, {
+      action,
+      state: this.toRevisionState(urlDoc),
+      changedAt: new Date(),
+      changedBy: context.changedBy || null,
+      requestId: context.requestId || null,
+      sourceRevision
+    });
+  }
+
+  /**
+   * Public representation of a revision
+   * @param {Object} revision - Stored revision
+   * @returns {Object} - Revision with its link state inlined
+   */
+  toRevisionResponse(revision) {
+    return {
+      revision: revision.revision,
+      action: revision.action,
+      ...revision.state,
+      changedAt: revision.changedAt.toISOString(),
+      changedBy: revision.changedBy,
+      requestId: revision.requestId,
+      sourceRevision: revision.sourceRevision
+    };
+  }
+
+  /**
+   * Get the revision history of a short URL
+   * @param {string} shortcode - Link key to look up
+   * @param {boolean} [authorized] - Caller presented the admin key; otherwise the destinations
+   *   of a protected link are hidden in every revision (see redactDestinations)
+   * @returns {Promise<Object|null>} - { shortcode, domain, currentRevision, revisions } (oldest first) or null if not found
+   */
+  async getUrlHistory(shortcode, authorized = false) {
+    const urlDoc = await getStorage().findByShortcode(shortcode);
+    if (!urlDoc) {
+      return null;
+    }
+
+    const revisions = await getStorage().listRevisions(shortcode);
+    return {
+      shortcode: urlDoc.shortcode,
+      domain: urlDoc.domain || null,
+      currentRevision: revisions.length > 0 ? revisions[revisions.length - 1].revision : null,
+      revisions: revisions.map(revision =>
+        this.redactDestinations(this.toRevisionResponse(revision), !!urlDoc.passwordHash, authorized))
+    };
+  }
+
+  /**
+   * Restore a short URL to the state recorded in an earlier revision.
+   * The rollback itself is appended to the history as a new revision.
+   * @param {string} shortcode - Link key to roll back
+   * @param {number} revisionNumber - Revision to restore
+   * @param {Object} [context] - Who is making the change ({ changedBy, requestId })
+   * @returns {Promise<Object|null>} - Updated URL summary with the new revision number, or null if the link is not found
+   * @throws {ServiceError} - not_found ('Revision N not found') when the link has no such revision
+   */
+  async rollbackShortUrl(shortcode, revisionNumber, context = {}) {
+    const revisions = await getStorage().listRevisions(shortcode);
+    const target = revisions.find(revision => revision.revision === revisionNumber);
+
+    if (!target) {
+      if (!(await getStorage().findByShortcode(shortcode))) {
+        return null;
+      }
+      throw new ServiceError('not_found', `Revision ${revisionNumber} not found`);
+    }
+
+    const current = revisions[revisions.length - 1];
+    const restored = await getStorage().update(shortcode, {
+      originalUrl: target.state.originalUrl,
+      expiresAt: target.state.expiresAt ? new Date(target.state.expiresAt) : null,
+      // Revisions recorded before these fields existed lack them; they restore the defaults
+      activeFrom: target.state.activeFrom ? new Date(target.state.activeFrom) : null,
+      tags: target.state.tags || [],
+      campaign: target.state.campaign || null,
+      note: target.state.note || null,
+      utmDefaults: target.state.utmDefaults || null,
+      passthrough: target.state.passthrough || null,
+      redirectRules: target.state.redirectRules || null,
+      variants: target.state.variants || null,
+      redirectStatus: target.state.redirectStatus || DEFAULT_REDIRECT_STATUS,
+      preview: target.state.preview === true,
+      fallbackUrl: target.state.fallbackUrl || null,
+      isActive: target.state.isActive
+    });
+    if (!restored) {
+      return null;
+    }
+    const urlDoc = await this.dropStaleHealth(restored);
+
+    const stored = await this.recordRevision(urlDoc, 'rollback', context, revisionNumber);
+
+    getLogger().Log('backend', 'info', 'url-service', 'Short URL rolled back', {
+      shortcode,
+      fromRevision: current.revision,
+      restoredRevision: revisionNumber,
+      newRevision: stored ? stored.revision : null,
+      previousUrl: current.state.originalUrl,
+      restoredUrl: urlDoc.originalUrl,
+      expiresAt: urlDoc.expiresAt ? urlDoc.expiresAt.toISOString() : null,
+      isActive: urlDoc.isActive,
+      changedBy: context.changedBy,
+      requestId: context.requestId
+    });
+
+    return { ...this.toUrlSummary(urlDoc), revision: stored ? stored.revision : null };
+  }
+
+  /**
+   * Permanently delete a short URL with its analytics and history
+   * @param {string} shortcode - Link key to delete
+   * @returns {Promise<boolean>} - False if not found
+   */
+  async deleteShortUrl(shortcode) {
+    const deleted = await getStorage().delete(shortcode);
+
+    if (deleted) {
+      getLogger().Log('backend', 'info', 'url-service', 'Short URL deleted', { shortcode });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Pick the redirect rule of a link that applies to a visitor
+   * @param {Object} urlDoc - URL entry
+   * @param {Object} request - { userAgent, acceptLanguage, referer, now } (see describeVisitor)
+   * @returns {Object|null} - First matching rule, or null when the link's own destination applies
+   */
+  matchRedirectRule(urlDoc, request) {
+    if (!urlDoc.redirectRules) {
+      return null;
+    }
+    return matchRedirectRule(urlDoc.redirectRules, describeVisitor(request));
+  }
+
+  /**
+   * Pick the split variant of a link for a visitor; the same IP and User-Agent
+   * always get the same variant while its weights stay put
+   * @param {Object} urlDoc - URL entry
+   * @param {Object} visitor - { ip, userAgent }
+   * @returns {Object|null} - Variant, or null when the link is not split
+   */
+  chooseVariant(urlDoc, visitor) {
+    if (!urlDoc.variants) {
+      return null;
+    }
+    return chooseVariant(urlDoc.variants, `${urlDoc.shortcode}|${visitorKey(visitor)}`);
+  }
+
+  /**
+   * Destination a visitor is sent to: the URL of the matching redirect rule, else of
+   * the chosen variant, else the original URL; with the forwarded path and query (when
+   * the link has passthrough), then any UTM defaults it still lacks
+   * @param {Object} urlDoc - URL entry
+   * @param {Object} [forwarded] - { path, search } of the request after the shortcode
+   * @param {Object} [choice] - { rule, variant } from matchRedirectRule and chooseVariant
+   * @returns {string} - Redirect target
+   */
+  redirectTarget(urlDoc, forwarded, { rule, variant } = {}) {
+    const destination = rule ? rule.url : (variant ? variant.url : urlDoc.originalUrl);
+    const target = urlDoc.passthrough && forwarded
+      ? forwardRequest(destination, urlDoc.passthrough, forwarded)
+      : destination;
+    return urlDoc.utmDefaults ? applyUtm(target, urlDoc.utmDefaults) : target;
+  }
+
+  /**
+   * Cache headers for a redirect. Caches may keep it until the link expires, but for no
+   * more than REDIRECT_CACHE_MAX_AGE seconds (default 300), which bounds how long a changed
+   * destination takes to reach visitors who cached the old one, whatever the status code.
+   * Redirects that must reach the server every time (click-limited, protected and
+   * rule-based links) are not cached; split links are cached by the visitor's browser only.
+   * @param {Object} urlDoc - URL entry
+   * @param {Date} [now] - Time of the redirect
+   * @returns {Object} - Cache-Control and Expires header values
+   */
+  redirectCacheHeaders(urlDoc, now = new Date()) {
+    const configured = parseInt(process.env.REDIRECT_CACHE_MAX_AGE, 10);
+    const cap = Number.isNaN(configured) ? DEFAULT_REDIRECT_CACHE_MAX_AGE : Math.max(configured, 0);
+    const remaining = urlDoc.expiresAt ? Math.floor((urlDoc.expiresAt.getTime() - now.getTime()) / 1000) : Infinity;
+    const maxAge = Math.min(cap, remaining);
+
+    if (urlDoc.maxClicks || urlDoc.passwordHash || urlDoc.redirectRules || maxAge <= 0) {
+      return { 'Cache-Control': 'no-store', Expires: new Date(0).toUTCString() };
+    }
+    return {
+      'Cache-Control': `${urlDoc.variants ? 'private' : 'public'}, max-age=${maxAge}`,
+      Expires: new Date(now.getTime() + maxAge * 1000).toUTCString()
+    };
+  }
+
+  /**
+   * Where to send visitors of a link that can no longer be followed: the link's own
+   * fallbackUrl, else the deployment default (FALLBACK_URL, with CLICK_LIMIT_FALLBACK_URL
+   * still taking precedence for exhausted links)
+   * @param {Object} urlDoc - URL entry
+   * @param {string} reason - expired | exhausted
+   * @returns {string|null} - Fallback URL, or null to answer with an error
+   */
+  fallbackUrlFor(urlDoc, reason) {
+    return urlDoc.fallbackUrl ||
+      (reason === 'exhausted' && process.env.CLICK_LIMIT_FALLBACK_URL) ||
+      process.env.FALLBACK_URL ||
+      null;
+  }
+
+  /**
+   * Check the unlock password of a protected link
+   * @param {Object} urlDoc - URL entry with passwordHash
+   * @param {string} password - Password entered by the visitor
+   * @returns {Promise<boolean>} - True if the password matches
+   */
+  async verifyUnlockPassword(urlDoc, password) {
+    return verifyPassword(password, urlDoc.passwordHash);
+  }
+
   /**
    * Get URL by shortcode
-   * @param {string} shortcode - Shortcode to lookup
-   * @returns {Promise<Object|null>} - URL object or null if not found
+   * @param {string} shortcode - Link key to lookup (see linkKey)
+   * @returns {Promise<Object|null>} - URL object (possibly an expired tombstone) or null if not found
    */
   async getUrlByShortcode(shortcode) {
     const logger = getLogger();
-    const urlDoc = inMemoryStore.findByShortcode(shortcode);
+    const urlDoc = await getStorage().findByShortcode(shortcode);
     
     if (!urlDoc) {
       return null;
     }
 
-    // Check if expired (already handled by store)
+    // Expired links are returned as tombstones; callers decide how to answer
     return urlDoc;
   }
 
@@ -185,34 +1092,96 @@ class UrlService {
 
   /**
    * Get analytics for a short URL
-   * @param {string} shortcode - Shortcode to get analytics for
-   * @returns {Promise<Object|null>} - Analytics data or null if not found
+   * @param {string} shortcode - Link key to get analytics for
+   * @param {boolean} [authorized] - Caller presented the admin key
+   * @param {Object} [clickPage] - Which click records to include, oldest first
+   * @param {number} [clickPage.page=1] - Page number
+   * @param {number} [clickPage.limit=CLICK_PAGE_SIZE] - Clicks per page
+   * @returns {Promise<Object|null>} - Analytics data with the requested clicks, a clickPage object
+   *   ({ page, limit, total, totalPages }), a utmCampaigns breakdown ([{ campaign, clicks }]),
+   *   a rules breakdown ([{ rule, clicks }]) and a sources breakdown ([{ source, clicks }]); most clicks first,
+   *   clicks without a campaign, sent to the default destination or without a source marker under null.
+   *   variants lists each split variant with its clicks and uniqueVisitors, health is the latest destination
+   *   check (see healthMonitor) or null. Destinations of protected links are hidden unless
+   *   authorized (see redactDestinations). Null if not found
    */
-  async getUrlAnalytics(shortcode) {
-    const analytics = inMemoryStore.getAnalytics(shortcode);
+  async getUrlAnalytics(shortcode, authorized = false, { page = 1, limit = CLICK_PAGE_SIZE } = {}) {
+    const storage = getStorage();
+    const analytics = await storage.getAnalytics(shortcode, { offset: (page - 1) * limit, limit });
     
     if (!analytics) {
       return null;
     }
 
-    return analytics;
+    const [utmCampaigns, rules, sources, variants] = await Promise.all(
+      ['utmCampaign', 'rule', 'source', 'variant'].map(field => storage.countClicks(shortcode, field))
+    );
+
+    return this.redactDestinations({
+      ...analytics,
+      clickPage: {
+        page,
+        limit,
+        total: analytics.totalClicks,
+        totalPages: Math.ceil(analytics.totalClicks / limit)
+      },
+      utmCampaigns: this.sortClickCounts(utmCampaigns, 'campaign'),
+      rules: this.sortClickCounts(rules, 'rule'),
+      sources: this.sortClickCounts(sources, 'source'),
+      variants: this.variantBreakdown(analytics.variants || [], variants)
+    }, analytics.passwordProtected, authorized);
+  }
+
+  /**
+   * Clicks and unique visitors (by IP and User-Agent) per split variant
+   * @param {Array<Object>} variants - Variants of the link
+   * @param {Array<Object>} counts - Clicks grouped by variant, from the storage countClicks()
+   * @returns {Array<Object>} - [{ name, url, weight, retired, clicks, uniqueVisitors }] in link order;
+   *   variants since removed from the link follow with url and weight null
+   */
+  variantBreakdown(variants, counts) {
+    const rows = new Map(variants.map(variant => [variant.name, { ...variant, clicks: 0, uniqueVisitors: 0 }]));
+    counts
+      .filter(({ value }) => value !== null)
+      .sort((a, b) => String(a.value).localeCompare(String(b.value)))
+      .forEach(({ value, clicks, uniqueVisitors }) => {
+        const row = rows.get(value) || { name: value, url: null, weight: null, retired: true };
+        rows.set(value, { ...row, clicks, uniqueVisitors });
+      });
+    return [...rows.values()];
+  }
+
+  /**
+   * Order grouped click counts for an analytics breakdown
+   * @param {Array<Object>} counts - { value, clicks } rows, from the storage countClicks()
+   * @param {string} key - Name of the value in each result
+   * @returns {Array<Object>} - [{ [key], clicks }], most clicks first, then null last, then by value
+   */
+  sortClickCounts(counts, key) {
+    return [...counts]
+      .sort((a, b) => b.clicks - a.clicks ||
+        (a.value === null) - (b.value === null) ||
+        String(a.value).localeCompare(String(b.value)))
+      .map(({ value, clicks }) => ({ [key]: value, clicks }));
   }
 
   /**
    * Record a click for a short URL
-   * @param {string} shortcode - Shortcode to record click for
-   * @param {Object} clickData - Click data (ip, userAgent, referer)
+   * @param {string} shortcode - Link key to record click for
+   * @param {Object} clickData - Click data (ip, userAgent, referer, utmCampaign, rule, variant, and the
+   *   source marked on the short link such as 'qr')
    * @returns {Promise<boolean>} - Success status
    */
   async recordClick(shortcode, clickData) {
     const logger = getLogger();
-    const success = inMemoryStore.addClick(shortcode, clickData);
+    const success = await getStorage().addClick(shortcode, clickData);
     
     if (success) {
       logger.Log('backend', 'debug', 'url-service', 'Click recorded successfully', {
         shortcode,
         ip: clickData.ip,
-        userAgent: clickData.userAgent
+        userAgent: clickData.userAgent,
+        source: clickData.source || null
       });
     }
     
@@ -220,11 +1189,26 @@ class UrlService {
   }
 
   /**
-   * Clean up expired URLs
+   * Count a view of the preview page of a short URL
+   * @param {string} shortcode - Link key that was previewed
+   * @returns {Promise<boolean>} - False if the link cannot be followed right now
+   */
+  async recordPreview(shortcode) {
+    const counted = await getStorage().addPreview(shortcode);
+
+    if (counted) {
+      getLogger().Log('backend', 'debug', 'url-service', 'Preview recorded successfully', { shortcode });
+    }
+
+    return counted;
+  }
+
+  /**
+   * Purge expired URLs whose tombstone retention has passed
    * @returns {Promise<number>} - Number of deleted URLs
    */
   async cleanupExpiredUrls() {
-    return inMemoryStore.cleanupExpired();
+    return getStorage().cleanupExpired();
   }
 }
 
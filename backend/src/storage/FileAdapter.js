@@ -0,0 +1,410 @@
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const InMemoryStore = require('../models/InMemoryStore');
+const FileJournal = require('./FileJournal');
+const { linkKey } = require('./listQuery');
+const { ServiceError } = require('../utils/errors');
+
+// Get logger instance
+const getLogger = () => global.appLogger;
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+const reviveClick = (click) => ({
+  utmCampaign: null,
+  rule: null,
+  variant: null,
+  source: null,
+  ...click,
+  timestamp: new Date(click.timestamp)
+});
+
+/**
+ * Rebuild Date fields on a URL entry read back from JSON
+ * @param {Object} entry - Parsed URL entry
+ * @returns {Object} - URL entry with Date instances
+ */
+const reviveEntry = (entry) => ({
+  shortcode: entry.shortcode,
+  domain: entry.domain || null,
+  originalUrl: entry.originalUrl,
+  expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null,
+  createdAt: new Date(entry.createdAt),
+  activeFrom: entry.activeFrom ? new Date(entry.activeFrom) : null,
+  maxClicks: entry.maxClicks || null,
+  passwordHash: entry.passwordHash || null,
+  tags: entry.tags || [],
+  campaign: entry.campaign || null,
+  note: entry.note || null,
+  utmDefaults: entry.utmDefaults || null,
+  passthrough: entry.passthrough || null,
+  redirectRules: entry.redirectRules || null,
+  variants: entry.variants || null,
+  redirectStatus: entry.redirectStatus || 302,
+  preview: entry.preview === true,
+  previewCount: entry.previewCount || 0,
+  fallbackUrl: entry.fallbackUrl || null,
+  health: entry.health || null,
+  isActive: entry.isActive !== false,
+  clicks: (entry.clicks || []).map(reviveClick)
+});
+
+/**
+ * Rebuild Date fields on a short domain read back from JSON
+ * @param {Object} domain - Parsed domain
+ * @returns {Object} - Domain with Date instances
+ */
+const reviveDomain = (domain) => ({ ...domain, createdAt: new Date(domain.createdAt) });
+
+/**
+ * Rebuild Date fields on a revision read back from JSON
+ * @param {Object} revision - Parsed revision
+ * @returns {Object} - Revision with Date instances
+ */
+const reviveRevision = (revision) => ({ ...revision, changedAt: new Date(revision.changedAt) });
+
+/**
+ * Rebuild Date fields on journaled update changes
+ * @param {Object} changes - Parsed changes
+ * @returns {Object} - Changes with Date instances
+ */
+const reviveChanges = (changes) => {
+  const revived = { ...changes };
+  ['expiresAt', 'activeFrom'].forEach(field => {
+    if (revived[field]) revived[field] = new Date(revived[field]);
+  });
+  return revived;
+};
+
+/**
+ * Durable storage adapter: serves reads from the Map-based InMemoryStore
+ * and writes every create/update/click/delete to an append-only journal before
+ * applying it. The journal is compacted into a snapshot periodically and
+ * whenever it grows past `snapshotThreshold` records.
+ */
+class FileAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Directory for journal and snapshot files
+   * @param {number} [options.snapshotInterval] - Milliseconds between snapshots (0 disables the timer)
+   * @param {number} [options.snapshotThreshold] - Journal records that trigger a snapshot
+   * @param {boolean} [options.fsync] - fsync after every journal append
+   */
+  constructor(options = {}) {
+    super('file', options);
+    this.dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+    this.snapshotInterval = options.snapshotInterval !== undefined
+      ? options.snapshotInterval
+      : parseInt(process.env.SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000;
+    this.snapshotThreshold = options.snapshotThreshold
+      || parseInt(process.env.SNAPSHOT_JOURNAL_LIMIT) || 1000;
+    this.store = new InMemoryStore({ tombstoneRetentionMs: this.tombstoneRetentionMs });
+    this.journal = new FileJournal(this.dataDir, {
+      fsync: options.fsync !== undefined ? options.fsync : process.env.JOURNAL_FSYNC !== 'false'
+    });
+    this.snapshotTimer = null;
+  }
+
+  async connect() {
+    const { snapshot, records } = this.journal.open();
+
+    if (snapshot) {
+      snapshot.urls.forEach(entry => this.restoreEntry(reviveEntry(entry)));
+      Object.entries(snapshot.sequences || {}).forEach(([name, value]) => this.store.sequences.set(name, value));
+      Object.entries(snapshot.revisions || {}).forEach(([shortcode, revisions]) =>
+        revisions.forEach(revision => this.store.addRevision(shortcode, reviveRevision(revision))));
+      (snapshot.domains || []).forEach(domain => this.store.saveDomain(reviveDomain(domain)));
+      (snapshot.registryChanges || []).forEach(change => this.store.saveRegistryChange(change));
+    }
+    records.forEach(record => this.apply(record));
+
+    if (this.snapshotInterval > 0) {
+      this.snapshotTimer = setInterval(() => this.compact(), this.snapshotInterval);
+      this.snapshotTimer.unref();
+    }
+  }
+
+  async close() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+    if (this.journal.fd !== null) {
+      this.snapshot();
+      this.journal.close();
+    }
+  }
+
+  /**
+   * Compact the journal into a fresh snapshot
+   */
+  snapshot() {
+    this.journal.writeSnapshot({
+      urls: this.store.getAll(),
+      sequences: Object.fromEntries(this.store.sequences),
+      revisions: Object.fromEntries(this.store.revisions),
+      domains: this.store.listDomains(),
+      registryChanges: this.store.listRegistryChanges()
+    });
+  }
+
+  /**
+   * Snapshot in the background of a write or on the timer. A failure is logged rather than
+   * thrown: every record is still in the journal, so reads and restarts are unaffected
+   */
+  compact() {
+    try {
+      this.snapshot();
+    } catch (error) {
+      getLogger().logError('backend', 'file-adapter', error, 'Snapshot failed', {
+        dataDir: this.dataDir,
+        journalLength: this.journal.length
+      });
+    }
+  }
+
+  /**
+   * Load a snapshot entry, including its clicks, into the store
+   * @param {Object} entry - Revived URL entry
+   */
+  restoreEntry(entry) {
+    const { id } = this.store.create(entry);
+    entry.clicks.forEach(click => this.store.appendClick(id, click));
+  }
+
+  /**
+   * Apply a journal record to the in-memory state
+   * @param {Object} record - Journal record
+   */
+  apply(record) {
+    switch (record.op) {
+      case 'create':
+        this.store.create(reviveEntry({ ...record.entry, clicks: [] }));
+        break;
+      case 'update':
+        this.store.applyUpdate(record.shortcode, reviveChanges(record.changes));
+        break;
+      case 'click':
+        this.store.appendClick(record.shortcode, reviveClick(record.click));
+        break;
+      case 'preview':
+        this.store.appendPreview(record.shortcode);
+        break;
+      case 'health':
+        this.store.applyHealth(record.shortcode, record.health);
+        break;
+      case 'delete':
+        this.store.remove(record.shortcode);
+        break;
+      case 'revision':
+        this.store.addRevision(record.shortcode, reviveRevision(record.revision));
+        break;
+      case 'sequence':
+        this.store.sequences.set(record.name, record.value);
+        break;
+      case 'domain':
+        this.store.saveDomain(reviveDomain(record.domain));
+        break;
+      case 'deleteDomain':
+        this.store.deleteDomain(record.host);
+        break;
+      case 'registry':
+        this.store.saveRegistryChange(record.change);
+        break;
+      default:
+        throw new Error(`Unknown journal operation '${record.op}'`);
+    }
+  }
+
+  /**
+   * Journal a record, apply it, and snapshot when the journal is large enough
+   * @param {Object} record - Journal record
+   */
+  commit(record) {
+    this.journal.append(record);
+    this.apply(record);
+
+    if (this.journal.length >= this.snapshotThreshold) {
+      this.compact();
+    }
+  }
+
+  async create(data) {
+    const key = linkKey(data.domain || null, data.shortcode);
+    if (this.store.findByShortcode(key)) {
+      throw new ServiceError('conflict', 'Shortcode already exists');
+    }
+
+    const entry = {
+      shortcode: data.shortcode,
+      domain: data.domain || null,
+      originalUrl: data.originalUrl,
+      // null never expires; omitted defaults to 30 minutes
+      expiresAt: data.expiresAt !== undefined ? data.expiresAt : new Date(Date.now() + 30 * 60 * 1000),
+      createdAt: new Date(),
+      activeFrom: data.activeFrom || null,
+      maxClicks: data.maxClicks || null,
+      passwordHash: data.passwordHash || null,
+      tags: data.tags || [],
+      campaign: data.campaign || null,
+      note: data.note || null,
+      utmDefaults: data.utmDefaults || null,
+      passthrough: data.passthrough || null,
+      redirectRules: data.redirectRules || null,
+      variants: data.variants || null,
+      redirectStatus: data.redirectStatus || 302,
+      preview: data.preview === true,
+      fallbackUrl: data.fallbackUrl || null,
+      isActive: data.isActive !== false
+    };
+
+    this.commit({ op: 'create', entry });
+    return this.store.urls.get(key);
+  }
+
+  async findByShortcode(shortcode) {
+    return this.store.findByShortcode(shortcode);
+  }
+
+  async findActiveByOriginalUrl(originalUrl, domain = null) {
+    return this.store.findActiveByOriginalUrl(originalUrl, domain);
+  }
+
+  async update(shortcode, changes) {
+    if (!this.store.findByShortcode(shortcode)) return null;
+
+    this.commit({ op: 'update', shortcode, changes });
+    return this.store.urls.get(shortcode);
+  }
+
+  async delete(shortcode) {
+    if (!this.store.findByShortcode(shortcode)) return false;
+
+    this.commit({ op: 'delete', shortcode });
+    return true;
+  }
+
+  async list(query) {
+    return this.store.list(query);
+  }
+
+  async *iterate(query = {}) {
+    yield* this.store.query({ ...query, sort: 'createdAt', order: 'asc' });
+  }
+
+  async addRevision(shortcode, revision) {
+    if (!this.store.findByShortcode(shortcode)) return null;
+
+    // Number the revision before journaling so replay reproduces it exactly
+    const numbered = { ...revision, revision: (this.store.revisions.get(shortcode) || []).length + 1 };
+    this.commit({ op: 'revision', shortcode, revision: numbered });
+    return numbered;
+  }
+
+  async listRevisions(shortcode) {
+    return this.store.listRevisions(shortcode);
+  }
+
+  async addClick(shortcode, clickData = {}) {
+    const url = this.store.findByShortcode(shortcode);
+    if (!url || !this.store.isLive(url)) return false;
+
+    this.commit({
+      op: 'click',
+      shortcode,
+      click: {
+        timestamp: new Date(),
+        userAgent: clickData.userAgent || '',
+        ip: clickData.ip || '',
+        referer: clickData.referer || '',
+        utmCampaign: clickData.utmCampaign || null,
+        rule: clickData.rule || null,
+        variant: clickData.variant || null,
+        source: clickData.source || null
+      }
+    });
+    return true;
+  }
+
+  async addPreview(shortcode) {
+    const url = this.store.findByShortcode(shortcode);
+    if (!url || !this.store.isLive(url)) return false;
+
+    this.commit({ op: 'preview', shortcode });
+    return true;
+  }
+
+  async setHealth(shortcode, health) {
+    if (!this.store.findByShortcode(shortcode)) return false;
+
+    this.commit({ op: 'health', shortcode, health });
+    return true;
+  }
+
+  async listDueHealthChecks(now, limit) {
+    return this.store.listDueHealthChecks(now, limit);
+  }
+
+  async getAnalytics(shortcode, page) {
+    return this.store.getAnalytics(shortcode, page);
+  }
+
+  async countClicks(shortcode, field) {
+    return this.store.countClicks(shortcode, field);
+  }
+
+  async rollupClicks(by) {
+    return this.store.rollupClicks(by);
+  }
+
+  async cleanupExpired() {
+    const now = new Date();
+    const expired = this.store.getAll()
+      .filter(url => this.store.isPurgeable(url, now))
+      .map(url => url.id);
+
+    expired.forEach(shortcode => this.commit({ op: 'delete', shortcode }));
+    return expired.length;
+  }
+
+  async nextSequence(name) {
+    const value = (this.store.sequences.get(name) || 0) + 1;
+    this.commit({ op: 'sequence', name, value });
+    return value;
+  }
+
+  async saveDomain(domain) {
+    const stored = { host: domain.host, defaults: domain.defaults, createdAt: domain.createdAt };
+    this.commit({ op: 'domain', domain: stored });
+    return this.store.findDomain(domain.host);
+  }
+
+  async findDomain(host) {
+    return this.store.findDomain(host);
+  }
+
+  async listDomains() {
+    return this.store.listDomains();
+  }
+
+  async deleteDomain(host) {
+    if (!this.store.findDomain(host)) return false;
+
+    this.commit({ op: 'deleteDomain', host });
+    return true;
+  }
+
+  async saveRegistryChange(change) {
+    this.commit({ op: 'registry', change });
+  }
+
+  async listRegistryChanges() {
+    return this.store.listRegistryChanges();
+  }
+
+  async getStats() {
+    return this.store.getStats();
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_FILE = 'journal.log';
+const SNAPSHOT_FILE = 'snapshot.json';
+
+/**
+ * Checksum used to detect torn or damaged journal lines
+ * @param {string} payload - Serialized record
+ * @returns {string} - Short hex digest
+ */
+const checksum = (payload) => crypto.createHash('sha1').update(payload).digest('hex').slice(0, 8);
+
+/**
+ * Append-only journal with atomic snapshots.
+ *
+ * Every record is written as one `<checksum> <json>` line and tagged with a
+ * monotonically increasing sequence number. A snapshot stores the full state
+ * together with the last sequence it covers, so records already folded into
+ * a snapshot are skipped on replay even if the journal was not truncated.
+ */
+class FileJournal {
+  /**
+   * @param {string} dir - Directory holding the journal and snapshot files
+   * @param {Object} [options]
+   * @param {boolean} [options.fsync=true] - fsync after every append
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.journalPath = path.join(dir, JOURNAL_FILE);
+    this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    this.fsync = options.fsync !== false;
+    this.fd = null;
+    this.seq = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Load the latest snapshot and every journal record written after it.
+   * A torn final line (crash mid-append) is discarded and truncated away;
+   * damage anywhere else is reported as an error.
+   * @returns {{ snapshot: Object|null, records: Object[] }}
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // A leftover temp file means a snapshot was never completed
+    fs.rmSync(`${this.snapshotPath}.tmp`, { force: true });
+
+    const snapshot = fs.existsSync(this.snapshotPath)
+      ? JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'))
+      : null;
+    const snapshotSeq = snapshot ? snapshot.seq : 0;
+
+    const records = [];
+    let validBytes = 0;
+
+    if (fs.existsSync(this.journalPath)) {
+      const content = fs.readFileSync(this.journalPath, 'utf8');
+      const lines = content.split('\n');
+
+      // Anything after the final newline is a record whose append never finished
+      lines.pop();
+
+      for (let i = 0; i < lines.length; i++) {
+        const record = this.parseLine(lines[i]);
+
+        if (!record) {
+          if (i === lines.length - 1) break; // Torn final record
+          throw new Error(`Journal ${this.journalPath} is corrupted at line ${i + 1}`);
+        }
+
+        validBytes += Buffer.byteLength(lines[i], 'utf8') + 1;
+        this.seq = Math.max(this.seq, record.seq);
+
+        if (record.seq > snapshotSeq) {
+          records.push(record);
+        }
+      }
+
+      fs.truncateSync(this.journalPath, validBytes);
+    }
+
+    this.seq = Math.max(this.seq, snapshotSeq);
+    this.length = records.length;
+    this.fd = fs.openSync(this.journalPath, 'a');
+
+    return { snapshot, records };
+  }
+
+  /**
+   * Parse and verify one journal line
+   * @param {string} line - Raw line without its newline
+   * @returns {Object|null} - Record or null if the line is invalid
+   */
+  parseLine(line) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) return null;
+
+    const payload = line.slice(separator + 1);
+    if (checksum(payload) !== line.slice(0, separator)) return null;
+
+    try {
+      return JSON.parse(payload);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Durably append a record
+   * @param {Object} record - Record to append (seq is assigned here)
+   * @returns {Object} - The stored record
+   */
+  append(record) {
+    const stored = { seq: this.seq + 1, ...record };
+    const payload = JSON.stringify(stored);
+
+    fs.writeSync(this.fd, `${checksum(payload)} ${payload}\n`);
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.seq = stored.seq;
+    this.length++;
+    return stored;
+  }
+
+  /**
+   * Atomically replace the snapshot and truncate the journal
+   * @param {Object} state - Serializable state to persist
+   */
+  writeSnapshot(state) {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const payload = JSON.stringify({ seq: this.seq, createdAt: new Date().toISOString(), ...state });
+
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(tmpFd, payload);
+      fs.fsyncSync(tmpFd);
+    } finally {
+      fs.closeSync(tmpFd);
+    }
+    fs.renameSync(tmpPath, this.snapshotPath);
+
+    // The snapshot now covers every record, so the journal can start over
+    fs.ftruncateSync(this.fd, 0);
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+    this.length = 0;
+  }
+
+  /**
+   * Close the journal file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = FileJournal;
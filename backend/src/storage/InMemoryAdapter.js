@@ -0,0 +1,117 @@
+const StorageAdapter = require('./StorageAdapter');
+const InMemoryStore = require('../models/InMemoryStore');
+
+/**
+ * Storage adapter backed by the Map-based InMemoryStore.
+ * Data lives only as long as the process does.
+ */
+class InMemoryAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('memory', options);
+    this.store = options.store || new InMemoryStore({ tombstoneRetentionMs: this.tombstoneRetentionMs });
+  }
+
+  async create(data) {
+    return this.store.create(data);
+  }
+
+  async findByShortcode(shortcode) {
+    return this.store.findByShortcode(shortcode);
+  }
+
+  async findActiveByOriginalUrl(originalUrl, domain = null) {
+    return this.store.findActiveByOriginalUrl(originalUrl, domain);
+  }
+
+  async update(shortcode, changes) {
+    return this.store.update(shortcode, changes);
+  }
+
+  async delete(shortcode) {
+    if (!this.store.findByShortcode(shortcode)) return false;
+    return this.store.remove(shortcode);
+  }
+
+  async list(query) {
+    return this.store.list(query);
+  }
+
+  async *iterate(query = {}) {
+    yield* this.store.query({ ...query, sort: 'createdAt', order: 'asc' });
+  }
+
+  async addRevision(shortcode, revision) {
+    if (!this.store.findByShortcode(shortcode)) return null;
+    return this.store.addRevision(shortcode, revision);
+  }
+
+  async listRevisions(shortcode) {
+    return this.store.listRevisions(shortcode);
+  }
+
+  async addClick(shortcode, clickData = {}) {
+    return this.store.addClick(shortcode, clickData);
+  }
+
+  async addPreview(shortcode) {
+    return this.store.addPreview(shortcode);
+  }
+
+  async setHealth(shortcode, health) {
+    return this.store.setHealth(shortcode, health);
+  }
+
+  async listDueHealthChecks(now, limit) {
+    return this.store.listDueHealthChecks(now, limit);
+  }
+
+  async getAnalytics(shortcode, page) {
+    return this.store.getAnalytics(shortcode, page);
+  }
+
+  async countClicks(shortcode, field) {
+    return this.store.countClicks(shortcode, field);
+  }
+
+  async rollupClicks(by) {
+    return this.store.rollupClicks(by);
+  }
+
+  async cleanupExpired() {
+    return this.store.cleanupExpired();
+  }
+
+  async nextSequence(name) {
+    return this.store.nextSequence(name);
+  }
+
+  async saveDomain(domain) {
+    return this.store.saveDomain(domain);
+  }
+
+  async findDomain(host) {
+    return this.store.findDomain(host);
+  }
+
+  async listDomains() {
+    return this.store.listDomains();
+  }
+
+  async deleteDomain(host) {
+    return this.store.deleteDomain(host);
+  }
+
+  async saveRegistryChange(change) {
+    this.store.saveRegistryChange(change);
+  }
+
+  async listRegistryChanges() {
+    return this.store.listRegistryChanges();
+  }
+
+  async getStats() {
+    return this.store.getStats();
+  }
+}
+
+module.exports = InMemoryAdapter;
@@ -0,0 +1,562 @@
+const mongoose = require('mongoose');
+const StorageAdapter = require('./StorageAdapter');
+const Url = require('../models/Url');
+const Counter = require('../models/Counter');
+const Domain = require('../models/Domain');
+const RegistryChange = require('../models/RegistryChange');
+const connectDB = require('../config/database');
+const {
+  searchTokens,
+  entrySearchTokens,
+  linkKey,
+  parseLinkKey,
+  nextHealthCheckAt,
+  NEVER_EXPIRES_MS,
+  CLICK_PAGE_SIZE
+} = require('./listQuery');
+const { ServiceError } = require('../utils/errors');
+
+// expiresAt is required, so never-expiring links are stored with the NEVER_EXPIRES_MS sentinel
+const toExpiresAt = (date) => (date.getTime() >= NEVER_EXPIRES_MS ? null : date);
+const fromExpiresAt = (date) => (date === null ? new Date(NEVER_EXPIRES_MS) : date);
+
+// Links below their click limit (or without one)
+const hasClicksLeft = { $or: [{ $eq: [{ $ifNull: ['$maxClicks', null] }, null] }, { $lt: ['$clickCount', '$maxClicks'] }] };
+
+// Live links: active, started, below their click limit and not yet expired
+const liveFilter = (now) => ({
+  expiresAt: { $gte: now },
+  isActive: { $ne: false },
+  $or: [{ activeFrom: null }, { activeFrom: { $lte: now } }],
+  $expr: hasClicksLeft
+});
+
+/**
+ * Convert an embedded click into the plain click shape
+ * @param {Object} click - Embedded click
+ * @returns {Object} - Click record
+ */
+const toClick = (click) => ({
+  timestamp: click.timestamp,
+  userAgent: click.userAgent,
+  ip: click.ip,
+  referer: click.referer,
+  utmCampaign: click.utmCampaign || null,
+  rule: click.rule || null,
+  variant: click.variant || null,
+  source: click.source || null
+});
+
+// Projection for entries: their clicks are counted in clickCount and only loaded where needed
+const ENTRY_PROJECTION = { clicks: 0, revisions: 0 };
+
+/**
+ * Convert a Url document (or lean object) into the plain entry shape
+ * returned by every storage adapter
+ * @param {Object} doc - Mongoose document or lean object
+ * @returns {Object} - URL entry (without click records)
+ */
+const toUrlEntry = (doc) => ({
+  id: doc.shortcode,
+  ...parseLinkKey(doc.shortcode),
+  originalUrl: doc.originalUrl,
+  expiresAt: toExpiresAt(doc.expiresAt),
+  createdAt: doc.createdAt,
+  activeFrom: doc.activeFrom || null,
+  maxClicks: doc.maxClicks || null,
+  passwordHash: doc.passwordHash || null,
+  tags: doc.tags || [],
+  campaign: doc.campaign || null,
+  note: doc.note || null,
+  utmDefaults: doc.utmDefaults || null,
+  passthrough: doc.passthrough || null,
+  redirectRules: doc.redirectRules || null,
+  variants: doc.variants || null,
+  redirectStatus: doc.redirectStatus || 302,
+  preview: doc.preview === true,
+  previewCount: doc.previewCount || 0,
+  fallbackUrl: doc.fallbackUrl || null,
+  health: doc.health || null,
+  isActive: doc.isActive !== false,
+  clickCount: doc.clickCount || 0
+});
+
+// Entry fields that feed searchTokens
+const INDEXED_FIELDS = ['originalUrl', 'tags', 'campaign', 'note'];
+
+// Fields backing the sort fields accepted by list()
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  expiresAt: 'expiresAt',
+  clickCount: 'clickCount',
+  shortcode: 'shortcode'
+};
+
+// Escape text for literal use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Match normalized destination URLs whose host is `domain` or one of its subdomains
+ * @param {string} domain - Lowercase domain
+ * @returns {RegExp}
+ */
+const domainPattern = (domain) => {
+  const escaped = escapeRegExp(domain);
+  return new RegExp(`^https?://([^/@]*@)?([^/@:]*\\.)?${escaped}(:\\d+)?/`);
+};
+
+/**
+ * Convert a Domain document (or lean object) into the plain domain shape
+ * @param {Object} doc - Mongoose document or lean object
+ * @returns {Object} - Domain
+ */
+const toDomain = (doc) => ({
+  host: doc.host,
+  defaults: doc.defaults || {},
+  createdAt: doc.createdAt
+});
+
+/**
+ * Convert an embedded revision into the plain revision shape
+ * @param {Object} revision - Embedded revision
+ * @returns {Object} - Revision
+ */
+const toRevision = (revision) => ({
+  revision: revision.revision,
+  action: revision.action,
+  state: revision.state,
+  changedAt: revision.changedAt,
+  changedBy: revision.changedBy || null,
+  requestId: revision.requestId || null,
+  sourceRevision: revision.sourceRevision || null
+});
+
+/**
+ * Storage adapter backed by the Mongoose Url model.
+ * Expired documents are retained as tombstones until their purgeAt date,
+ * then removed by the TTL index or an explicit cleanupExpired() call.
+ */
+class MongooseAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('mongodb', options);
+    this.uri = options.uri || process.env.MONGODB_URI;
+  }
+
+  async connect() {
+    await connectDB(this.uri);
+    // Sync rather than init so the retired TTL index on expiresAt is dropped
+    await Url.syncIndexes();
+    await Domain.init();
+    await RegistryChange.init();
+
+    // Links stored before due times were tracked are checked on the next run
+    await Url.updateMany({ nextHealthCheckAt: { $exists: false } }, { $set: { nextHealthCheckAt: new Date(0) } });
+  }
+
+  async close() {
+    await mongoose.disconnect();
+  }
+
+  async create(data) {
+    const {
+      shortcode,
+      domain = null,
+      originalUrl,
+      activeFrom = null,
+      maxClicks = null,
+      passwordHash = null,
+      tags = [],
+      campaign = null,
+      note = null,
+      utmDefaults = null,
+      passthrough = null,
+      redirectRules = null,
+      variants = null,
+      redirectStatus = 302,
+      preview = false,
+      fallbackUrl = null,
+      isActive = true
+    } = data;
+    // null never expires; omitted defaults to 30 minutes
+    const expiresAt = data.expiresAt !== undefined ? data.expiresAt : new Date(Date.now() + 30 * 60 * 1000);
+    const key = linkKey(domain, shortcode);
+
+    try {
+      // A tombstone past its retention may be reclaimed before the TTL monitor gets to it
+      await Url.deleteOne({ shortcode: key, expiresAt: { $lt: this.purgeCutoff() } });
+
+      const doc = await Url.create({
+        shortcode: key,
+        domain,
+        originalUrl,
+        expiresAt: fromExpiresAt(expiresAt),
+        activeFrom,
+        maxClicks,
+        passwordHash,
+        tags,
+        campaign,
+        note,
+        searchTokens: entrySearchTokens({ shortcode, originalUrl, tags, campaign, note }),
+        utmDefaults,
+        passthrough,
+        redirectRules,
+        variants,
+        redirectStatus,
+        preview,
+        fallbackUrl,
+        isActive,
+        purgeAt: expiresAt ? new Date(expiresAt.getTime() + this.tombstoneRetentionMs) : null
+      });
+      return toUrlEntry(doc);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError('conflict', 'Shortcode already exists');
+      }
+      throw error;
+    }
+  }
+
+  async findByShortcode(shortcode) {
+    const doc = await Url.findOne({ shortcode, expiresAt: { $gte: this.purgeCutoff() } }, ENTRY_PROJECTION).lean();
+    return doc ? toUrlEntry(doc) : null;
+  }
+
+  async findActiveByOriginalUrl(originalUrl, domain = null) {
+    const doc = await Url.findOne({ originalUrl, domain, maxClicks: null, passwordHash: null, ...liveFilter(new Date()) },
+      ENTRY_PROJECTION)
+      .sort({ expiresAt: -1 })
+      .lean();
+    return doc ? toUrlEntry(doc) : null;
+  }
+
+  async update(shortcode, changes) {
+    const $set = {};
+    if (changes.originalUrl !== undefined) $set.originalUrl = changes.originalUrl;
+    if (changes.isActive !== undefined) $set.isActive = changes.isActive;
+    if (changes.activeFrom !== undefined) $set.activeFrom = changes.activeFrom;
+    if (changes.tags !== undefined) $set.tags = changes.tags;
+    if (changes.campaign !== undefined) $set.campaign = changes.campaign || null;
+    if (changes.note !== undefined) $set.note = changes.note || null;
+    if (changes.utmDefaults !== undefined) $set.utmDefaults = changes.utmDefaults;
+    if (changes.passthrough !== undefined) $set.passthrough = changes.passthrough;
+    if (changes.redirectRules !== undefined) $set.redirectRules = changes.redirectRules;
+    if (changes.variants !== undefined) $set.variants = changes.variants;
+    if (changes.redirectStatus !== undefined) $set.redirectStatus = changes.redirectStatus;
+    if (changes.preview !== undefined) $set.preview = changes.preview;
+    if (changes.fallbackUrl !== undefined) $set.fallbackUrl = changes.fallbackUrl || null;
+    if (changes.expiresAt !== undefined) {
+      $set.expiresAt = fromExpiresAt(changes.expiresAt);
+      $set.purgeAt = changes.expiresAt
+        ? new Date(changes.expiresAt.getTime() + this.tombstoneRetentionMs)
+        : null;
+    }
+
+    const doc = await Url.findOneAndUpdate(
+      { shortcode, expiresAt: { $gte: this.purgeCutoff() } },
+      { $set },
+      { new: true, runValidators: true, projection: ENTRY_PROJECTION }
+    ).lean();
+    if (!doc) return null;
+
+    const entry = toUrlEntry(doc);
+    if (INDEXED_FIELDS.some(field => changes[field] !== undefined)) {
+      await Url.updateOne({ _id: doc._id }, { $set: { searchTokens: entrySearchTokens(entry) } });
+    }
+    return entry;
+  }
+
+  async delete(shortcode) {
+    const result = await Url.deleteOne({ shortcode, expiresAt: { $gte: this.purgeCutoff() } });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Build the query filter shared by list() and iterate()
+   * @param {Object} query - status, createdAfter, createdBefore, domain, shortDomain, health, tag, campaign and q filters
+   * @returns {Object} - Mongo filter
+   */
+  listFilter(query) {
+    const { status, createdAfter, createdBefore, domain, shortDomain, health, tag, campaign, q } = query;
+    const now = new Date();
+    const filter = { expiresAt: { $gte: this.purgeCutoff(now) } };
+
+    if (status === 'expired') {
+      filter.expiresAt.$lt = now;
+    } else if (status === 'inactive') {
+      filter.expiresAt = { $gte: now };
+      filter.isActive = false;
+    } else if (status === 'exhausted') {
+      filter.expiresAt = { $gte: now };
+      filter.isActive = { $ne: false };
+      filter.maxClicks = { $ne: null };
+      filter.$expr = { $gte: ['$clickCount', '$maxClicks'] };
+    } else if (status === 'scheduled') {
+      filter.expiresAt = { $gte: now };
+      filter.isActive = { $ne: false };
+      filter.activeFrom = { $gt: now };
+      filter.$expr = hasClicksLeft;
+    } else if (status === 'active') {
+      Object.assign(filter, liveFilter(now));
+    }
+    if (createdAfter || createdBefore) {
+      filter.createdAt = {};
+      if (createdAfter) filter.createdAt.$gte = createdAfter;
+      if (createdBefore) filter.createdAt.$lte = createdBefore;
+    }
+    if (domain) {
+      filter.originalUrl = domainPattern(domain);
+    }
+    if (shortDomain) {
+      filter.domain = shortDomain;
+    }
+    if (health) {
+      filter['health.status'] = health;
+    }
+    if (tag) {
+      filter.tags = tag;
+    }
+    if (campaign) {
+      filter.campaign = campaign;
+    }
+    if (q) {
+      // Every query word must prefix one of the entry's words
+      filter.searchTokens = { $all: searchTokens(q).map(word => new RegExp(`^${escapeRegExp(word)}`)) };
+    }
+
+    return filter;
+  }
+
+  async list(query = {}) {
+    const { sort = 'createdAt', order = 'desc', offset = 0, limit } = query;
+    const filter = this.listFilter(query);
+
+    const orderBy = { [SORT_FIELDS[sort]]: order === 'asc' ? 1 : -1 };
+    if (sort !== 'shortcode') orderBy.shortcode = 1;
+
+    const cursor = Url.find(filter, ENTRY_PROJECTION)
+      .sort(orderBy)
+      .skip(offset);
+    if (limit !== undefined) cursor.limit(limit);
+
+    const [docs, total] = await Promise.all([cursor.lean(), Url.countDocuments(filter)]);
+
+    return {
+      total,
+      entries: docs.map(doc => toUrlEntry(doc))
+    };
+  }
+
+  async *iterate(query = {}) {
+    const cursor = Url.find(this.listFilter(query), { revisions: 0 })
+      .sort({ createdAt: 1, shortcode: 1 })
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      yield { ...toUrlEntry(doc), clicks: (doc.clicks || []).map(toClick) };
+    }
+  }
+
+  async addRevision(shortcode, revision) {
+    // Reserve the next number first so concurrent writers never share one
+    const counter = await Url.findOneAndUpdate(
+      { shortcode, expiresAt: { $gte: this.purgeCutoff() } },
+      { $inc: { revisionCount: 1 } },
+      { new: true, projection: { revisionCount: 1 } }
+    ).lean();
+    if (!counter) return null;
+
+    const stored = {
+      revision: counter.revisionCount,
+      action: revision.action,
+      state: revision.state,
+      changedAt: revision.changedAt,
+      changedBy: revision.changedBy || null,
+      requestId: revision.requestId || null,
+      sourceRevision: revision.sourceRevision || null
+    };
+    await Url.updateOne({ _id: counter._id }, { $push: { revisions: stored } });
+    return stored;
+  }
+
+  async listRevisions(shortcode) {
+    const doc = await Url.findOne(
+      { shortcode, expiresAt: { $gte: this.purgeCutoff() } },
+      { revisions: 1 }
+    ).lean();
+    if (!doc) return [];
+
+    return (doc.revisions || [])
+      .map(toRevision)
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  async addClick(shortcode, clickData = {}) {
+    const click = {
+      timestamp: new Date(),
+      userAgent: clickData.userAgent || '',
+      ip: clickData.ip || '',
+      referer: clickData.referer || '',
+      utmCampaign: clickData.utmCampaign || null,
+      rule: clickData.rule || null,
+      variant: clickData.variant || null,
+      source: clickData.source || null
+    };
+
+    // Single atomic update so concurrent clicks are never lost
+    const result = await Url.updateOne(
+      { shortcode, ...liveFilter(new Date()) },
+      { $push: { clicks: click }, $inc: { clickCount: 1 } }
+    );
+
+    return result.matchedCount === 1;
+  }
+
+  async addPreview(shortcode) {
+    const result = await Url.updateOne({ shortcode, ...liveFilter(new Date()) }, { $inc: { previewCount: 1 } });
+    return result.matchedCount === 1;
+  }
+
+  async setHealth(shortcode, health) {
+    const dueAt = nextHealthCheckAt(health);
+    const result = await Url.updateOne(
+      { shortcode, expiresAt: { $gte: this.purgeCutoff() } },
+      { $set: { health, nextHealthCheckAt: dueAt === null ? null : new Date(dueAt) } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  async listDueHealthChecks(now, limit) {
+    const docs = await Url.find({ nextHealthCheckAt: { $lte: now }, ...liveFilter(now) }, ENTRY_PROJECTION)
+      .sort({ nextHealthCheckAt: 1, shortcode: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map(doc => toUrlEntry(doc));
+  }
+
+  async getAnalytics(shortcode, { offset = 0, limit = CLICK_PAGE_SIZE } = {}) {
+    const doc = await Url.findOne(
+      { shortcode, expiresAt: { $gte: this.purgeCutoff() } },
+      { revisions: 0, clicks: { $slice: [offset, limit] } }
+    ).lean();
+    if (!doc) return null;
+    const entry = toUrlEntry(doc);
+
+    // Unique visitors are counted on the server instead of loading every click
+    const [{ uniqueClicks }] = await Url.aggregate([
+      { $match: { _id: doc._id } },
+      { $project: { uniqueClicks: { $size: { $setUnion: ['$clicks.ip', []] } } } }
+    ]);
+
+    return {
+      shortcode: entry.shortcode,
+      domain: entry.domain,
+      originalUrl: entry.originalUrl,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      activeFrom: entry.activeFrom,
+      maxClicks: entry.maxClicks,
+      passwordProtected: !!entry.passwordHash,
+      tags: entry.tags,
+      campaign: entry.campaign,
+      variants: entry.variants,
+      isExpired: entry.expiresAt !== null && new Date() > entry.expiresAt,
+      isActive: entry.isActive,
+      totalClicks: entry.clickCount,
+      uniqueClicks,
+      totalPreviews: entry.previewCount,
+      health: entry.health,
+      clicks: (doc.clicks || []).map(toClick)
+    };
+  }
+
+  async countClicks(shortcode, field) {
+    const rows = await Url.aggregate([
+      { $match: { shortcode, expiresAt: { $gte: this.purgeCutoff() } } },
+      { $unwind: '$clicks' },
+      {
+        $group: {
+          _id: { $ifNull: [`$clicks.${field}`, null] },
+          clicks: { $sum: 1 },
+          visitors: { $addToSet: { ip: '$clicks.ip', userAgent: '$clicks.userAgent' } }
+        }
+      }
+    ]);
+    return rows.map(row => ({ value: row._id, clicks: row.clicks, uniqueVisitors: row.visitors.length }));
+  }
+
+  async rollupClicks(by) {
+    const field = by === 'tag' ? 'tags' : 'campaign';
+    const pipeline = [{ $match: { expiresAt: { $gte: this.purgeCutoff() } } }];
+    if (by === 'tag') pipeline.push({ $unwind: '$tags' });
+
+    const rows = await Url.aggregate([
+      ...pipeline,
+      { $match: { [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, links: { $sum: 1 }, clicks: { $sum: '$clickCount' } } },
+      { $sort: { clicks: -1, _id: 1 } }
+    ]);
+    return rows.map(row => ({ key: row._id, links: row.links, clicks: row.clicks }));
+  }
+
+  async cleanupExpired() {
+    const result = await Url.deleteMany({ expiresAt: { $lt: this.purgeCutoff() } });
+    return result.deletedCount;
+  }
+
+  async nextSequence(name) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { value: 1 } },
+      { upsert: true, new: true }
+    ).lean();
+    return counter.value;
+  }
+
+  async saveDomain(domain) {
+    const doc = await Domain.findOneAndUpdate(
+      { host: domain.host },
+      { $set: { defaults: domain.defaults, createdAt: domain.createdAt } },
+      { upsert: true, new: true }
+    ).lean();
+    return toDomain(doc);
+  }
+
+  async findDomain(host) {
+    const doc = await Domain.findOne({ host }).lean();
+    return doc ? toDomain(doc) : null;
+  }
+
+  async listDomains() {
+    const docs = await Domain.find().sort({ host: 1 }).lean();
+    return docs.map(toDomain);
+  }
+
+  async deleteDomain(host) {
+    const result = await Domain.deleteOne({ host });
+    return result.deletedCount === 1;
+  }
+
+  async saveRegistryChange({ list, term, action }) {
+    await RegistryChange.updateOne({ list, term }, { $set: { action } }, { upsert: true });
+  }
+
+  async listRegistryChanges() {
+    const docs = await RegistryChange.find().sort({ list: 1, term: 1 }).lean();
+    return docs.map(({ list, term, action }) => ({ list, term, action }));
+  }
+
+  async getStats() {
+    const [totalUrls, totals] = await Promise.all([
+      Url.countDocuments(),
+      Url.aggregate([{ $group: { _id: null, totalClicks: { $sum: '$clickCount' } } }])
+    ]);
+
+    return {
+      totalUrls,
+      totalClicks: totals.length > 0 ? totals[0].totalClicks : 0
+    };
+  }
+}
+
+module.exports = MongooseAdapter;
@@ -0,0 +1,693 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const StorageAdapter = require('./StorageAdapter');
+const { runMigrations } = require('./sqlite/migrator');
+const {
+  urlHost,
+  hostMatchesDomain,
+  searchTokens,
+  entrySearchTokens,
+  parseLinkKey,
+  linkKey,
+  nextHealthCheckAt,
+  NEVER_EXPIRES_MS,
+  CLICK_PAGE_SIZE
+} = require('./listQuery');
+const { ServiceError } = require('../utils/errors');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../../data/urlshortener.db');
+
+// Click fields countClicks() can group by, and their columns
+const CLICK_GROUP_COLUMNS = {
+  utmCampaign: 'utm_campaign',
+  rule: 'rule',
+  variant: 'variant',
+  source: 'source'
+};
+
+const toClick = (row) => ({
+  timestamp: new Date(row.timestamp),
+  userAgent: row.user_agent,
+  ip: row.ip,
+  referer: row.referer,
+  utmCampaign: row.utm_campaign,
+  rule: row.rule,
+  variant: row.variant,
+  source: row.source
+});
+
+// expires_at is NOT NULL, so never-expiring links are stored with the NEVER_EXPIRES_MS sentinel
+const toExpiresAt = (value) => (value >= NEVER_EXPIRES_MS ? null : new Date(value));
+const fromExpiresAt = (date) => (date === null ? NEVER_EXPIRES_MS : date.getTime());
+
+/**
+ * Convert a urls row into the plain entry shape returned by every storage adapter
+ * @param {Object} row - Row from the urls table
+ * @returns {Object} - URL entry (without click records)
+ */
+const toUrlEntry = (row) => ({
+  id: row.shortcode,
+  ...parseLinkKey(row.shortcode),
+  originalUrl: row.original_url,
+  expiresAt: toExpiresAt(row.expires_at),
+  createdAt: new Date(row.created_at),
+  activeFrom: row.active_from !== null ? new Date(row.active_from) : null,
+  maxClicks: row.max_clicks,
+  passwordHash: row.password_hash,
+  tags: JSON.parse(row.tags),
+  campaign: row.campaign,
+  note: row.note,
+  utmDefaults: row.utm_defaults !== null ? JSON.parse(row.utm_defaults) : null,
+  passthrough: row.passthrough !== null ? JSON.parse(row.passthrough) : null,
+  redirectRules: row.redirect_rules !== null ? JSON.parse(row.redirect_rules) : null,
+  variants: row.variants !== null ? JSON.parse(row.variants) : null,
+  redirectStatus: row.redirect_status,
+  preview: row.preview === 1,
+  previewCount: row.preview_count,
+  fallbackUrl: row.fallback_url,
+  health: row.health !== null ? JSON.parse(row.health) : null,
+  isActive: row.is_active === 1,
+  clickCount: row.click_count
+});
+
+/**
+ * Convert a domains row into a short domain
+ * @param {Object} row - Row from the domains table
+ * @returns {Object} - Domain
+ */
+const toDomain = (row) => ({
+  host: row.host,
+  defaults: JSON.parse(row.defaults),
+  createdAt: new Date(row.created_at)
+});
+
+/**
+ * Convert a url_revisions row into a revision
+ * @param {Object} row - Row from the url_revisions table
+ * @returns {Object} - Revision
+ */
+const toRevision = (row) => ({
+  revision: row.revision,
+  action: row.action,
+  state: JSON.parse(row.state),
+  changedAt: new Date(row.changed_at),
+  changedBy: row.changed_by ? JSON.parse(row.changed_by) : null,
+  requestId: row.request_id,
+  sourceRevision: row.source_revision
+});
+
+// Entry fields that feed url_tags and url_search_tokens
+const INDEXED_FIELDS = ['originalUrl', 'tags', 'campaign', 'note'];
+
+// Upper bound for a prefix range over TEXT compared bytewise
+const PREFIX_RANGE_END = '\u{10FFFF}';
+
+// Rows fetched per query by iterate()
+const ITERATE_BATCH_SIZE = 500;
+
+// Columns backing the sort fields accepted by list()
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  expiresAt: 'expires_at',
+  clickCount: 'click_count',
+  shortcode: 'shortcode'
+};
+
+/**
+ * Storage adapter backed by an embedded SQLite database.
+ * The schema is brought up to date by the migration runner on connect,
+ * and click aggregates are computed in SQL.
+ */
+class SqliteAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filename] - Database file, or ':memory:'
+   */
+  constructor(options = {}) {
+    super('sqlite', options);
+    this.filename = options.filename || process.env.SQLITE_PATH || DEFAULT_DB_PATH;
+    this.db = null;
+    this.appliedMigrations = [];
+  }
+
+  async connect() {
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.appliedMigrations = runMigrations(this.db);
+    this.db.function('host_matches_domain', { deterministic: true },
+      (url, domain) => (hostMatchesDomain(urlHost(url), domain) ? 1 : 0));
+    this.prepareStatements();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  prepareStatements() {
+    this.statements = {
+      insertUrl: this.db.prepare(`
+        INSERT INTO urls (shortcode, domain, original_url, created_at, expires_at, active_from, max_clicks,
+          password_hash, tags, campaign, note, utm_defaults, passthrough, redirect_rules, variants,
+          redirect_status, preview, fallback_url, is_active, next_check_at)
+        VALUES (@shortcode, @domain, @originalUrl, @createdAt, @expiresAt, @activeFrom, @maxClicks,
+          @passwordHash, @tags, @campaign, @note, @utmDefaults, @passthrough, @redirectRules, @variants,
+          @redirectStatus, @preview, @fallbackUrl, @isActive, 0)
+      `),
+      findUrl: this.db.prepare('SELECT * FROM urls WHERE shortcode = ? AND expires_at >= ?'),
+      deletePurgeable: this.db.prepare('DELETE FROM urls WHERE shortcode = ? AND expires_at < ?'),
+      findActiveByOriginalUrl: this.db.prepare(`
+        SELECT * FROM urls
+        WHERE original_url = @originalUrl AND domain IS @domain AND expires_at >= @now AND is_active = 1
+          AND (active_from IS NULL OR active_from <= @now) AND max_clicks IS NULL AND password_hash IS NULL
+        ORDER BY expires_at DESC LIMIT 1
+      `),
+      updateUrl: this.db.prepare(`
+        UPDATE urls SET
+          original_url = COALESCE(@originalUrl, original_url),
+          expires_at = COALESCE(@expiresAt, expires_at),
+          active_from = CASE WHEN @setActiveFrom THEN @activeFrom ELSE active_from END,
+          tags = COALESCE(@tags, tags),
+          campaign = CASE WHEN @setCampaign THEN @campaign ELSE campaign END,
+          note = CASE WHEN @setNote THEN @note ELSE note END,
+          utm_defaults = CASE WHEN @setUtmDefaults THEN @utmDefaults ELSE utm_defaults END,
+          passthrough = CASE WHEN @setPassthrough THEN @passthrough ELSE passthrough END,
+          redirect_rules = CASE WHEN @setRedirectRules THEN @redirectRules ELSE redirect_rules END,
+          variants = CASE WHEN @setVariants THEN @variants ELSE variants END,
+          redirect_status = COALESCE(@redirectStatus, redirect_status),
+          preview = COALESCE(@preview, preview),
+          fallback_url = CASE WHEN @setFallbackUrl THEN @fallbackUrl ELSE fallback_url END,
+          is_active = COALESCE(@isActive, is_active)
+        WHERE shortcode = @shortcode AND expires_at >= @cutoff
+      `),
+      deleteUrl: this.db.prepare('DELETE FROM urls WHERE shortcode = ? AND expires_at >= ?'),
+      deleteTags: this.db.prepare('DELETE FROM url_tags WHERE shortcode = ?'),
+      insertTag: this.db.prepare('INSERT OR IGNORE INTO url_tags (shortcode, tag) VALUES (?, ?)'),
+      deleteSearchTokens: this.db.prepare('DELETE FROM url_search_tokens WHERE shortcode = ?'),
+      insertSearchToken: this.db.prepare('INSERT OR IGNORE INTO url_search_tokens (shortcode, token) VALUES (?, ?)'),
+      rollupByTag: this.db.prepare(`
+        SELECT url_tags.tag AS key, COUNT(*) AS links, SUM(urls.click_count) AS clicks
+        FROM url_tags JOIN urls ON urls.shortcode = url_tags.shortcode
+        WHERE urls.expires_at >= ?
+        GROUP BY url_tags.tag
+        ORDER BY clicks DESC, key ASC
+      `),
+      rollupByCampaign: this.db.prepare(`
+        SELECT campaign AS key, COUNT(*) AS links, SUM(click_count) AS clicks
+        FROM urls WHERE campaign IS NOT NULL AND expires_at >= ?
+        GROUP BY campaign
+        ORDER BY clicks DESC, key ASC
+      `),
+      // Visitors are told apart by IP and User-Agent, as visitorKey does
+      countClicksBy: Object.fromEntries(Object.entries(CLICK_GROUP_COLUMNS).map(([field, column]) => [
+        field,
+        this.db.prepare(`
+          SELECT clicks.${column} AS value, COUNT(*) AS clicks,
+            COUNT(DISTINCT clicks.ip || '|' || clicks.user_agent) AS uniqueVisitors
+          FROM clicks JOIN urls ON urls.shortcode = clicks.shortcode
+          WHERE clicks.shortcode = ? AND urls.expires_at >= ?
+          GROUP BY clicks.${column}
+        `)
+      ])),
+      insertRevision: this.db.prepare(`
+        INSERT INTO url_revisions (shortcode, revision, action, state, changed_at, changed_by, request_id, source_revision)
+        SELECT shortcode,
+          (SELECT COALESCE(MAX(revision), 0) + 1 FROM url_revisions WHERE shortcode = @shortcode),
+          @action, @state, @changedAt, @changedBy, @requestId, @sourceRevision
+        FROM urls WHERE shortcode = @shortcode AND expires_at >= @cutoff
+        RETURNING *
+      `),
+      listRevisions: this.db.prepare(`
+        SELECT url_revisions.* FROM url_revisions
+        JOIN urls ON urls.shortcode = url_revisions.shortcode
+        WHERE url_revisions.shortcode = ? AND urls.expires_at >= ?
+        ORDER BY revision
+      `),
+      listClicks: this.db.prepare('SELECT * FROM clicks WHERE shortcode = ? ORDER BY timestamp, id'),
+      pageClicks: this.db.prepare('SELECT * FROM clicks WHERE shortcode = ? ORDER BY timestamp, id LIMIT ? OFFSET ?'),
+      insertClick: this.db.prepare(`
+        INSERT INTO clicks (shortcode, timestamp, user_agent, ip, referer, utm_campaign, rule, variant, source)
+        SELECT shortcode, @timestamp, @userAgent, @ip, @referer, @utmCampaign, @rule, @variant, @source
+        FROM urls WHERE shortcode = @shortcode AND expires_at >= @now AND is_active = 1
+          AND (active_from IS NULL OR active_from <= @now)
+          AND (max_clicks IS NULL OR click_count < max_clicks)
+      `),
+      addPreview: this.db.prepare(`
+        UPDATE urls SET preview_count = preview_count + 1
+        WHERE shortcode = @shortcode AND expires_at >= @now AND is_active = 1
+          AND (active_from IS NULL OR active_from <= @now)
+          AND (max_clicks IS NULL OR click_count < max_clicks)
+      `),
+      setHealth: this.db.prepare(`
+        UPDATE urls SET health = @health, next_check_at = @nextCheckAt
+        WHERE shortcode = @shortcode AND expires_at >= @cutoff
+      `),
+      listDueHealthChecks: this.db.prepare(`
+        SELECT * FROM urls
+        WHERE next_check_at <= @now AND expires_at >= @now AND is_active = 1
+          AND (active_from IS NULL OR active_from <= @now)
+          AND (max_clicks IS NULL OR click_count < max_clicks)
+        ORDER BY next_check_at, shortcode
+        LIMIT @limit
+      `),
+      incrementClickCount: this.db.prepare('UPDATE urls SET click_count = click_count + 1 WHERE shortcode = ?'),
+      clickTotals: this.db.prepare(`
+        SELECT COUNT(*) AS totalClicks, COUNT(DISTINCT ip) AS uniqueClicks
+        FROM clicks WHERE shortcode = ?
+      `),
+      deletePurgeableBefore: this.db.prepare('DELETE FROM urls WHERE expires_at < ?'),
+      nextSequence: this.db.prepare(`
+        INSERT INTO sequences (name, value) VALUES (?, 1)
+        ON CONFLICT (name) DO UPDATE SET value = value + 1
+        RETURNING value
+      `),
+      stats: this.db.prepare(`
+        SELECT COUNT(*) AS totalUrls, COALESCE(SUM(click_count), 0) AS totalClicks FROM urls
+      `),
+      saveDomain: this.db.prepare(`
+        INSERT INTO domains (host, defaults, created_at) VALUES (@host, @defaults, @createdAt)
+        ON CONFLICT (host) DO UPDATE SET defaults = excluded.defaults, created_at = excluded.created_at
+        RETURNING *
+      `),
+      findDomain: this.db.prepare('SELECT * FROM domains WHERE host = ?'),
+      listDomains: this.db.prepare('SELECT * FROM domains ORDER BY host'),
+      deleteDomain: this.db.prepare('DELETE FROM domains WHERE host = ?'),
+      saveRegistryChange: this.db.prepare(`
+        INSERT INTO shortcode_registry_changes (list, term, action) VALUES (@list, @term, @action)
+        ON CONFLICT (list, term) DO UPDATE SET action = excluded.action
+      `),
+      listRegistryChanges: this.db.prepare('SELECT list, term, action FROM shortcode_registry_changes ORDER BY list, term')
+    };
+  }
+
+  async create(data) {
+    const {
+      shortcode,
+      domain = null,
+      originalUrl,
+      activeFrom = null,
+      maxClicks = null,
+      passwordHash = null,
+      tags = [],
+      campaign = null,
+      note = null,
+      utmDefaults = null,
+      passthrough = null,
+      redirectRules = null,
+      variants = null,
+      redirectStatus = 302,
+      preview = false,
+      fallbackUrl = null,
+      isActive = true
+    } = data;
+    const createdAt = new Date();
+    // null never expires; omitted defaults to 30 minutes
+    const expiresAt = data.expiresAt !== undefined ? data.expiresAt : new Date(createdAt.getTime() + 30 * 60 * 1000);
+    const key = linkKey(domain, shortcode);
+
+    try {
+      this.db.transaction(() => {
+        // A tombstone past its retention may be reclaimed before the sweeper gets to it
+        this.statements.deletePurgeable.run(key, this.purgeCutoff().getTime());
+        this.statements.insertUrl.run({
+          shortcode: key,
+          domain,
+          originalUrl,
+          createdAt: createdAt.getTime(),
+          expiresAt: fromExpiresAt(expiresAt),
+          activeFrom: activeFrom ? activeFrom.getTime() : null,
+          maxClicks,
+          passwordHash,
+          tags: JSON.stringify(tags),
+          campaign,
+          note,
+          utmDefaults: utmDefaults ? JSON.stringify(utmDefaults) : null,
+          passthrough: passthrough ? JSON.stringify(passthrough) : null,
+          redirectRules: redirectRules ? JSON.stringify(redirectRules) : null,
+          variants: variants ? JSON.stringify(variants) : null,
+          redirectStatus,
+          preview: preview ? 1 : 0,
+          fallbackUrl,
+          isActive: isActive ? 1 : 0
+        });
+        this.indexEntry({ id: key, shortcode, originalUrl, tags, campaign, note });
+      })();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw new ServiceError('conflict', 'Shortcode already exists');
+      }
+      throw error;
+    }
+
+    return {
+      id: key,
+      shortcode,
+      domain,
+      originalUrl,
+      expiresAt,
+      createdAt,
+      activeFrom,
+      maxClicks,
+      passwordHash,
+      tags,
+      campaign,
+      note,
+      utmDefaults,
+      passthrough,
+      redirectRules,
+      variants,
+      redirectStatus,
+      preview,
+      previewCount: 0,
+      fallbackUrl,
+      isActive,
+      clickCount: 0
+    };
+  }
+
+  /**
+   * Rewrite the tag and search-word rows of an entry (call inside a transaction)
+   * @param {Object} entry - Entry with id (link key), shortcode, originalUrl, tags, campaign and note
+   */
+  indexEntry(entry) {
+    this.statements.deleteTags.run(entry.id);
+    entry.tags.forEach(tag => this.statements.insertTag.run(entry.id, tag));
+    this.statements.deleteSearchTokens.run(entry.id);
+    entrySearchTokens(entry).forEach(token => this.statements.insertSearchToken.run(entry.id, token));
+  }
+
+  async findByShortcode(shortcode) {
+    const row = this.statements.findUrl.get(shortcode, this.purgeCutoff().getTime());
+    if (!row) return null;
+
+    return toUrlEntry(row);
+  }
+
+  async findActiveByOriginalUrl(originalUrl, domain = null) {
+    const row = this.statements.findActiveByOriginalUrl.get({ originalUrl, domain, now: Date.now() });
+    if (!row) return null;
+
+    return toUrlEntry(row);
+  }
+
+  async update(shortcode, changes) {
+    const cutoff = this.purgeCutoff().getTime();
+    const apply = this.db.transaction(() => {
+      const { changes: updated } = this.statements.updateUrl.run({
+        shortcode,
+        cutoff,
+        originalUrl: changes.originalUrl !== undefined ? changes.originalUrl : null,
+        expiresAt: changes.expiresAt !== undefined ? fromExpiresAt(changes.expiresAt) : null,
+        setActiveFrom: changes.activeFrom !== undefined ? 1 : 0,
+        activeFrom: changes.activeFrom ? changes.activeFrom.getTime() : null,
+        tags: changes.tags !== undefined ? JSON.stringify(changes.tags) : null,
+        setCampaign: changes.campaign !== undefined ? 1 : 0,
+        campaign: changes.campaign || null,
+        setNote: changes.note !== undefined ? 1 : 0,
+        note: changes.note || null,
+        setUtmDefaults: changes.utmDefaults !== undefined ? 1 : 0,
+        utmDefaults: changes.utmDefaults ? JSON.stringify(changes.utmDefaults) : null,
+        setPassthrough: changes.passthrough !== undefined ? 1 : 0,
+        passthrough: changes.passthrough ? JSON.stringify(changes.passthrough) : null,
+        setRedirectRules: changes.redirectRules !== undefined ? 1 : 0,
+        redirectRules: changes.redirectRules ? JSON.stringify(changes.redirectRules) : null,
+        setVariants: changes.variants !== undefined ? 1 : 0,
+        variants: changes.variants ? JSON.stringify(changes.variants) : null,
+        redirectStatus: changes.redirectStatus !== undefined ? changes.redirectStatus : null,
+        preview: changes.preview !== undefined ? (changes.preview ? 1 : 0) : null,
+        setFallbackUrl: changes.fallbackUrl !== undefined ? 1 : 0,
+        fallbackUrl: changes.fallbackUrl || null,
+        isActive: changes.isActive !== undefined ? (changes.isActive ? 1 : 0) : null
+      });
+      if (updated === 0) return false;
+
+      if (INDEXED_FIELDS.some(field => changes[field] !== undefined)) {
+        this.indexEntry(toUrlEntry(this.statements.findUrl.get(shortcode, cutoff)));
+      }
+      return true;
+    });
+
+    return apply() ? this.findByShortcode(shortcode) : null;
+  }
+
+  async delete(shortcode) {
+    // Clicks are removed by the ON DELETE CASCADE foreign key
+    return this.statements.deleteUrl.run(shortcode, this.purgeCutoff().getTime()).changes === 1;
+  }
+
+  /**
+   * Build the WHERE clause shared by list() and iterate()
+   * @param {Object} query - status, createdAfter, createdBefore, domain, shortDomain, health, tag, campaign and q filters
+   * @param {number} now - Reference time in epoch ms
+   * @returns {{ conditions: Array<string>, params: Object }}
+   */
+  listFilter(query, now) {
+    const { status, createdAfter, createdBefore, domain, shortDomain, health, tag, campaign, q } = query;
+    const conditions = ['expires_at >= @cutoff'];
+    const params = { cutoff: this.purgeCutoff(new Date(now)).getTime(), now };
+
+    if (status === 'expired') {
+      conditions.push('expires_at < @now');
+    } else if (status === 'inactive') {
+      conditions.push('expires_at >= @now', 'is_active = 0');
+    } else if (status === 'exhausted') {
+      conditions.push('expires_at >= @now', 'is_active = 1', 'click_count >= max_clicks');
+    } else if (status === 'scheduled') {
+      conditions.push('expires_at >= @now', 'is_active = 1', 'active_from > @now',
+        '(max_clicks IS NULL OR click_count < max_clicks)');
+    } else if (status === 'active') {
+      conditions.push('expires_at >= @now', 'is_active = 1', '(active_from IS NULL OR active_from <= @now)',
+        '(max_clicks IS NULL OR click_count < max_clicks)');
+    }
+    if (createdAfter) {
+      conditions.push('created_at >= @createdAfter');
+      params.createdAfter = createdAfter.getTime();
+    }
+    if (createdBefore) {
+      conditions.push('created_at <= @createdBefore');
+      params.createdBefore = createdBefore.getTime();
+    }
+    if (domain) {
+      conditions.push('host_matches_domain(original_url, @domain) = 1');
+      params.domain = domain;
+    }
+    if (shortDomain) {
+      conditions.push('domain = @shortDomain');
+      params.shortDomain = shortDomain;
+    }
+    if (health) {
+      conditions.push("json_extract(health, '$.status') = @health");
+      params.health = health;
+    }
+    if (tag) {
+      conditions.push('shortcode IN (SELECT shortcode FROM url_tags WHERE tag = @tag)');
+      params.tag = tag;
+    }
+    if (campaign) {
+      conditions.push('campaign = @campaign');
+      params.campaign = campaign;
+    }
+    if (q) {
+      // Every query word must prefix one of the entry's words
+      searchTokens(q).forEach((word, i) => {
+        conditions.push(`shortcode IN (SELECT shortcode FROM url_search_tokens WHERE token >= @word${i} AND token < @wordEnd${i})`);
+        params[`word${i}`] = word;
+        params[`wordEnd${i}`] = word + PREFIX_RANGE_END;
+      });
+    }
+
+    return { conditions, params };
+  }
+
+  async list(query = {}) {
+    const { sort = 'createdAt', order = 'desc', offset = 0, limit } = query;
+    const { conditions, params } = this.listFilter(query, Date.now());
+    const where = conditions.join(' AND ');
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM urls WHERE ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM urls WHERE ${where}
+      ORDER BY ${SORT_COLUMNS[sort]} ${direction}, shortcode ASC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: limit !== undefined ? limit : -1, offset });
+
+    return {
+      total,
+      entries: rows.map(row => toUrlEntry(row))
+    };
+  }
+
+  async *iterate(query = {}) {
+    const { conditions, params } = this.listFilter(query, Date.now());
+    // Keyset pagination: each batch resumes after the last (created_at, shortcode) seen,
+    // so no statement stays open between yields
+    const nextBatch = this.db.prepare(`
+      SELECT * FROM urls
+      WHERE ${conditions.join(' AND ')}
+        AND (created_at > @afterCreatedAt OR (created_at = @afterCreatedAt AND shortcode > @afterShortcode))
+      ORDER BY created_at ASC, shortcode ASC
+      LIMIT @batchSize
+    `);
+    let cursor = { afterCreatedAt: -1, afterShortcode: '' };
+
+    while (true) {
+      const rows = nextBatch.all({ ...params, ...cursor, batchSize: ITERATE_BATCH_SIZE });
+
+      for (const row of rows) {
+        yield { ...toUrlEntry(row), clicks: this.statements.listClicks.all(row.shortcode).map(toClick) };
+      }
+
+      if (rows.length < ITERATE_BATCH_SIZE) return;
+      const last = rows[rows.length - 1];
+      cursor = { afterCreatedAt: last.created_at, afterShortcode: last.shortcode };
+    }
+  }
+
+  async addRevision(shortcode, revision) {
+    const row = this.statements.insertRevision.get({
+      shortcode,
+      cutoff: this.purgeCutoff().getTime(),
+      action: revision.action,
+      state: JSON.stringify(revision.state),
+      changedAt: revision.changedAt.getTime(),
+      changedBy: revision.changedBy ? JSON.stringify(revision.changedBy) : null,
+      requestId: revision.requestId || null,
+      sourceRevision: revision.sourceRevision || null
+    });
+    return row ? toRevision(row) : null;
+  }
+
+  async listRevisions(shortcode) {
+    return this.statements.listRevisions.all(shortcode, this.purgeCutoff().getTime()).map(toRevision);
+  }
+
+  async addClick(shortcode, clickData = {}) {
+    const now = Date.now();
+    const record = this.db.transaction(() => {
+      const result = this.statements.insertClick.run({
+        shortcode,
+        timestamp: now,
+        userAgent: clickData.userAgent || '',
+        ip: clickData.ip || '',
+        referer: clickData.referer || '',
+        utmCampaign: clickData.utmCampaign || null,
+        rule: clickData.rule || null,
+        variant: clickData.variant || null,
+        source: clickData.source || null,
+        now
+      });
+
+      if (result.changes === 0) return false;
+
+      this.statements.incrementClickCount.run(shortcode);
+      return true;
+    });
+
+    return record();
+  }
+
+  async addPreview(shortcode) {
+    return this.statements.addPreview.run({ shortcode, now: Date.now() }).changes === 1;
+  }
+
+  async setHealth(shortcode, health) {
+    return this.statements.setHealth.run({
+      shortcode,
+      health: health ? JSON.stringify(health) : null,
+      nextCheckAt: nextHealthCheckAt(health),
+      cutoff: this.purgeCutoff().getTime()
+    }).changes === 1;
+  }
+
+  async listDueHealthChecks(now, limit) {
+    return this.statements.listDueHealthChecks.all({ now: now.getTime(), limit }).map(row => toUrlEntry(row));
+  }
+
+  async getAnalytics(shortcode, { offset = 0, limit = CLICK_PAGE_SIZE } = {}) {
+    const row = this.statements.findUrl.get(shortcode, this.purgeCutoff().getTime());
+    if (!row) return null;
+
+    const { totalClicks, uniqueClicks } = this.statements.clickTotals.get(shortcode);
+
+    return {
+      ...parseLinkKey(shortcode),
+      originalUrl: row.original_url,
+      createdAt: new Date(row.created_at),
+      expiresAt: toExpiresAt(row.expires_at),
+      activeFrom: row.active_from !== null ? new Date(row.active_from) : null,
+      maxClicks: row.max_clicks,
+      passwordProtected: row.password_hash !== null,
+      tags: JSON.parse(row.tags),
+      campaign: row.campaign,
+      variants: row.variants !== null ? JSON.parse(row.variants) : null,
+      isExpired: Date.now() > row.expires_at,
+      isActive: row.is_active === 1,
+      totalClicks,
+      uniqueClicks,
+      totalPreviews: row.preview_count,
+      health: row.health !== null ? JSON.parse(row.health) : null,
+      clicks: this.statements.pageClicks.all(shortcode, limit, offset).map(toClick)
+    };
+  }
+
+  async countClicks(shortcode, field) {
+    return this.statements.countClicksBy[field].all(shortcode, this.purgeCutoff().getTime());
+  }
+
+  async rollupClicks(by) {
+    const statement = by === 'tag' ? this.statements.rollupByTag : this.statements.rollupByCampaign;
+    return statement.all(this.purgeCutoff().getTime());
+  }
+
+  async cleanupExpired() {
+    // Clicks are removed by the ON DELETE CASCADE foreign key
+    return this.statements.deletePurgeableBefore.run(this.purgeCutoff().getTime()).changes;
+  }
+
+  async nextSequence(name) {
+    return this.statements.nextSequence.get(name).value;
+  }
+
+  async saveDomain(domain) {
+    return toDomain(this.statements.saveDomain.get({
+      host: domain.host,
+      defaults: JSON.stringify(domain.defaults),
+      createdAt: domain.createdAt.getTime()
+    }));
+  }
+
+  async findDomain(host) {
+    const row = this.statements.findDomain.get(host);
+    return row ? toDomain(row) : null;
+  }
+
+  async listDomains() {
+    return this.statements.listDomains.all().map(toDomain);
+  }
+
+  async deleteDomain(host) {
+    return this.statements.deleteDomain.run(host).changes === 1;
+  }
+
+  async saveRegistryChange({ list, term, action }) {
+    this.statements.saveRegistryChange.run({ list, term, action });
+  }
+
+  async listRegistryChanges() {
+    return this.statements.listRegistryChanges.all();
+  }
+
+  async getStats() {
+    return this.statements.stats.get();
+  }
+}
+
+module.exports = SqliteAdapter;
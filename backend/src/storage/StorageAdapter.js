@@ -0,0 +1,360 @@
+/**
+ * Base class describing the storage contract used by UrlService.
+ * Every backend must implement these methods with identical semantics;
+ * the shared conformance suite in tests/storage verifies that they do.
+ *
+ * Entries are addressed by their link key (see linkKey in listQuery.js): the
+ * shortcode, prefixed with "<domain>/" for links on a registered short domain.
+ * Every method taking a shortcode takes the link key; entries carry the key as
+ * `id` and the bare `shortcode` and `domain` (null for the default domain).
+ *
+ * Entries carry the number of recorded clicks as `clickCount`; the click records
+ * themselves are only loaded by iterate() and getAnalytics().
+ *
+ * Expired entries are kept as tombstones for `tombstoneRetentionMs`:
+ * they can still be found and their analytics read, but they accept no
+ * clicks. Once the retention window has passed they behave as if deleted
+ * and are purged by cleanupExpired().
+ */
+class StorageAdapter {
+  /**
+   * @param {string} name - Adapter name
+   * @param {Object} [options]
+   * @param {number} [options.tombstoneRetentionMs] - How long expired entries are retained
+   *   (default: TOMBSTONE_RETENTION_MINUTES env or 1440 minutes)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.tombstoneRetentionMs = options.tombstoneRetentionMs !== undefined
+      ? options.tombstoneRetentionMs
+      : (parseInt(process.env.TOMBSTONE_RETENTION_MINUTES) || 1440) * 60 * 1000;
+  }
+
+  /**
+   * Oldest expiry that is still retained as a tombstone
+   * @param {Date} [now] - Reference time
+   * @returns {Date} - Entries expiring before this are purgeable
+   */
+  purgeCutoff(now = new Date()) {
+    return new Date(now.getTime() - this.tombstoneRetentionMs);
+  }
+
+  /**
+   * Open any underlying connections
+   * @returns {Promise<void>}
+   */
+  async connect() {}
+
+  /**
+   * Release any underlying connections
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Create a new URL entry
+   * @param {Object} data - URL data
+   * @param {string} data.shortcode - Shortcode
+   * @param {string|null} [data.domain] - Registered short domain the link lives on (default: the default domain)
+   * @param {string} data.originalUrl - Destination URL
+   * @param {Date|null} [data.expiresAt] - Expiry date; null never expires (default: 30 minutes)
+   * @param {Date|null} [data.activeFrom] - When the link starts redirecting (default: immediately)
+   * @param {number|null} [data.maxClicks] - Clicks after which the link is exhausted (default: unlimited)
+   * @param {string|null} [data.passwordHash] - Hash of the unlock password (default: not protected)
+   * @param {Array<string>} [data.tags] - Normalized tags (default: none)
+   * @param {string|null} [data.campaign] - Campaign name (default: none)
+   * @param {string|null} [data.note] - Free-text note (default: none)
+   * @param {Object|null} [data.utmDefaults] - UTM fields added at redirect time (default: none)
+   * @param {Object|null} [data.passthrough] - Path and query forwarding setting (default: none)
+   * @param {Array<Object>|null} [data.redirectRules] - Ordered redirect rules (default: none)
+   * @param {Array<Object>|null} [data.variants] - Weighted split destinations (default: none)
+   * @param {number} [data.redirectStatus=302] - HTTP status of the redirect (301, 302, 307 or 308)
+   * @param {boolean} [data.preview=false] - Show the preview page instead of redirecting
+   * @param {string|null} [data.fallbackUrl] - Where to send visitors once expired or exhausted (default: none)
+   * @param {boolean} [data.isActive=true] - Whether the link may be followed
+   * @returns {Promise<Object>} - Created URL entry
+   * @throws {Error} - 'Shortcode already exists' when the shortcode is taken on the domain,
+   *   including by a retained tombstone
+   */
+  async create(data) {
+    throw new Error(`${this.name} adapter does not implement create()`);
+  }
+
+  /**
+   * Find a URL entry, including expired entries still retained as tombstones
+   * @param {string} shortcode - Shortcode to lookup
+   * @returns {Promise<Object|null>} - URL entry or null if missing or purgeable
+   */
+  async findByShortcode(shortcode) {
+    throw new Error(`${this.name} adapter does not implement findByShortcode()`);
+  }
+
+  /**
+   * Find the live entry (unexpired, active and past activeFrom) without a click limit
+   * or password for a destination URL that expires last; never-expiring entries count as expiring last
+   * @param {string} originalUrl - Normalized destination URL
+   * @param {string|null} [domain] - Only entries on this short domain (default: the default domain)
+   * @returns {Promise<Object|null>} - URL entry or null if no live entry points there
+   */
+  async findActiveByOriginalUrl(originalUrl, domain) {
+    throw new Error(`${this.name} adapter does not implement findActiveByOriginalUrl()`);
+  }
+
+  /**
+   * Change a retained URL entry (expired tombstones included, so their expiry can be extended)
+   * @param {string} shortcode - Shortcode to update
+   * @param {Object} changes - Fields to change
+   * @param {string} [changes.originalUrl] - New destination URL
+   * @param {Date|null} [changes.expiresAt] - New expiry date, or null to never expire
+   * @param {Date|null} [changes.activeFrom] - New activation time, or null to activate immediately
+   * @param {Array<string>} [changes.tags] - Replacement tags
+   * @param {string|null} [changes.campaign] - New campaign, or null to clear it
+   * @param {string|null} [changes.note] - New note, or null to clear it
+   * @param {Object|null} [changes.utmDefaults] - New redirect-time UTM fields, or null to clear them
+   * @param {Object|null} [changes.passthrough] - New forwarding setting, or null to stop forwarding
+   * @param {Array<Object>|null} [changes.redirectRules] - Replacement redirect rules, or null to remove them
+   * @param {Array<Object>|null} [changes.variants] - Replacement split destinations, or null to stop splitting
+   * @param {number} [changes.redirectStatus] - New HTTP status of the redirect
+   * @param {boolean} [changes.preview] - Whether to show the preview page instead of redirecting
+   * @param {string|null} [changes.fallbackUrl] - New fallback destination, or null to clear it
+   * @param {boolean} [changes.isActive] - Whether the link may be followed
+   * @returns {Promise<Object|null>} - Updated URL entry or null if missing or purgeable
+   */
+  async update(shortcode, changes) {
+    throw new Error(`${this.name} adapter does not implement update()`);
+  }
+
+  /**
+   * Permanently delete a URL entry and its clicks
+   * @param {string} shortcode - Shortcode to delete
+   * @returns {Promise<boolean>} - False if the entry is missing or purgeable
+   */
+  async delete(shortcode) {
+    throw new Error(`${this.name} adapter does not implement delete()`);
+  }
+
+  /**
+   * List retained URL entries; filter and sort semantics are defined in listQuery.js
+   * @param {Object} [query]
+   * @param {string} [query.status] - active | scheduled | exhausted | inactive | expired
+   * @param {Date} [query.createdAfter] - Only entries created at or after this date
+   * @param {Date} [query.createdBefore] - Only entries created at or before this date
+   * @param {string} [query.domain] - Lowercase destination domain, subdomains included
+   * @param {string} [query.shortDomain] - Only entries on this registered short domain
+   * @param {string} [query.health] - ok | broken: only entries whose latest health check had this outcome
+   * @param {string} [query.tag] - Only entries carrying this tag
+   * @param {string} [query.campaign] - Only entries of this campaign
+   * @param {string} [query.q] - Search text; every word must prefix a word of the entry (see entrySearchTokens)
+   * @param {string} [query.sort='createdAt'] - createdAt | expiresAt | clickCount | shortcode
+   * @param {string} [query.order='desc'] - asc | desc (ties are broken by shortcode;
+   *   shortcode order compares link keys)
+   * @param {number} [query.offset=0] - Entries to skip
+   * @param {number} [query.limit] - Maximum entries to return
+   * @returns {Promise<Object>} - { entries, total }
+   */
+  async list(query) {
+    throw new Error(`${this.name} adapter does not implement list()`);
+  }
+
+  /**
+   * Iterate retained URL entries with their clicks, oldest first (createdAt, then shortcode).
+   * Backends read in batches or through a cursor so large stores are never loaded at once.
+   * @param {Object} [query] - Filters, as for list()
+   * @returns {AsyncIterable<Object>} - URL entries with a `clicks` array
+   */
+  async *iterate(query) {
+    throw new Error(`${this.name} adapter does not implement iterate()`);
+  }
+
+  /**
+   * Append a revision to a retained URL entry's history. Revisions are
+   * numbered 1, 2, ... per shortcode and removed together with the entry.
+   * @param {string} shortcode - Shortcode the revision belongs to
+   * @param {Object} revision - Revision to store
+   * @param {string} revision.action - create | update | rollback
+   * @param {Object} revision.state - JSON-serializable link state after the change
+   * @param {Date} revision.changedAt - When the change was made
+   * @param {Object} [revision.changedBy] - JSON-serializable description of the caller
+   * @param {string} [revision.requestId] - Request that made the change
+   * @param {number} [revision.sourceRevision] - Revision restored by a rollback
+   * @returns {Promise<Object|null>} - Stored revision with its number, or null if the entry is missing or purgeable
+   */
+  async addRevision(shortcode, revision) {
+    throw new Error(`${this.name} adapter does not implement addRevision()`);
+  }
+
+  /**
+   * List a retained URL entry's revisions
+   * @param {string} shortcode - Shortcode to look up
+   * @returns {Promise<Array<Object>>} - Revisions, oldest first (empty if the entry is missing or purgeable)
+   */
+  async listRevisions(shortcode) {
+    throw new Error(`${this.name} adapter does not implement listRevisions()`);
+  }
+
+  /**
+   * Record a click on a live URL entry. The click limit is checked atomically
+   * with the insert, so concurrent clicks never exceed maxClicks.
+   * @param {string} shortcode - Shortcode that was clicked
+   * @param {Object} clickData - Click data (ip, userAgent, referer, utmCampaign of the redirect target,
+   *   rule and variant that chose it, source marked on the short link)
+   * @returns {Promise<boolean>} - False if the entry is missing, expired, inactive, not active yet or exhausted
+   */
+  async addClick(shortcode, clickData) {
+    throw new Error(`${this.name} adapter does not implement addClick()`);
+  }
+
+  /**
+   * Count a preview page view of a live URL entry. Previews are not clicks and do
+   * not use up maxClicks.
+   * @param {string} shortcode - Shortcode that was previewed
+   * @returns {Promise<boolean>} - False if the entry is missing, expired, inactive, not active yet or exhausted
+   */
+  async addPreview(shortcode) {
+    throw new Error(`${this.name} adapter does not implement addPreview()`);
+  }
+
+  /**
+   * Store the latest destination health check of a retained URL entry, replacing the previous one
+   * @param {string} shortcode - Shortcode that was checked
+   * @param {Object|null} health - JSON-serializable check result (status ok | broken, statusCode,
+   *   latencyMs, redirects, checkedAt, ...; see healthMonitor), or null to forget it
+   * @returns {Promise<boolean>} - False if the entry is missing or purgeable
+   */
+  async setHealth(shortcode, health) {
+    throw new Error(`${this.name} adapter does not implement setHealth()`);
+  }
+
+  /**
+   * Live entries (status active) due for a destination health check, soonest due first
+   * (ties by shortcode). Never-checked entries are due at once, checked ones at the
+   * nextCheckAt of their health (see nextHealthCheckAt in listQuery.js). Backends answer
+   * from an index on the due time rather than scanning all links.
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum entries to return
+   * @returns {Promise<Array<Object>>} - URL entries
+   */
+  async listDueHealthChecks(now, limit) {
+    throw new Error(`${this.name} adapter does not implement listDueHealthChecks()`);
+  }
+
+  /**
+   * Get analytics for a URL entry, including retained tombstones
+   * @param {string} shortcode - Shortcode to get analytics for
+   * @param {Object} [page] - Which click records to return, oldest first
+   * @param {number} [page.offset=0] - Clicks to skip
+   * @param {number} [page.limit=CLICK_PAGE_SIZE] - Maximum clicks to return
+   * @returns {Promise<Object|null>} - Analytics data (with the bare shortcode and its domain, isExpired,
+   *   isActive, totalClicks, uniqueClicks by IP, totalPreviews, the link's variants, its latest health
+   *   check and the page of clicks) or null if missing or purgeable
+   */
+  async getAnalytics(shortcode, page) {
+    throw new Error(`${this.name} adapter does not implement getAnalytics()`);
+  }
+
+  /**
+   * Group the clicks of a retained URL entry by a click field
+   * @param {string} shortcode - Shortcode whose clicks to group
+   * @param {string} field - utmCampaign | rule | variant | source
+   * @returns {Promise<Array<Object>>} - { value, clicks, uniqueVisitors } rows in no particular order;
+   *   clicks without the field are grouped under value null, and visitors are told apart by IP
+   *   and User-Agent. Empty if the entry is missing or purgeable
+   */
+  async countClicks(shortcode, field) {
+    throw new Error(`${this.name} adapter does not implement countClicks()`);
+  }
+
+  /**
+   * Roll up retained entries and their clicks per tag or per campaign
+   * @param {string} by - tag | campaign
+   * @returns {Promise<Array<Object>>} - { key, links, clicks } rows, most clicked first (ties by key)
+   */
+  async rollupClicks(by) {
+    throw new Error(`${this.name} adapter does not implement rollupClicks()`);
+  }
+
+  /**
+   * Purge tombstones whose retention window has passed
+   * @returns {Promise<number>} - Number of purged entries
+   */
+  async cleanupExpired() {
+    throw new Error(`${this.name} adapter does not implement cleanupExpired()`);
+  }
+
+  /**
+   * Atomically increment and return a named counter (starts at 1)
+   * @param {string} name - Counter name
+   * @returns {Promise<number>} - Next value
+   */
+  async nextSequence(name) {
+    throw new Error(`${this.name} adapter does not implement nextSequence()`);
+  }
+
+  /**
+   * Register a short domain, or replace the settings of a registered one
+   * @param {Object} domain - Domain to store
+   * @param {string} domain.host - Lowercase hostname
+   * @param {Object} domain.defaults - JSON-serializable settings applied to links created on it
+   * @param {Date} domain.createdAt - When it was registered
+   * @returns {Promise<Object>} - Stored domain
+   */
+  async saveDomain(domain) {
+    throw new Error(`${this.name} adapter does not implement saveDomain()`);
+  }
+
+  /**
+   * Find a registered short domain
+   * @param {string} host - Lowercase hostname
+   * @returns {Promise<Object|null>} - { host, defaults, createdAt } or null if not registered
+   */
+  async findDomain(host) {
+    throw new Error(`${this.name} adapter does not implement findDomain()`);
+  }
+
+  /**
+   * List registered short domains
+   * @returns {Promise<Array<Object>>} - { host, defaults, createdAt } rows ordered by host
+   */
+  async listDomains() {
+    throw new Error(`${this.name} adapter does not implement listDomains()`);
+  }
+
+  /**
+   * Unregister a short domain; links on it are left alone
+   * @param {string} host - Lowercase hostname
+   * @returns {Promise<boolean>} - False if it was not registered
+   */
+  async deleteDomain(host) {
+    throw new Error(`${this.name} adapter does not implement deleteDomain()`);
+  }
+
+  /**
+   * Record a runtime change to the shortcode registry, replacing any earlier change of the same term
+   * @param {Object} change - Change to store
+   * @param {string} change.list - reserved | blocked
+   * @param {string} change.term - Lowercase term
+   * @param {string} change.action - add | remove
+   * @returns {Promise<void>}
+   */
+  async saveRegistryChange(change) {
+    throw new Error(`${this.name} adapter does not implement saveRegistryChange()`);
+  }
+
+  /**
+   * List the runtime changes to the shortcode registry
+   * @returns {Promise<Array<Object>>} - { list, term, action } ordered by list, then term
+   */
+  async listRegistryChanges() {
+    throw new Error(`${this.name} adapter does not implement listRegistryChanges()`);
+  }
+
+  /**
+   * Get store-wide totals
+   * @returns {Promise<Object>} - { totalUrls, totalClicks }
+   */
+  async getStats() {
+    throw new Error(`${this.name} adapter does not implement getStats()`);
+  }
+}
+
+module.exports = StorageAdapter;
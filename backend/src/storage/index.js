@@ -0,0 +1,54 @@
+const InMemoryAdapter = require('./InMemoryAdapter');
+const MongooseAdapter = require('./MongooseAdapter');
+const FileAdapter = require('./FileAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+
+const adapters = {
+  memory: InMemoryAdapter,
+  file: FileAdapter,
+  sqlite: SqliteAdapter,
+  mongodb: MongooseAdapter
+};
+
+let activeStorage = null;
+
+/**
+ * Create a storage adapter by name
+ * @param {string} [type] - Adapter name (default: STORAGE_ADAPTER env or 'memory')
+ * @param {Object} [options] - Adapter-specific options
+ * @returns {StorageAdapter} - Storage adapter instance
+ */
+const createStorage = (type = process.env.STORAGE_ADAPTER || 'memory', options = {}) => {
+  const Adapter = adapters[type];
+
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter '${type}'. Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return new Adapter(options);
+};
+
+/**
+ * Get the configured storage adapter, creating it on first use
+ * @returns {StorageAdapter} - Active storage adapter
+ */
+const getStorage = () => {
+  if (!activeStorage) {
+    activeStorage = createStorage();
+  }
+  return activeStorage;
+};
+
+/**
+ * Replace the active storage adapter (used by tests and alternate entry points)
+ * @param {StorageAdapter} storage - Storage adapter to use
+ */
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,131 @@
+/**
+ * Shared semantics for StorageAdapter.list() so every backend filters and
+ * sorts links the same way, and for the keys links are stored under.
+ */
+
+const LIST_STATUSES = ['active', 'scheduled', 'exhausted', 'inactive', 'expired'];
+const LIST_SORT_FIELDS = ['createdAt', 'expiresAt', 'clickCount', 'shortcode'];
+const ROLLUP_FIELDS = ['tag', 'campaign'];
+// Outcomes of the latest destination health check (entries never checked have health null)
+const HEALTH_STATUSES = ['ok', 'broken'];
+
+// Latest representable Date. Backends whose expiry column cannot be null store
+// never-expiring links with this value and hand them out as expiresAt: null,
+// which also makes them sort after every dated expiry.
+const NEVER_EXPIRES_MS = 8640000000000000;
+
+// Click records getAnalytics() returns when no limit is given
+const CLICK_PAGE_SIZE = 100;
+
+/**
+ * When a link is next due for a destination health check: at once until it has been
+ * checked, then at the nextCheckAt of its latest check
+ * @param {Object|null} health - Latest health check (see healthMonitor)
+ * @returns {number|null} - Milliseconds since the epoch (0 when never checked), or null if never due
+ */
+const nextHealthCheckAt = (health) => {
+  if (!health) return 0;
+  const time = Date.parse(health.nextCheckAt);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Lifecycle status of a URL entry
+ * @param {Object} entry - URL entry with expiresAt (null = never), activeFrom (null = immediately),
+ *   maxClicks (null = unlimited), isActive and clickCount
+ * @param {Date} [now] - Reference time
+ * @returns {string} - 'expired' | 'inactive' | 'exhausted' | 'scheduled' | 'active'
+ */
+const entryStatus = (entry, now = new Date()) => {
+  if (entry.expiresAt && now > entry.expiresAt) return 'expired';
+  if (entry.isActive === false) return 'inactive';
+  if (entry.maxClicks && entry.clickCount >= entry.maxClicks) return 'exhausted';
+  if (entry.activeFrom && now < entry.activeFrom) return 'scheduled';
+  return 'active';
+};
+
+/**
+ * Lowercase words of a text, split at anything that is not a letter or digit
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Words in order of appearance
+ */
+const searchTokens = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Words a link can be found by: its destination, shortcode, campaign, note and tags.
+ * A search matches when every query word is a prefix of one of these.
+ * @param {Object} entry - URL entry
+ * @returns {Array<string>} - Distinct words
+ */
+const entrySearchTokens = (entry) => [...new Set(searchTokens(
+  [entry.originalUrl, entry.shortcode, entry.campaign, entry.note, ...(entry.tags || [])].join(' ')
+))];
+
+/**
+ * Order rollup rows by clicks (most first), then key
+ * @param {Object} a - { key, links, clicks }
+ * @param {Object} b - { key, links, clicks }
+ * @returns {number}
+ */
+const compareRollups = (a, b) => b.clicks - a.clicks || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+/**
+ * Hostname of a destination URL
+ * @param {string} url - Destination URL
+ * @returns {string} - Lowercase hostname, or '' if the URL cannot be parsed
+ */
+const urlHost = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Whether a hostname is the given domain or one of its subdomains
+ * @param {string} host - Lowercase hostname
+ * @param {string} domain - Lowercase domain filter
+ * @returns {boolean}
+ */
+const hostMatchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Key a link is stored and looked up under. Each registered short domain has its own
+ * shortcode namespace, so links on one are keyed "<domain>/<shortcode>"; links on the
+ * default domain (BASE_URL) keep the bare shortcode.
+ * @param {string|null} domain - Lowercase short domain, or null for the default domain
+ * @param {string} shortcode - Shortcode
+ * @returns {string} - Link key
+ */
+const linkKey = (domain, shortcode) => (domain ? `${domain}/${shortcode}` : shortcode);
+
+/**
+ * Split a link key back into its short domain and shortcode
+ * @param {string} key - Link key from linkKey
+ * @returns {{ shortcode: string, domain: string|null }}
+ */
+const parseLinkKey = (key) => {
+  const slash = key.lastIndexOf('/');
+  return slash === -1
+    ? { shortcode: key, domain: null }
+    : { shortcode: key.slice(slash + 1), domain: key.slice(0, slash) };
+};
+
+module.exports = {
+  LIST_STATUSES,
+  LIST_SORT_FIELDS,
+  ROLLUP_FIELDS,
+  HEALTH_STATUSES,
+  NEVER_EXPIRES_MS,
+  CLICK_PAGE_SIZE,
+  entryStatus,
+  nextHealthCheckAt,
+  searchTokens,
+  entrySearchTokens,
+  compareRollups,
+  urlHost,
+  hostMatchesDomain,
+  linkKey,
+  parseLinkKey
+};
@@ -0,0 +1,255 @@
+const { entrySearchTokens } = require('../listQuery');
+
+/**
+ * Versioned SQLite schema migrations, applied in order at boot.
+ * Never edit a migration that has shipped; append a new one instead.
+ *
+ * Timestamps are stored as epoch milliseconds.
+ */
+module.exports = [
+  {
+    version: 1,
+    name: 'create-urls-and-clicks',
+    up: `
+      CREATE TABLE urls (
+        shortcode    TEXT PRIMARY KEY,
+        original_url TEXT NOT NULL,
+        created_at   INTEGER NOT NULL,
+        expires_at   INTEGER NOT NULL,
+        click_count  INTEGER NOT NULL DEFAULT 0,
+        is_active    INTEGER NOT NULL DEFAULT 1
+      );
+
+      -- Mirrors the indexes declared in models/Url.js; shortcode is covered by the primary key
+      CREATE INDEX idx_urls_expires_at ON urls (expires_at);
+      CREATE INDEX idx_urls_created_at ON urls (created_at DESC);
+
+      CREATE TABLE clicks (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        shortcode  TEXT NOT NULL REFERENCES urls (shortcode) ON DELETE CASCADE,
+        timestamp  INTEGER NOT NULL,
+        user_agent TEXT NOT NULL DEFAULT '',
+        ip         TEXT NOT NULL DEFAULT '',
+        referer    TEXT NOT NULL DEFAULT ''
+      );
+
+      CREATE INDEX idx_clicks_shortcode_timestamp ON clicks (shortcode, timestamp);
+    `
+  },
+  {
+    version: 2,
+    name: 'create-sequences',
+    up: `
+      CREATE TABLE sequences (
+        name  TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'index-urls-original-url',
+    up: `
+      CREATE INDEX idx_urls_original_url ON urls (original_url, expires_at DESC);
+    `
+  },
+  {
+    version: 4,
+    name: 'create-url-revisions',
+    up: `
+      CREATE TABLE url_revisions (
+        shortcode       TEXT NOT NULL REFERENCES urls (shortcode) ON DELETE CASCADE,
+        revision        INTEGER NOT NULL,
+        action          TEXT NOT NULL,
+        state           TEXT NOT NULL,
+        changed_at      INTEGER NOT NULL,
+        changed_by      TEXT,
+        request_id      TEXT,
+        source_revision INTEGER,
+        PRIMARY KEY (shortcode, revision)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'add-urls-active-from',
+    up: `
+      -- NULL means the link is active as soon as it is created
+      ALTER TABLE urls ADD COLUMN active_from INTEGER;
+    `
+  },
+  {
+    version: 6,
+    name: 'add-urls-max-clicks',
+    up: `
+      -- NULL means unlimited; compared with click_count when a click is recorded
+      ALTER TABLE urls ADD COLUMN max_clicks INTEGER;
+    `
+  },
+  {
+    version: 7,
+    name: 'add-urls-password-hash',
+    up: `
+      -- NULL means the link redirects without an unlock step
+      ALTER TABLE urls ADD COLUMN password_hash TEXT;
+    `
+  },
+  {
+    version: 8,
+    name: 'add-urls-labels-and-search',
+    up: (db) => {
+      db.exec(`
+        -- tags holds the JSON array read back with the link; url_tags indexes it
+        ALTER TABLE urls ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+        ALTER TABLE urls ADD COLUMN campaign TEXT;
+        ALTER TABLE urls ADD COLUMN note TEXT;
+        CREATE INDEX idx_urls_campaign ON urls (campaign);
+
+        CREATE TABLE url_tags (
+          shortcode TEXT NOT NULL REFERENCES urls (shortcode) ON DELETE CASCADE,
+          tag       TEXT NOT NULL,
+          PRIMARY KEY (tag, shortcode)
+        );
+        CREATE INDEX idx_url_tags_shortcode ON url_tags (shortcode);
+
+        -- Words each link can be found by (see entrySearchTokens); searched by prefix range
+        CREATE TABLE url_search_tokens (
+          shortcode TEXT NOT NULL REFERENCES urls (shortcode) ON DELETE CASCADE,
+          token     TEXT NOT NULL,
+          PRIMARY KEY (token, shortcode)
+        );
+        CREATE INDEX idx_url_search_tokens_shortcode ON url_search_tokens (shortcode);
+      `);
+
+      const insertToken = db.prepare('INSERT INTO url_search_tokens (shortcode, token) VALUES (?, ?)');
+      for (const row of db.prepare('SELECT shortcode, original_url FROM urls').all()) {
+        entrySearchTokens({ shortcode: row.shortcode, originalUrl: row.original_url })
+          .forEach(token => insertToken.run(row.shortcode, token));
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'add-utm-defaults-and-click-campaign',
+    up: `
+      -- JSON object of UTM fields appended at redirect time; NULL means none
+      ALTER TABLE urls ADD COLUMN utm_defaults TEXT;
+      -- utm_campaign of the URL the visitor was sent to
+      ALTER TABLE clicks ADD COLUMN utm_campaign TEXT;
+    `
+  },
+  {
+    version: 10,
+    name: 'add-urls-passthrough',
+    up: `
+      -- JSON forwarding setting ({ path, query, onConflict }); NULL means no forwarding
+      ALTER TABLE urls ADD COLUMN passthrough TEXT;
+    `
+  },
+  {
+    version: 11,
+    name: 'add-redirect-rules',
+    up: `
+      -- JSON array of rules ({ name, when, url }) checked in order; NULL means always the original URL
+      ALTER TABLE urls ADD COLUMN redirect_rules TEXT;
+      -- Name of the rule that chose the destination; NULL means the default destination
+      ALTER TABLE clicks ADD COLUMN rule TEXT;
+    `
+  },
+  {
+    version: 12,
+    name: 'add-split-variants',
+    up: `
+      -- JSON array of weighted destinations ({ name, url, weight, retired }); NULL means no split
+      ALTER TABLE urls ADD COLUMN variants TEXT;
+      -- Name of the variant the visitor was sent to; NULL when the link was not split
+      ALTER TABLE clicks ADD COLUMN variant TEXT;
+    `
+  },
+  {
+    version: 13,
+    name: 'add-urls-redirect-status',
+    up: `
+      -- HTTP status of the redirect: 301, 302, 307 or 308
+      ALTER TABLE urls ADD COLUMN redirect_status INTEGER NOT NULL DEFAULT 302;
+    `
+  },
+  {
+    version: 14,
+    name: 'add-urls-preview',
+    up: `
+      -- 1 shows the preview page instead of redirecting; preview views are counted apart from clicks
+      ALTER TABLE urls ADD COLUMN preview INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE urls ADD COLUMN preview_count INTEGER NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    version: 15,
+    name: 'add-urls-fallback-url',
+    up: `
+      -- Where visitors go once the link has expired or used up its clicks; NULL uses the deployment default
+      ALTER TABLE urls ADD COLUMN fallback_url TEXT;
+    `
+  },
+  {
+    version: 16,
+    name: 'add-clicks-source',
+    up: `
+      -- Where the visitor came from as marked on the short link (?src=qr); NULL when unmarked
+      ALTER TABLE clicks ADD COLUMN source TEXT;
+    `
+  },
+  {
+    version: 17,
+    name: 'add-short-domains',
+    up: `
+      -- Registered short domain of the link; NULL for the default domain. Links on a registered
+      -- domain are keyed "<domain>/<shortcode>" in the shortcode column (see linkKey), which
+      -- gives each domain its own namespace without rebuilding the tables that reference it
+      ALTER TABLE urls ADD COLUMN domain TEXT;
+      CREATE INDEX idx_urls_domain ON urls (domain);
+
+      CREATE TABLE domains (
+        host       TEXT PRIMARY KEY,
+        -- JSON object of settings applied to links created on the domain
+        defaults   TEXT NOT NULL DEFAULT '{}',
+        created_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 18,
+    name: 'add-urls-health',
+    up: `
+      -- JSON result of the latest destination health check; NULL until the link is checked
+      ALTER TABLE urls ADD COLUMN health TEXT;
+    `
+  },
+  {
+    version: 19,
+    name: 'add-urls-next-check-at',
+    up: `
+      -- When the destination is next due for a health check (see nextHealthCheckAt): 0 until the
+      -- link is checked, then the nextCheckAt of its health in ms; NULL is never due
+      ALTER TABLE urls ADD COLUMN next_check_at INTEGER;
+      UPDATE urls SET next_check_at = CASE
+        WHEN health IS NULL THEN 0
+        ELSE CAST(ROUND((julianday(json_extract(health, '$.nextCheckAt')) - 2440587.5) * 86400000) AS INTEGER)
+      END;
+      CREATE INDEX idx_urls_next_check_at ON urls (next_check_at, shortcode);
+    `
+  },
+  {
+    version: 20,
+    name: 'create-shortcode-registry-changes',
+    up: `
+      -- Runtime additions to and removals from the reserved and blocked shortcode lists
+      CREATE TABLE shortcode_registry_changes (
+        list TEXT NOT NULL,
+        term TEXT NOT NULL,
+        action TEXT NOT NULL,
+        PRIMARY KEY (list, term)
+      );
+    `
+  }
+];
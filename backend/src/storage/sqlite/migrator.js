@@ -0,0 +1,49 @@
+const defaultMigrations = require('./migrations');
+
+/**
+ * Bring a SQLite database up to the latest schema version.
+ * Each pending migration runs in its own transaction together with the
+ * row that records it, so a failed migration leaves no partial schema.
+ *
+ * @param {Object} db - better-sqlite3 database
+ * @param {Array<Object>} [migrations] - Ordered migrations ({ version, name, up }); `up` is
+ *   SQL, or a function taking the database for data migrations that need JavaScript
+ * @returns {Array<number>} - Versions applied by this run
+ */
+const runMigrations = (db, migrations = defaultMigrations) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+
+  const { current } = db.prepare('SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations').get();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than the latest known migration ${latest}`);
+  }
+
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  const applied = [];
+
+  migrations
+    .filter(migration => migration.version > current)
+    .forEach(migration => {
+      db.transaction(() => {
+        if (typeof migration.up === 'function') {
+          migration.up(db);
+        } else {
+          db.exec(migration.up);
+        }
+        recordMigration.run(migration.version, migration.name, Date.now());
+      })();
+      applied.push(migration.version);
+    });
+
+  return applied;
+};
+
+module.exports = { runMigrations };
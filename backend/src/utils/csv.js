@@ -0,0 +1,81 @@
+/**
+ * Parse RFC 4180 CSV text into rows of fields.
+ * Handles quoted fields (with embedded commas, quotes and newlines),
+ * CRLF or LF line endings and a leading byte order mark.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows; blank lines are skipped
+ * @throws {Error} - On an unterminated quoted field
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV contains an unterminated quoted field');
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Format one CSV record. Fields are quoted when they contain a comma, quote
+ * or line break, and string fields that a spreadsheet would evaluate as a formula
+ * (leading =, +, -, @, tab or carriage return) are prefixed with a quote.
+ * @param {Array<*>} values - Field values (null/undefined become empty)
+ * @returns {string} - CSV record terminated by CRLF
+ */
+const toCsvRow = (values) => values.map(value => {
+  let field = value === null || value === undefined ? '' : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  if (/[",\r\n]/.test(field)) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+}).join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
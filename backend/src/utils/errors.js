@@ -0,0 +1,27 @@
+/**
+ * Error for a request a service refuses, as opposed to a failure of the service itself.
+ * Callers switch on code instead of matching the message, which is shown to the client.
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} code - invalid | forbidden | not_found | conflict
+   * @param {string} message - Client-facing explanation
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Code of an error thrown by a service
+ * @param {Error} error - Thrown error
+ * @returns {string} - The ServiceError code, or 'error' for unexpected failures
+ */
+const errorCodeOf = (error) => (error instanceof ServiceError ? error.code : 'error');
+
+module.exports = {
+  ServiceError,
+  errorCodeOf
+};
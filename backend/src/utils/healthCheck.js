@@ -0,0 +1,167 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const USER_AGENT = 'url-shortener-health-check/1.0';
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+// Servers that refuse HEAD often answer GET normally
+const HEAD_REFUSED_STATUS_CODES = [403, 405, 501];
+const ADDRESS_REFUSED = 'Refused private or reserved address';
+
+// Loopback, private, link-local, shared, documentation, multicast and other reserved
+// ranges; IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+const RESERVED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is private or reserved, and so never checked
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isReservedAddress = (address) => RESERVED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * dns.lookup that fails for private and reserved addresses, so every connection
+ * (redirect hops included) is checked after resolution and cannot be rebound
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isReservedAddress(entry.address))) {
+      return callback(new Error(ADDRESS_REFUSED));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Send one request and resolve as soon as the response headers arrive; the body is never read
+ * @param {URL} url - Request URL
+ * @param {string} method - HEAD or GET
+ * @param {number} timeoutMs - Time allowed for the response headers
+ * @param {boolean} allowPrivateAddresses - Skip the private and reserved address check
+ * @returns {Promise<Object>} - { statusCode, location }
+ */
+const requestHeaders = (url, method, timeoutMs, allowPrivateAddresses) => new Promise((resolve, reject) => {
+  // IP literals never reach the lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateAddresses && net.isIP(host) && isReservedAddress(host)) {
+    return reject(new Error(ADDRESS_REFUSED));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method,
+    headers: { 'User-Agent': USER_AGENT, Accept: '*/*' },
+    lookup: allowPrivateAddresses ? undefined : publicLookup
+  }, (response) => {
+    clearTimeout(timer);
+    resolve({ statusCode: response.statusCode, location: response.headers.location });
+    response.destroy();
+  });
+
+  const timer = setTimeout(() => request.destroy(new Error(`No response within ${timeoutMs} ms`)), timeoutMs);
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end();
+});
+
+/**
+ * Follow a destination through its redirects with one method
+ * @param {string} url - Destination URL
+ * @param {string} method - HEAD or GET
+ * @param {Object} options - See checkDestination
+ * @returns {Promise<Object>} - Check result (see checkDestination)
+ */
+const followRedirects = async (url, method, { timeoutMs, maxRedirects, allowPrivateAddresses }) => {
+  const startedAt = Date.now();
+  const redirects = [];
+  let current = new URL(url);
+
+  const result = (fields) => ({
+    method,
+    statusCode: null,
+    error: null,
+    ...fields,
+    latencyMs: Date.now() - startedAt,
+    redirects,
+    finalUrl: current.href
+  });
+
+  for (;;) {
+    let response;
+    try {
+      response = await requestHeaders(current, method, timeoutMs, allowPrivateAddresses);
+    } catch (error) {
+      return result({ error: error.code || error.message });
+    }
+
+    if (!REDIRECT_STATUS_CODES.includes(response.statusCode) || !response.location) {
+      return result({ statusCode: response.statusCode });
+    }
+    if (redirects.length === maxRedirects) {
+      return result({ statusCode: response.statusCode, error: `More than ${maxRedirects} redirects` });
+    }
+
+    let next;
+    try {
+      next = new URL(response.location, current);
+    } catch {
+      return result({ statusCode: response.statusCode, error: 'Invalid redirect location' });
+    }
+    if (!['http:', 'https:'].includes(next.protocol)) {
+      return result({ statusCode: response.statusCode, error: `Redirect to unsupported protocol ${next.protocol}` });
+    }
+
+    redirects.push({ url: current.href, statusCode: response.statusCode });
+    current = next;
+  }
+};
+
+/**
+ * Check whether a destination answers: HEAD first, then GET when the server refuses HEAD.
+ * Destinations and redirect hops resolving to private or reserved addresses are refused,
+ * so links cannot make the server probe its own network.
+ * @param {string} url - HTTP or HTTPS destination
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Time allowed per request
+ * @param {number} [options.maxRedirects=5] - Redirects followed before giving up
+ * @param {boolean} [options.allowPrivateAddresses=false] - Also check private and reserved addresses
+ * @returns {Promise<Object>} - { method, statusCode (of the last response, null if none), error (network
+ *   failure, refused address or redirect problem, else null), latencyMs, redirects: [{ url, statusCode }], finalUrl }
+ */
+const checkDestination = async (url, { timeoutMs = 5000, maxRedirects = 5, allowPrivateAddresses = false } = {}) => {
+  const options = { timeoutMs, maxRedirects, allowPrivateAddresses };
+  const head = await followRedirects(url, 'HEAD', options);
+  if (!head.error && HEAD_REFUSED_STATUS_CODES.includes(head.statusCode)) {
+    return followRedirects(url, 'GET', options);
+  }
+  return head;
+};
+
+/**
+ * Whether a check result means the destination works. 429 means the site is up but
+ * throttling us, so it does not count as broken.
+ * @param {Object} result - From checkDestination
+ * @returns {boolean}
+ */
+const isHealthy = (result) => !result.error && (result.statusCode < 400 || result.statusCode === 429);
+
+module.exports = {
+  checkDestination,
+  isHealthy,
+  isReservedAddress
+};
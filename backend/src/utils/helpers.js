@@ -32,9 +32,9 @@ const generateRandomString = (length = 8, chars = 'abcdefghijklmnopqrstuvwxyzABC
   const crypto = require('crypto');
   let result = '';
   
+  // randomInt rejects out-of-range draws, so every character is equally likely
   for (let i = 0; i < length; i++) {
-    const randomByte = crypto.randomBytes(1)[0];
-    result += chars[randomByte % chars.length];
+    result += chars[crypto.randomInt(chars.length)];
   }
   
   return result;
@@ -72,31 +72,36 @@ const isFutureDate = (date) => {
 /**
  * Parse user agent for basic information
  * @param {string} userAgent - User agent string
- * @returns {Object} - Parsed user agent info
+ * @returns {Object} - Parsed user agent info ({ browser, os, device: Mobile | Tablet | Desktop })
  */
 const parseUserAgent = (userAgent) => {
-  if (!userAgent) return { browser: 'Unknown', os: 'Unknown' };
+  if (!userAgent) return { browser: 'Unknown', os: 'Unknown', device: 'Unknown' };
   
   const ua = userAgent.toLowerCase();
   
   let browser = 'Unknown';
   let os = 'Unknown';
   
-  // Browser detection
-  if (ua.includes('chrome')) browser = 'Chrome';
-  else if (ua.includes('firefox')) browser = 'Firefox';
+  // Browser detection; Edge and Opera also claim Chrome, and Chrome also claims Safari
+  if (ua.includes('edg/') || ua.includes('edge')) browser = 'Edge';
+  else if (ua.includes('opr/') || ua.includes('opera')) browser = 'Opera';
+  else if (ua.includes('chrome') || ua.includes('crios')) browser = 'Chrome';
+  else if (ua.includes('firefox') || ua.includes('fxios')) browser = 'Firefox';
   else if (ua.includes('safari')) browser = 'Safari';
-  else if (ua.includes('edge')) browser = 'Edge';
-  else if (ua.includes('opera')) browser = 'Opera';
   
-  // OS detection
-  if (ua.includes('windows')) os = 'Windows';
+  // OS detection; iOS claims Mac OS X and Android claims Linux, so they go first
+  if (/iphone|ipad|ipod/.test(ua)) os = 'iOS';
+  else if (ua.includes('android')) os = 'Android';
+  else if (ua.includes('windows')) os = 'Windows';
   else if (ua.includes('mac os')) os = 'macOS';
   else if (ua.includes('linux')) os = 'Linux';
-  else if (ua.includes('android')) os = 'Android';
-  else if (ua.includes('ios')) os = 'iOS';
+
+  // Android tablets omit "mobile" from their user agent
+  let device = 'Desktop';
+  if (ua.includes('ipad') || ua.includes('tablet') || (ua.includes('android') && !ua.includes('mobile'))) device = 'Tablet';
+  else if (ua.includes('mobi') || ua.includes('iphone') || ua.includes('ipod')) device = 'Mobile';
   
-  return { browser, os };
+  return { browser, os, device };
 };
 
 /**
@@ -0,0 +1,15 @@
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param {*} value - Value to escape (null/undefined become empty)
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
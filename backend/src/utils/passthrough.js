@@ -0,0 +1,110 @@
+// How a query parameter present on both the destination and the request is resolved
+const PASSTHROUGH_CONFLICT_POLICIES = ['destination', 'request', 'both'];
+const PASSTHROUGH_FIELDS = ['path', 'query', 'onConflict'];
+
+/**
+ * Validate a passthrough setting from a request body
+ * @param {*} passthrough - Value to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validatePassthrough = (passthrough) => {
+  if (!passthrough || typeof passthrough !== 'object' || Array.isArray(passthrough)) {
+    return `passthrough must be an object with any of: ${PASSTHROUGH_FIELDS.join(', ')}`;
+  }
+
+  const unknown = Object.keys(passthrough).find(field => !PASSTHROUGH_FIELDS.includes(field));
+  if (unknown) {
+    return `passthrough.${unknown} is not supported (use ${PASSTHROUGH_FIELDS.join(', ')})`;
+  }
+  for (const field of ['path', 'query']) {
+    if (passthrough[field] !== undefined && typeof passthrough[field] !== 'boolean') {
+      return `passthrough.${field} must be a boolean`;
+    }
+  }
+  if (passthrough.onConflict !== undefined && !PASSTHROUGH_CONFLICT_POLICIES.includes(passthrough.onConflict)) {
+    return `passthrough.onConflict must be one of: ${PASSTHROUGH_CONFLICT_POLICIES.join(', ')}`;
+  }
+  if (passthrough.path === false && passthrough.query === false) {
+    return 'passthrough must forward the path, the query or both';
+  }
+  return null;
+};
+
+/**
+ * Fill in the defaults of a validated passthrough setting (forward both, destination wins)
+ * @param {Object} passthrough - Validated passthrough setting
+ * @returns {Object} - { path, query, onConflict }
+ */
+const normalizePassthrough = (passthrough) => ({
+  path: passthrough.path !== false,
+  query: passthrough.query !== false,
+  onConflict: passthrough.onConflict || 'destination'
+});
+
+/**
+ * Decode a path segment or query key, leaving malformed escapes as they are
+ * @param {string} value - Percent-encoded text
+ * @returns {string} - Decoded text
+ */
+const decodeComponent = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Check that a forwarded path cannot climb out of the destination path
+ * @param {string} path - Percent-encoded path starting with '/'
+ * @returns {boolean} - False if a segment is '.' or '..' (encoded or not)
+ */
+const isSafeForwardPath = (path) => !decodeComponent(path)
+  .split(/[/\\]/)
+  .some(segment => segment === '.' || segment === '..');
+
+// Raw `key=value` pairs of a query string
+const queryPairs = (search) => search.replace(/^\?/, '').split('&').filter(Boolean);
+const pairKey = (pair) => decodeComponent(pair.split('=')[0]);
+
+/**
+ * Apply a link's passthrough setting to its destination. Pairs are copied as they
+ * were sent, so neither query string is re-encoded.
+ * @param {string} destination - Absolute destination URL
+ * @param {Object} passthrough - Normalized passthrough setting
+ * @param {Object} forwarded - Part of the request after the shortcode
+ * @param {string} [forwarded.path] - Percent-encoded path ('' for none); must pass isSafeForwardPath
+ * @param {string} [forwarded.search] - Query string ('' or '?...')
+ * @returns {string} - Redirect target
+ */
+const forwardRequest = (destination, passthrough, { path = '', search = '' }) => {
+  const target = new URL(destination);
+
+  if (passthrough.path && path) {
+    target.pathname = target.pathname.replace(/\/$/, '') + path;
+  }
+
+  const incoming = passthrough.query ? queryPairs(search) : [];
+  if (incoming.length > 0) {
+    const existing = queryPairs(target.search);
+    const incomingKeys = new Set(incoming.map(pairKey));
+    const existingKeys = new Set(existing.map(pairKey));
+
+    const merged = {
+      destination: () => [...existing, ...incoming.filter(pair => !existingKeys.has(pairKey(pair)))],
+      request: () => [...existing.filter(pair => !incomingKeys.has(pairKey(pair))), ...incoming],
+      both: () => [...existing, ...incoming]
+    }[passthrough.onConflict]();
+    target.search = `?${merged.join('&')}`;
+  }
+
+  return target.toString();
+};
+
+module.exports = {
+  PASSTHROUGH_CONFLICT_POLICIES,
+  validatePassthrough,
+  normalizePassthrough,
+  isSafeForwardPath,
+  forwardRequest
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Async scrypt keeps the event loop free while hashing
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Hash a link password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - 'scrypt$<salt hex>$<hash hex>'
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,74 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} - Unsigned CRC
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode a two-color image as a 1-bit palette PNG
+ * @param {Object} image
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {Array<Array<number>>} image.palette - [[r, g, b] for 0, [r, g, b] for 1]
+ * @param {Function} image.pixel - (x, y) => true for palette color 1
+ * @returns {Buffer} - PNG file
+ */
+const encodeTwoColorPng = ({ width, height, palette, pixel }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 1; // bit depth
+  header[9] = 3; // indexed color
+  // compression, filter and interlace methods stay 0
+
+  // Each scanline starts with filter type 0 and packs eight pixels per byte
+  const stride = Math.ceil(width / 8) + 1;
+  const raw = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixel(x, y)) raw[y * stride + 1 + (x >>> 3)] |= 0x80 >>> (x & 7);
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('PLTE', Buffer.from(palette.flat())),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+module.exports = {
+  encodeTwoColorPng
+};
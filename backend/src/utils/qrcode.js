@@ -0,0 +1,382 @@
+// QR code encoder (ISO/IEC 18004, byte mode, versions 1-40)
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Bits stored in the format information for each error correction level
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Error correction blocks, indexed by version (index 0 unused)
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Data masks; a module is flipped when its mask condition holds
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Multiply two elements of GF(2^8) with the QR code polynomial 0x11D
+ * @param {number} x - Byte
+ * @param {number} y - Byte
+ * @returns {number} - Product byte
+ */
+const gfMultiply = (x, y) => {
+  let product = 0;
+  for (let bit = 7; bit >= 0; bit--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> bit) & 1) * x;
+  }
+  return product;
+};
+
+/**
+ * Generator polynomial for a number of Reed-Solomon error correction codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} - Coefficients, highest power first (the leading 1 omitted)
+ */
+const reedSolomonDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+};
+
+/**
+ * Error correction codewords of a block
+ * @param {Array<number>} data - Data codewords of the block
+ * @param {Array<number>} divisor - From reedSolomonDivisor
+ * @returns {Array<number>} - Error correction codewords
+ */
+const reedSolomonRemainder = (data, divisor) => {
+  const remainder = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => { remainder[i] ^= gfMultiply(coefficient, factor); });
+  }
+  return remainder;
+};
+
+/**
+ * Modules of a version available for data and error correction (everything but function patterns)
+ * @param {number} version - 1-40
+ * @returns {number}
+ */
+const rawDataModules = (version) => {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    modules -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return modules;
+};
+
+/**
+ * Data codewords a version holds at an error correction level
+ * @param {number} version - 1-40
+ * @param {string} level - L, M, Q or H
+ * @returns {number}
+ */
+const dataCodewords = (version, level) =>
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+
+/**
+ * Centre coordinates of the alignment patterns of a version
+ * @param {number} version - 1-40
+ * @returns {Array<number>} - Ascending positions, used for both rows and columns
+ */
+const alignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+/**
+ * Data codewords for bytes in byte mode: mode indicator, length, data, terminator and padding
+ * @param {Buffer} bytes - Data to encode
+ * @param {number} version - 1-40
+ * @param {string} level - L, M, Q or H
+ * @returns {Array<number>} - Codewords filling the version
+ */
+const dataCodewordsFor = (bytes, version, level) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+/**
+ * Split data codewords into blocks, add error correction to each and interleave them
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - 1-40
+ * @param {string} level - L, M, Q or H
+ * @returns {Array<number>} - Final codeword sequence
+ */
+const interleaveWithErrorCorrection = (data, version, level) => {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Short blocks get a placeholder so all blocks line up; it is skipped below
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+/**
+ * Penalty score of a finished symbol; the mask with the lowest score is used
+ * @param {Array<Array<boolean>>} modules - Module matrix
+ * @returns {number}
+ */
+const penaltyScore = (modules) => {
+  const size = modules.length;
+  const at = (x, y, vertical) => (vertical ? modules[x][y] : modules[y][x]);
+  let penalty = 0;
+
+  for (const vertical of [false, true]) {
+    for (let y = 0; y < size; y++) {
+      // Runs of five or more modules of one color
+      let run = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && at(x, y, vertical) === at(x - 1, y, vertical)) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+      // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+      for (let x = 0; x + 7 <= size; x++) {
+        const pattern = [1, 0, 1, 1, 1, 0, 1].every((dark, i) => at(x + i, y, vertical) === (dark === 1));
+        if (!pattern) continue;
+        const lightBefore = x >= 4 && [1, 2, 3, 4].every(i => !at(x - i, y, vertical));
+        const lightAfter = x + 11 <= size && [7, 8, 9, 10].every(i => !at(x + i, y, vertical));
+        if (lightBefore || lightAfter) penalty += 40;
+      }
+    }
+  }
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+/**
+ * Encode text as a QR code, using the smallest version that fits
+ * @param {string} text - Text to encode (as UTF-8)
+ * @param {Object} [options]
+ * @param {string} [options.errorCorrection='M'] - L (7%), M (15%), Q (25%) or H (30%) of the symbol recoverable
+ * @returns {Object} - { version, size, modules }; modules[y][x] is true for dark modules
+ * @throws {Error} - When the text does not fit in a version 40 symbol
+ */
+const encodeQr = (text, { errorCorrection = 'M' } = {}) => {
+  const level = errorCorrection;
+  if (!ERROR_CORRECTION_LEVELS.includes(level)) {
+    throw new Error(`errorCorrection must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}`);
+  }
+
+  const bytes = Buffer.from(text, 'utf8');
+  let version = MIN_VERSION;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+    if (++version > MAX_VERSION) {
+      throw new Error('Text is too long for a QR code');
+    }
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+  // Alignment patterns, except where they would overlap a finder pattern
+  const positions = alignmentPositions(version);
+  positions.forEach((cy, i) => positions.forEach((cx, j) => {
+    const last = positions.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }));
+
+  const drawFormat = (mask) => {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  // Reserve the format areas before placing data; the real bits are drawn per mask
+  drawFormat(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Place codewords in two-module columns, zigzagging up and down from the bottom right
+  const codewords = interleaveWithErrorCorrection(dataCodewordsFor(bytes, version, level), version, level);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  // Masks are their own inverse, so each one is tried and undone in place
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = penaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestPenalty = penalty;
+      bestMask = mask;
+    }
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormat(bestMask);
+
+  return { version, size, modules };
+};
+
+module.exports = {
+  ERROR_CORRECTION_LEVELS,
+  encodeQr
+};
@@ -0,0 +1,216 @@
+const { parseUserAgent } = require('./helpers');
+const { urlHost, hostMatchesDomain } = require('../storage/listQuery');
+
+// Conditions a rule can test; list conditions match when any of their values does
+const RULE_LIST_CONDITIONS = ['os', 'browser', 'device', 'language', 'referrerDomain'];
+const RULE_CONDITIONS = [...RULE_LIST_CONDITIONS, 'time'];
+const MAX_REDIRECT_RULES = 20;
+const MAX_RULE_VALUES = 20;
+const RULE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timezone - IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate the time window of a rule
+ * @param {*} time - Value to check
+ * @param {string} name - Field name used in messages
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTimeWindow = (time, name) => {
+  if (!time || typeof time !== 'object' || Array.isArray(time) ||
+    !TIME_PATTERN.test(time.from) || !TIME_PATTERN.test(time.to)) {
+    return `${name} must be { from, to, timezone } with HH:MM times`;
+  }
+  if (time.from === time.to) {
+    return `${name}.from and ${name}.to must differ`;
+  }
+  if (time.timezone !== undefined && (typeof time.timezone !== 'string' || !isValidTimezone(time.timezone))) {
+    return `${name}.timezone must be an IANA time zone such as Europe/Berlin`;
+  }
+  return null;
+};
+
+/**
+ * Validate the redirect rules of a request body
+ * @param {*} rules - Value to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRedirectRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_REDIRECT_RULES) {
+    return `redirectRules must be an array of 1-${MAX_REDIRECT_RULES} rules`;
+  }
+
+  const names = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const name = `redirectRules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return `${name} must be an object with when and url`;
+    }
+    if (rule.name !== undefined) {
+      if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+        return `${name}.name must be 1-32 letters, digits, '-' or '_'`;
+      }
+      if (names.has(rule.name)) {
+        return `${name}.name '${rule.name}' is used by another rule`;
+      }
+      names.add(rule.name);
+    }
+
+    try {
+      if (!['http:', 'https:'].includes(new URL(rule.url).protocol)) throw new Error();
+    } catch {
+      return `${name}.url must be an HTTP or HTTPS URL`;
+    }
+
+    const { when } = rule;
+    if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+      return `${name}.when must be an object with any of: ${RULE_CONDITIONS.join(', ')}`;
+    }
+    const unknown = Object.keys(when).find(condition => !RULE_CONDITIONS.includes(condition));
+    if (unknown) {
+      return `${name}.when.${unknown} is not supported (use ${RULE_CONDITIONS.join(', ')})`;
+    }
+    for (const condition of RULE_LIST_CONDITIONS.filter(field => when[field] !== undefined)) {
+      const values = [].concat(when[condition]);
+      if (values.length === 0 || values.length > MAX_RULE_VALUES ||
+        values.some(value => typeof value !== 'string' || value.trim() === '')) {
+        return `${name}.when.${condition} must be a string or an array of 1-${MAX_RULE_VALUES} strings`;
+      }
+    }
+    if (when.time !== undefined) {
+      const timeError = validateTimeWindow(when.time, `${name}.when.time`);
+      if (timeError) return timeError;
+    }
+  }
+
+  // Generated names must not collide with explicit ones
+  const clash = rules.findIndex((rule, index) => rule.name === undefined && names.has(`rule-${index + 1}`));
+  return clash === -1 ? null : `redirectRules[${clash}] needs a name; rule-${clash + 1} is taken`;
+};
+
+/**
+ * Normalize validated redirect rules: name every rule (rule-<position> by default),
+ * lowercase list conditions into arrays and default time windows to UTC
+ * @param {Array<Object>} rules - Validated rules
+ * @returns {Array<Object>} - [{ name, when, url }] in evaluation order
+ */
+const normalizeRedirectRules = (rules) => rules.map((rule, index) => {
+  const when = {};
+  RULE_LIST_CONDITIONS.filter(condition => rule.when[condition] !== undefined).forEach(condition => {
+    when[condition] = [...new Set([].concat(rule.when[condition]).map(value => value.trim().toLowerCase()))];
+  });
+  if (rule.when.time) {
+    when.time = { from: rule.when.time.from, to: rule.when.time.to, timezone: rule.when.time.timezone || 'UTC' };
+  }
+  return { name: rule.name || `rule-${index + 1}`, when, url: new URL(rule.url).toString() };
+});
+
+/**
+ * Most preferred language of an Accept-Language header
+ * @param {string} [header] - Accept-Language value, e.g. 'de-CH,de;q=0.9,en;q=0.8'
+ * @returns {string} - Lowercase language tag, or '' when none is acceptable
+ */
+const preferredLanguage = (header) => {
+  const ranked = String(header || '').split(',')
+    .map((part, position) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, position };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.position - b.position);
+  return ranked.length > 0 ? ranked[0].tag : '';
+};
+
+/**
+ * Describe a visitor in the terms rules match on
+ * @param {Object} request - Request details
+ * @param {string} [request.userAgent] - User-Agent header
+ * @param {string} [request.acceptLanguage] - Accept-Language header
+ * @param {string} [request.referer] - Referer header
+ * @param {Date} [request.now] - Time of the request
+ * @returns {Object} - { os, browser, device, language, referrerHost, now } (lowercase strings)
+ */
+const describeVisitor = ({ userAgent, acceptLanguage, referer, now = new Date() } = {}) => {
+  const { browser, os, device } = parseUserAgent(userAgent);
+  return {
+    os: os.toLowerCase(),
+    browser: browser.toLowerCase(),
+    device: device.toLowerCase(),
+    language: preferredLanguage(acceptLanguage),
+    referrerHost: referer ? urlHost(referer) : '',
+    now
+  };
+};
+
+/**
+ * Minutes since midnight of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {number} - 0-1439
+ */
+const minuteOfDay = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(entry => entry.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+/**
+ * Whether an instant falls in a time window; from is inclusive, to exclusive,
+ * and a window whose end is before its start runs over midnight
+ * @param {Object} time - { from, to, timezone }
+ * @param {Date} now - Instant to check
+ * @returns {boolean}
+ */
+const inTimeWindow = (time, now) => {
+  const minute = minuteOfDay(now, time.timezone);
+  const from = toMinutes(time.from);
+  const to = toMinutes(time.to);
+  return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+};
+
+// How each list condition compares a rule value with the visitor
+const listMatchers = {
+  os: (value, visitor) => visitor.os === value,
+  browser: (value, visitor) => visitor.browser === value,
+  device: (value, visitor) => visitor.device === value,
+  // 'de' matches de, de-CH and de-AT; 'de-ch' only de-CH
+  language: (value, visitor) => visitor.language === value || visitor.language.startsWith(`${value}-`),
+  referrerDomain: (value, visitor) => visitor.referrerHost !== '' && hostMatchesDomain(visitor.referrerHost, value)
+};
+
+/**
+ * Find the first rule whose conditions all hold for a visitor
+ * @param {Array<Object>} rules - Normalized rules, in evaluation order
+ * @param {Object} visitor - From describeVisitor
+ * @returns {Object|null} - Matching rule, or null to use the link's default destination
+ */
+const matchRedirectRule = (rules, visitor) => (rules || []).find(({ when }) =>
+  RULE_LIST_CONDITIONS.every(condition => !when[condition] ||
+    when[condition].some(value => listMatchers[condition](value, visitor))) &&
+  (!when.time || inTimeWindow(when.time, visitor.now))) || null;
+
+module.exports = {
+  RULE_CONDITIONS,
+  validateRedirectRules,
+  normalizeRedirectRules,
+  describeVisitor,
+  matchRedirectRule
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+const BASE62_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const CONSONANTS = 'bdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+
+/**
+ * Pick a uniformly distributed character (crypto.randomInt avoids modulo bias)
+ * @param {string} chars - Characters to pick from
+ * @returns {string} - Random character
+ */
+const randomChar = (chars) => chars[crypto.randomInt(chars.length)];
+
+/**
+ * Encode a non-negative integer in the given alphabet
+ * @param {number} value - Integer to encode
+ * @param {string} alphabet - Digit alphabet
+ * @returns {string} - Encoded value
+ */
+const encodeInteger = (value, alphabet) => {
+  let result = '';
+  let remaining = value;
+
+  do {
+    result = alphabet[remaining % alphabet.length] + result;
+    remaining = Math.floor(remaining / alphabet.length);
+  } while (remaining > 0);
+
+  return result;
+};
+
+/**
+ * Deterministically shuffle an alphabet with a salt (the hashids "consistent shuffle")
+ * @param {string} alphabet - Alphabet to shuffle
+ * @param {string} salt - Shuffle salt
+ * @returns {string} - Shuffled alphabet
+ */
+const consistentShuffle = (alphabet, salt) => {
+  if (!salt) return alphabet;
+
+  const chars = alphabet.split('');
+  for (let i = chars.length - 1, v = 0, p = 0; i > 0; i--, v++) {
+    v %= salt.length;
+    const code = salt.charCodeAt(v);
+    p += code;
+    const j = (code + v + p) % i;
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+/**
+ * Unbiased random base62 codes
+ */
+const randomStrategy = ({ length }) => ({
+  async generate() {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += randomChar(BASE62_ALPHABET);
+    }
+    return result;
+  }
+});
+
+/**
+ * Base62 encoding of a persistent counter, left-padded to `length`
+ */
+const sequentialStrategy = ({ length, nextSequence }) => ({
+  async generate() {
+    const value = await nextSequence('shortcode');
+    return encodeInteger(value, BASE62_ALPHABET).padStart(length, BASE62_ALPHABET[0]);
+  }
+});
+
+/**
+ * Hashids-style obfuscation of a persistent counter: consecutive values map
+ * to unrelated-looking codes of at least `length` characters
+ */
+const hashidsStrategy = ({ length, salt, nextSequence }) => {
+  const saltedAlphabet = consistentShuffle(BASE62_ALPHABET, salt);
+
+  return {
+    async generate() {
+      const value = await nextSequence('shortcode');
+
+      // The lottery character reshuffles the alphabet per value
+      const lottery = saltedAlphabet[(value % 100) % saltedAlphabet.length];
+      let alphabet = consistentShuffle(saltedAlphabet, (lottery + salt + saltedAlphabet).slice(0, saltedAlphabet.length));
+      let result = lottery + encodeInteger(value, alphabet);
+
+      // Pad symmetrically with reshuffled alphabet halves up to the minimum length
+      while (result.length < length) {
+        alphabet = consistentShuffle(alphabet, alphabet);
+        const half = Math.floor(alphabet.length / 2);
+        result = alphabet.slice(half) + result + alphabet.slice(0, half);
+
+        const excess = result.length - length;
+        if (excess > 0) {
+          result = result.substr(Math.floor(excess / 2), length);
+        }
+      }
+
+      return result;
+    }
+  };
+};
+
+/**
+ * Pronounceable pseudo-words built from alternating consonants and vowels
+ */
+const pronounceableStrategy = ({ length }) => ({
+  async generate() {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += randomChar(i % 2 === 0 ? CONSONANTS : VOWELS);
+    }
+    return result;
+  }
+});
+
+const strategies = {
+  random: randomStrategy,
+  sequential: sequentialStrategy,
+  hashids: hashidsStrategy,
+  pronounceable: pronounceableStrategy
+};
+
+/**
+ * Create a shortcode generation strategy
+ * @param {Object} options - Strategy options
+ * @param {string} [options.strategy='random'] - random | sequential | hashids | pronounceable
+ * @param {number} [options.length=6] - Code length (minimum length for counter-based strategies)
+ * @param {string} [options.salt=''] - Salt for the hashids strategy
+ * @param {Function} [options.nextSequence] - Async counter source, required by counter-based strategies
+ * @returns {{ name: string, generate: Function }} - Strategy with an async generate()
+ */
+const createShortcodeStrategy = (options = {}) => {
+  const { strategy = 'random', length = 6, salt = '', nextSequence } = options;
+  const factory = strategies[strategy];
+
+  if (!factory) {
+    throw new Error(`Unknown shortcode strategy '${strategy}'. Expected one of: ${Object.keys(strategies).join(', ')}`);
+  }
+
+  if (!Number.isInteger(length) || length < MIN_LENGTH || length > MAX_LENGTH) {
+    throw new Error(`Shortcode length must be an integer between ${MIN_LENGTH}-${MAX_LENGTH}`);
+  }
+
+  if ((strategy === 'sequential' || strategy === 'hashids') && typeof nextSequence !== 'function') {
+    throw new Error(`Shortcode strategy '${strategy}' requires a sequence source`);
+  }
+
+  return { name: strategy, ...factory({ length, salt, nextSequence }) };
+};
+
+module.exports = {
+  createShortcodeStrategy,
+  consistentShuffle,
+  encodeInteger
+};
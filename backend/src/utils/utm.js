@@ -0,0 +1,81 @@
+// UTM fields accepted by the API; each maps to the utm_<field> query parameter
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_UTM_VALUE_LENGTH = 200;
+
+/**
+ * Validate a UTM object from a request body
+ * @param {*} utm - Value to check
+ * @param {string} name - Request field name used in messages
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateUtm = (utm, name) => {
+  if (!utm || typeof utm !== 'object' || Array.isArray(utm)) {
+    return `${name} must be an object with any of: ${UTM_FIELDS.join(', ')}`;
+  }
+
+  const fields = Object.keys(utm);
+  const unknown = fields.find(field => !UTM_FIELDS.includes(field));
+  if (unknown) {
+    return `${name}.${unknown} is not supported (use ${UTM_FIELDS.join(', ')})`;
+  }
+  if (fields.length === 0) {
+    return `${name} must set at least one of: ${UTM_FIELDS.join(', ')}`;
+  }
+
+  const invalid = fields.find(field => typeof utm[field] !== 'string' ||
+    utm[field].trim() === '' || utm[field].trim().length > MAX_UTM_VALUE_LENGTH);
+  if (invalid) {
+    return `${name}.${invalid} must be a string of 1-${MAX_UTM_VALUE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Trim the values of a validated UTM object and drop unknown keys
+ * @param {Object} utm - Validated UTM object
+ * @returns {Object} - UTM fields in canonical order
+ */
+const normalizeUtm = (utm) => Object.fromEntries(UTM_FIELDS
+  .filter(field => utm[field] !== undefined)
+  .map(field => [field, utm[field].trim()]));
+
+/**
+ * Add UTM parameters to a URL. Without `overwrite`, parameters already on the URL
+ * are kept and the existing query string is left byte-for-byte untouched.
+ * @param {string} url - Absolute URL
+ * @param {Object} utm - Normalized UTM fields
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite=false] - Replace parameters already on the URL
+ * @returns {string} - URL with the UTM parameters
+ */
+const applyUtm = (url, utm, { overwrite = false } = {}) => {
+  const target = new URL(url);
+  const fields = UTM_FIELDS.filter(field => utm[field] !== undefined);
+
+  if (overwrite) {
+    fields.forEach(field => target.searchParams.set(`utm_${field}`, utm[field]));
+    return target.toString();
+  }
+
+  const missing = fields.filter(field => !target.searchParams.has(`utm_${field}`));
+  if (missing.length === 0) return url;
+
+  const query = missing.map(field => `utm_${field}=${encodeURIComponent(utm[field])}`).join('&');
+  target.search = target.search ? `${target.search}&${query}` : `?${query}`;
+  return target.toString();
+};
+
+/**
+ * Read the utm_campaign parameter of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Campaign, or null if the URL has none
+ */
+const utmCampaignOf = (url) => new URL(url).searchParams.get('utm_campaign') || null;
+
+module.exports = {
+  UTM_FIELDS,
+  validateUtm,
+  normalizeUtm,
+  applyUtm,
+  utmCampaignOf
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const MAX_VARIANTS = 10;
+const MAX_VARIANT_WEIGHT = 1000;
+const VARIANT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+const VARIANT_FIELDS = ['name', 'url', 'weight', 'retired'];
+
+/**
+ * Validate the split destinations of a request body
+ * @param {*} variants - Value to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateVariants = (variants) => {
+  if (!Array.isArray(variants) || variants.length === 0 || variants.length > MAX_VARIANTS) {
+    return `variants must be an array of 1-${MAX_VARIANTS} variants`;
+  }
+
+  const names = new Set();
+  for (const [index, variant] of variants.entries()) {
+    const name = `variants[${index}]`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      return `${name} must be an object with any of: ${VARIANT_FIELDS.join(', ')}`;
+    }
+    const unknown = Object.keys(variant).find(field => !VARIANT_FIELDS.includes(field));
+    if (unknown) {
+      return `${name}.${unknown} is not supported (use ${VARIANT_FIELDS.join(', ')})`;
+    }
+    if (variant.name !== undefined) {
+      if (typeof variant.name !== 'string' || !VARIANT_NAME_PATTERN.test(variant.name)) {
+        return `${name}.name must be 1-32 letters, digits, '-' or '_'`;
+      }
+      if (names.has(variant.name)) {
+        return `${name}.name '${variant.name}' is used by another variant`;
+      }
+      names.add(variant.name);
+    }
+
+    try {
+      if (!['http:', 'https:'].includes(new URL(variant.url).protocol)) throw new Error();
+    } catch {
+      return `${name}.url must be an HTTP or HTTPS URL`;
+    }
+    if (variant.weight !== undefined &&
+      (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > MAX_VARIANT_WEIGHT)) {
+      return `${name}.weight must be an integer from 0 to ${MAX_VARIANT_WEIGHT}`;
+    }
+    if (variant.retired !== undefined && typeof variant.retired !== 'boolean') {
+      return `${name}.retired must be a boolean`;
+    }
+  }
+
+  // Generated names must not collide with explicit ones
+  const clash = variants.findIndex((variant, index) => variant.name === undefined && names.has(`variant-${index + 1}`));
+  if (clash !== -1) {
+    return `variants[${clash}] needs a name; variant-${clash + 1} is taken`;
+  }
+  if (!variants.some(variant => !variant.retired && variant.weight !== 0)) {
+    return 'variants must include one that is not retired and has a weight above 0';
+  }
+  return null;
+};
+
+/**
+ * Fill in the defaults of validated variants: variant-<position> names, weight 1, not retired
+ * @param {Array<Object>} variants - Validated variants
+ * @returns {Array<Object>} - [{ name, url, weight, retired }]
+ */
+const normalizeVariants = (variants) => variants.map((variant, index) => ({
+  name: variant.name || `variant-${index + 1}`,
+  url: new URL(variant.url).toString(),
+  weight: variant.weight !== undefined ? variant.weight : 1,
+  retired: variant.retired === true
+}));
+
+/**
+ * Identify a visitor across clicks
+ * @param {Object} visitor - { ip, userAgent }
+ * @returns {string} - Key combining IP and User-Agent
+ */
+const visitorKey = ({ ip, userAgent }) => `${ip || ''}|${userAgent || ''}`;
+
+/**
+ * Stable number in (0, 1) for a visitor and variant
+ * @param {string} text - Text to hash
+ * @returns {number}
+ */
+const unitHash = (text) => {
+  const digest = crypto.createHash('sha256').update(text).digest();
+  return (digest.readUIntBE(0, 6) + 0.5) / 2 ** 48;
+};
+
+/**
+ * Pick the variant a visitor is sent to. Weighted rendezvous hashing keeps each visitor
+ * on the same variant, and changing a weight or retiring a variant only moves the
+ * visitors that have to move.
+ * @param {Array<Object>} variants - Normalized variants
+ * @param {string} key - Visitor key from visitorKey, scoped by the caller (e.g. prefixed with the shortcode)
+ * @returns {Object|null} - Chosen variant, or null when none is live
+ */
+const chooseVariant = (variants, key) => {
+  let chosen = null;
+  let best = Infinity;
+  for (const variant of variants || []) {
+    if (variant.retired || variant.weight === 0) continue;
+    const score = -Math.log(unitHash(`${key}|${variant.name}`)) / variant.weight;
+    if (score < best) {
+      best = score;
+      chosen = variant;
+    }
+  }
+  return chosen;
+};
+
+module.exports = {
+  validateVariants,
+  normalizeVariants,
+  visitorKey,
+  chooseVariant
+};
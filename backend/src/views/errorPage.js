@@ -0,0 +1,56 @@
+const { escapeHtml } = require('../utils/html');
+
+// Headings shown for the statuses short links answer with
+const ERROR_TITLES = {
+  400: 'This link is not valid',
+  403: 'This link is not active yet',
+  404: 'Link not found',
+  410: 'This link is no longer available',
+  429: 'Too many requests'
+};
+
+/**
+ * Render the branded page browsers get instead of a JSON error
+ * @param {Object} options
+ * @param {number} options.statusCode - HTTP status of the error
+ * @param {string} options.message - Explanation shown under the heading
+ * @param {string} [options.brandName] - Name shown at the top of the page
+ * @param {string} [options.homeUrl] - Where the "create your own" link points; omitted when not set
+ * @param {Date} [options.activeFrom] - When a scheduled link starts working
+ * @returns {string} - HTML document
+ */
+const renderErrorPage = ({ statusCode, message, brandName = 'URL Shortener', homeUrl, activeFrom }) => {
+  const title = ERROR_TITLES[statusCode] || 'Something went wrong';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - ${escapeHtml(brandName)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; display: flex; justify-content: center; padding-top: 15vh; background: #f5f5f5; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); width: 28rem; }
+    .brand { font-weight: 600; color: #1a73e8; margin: 0 0 1.5rem; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    .status { color: #666; font-size: 0.875rem; }
+    a.home { display: block; margin-top: 1.5rem; padding: 0.5rem; text-align: center; background: #1a73e8; color: #fff; border-radius: 4px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <main>
+    <p class="brand">${escapeHtml(brandName)}</p>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${activeFrom ? `<p>It starts working on <time datetime="${activeFrom.toISOString()}">${activeFrom.toUTCString()}</time>.</p>` : ''}
+    <p class="status">Error ${Number(statusCode)}</p>
+    ${homeUrl ? `<a class="home" href="${escapeHtml(homeUrl)}">Create your own short link</a>` : ''}
+  </main>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderErrorPage
+};
@@ -0,0 +1,74 @@
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Describe the time left before a link expires
+ * @param {Date|null} expiresAt - Expiry, or null for links that never expire
+ * @param {Date} now - Current time
+ * @returns {string} - e.g. '2 days 3 hours', '45 minutes', 'less than a minute'
+ */
+const describeRemaining = (expiresAt, now) => {
+  if (!expiresAt) return 'never expires';
+
+  const minutes = Math.floor((expiresAt.getTime() - now.getTime()) / 60000);
+  if (minutes < 1) return 'less than a minute';
+
+  const units = [['day', Math.floor(minutes / 1440)], ['hour', Math.floor(minutes / 60) % 24], ['minute', minutes % 60]];
+  return units
+    .filter(([, count]) => count > 0)
+    .slice(0, 2)
+    .map(([unit, count]) => `${count} ${unit}${count === 1 ? '' : 's'}`)
+    .join(' ');
+};
+
+/**
+ * Render the preview page that shows where a short link leads before following it
+ * @param {Object} options
+ * @param {string} options.shortcode - Shortcode being previewed
+ * @param {string} options.destination - URL the visitor would be sent to
+ * @param {Date} options.createdAt - When the link was created
+ * @param {Date|null} options.expiresAt - When the link expires (null = never)
+ * @param {string} options.continueUrl - Link that follows the short URL without the preview
+ * @param {Date} [options.now] - Current time
+ * @returns {string} - HTML document
+ */
+const renderPreviewPage = ({ shortcode, destination, createdAt, expiresAt, continueUrl, now = new Date() }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Preview of /${escapeHtml(shortcode)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; display: flex; justify-content: center; padding-top: 15vh; background: #f5f5f5; }
+    main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); width: 28rem; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    dt { font-weight: 600; margin-top: 0.75rem; }
+    dd { margin: 0.25rem 0 0; overflow-wrap: anywhere; }
+    .domain { font-size: 1.25rem; }
+    a.continue { display: block; margin-top: 1.5rem; padding: 0.5rem; text-align: center; background: #1a73e8; color: #fff; border-radius: 4px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This link leads to</h1>
+    <dl>
+      <dt>Domain</dt>
+      <dd class="domain">${escapeHtml(new URL(destination).hostname)}</dd>
+      <dt>Destination</dt>
+      <dd>${escapeHtml(destination)}</dd>
+      <dt>Created</dt>
+      <dd><time datetime="${createdAt.toISOString()}">${createdAt.toUTCString()}</time></dd>
+      <dt>Valid for</dt>
+      <dd>${expiresAt
+    ? `${describeRemaining(expiresAt, now)} (until <time datetime="${expiresAt.toISOString()}">${expiresAt.toUTCString()}</time>)`
+    : describeRemaining(expiresAt, now)}</dd>
+    </dl>
+    <a class="continue" href="${escapeHtml(continueUrl)}">Continue to ${escapeHtml(new URL(destination).hostname)}</a>
+  </main>
+</body>
+</html>
+`;
+
+module.exports = {
+  renderPreviewPage
+};
@@ -0,0 +1,66 @@
+const { encodeTwoColorPng } = require('../utils/png');
+
+/**
+ * Split a #rrggbb color into its channels
+ * @param {string} color - Color as #rrggbb
+ * @returns {Array<number>} - [r, g, b]
+ */
+const toRgb = (color) => [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+
+/**
+ * Render a QR code as SVG, one path of merged horizontal runs of dark modules
+ * @param {Object} qr - From encodeQr
+ * @param {Object} options
+ * @param {number} options.size - Width and height in pixels
+ * @param {number} options.margin - Quiet zone in modules
+ * @param {string} options.foreground - Dark module color (#rrggbb)
+ * @param {string} options.background - Light module color (#rrggbb)
+ * @returns {string} - SVG document
+ */
+const renderQrSvg = (qr, { size, margin, foreground, background }) => {
+  const extent = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) continue;
+      let run = 1;
+      while (x + run < qr.size && row[x + run]) run++;
+      path.push(`M${x + margin} ${y + margin}h${run}v1h-${run}z`);
+      x += run - 1;
+    }
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+    `<rect width="${extent}" height="${extent}" fill="${background}"/>` +
+    `<path d="${path.join('')}" fill="${foreground}"/>` +
+    '</svg>\n';
+};
+
+/**
+ * Render a QR code as a PNG of exactly size x size pixels
+ * @param {Object} qr - From encodeQr
+ * @param {Object} options - Same as renderQrSvg; size must be at least the module count including margins
+ * @returns {Buffer} - PNG file
+ */
+const renderQrPng = (qr, { size, margin, foreground, background }) => {
+  const extent = qr.size + margin * 2;
+  // Nearest-module sampling; modules differ by at most one pixel when size is not a multiple of extent
+  const moduleAt = (pixel) => Math.floor(pixel * extent / size) - margin;
+
+  return encodeTwoColorPng({
+    width: size,
+    height: size,
+    palette: [toRgb(background), toRgb(foreground)],
+    pixel: (x, y) => {
+      const column = moduleAt(x);
+      const row = moduleAt(y);
+      return row >= 0 && row < qr.size && column >= 0 && column < qr.size && qr.modules[row][column];
+    }
+  });
+};
+
+module.exports = {
+  renderQrSvg,
+  renderQrPng
+};
@@ -0,0 +1,41 @@
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Render the unlock form served for password-protected links
+ * @param {Object} options
+ * @param {string} options.shortcode - Shortcode being unlocked
+ * @param {string} [options.error] - Message shown above the form (wrong password, throttled)
+ * @param {string} [options.forward] - Path and query to forward after unlocking
+ * @returns {string} - HTML document
+ */
+const renderUnlockPage = ({ shortcode, error, forward }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Protected link</title>
+  <style>
+    body { font-family: system-ui, sans-serif; display: flex; justify-content: center; padding-top: 15vh; background: #f5f5f5; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); width: 20rem; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    input, button { width: 100%; box-sizing: border-box; padding: 0.5rem; margin-top: 0.5rem; font-size: 1rem; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/${encodeURIComponent(shortcode)}/unlock">
+    <h1>This link is password protected</h1>
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+    ${forward ? `<input type="hidden" name="forward" value="${escapeHtml(forward)}">` : ''}
+    <button type="submit">Unlock</button>
+  </form>
+</body>
+</html>
+`;
+
+module.exports = {
+  renderUnlockPage
+};
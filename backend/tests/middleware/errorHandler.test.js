@@ -0,0 +1,49 @@
+const express = require('express');
+
+jest.mock('../../src/middleware/logger', () => ({ logger: { warn: jest.fn(), error: jest.fn() } }));
+const { sendErrorResponse, notFoundHandler } = require('../../src/middleware/errorHandler');
+
+describe('error responses', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.get('/gone', (req, res) => sendErrorResponse(req, res, 410, { error: 'Gone', message: 'Short URL has expired' }));
+    app.use(notFoundHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const get = (path, accept) => fetch(`${baseUrl}${path}`, { headers: accept ? { Accept: accept } : {} });
+
+  it('keeps JSON for API clients', async () => {
+    for (const accept of [undefined, '*/*', 'application/json']) {
+      const response = await get('/gone', accept);
+      expect(response.status).toBe(410);
+      expect(response.headers.get('vary')).toBe('Accept');
+      expect(await response.json()).toEqual({ error: 'Gone', message: 'Short URL has expired' });
+    }
+  });
+
+  it('sends browsers an HTML page', async () => {
+    const accept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+    const gone = await get('/gone', accept);
+    expect(gone.status).toBe(410);
+    expect(gone.headers.get('content-type')).toMatch(/^text\/html/);
+    expect(gone.headers.get('cache-control')).toBe('no-store');
+    expect(await gone.text()).toContain('Short URL has expired');
+
+    const missing = await get('/nope/nope', accept);
+    expect(missing.status).toBe(404);
+    expect(await missing.text()).toContain('<h1>Link not found</h1>');
+    expect((await (await get('/nope/nope')).json()).path).toBe('/nope/nope');
+  });
+});
@@ -0,0 +1,110 @@
+const express = require('express');
+const { idempotency } = require('../../src/middleware/idempotency');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+
+describe('idempotency middleware', () => {
+  let server;
+  let baseUrl;
+  let calls;
+
+  beforeAll((done) => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+
+    const app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    const create = (req, res) => {
+      calls++;
+      if (req.body.fail) {
+        return res.status(400).json({ error: 'Bad Request', message: 'failed' });
+      }
+      res.status(201).json({ id: calls, name: req.body.name });
+    };
+    app.post('/items', idempotency(), create);
+    app.post('/others', idempotency(), create);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  afterEach(() => {
+    delete process.env.IDEMPOTENCY_MAX_KEYS;
+  });
+
+  const post = (body, key, { path = '/items', client } = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key ? { 'Idempotency-Key': key } : {}),
+      ...(client ? { 'X-Forwarded-For': client } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  it('replays the original response for a repeated key', async () => {
+    const first = await post({ name: 'a' }, 'key-1');
+    const second = await post({ name: 'a' }, 'key-1');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers.get('idempotent-replayed')).toBe('true');
+    expect(await second.json()).toEqual(await first.json());
+    expect(calls).toBe(1);
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    await post({ name: 'a' }, 'key-2');
+    const response = await post({ name: 'b' }, 'key-2');
+
+    expect(response.status).toBe(422);
+    expect(calls).toBe(1);
+  });
+
+  it('does not store failed responses', async () => {
+    expect((await post({ fail: true }, 'key-3')).status).toBe(400);
+    expect((await post({ fail: true }, 'key-3')).status).toBe(400);
+    expect(calls).toBe(2);
+  });
+
+  it('scopes keys by endpoint and client', async () => {
+    expect((await post({ name: 'a' }, 'key-4', { client: '10.0.0.1' })).status).toBe(201);
+    expect((await post({ name: 'b' }, 'key-4', { client: '10.0.0.2' })).status).toBe(201);
+    expect((await post({ name: 'c' }, 'key-4', { client: '10.0.0.1', path: '/others' })).status).toBe(201);
+    expect(calls).toBe(3);
+
+    const replay = await post({ name: 'a' }, 'key-4', { client: '10.0.0.1' });
+    expect(replay.headers.get('idempotent-replayed')).toBe('true');
+    expect(calls).toBe(3);
+  });
+
+  it('forgets the oldest keys once the store is full', async () => {
+    idempotencyStore.entries.clear();
+    process.env.IDEMPOTENCY_MAX_KEYS = '2';
+
+    for (const key of ['cap-1', 'cap-2', 'cap-3']) {
+      await post({ name: key }, key);
+    }
+    expect(idempotencyStore.entries.size).toBe(2);
+    expect(calls).toBe(3);
+
+    expect((await post({ name: 'cap-3' }, 'cap-3')).headers.get('idempotent-replayed')).toBe('true');
+    expect((await post({ name: 'cap-1' }, 'cap-1')).headers.get('idempotent-replayed')).toBeNull();
+    expect(calls).toBe(4);
+  });
+
+  it('passes requests without a key straight through', async () => {
+    await post({ name: 'a' });
+    await post({ name: 'a' });
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,372 @@
+const request = require('supertest');
+
+jest.mock('../../src/middleware/logger', () => ({ logger: { warn: jest.fn(), error: jest.fn() } }));
+const { createApp } = require('../../src/app');
+const { setStorage, getStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const urlService = require('../../src/services/urlService');
+const domainService = require('../../src/services/domainService');
+const unlockThrottle = require('../../src/services/unlockThrottle');
+
+const BROWSER_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+describe('redirect routes', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+  let app;
+
+  beforeAll(() => {
+    const logger = { Log: jest.fn(), logError: jest.fn(), info: jest.fn(), logApiCall: jest.fn() };
+    global.appLogger = logger;
+    app = createApp(logger);
+  });
+
+  beforeEach(() => {
+    process.env.BASE_URL = 'https://sho.rt';
+    setStorage(new InMemoryAdapter());
+    unlockThrottle.attempts.clear();
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  const clicksOf = async (key) => (await getStorage().getAnalytics(key)).totalClicks;
+
+  describe('password-protected links', () => {
+    beforeEach(async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/secret', shortcode: 'locked1', password: 'hunter22' });
+    });
+
+    it('shows the unlock form without recording a click', async () => {
+      const response = await request(app).get('/locked1');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+      expect(response.text).not.toContain('https://example.com/secret');
+      expect(await clicksOf('locked1')).toBe(0);
+    });
+
+    it('redirects and records the click only after a correct password', async () => {
+      const wrong = await request(app).post('/locked1/unlock').type('form').send({ password: 'wrong-one' });
+      expect(wrong.status).toBe(401);
+      expect(wrong.headers.location).toBeUndefined();
+      expect(await clicksOf('locked1')).toBe(0);
+
+      const unlocked = await request(app).post('/locked1/unlock').type('form').send({ password: 'hunter22' });
+      expect(unlocked.status).toBe(303);
+      expect(unlocked.headers.location).toBe('https://example.com/secret');
+      expect(await clicksOf('locked1')).toBe(1);
+    });
+
+    it('locks a client out after too many wrong passwords', async () => {
+      for (let i = 0; i < unlockThrottle.maxAttempts; i++) {
+        expect((await request(app).post('/locked1/unlock').type('form').send({ password: 'wrong-one' })).status).toBe(401);
+      }
+
+      const throttled = await request(app).post('/locked1/unlock').type('form').send({ password: 'hunter22' });
+      expect(throttled.status).toBe(429);
+      expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+      expect(await clicksOf('locked1')).toBe(0);
+    });
+
+    it('throttles parallel guesses while earlier ones are still being checked', async () => {
+      const responses = await Promise.all(Array.from({ length: 20 }, () =>
+        request(app).post('/locked1/unlock').type('form').send({ password: 'wrong-one' })));
+      const statuses = responses.map(response => response.status);
+
+      expect(statuses.filter(status => status === 401)).toHaveLength(unlockThrottle.maxAttempts);
+      expect(statuses.filter(status => status === 429)).toHaveLength(20 - unlockThrottle.maxAttempts);
+    });
+  });
+
+  describe('preview pages', () => {
+    it('counts previews apart from clicks', async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/landing', shortcode: 'peek01' });
+
+      for (const path of ['/peek01+', '/peek01?preview=1']) {
+        const response = await request(app).get(path);
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('https://example.com/landing');
+      }
+
+      const analytics = await getStorage().getAnalytics('peek01');
+      expect(analytics).toMatchObject({ totalClicks: 0, totalPreviews: 2 });
+
+      const followed = await request(app).get('/peek01?preview=0');
+      expect(followed.status).toBe(302);
+      expect(followed.headers.location).toBe('https://example.com/landing');
+      expect(await clicksOf('peek01')).toBe(1);
+    });
+  });
+
+  describe('error pages and fallbacks', () => {
+    it('answers JSON to API clients and HTML to browsers', async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'gone01' });
+      await urlService.updateShortUrl('gone01', { isActive: false });
+
+      const missingJson = await request(app).get('/nothere').set('Accept', 'application/json');
+      expect(missingJson.status).toBe(404);
+      expect(missingJson.body).toEqual({ error: 'Not Found', message: 'Short URL not found' });
+
+      const missingHtml = await request(app).get('/nothere').set('Accept', BROWSER_ACCEPT);
+      expect(missingHtml.status).toBe(404);
+      expect(missingHtml.headers['content-type']).toMatch(/^text\/html/);
+
+      const goneJson = await request(app).get('/gone01');
+      expect(goneJson.status).toBe(410);
+      expect(goneJson.body).toEqual({ error: 'Gone', message: 'Short URL has been deactivated' });
+
+      const goneHtml = await request(app).get('/gone01').set('Accept', BROWSER_ACCEPT);
+      expect(goneHtml.status).toBe(410);
+      expect(goneHtml.headers['content-type']).toMatch(/^text\/html/);
+      expect(goneHtml.text).toContain('Short URL has been deactivated');
+    });
+
+    it('pages through the clicks of a link in its analytics', async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'many01' });
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/many01').set('X-Forwarded-For', `10.0.0.${i}`);
+      }
+
+      const { body } = await request(app).get('/shorturls/many01/analytics?page=2&limit=2');
+      expect(body).toMatchObject({ totalClicks: 3, clickPage: { page: 2, limit: 2, total: 3, totalPages: 2 } });
+      expect(body.clicks.map(click => click.ip)).toEqual(['10.0.0.2']);
+      expect(body.sources).toEqual([{ source: null, clicks: 3 }]);
+
+      const invalid = await request(app).get('/shorturls/many01/analytics?limit=1000');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'Bad Request', message: 'limit must be an integer between 1-100' });
+    });
+
+    it('sends visitors of used-up links to the fallback URL', async () => {
+      await urlService.createShortUrl({
+        url: 'https://example.com/offer', shortcode: 'once01', maxClicks: 1, fallbackUrl: 'https://example.com/sold-out'
+      });
+
+      expect((await request(app).get('/once01')).headers.location).toBe('https://example.com/offer');
+
+      const exhausted = await request(app).get('/once01');
+      expect(exhausted.status).toBe(302);
+      expect(exhausted.headers.location).toBe('https://example.com/sold-out');
+      expect(exhausted.headers['cache-control']).toBe('no-store');
+      expect(await clicksOf('once01')).toBe(1);
+    });
+  });
+
+  describe('path passthrough', () => {
+    it('forwards extra path segments only for links that allow it', async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/docs/', shortcode: 'docs01', passthrough: {} });
+      await urlService.createShortUrl({ url: 'https://example.com/plain', shortcode: 'plain1' });
+
+      const forwarded = await request(app).get('/docs01/v2/api?lang=de');
+      expect(forwarded.status).toBe(302);
+      expect(forwarded.headers.location).toBe('https://example.com/docs/v2/api?lang=de');
+
+      expect((await request(app).get('/plain1/extra')).status).toBe(404);
+      expect((await request(app).get('/docs01/%2e%2e/admin')).status).toBe(400);
+      expect((await request(app).get('/shorturls/unknown/path')).body.message).toBe('The requested resource was not found');
+    });
+  });
+
+  describe('short domains', () => {
+    it('looks links up in the namespace of the Host header', async () => {
+      await domainService.registerDomain('go.brand-a.com');
+      await urlService.createShortUrl({ url: 'https://example.com/default', shortcode: 'promo1' });
+      await urlService.createShortUrl({ url: 'https://example.com/brand', shortcode: 'promo1', domain: 'go.brand-a.com' });
+      await urlService.createShortUrl({ url: 'https://example.com/brand-only', shortcode: 'brand1', domain: 'go.brand-a.com' });
+
+      expect((await request(app).get('/promo1')).headers.location).toBe('https://example.com/default');
+      expect((await request(app).get('/promo1').set('Host', 'GO.brand-a.com')).headers.location)
+        .toBe('https://example.com/brand');
+      expect((await request(app).get('/promo1').set('Host', 'unknown.example.com')).headers.location)
+        .toBe('https://example.com/default');
+      expect((await request(app).get('/brand1')).status).toBe(404);
+    });
+  });
+});
+
+describe('management routes', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+  const originalAdminKey = process.env.ADMIN_API_KEY;
+  const ADMIN_KEY = 'test-admin-key';
+  let app;
+
+  beforeAll(() => {
+    const logger = { Log: jest.fn(), logError: jest.fn(), info: jest.fn(), logApiCall: jest.fn() };
+    global.appLogger = logger;
+    app = createApp(logger);
+  });
+
+  beforeEach(() => {
+    process.env.BASE_URL = 'https://sho.rt';
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    setStorage(new InMemoryAdapter());
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+    if (originalAdminKey === undefined) {
+      delete process.env.ADMIN_API_KEY;
+    } else {
+      process.env.ADMIN_API_KEY = originalAdminKey;
+    }
+  });
+
+  describe('password-protected links', () => {
+    beforeEach(async () => {
+      await urlService.createShortUrl({
+        url: 'https://secret.example.com/v1',
+        shortcode: 'locked1',
+        password: 'hunter22',
+        tags: ['private'],
+        redirectRules: [{ name: 'ios', when: { os: 'iOS' }, url: 'https://secret.example.com/ios' }],
+        variants: [{ name: 'blue', url: 'https://secret.example.com/blue' }]
+      });
+      await urlService.updateShortUrl('locked1', { url: 'https://secret.example.com/v2' });
+      await getStorage().setHealth('locked1', {
+        status: 'ok',
+        url: 'https://secret.example.com/v2',
+        statusCode: 200,
+        redirects: [{ url: 'https://secret.example.com/v2', statusCode: 301 }],
+        finalUrl: 'https://secret.example.com/v2/'
+      });
+    });
+
+    const readPaths = [
+      '/shorturls',
+      '/shorturls/search?tag=private',
+      '/shorturls/export?format=json',
+      '/shorturls/export?format=csv',
+      '/shorturls/locked1/analytics',
+      '/shorturls/locked1/history'
+    ];
+
+    it('hides their destinations from callers without the admin key', async () => {
+      for (const path of readPaths) {
+        const response = await request(app).get(path);
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('locked1');
+        expect(response.text).not.toContain('secret.example.com');
+      }
+
+      const { body: analytics } = await request(app).get('/shorturls/locked1/analytics');
+      expect(analytics).toMatchObject({ originalUrl: null, passwordProtected: true });
+      expect(analytics.health).toMatchObject({ status: 'ok', url: null, redirects: [], finalUrl: null });
+      expect(analytics.variants[0]).toMatchObject({ name: 'blue', url: null });
+
+      const { body: listing } = await request(app).get('/shorturls');
+      expect(listing.items[0].redirectRules[0]).toMatchObject({ name: 'ios', url: null });
+    });
+
+    it('shows them to admins', async () => {
+      for (const path of readPaths) {
+        const response = await request(app).get(path).set('X-Admin-Key', ADMIN_KEY);
+        expect(response.status).toBe(200);
+        expect(response.text).toContain('secret.example.com');
+      }
+
+      const { body: history } = await request(app).get('/shorturls/locked1/history').set('X-Admin-Key', ADMIN_KEY);
+      expect(history.revisions.map(revision => revision.originalUrl))
+        .toEqual(['https://secret.example.com/v1', 'https://secret.example.com/v2']);
+    });
+
+    it('leaves other links untouched', async () => {
+      await urlService.createShortUrl({ url: 'https://public.example.com/', shortcode: 'open01' });
+
+      const { body } = await request(app).get('/shorturls/open01/analytics');
+      expect(body).toMatchObject({ originalUrl: 'https://public.example.com/', passwordProtected: false });
+    });
+  });
+
+  describe('export', () => {
+    beforeEach(async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'exp001' });
+      await getStorage().addClick('exp001', { ip: '203.0.113.7', userAgent: 'TestAgent/1.0', referer: 'https://news.example.com/' });
+    });
+
+    it('leaves visitor IPs and user agents out for callers without the admin key', async () => {
+      const { body } = await request(app).get('/shorturls/export?format=json');
+      expect(body[0].clicks).toEqual([expect.objectContaining({ ip: null, userAgent: null, referer: 'https://news.example.com/' })]);
+
+      for (const format of ['csv', 'ndjson']) {
+        const response = await request(app).get(`/shorturls/export?format=${format}`);
+        expect(response.text).toContain('news.example.com');
+        expect(response.text).not.toContain('203.0.113.7');
+        expect(response.text).not.toContain('TestAgent');
+      }
+    });
+
+    it('includes them for admins', async () => {
+      const { body } = await request(app).get('/shorturls/export?format=json').set('X-Admin-Key', ADMIN_KEY);
+      expect(body[0].clicks).toEqual([expect.objectContaining({ ip: '203.0.113.7', userAgent: 'TestAgent/1.0' })]);
+    });
+  });
+
+  describe('changes', () => {
+    beforeEach(async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/v1', shortcode: 'edit01' });
+    });
+
+    it('require the admin key to update or delete a link', async () => {
+      for (const key of [undefined, 'wrong-key']) {
+        const patch = request(app).patch('/shorturls/edit01').send({ url: 'https://evil.example.com/' });
+        const del = request(app).delete('/shorturls/edit01');
+        if (key) {
+          patch.set('X-Admin-Key', key);
+          del.set('X-Admin-Key', key);
+        }
+        expect((await patch).status).toBe(401);
+        expect((await del).status).toBe(401);
+      }
+      expect((await urlService.getUrlByShortcode('edit01')).originalUrl).toBe('https://example.com/v1');
+
+      const updated = await request(app).patch('/shorturls/edit01').set('X-Admin-Key', ADMIN_KEY)
+        .send({ url: 'https://example.com/v2' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.originalUrl).toBe('https://example.com/v2');
+
+      expect((await request(app).delete('/shorturls/edit01').set('X-Admin-Key', ADMIN_KEY)).status).toBe(204);
+      expect(await urlService.getUrlByShortcode('edit01')).toBeNull();
+    });
+
+    it('require the admin key to roll a link back', async () => {
+      await urlService.updateShortUrl('edit01', { url: 'https://example.com/v2' });
+
+      const refused = await request(app).post('/shorturls/edit01/rollback').send({ revision: 1 });
+      expect(refused.status).toBe(401);
+      expect((await urlService.getUrlByShortcode('edit01')).originalUrl).toBe('https://example.com/v2');
+
+      const rolledBack = await request(app).post('/shorturls/edit01/rollback').set('X-Admin-Key', ADMIN_KEY)
+        .send({ revision: 1 });
+      expect(rolledBack.status).toBe(200);
+      expect(rolledBack.body).toMatchObject({ originalUrl: 'https://example.com/v1', revision: 3 });
+
+      const unknown = await request(app).post('/shorturls/edit01/rollback').set('X-Admin-Key', ADMIN_KEY)
+        .send({ revision: 9 });
+      expect(unknown.status).toBe(404);
+      expect(unknown.body).toEqual({ error: 'Not Found', message: 'Revision 9 not found' });
+    });
+
+    it('are refused while no admin key is configured', async () => {
+      delete process.env.ADMIN_API_KEY;
+
+      expect((await request(app).patch('/shorturls/edit01').send({ note: 'x' })).status).toBe(503);
+      expect((await request(app).delete('/shorturls/edit01')).status).toBe(503);
+      expect((await request(app).post('/shorturls/edit01/rollback').send({ revision: 1 })).status).toBe(503);
+    });
+  });
+
+  describe('broken links report', () => {
+    it('requires the admin key', async () => {
+      await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'down01' });
+      await getStorage().setHealth('down01', { status: 'broken', url: 'https://example.com/', statusCode: 500 });
+
+      expect((await request(app).get('/shorturls/broken')).status).toBe(401);
+      expect((await request(app).get('/shorturls/broken').set('X-Admin-Key', 'wrong-key')).status).toBe(401);
+
+      const report = await request(app).get('/shorturls/broken').set('X-Admin-Key', ADMIN_KEY);
+      expect(report.status).toBe(200);
+      expect(report.body.items.map(item => item.shortcode)).toEqual(['down01']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { setStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const urlService = require('../../src/services/urlService');
+const domainService = require('../../src/services/domainService');
+const { errorCodeOf } = require('../../src/utils/errors');
+
+describe('DomainService', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    process.env.BASE_URL = 'https://sho.rt';
+    setStorage(new InMemoryAdapter());
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  it('validates hosts and defaults', () => {
+    expect(domainService.normalizeHost(' Go.Brand-A.com ')).toBe('go.brand-a.com');
+    expect(domainService.normalizeHost('go..brand.com')).toBeNull();
+    expect(domainService.normalizeHost('-go.brand.com')).toBeNull();
+    expect(domainService.normalizeHost('go.brand.com/path')).toBeNull();
+
+    expect(domainService.validateDefaults({ validity: 60, redirectStatus: 301, preview: true })).toBeNull();
+    expect(domainService.validateDefaults([])).toBe('defaults must be an object');
+    expect(domainService.validateDefaults({ maxClicks: 1 })).toMatch(/^Unknown default 'maxClicks'/);
+    expect(domainService.validateDefaults({ redirectStatus: 303 })).toMatch(/^redirectStatus must be one of/);
+    expect(domainService.validateDefaults({ validity: 0 })).toMatch(/^Validity must be a positive number/);
+  });
+
+  it('registers, updates and removes domains', async () => {
+    const registered = await domainService.registerDomain('go.brand-a.com', {
+      fallbackUrl: 'https://Brand-A.com/',
+      utmDefaults: { source: 'brand-a' }
+    });
+    expect(registered).toMatchObject({
+      host: 'go.brand-a.com',
+      defaults: { fallbackUrl: 'https://brand-a.com/', utmDefaults: { source: 'brand-a' } }
+    });
+
+    await expect(domainService.registerDomain('go.brand-a.com')).rejects.toMatchObject({ code: 'conflict' });
+    await expect(domainService.registerDomain('sho.rt')).rejects.toMatchObject({ code: 'invalid' });
+
+    expect(await domainService.updateDomain('go.brand-a.com', { validity: 120 }))
+      .toMatchObject({ defaults: { validity: 120 }, createdAt: registered.createdAt });
+    expect(await domainService.updateDomain('go.brand-b.com', {})).toBeNull();
+
+    await urlService.createShortUrl({ url: 'https://example.com/', domain: 'go.brand-a.com' });
+    const error = await domainService.removeDomain('go.brand-a.com').catch(caught => caught);
+    expect(error.message).toBe("Short domain 'go.brand-a.com' still has 1 link(s); delete them first");
+    expect(errorCodeOf(error)).toBe('conflict');
+
+    expect(await domainService.removeDomain('go.brand-b.com')).toBe(false);
+    expect((await domainService.listDomains()).map(domain => domain.host)).toEqual(['go.brand-a.com']);
+  });
+
+  it('resolves request hosts to registered domains only', async () => {
+    await domainService.registerDomain('go.brand-a.com');
+
+    expect(await domainService.resolveHost('GO.brand-a.com')).toMatchObject({ host: 'go.brand-a.com' });
+    expect(await domainService.resolveHost('sho.rt')).toBeNull();
+    expect(await domainService.resolveHost('unknown.example.com')).toBeNull();
+  });
+});
+
+describe('UrlService on short domains', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+
+  beforeEach(async () => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    process.env.BASE_URL = 'https://sho.rt';
+    setStorage(new InMemoryAdapter());
+    await domainService.registerDomain('go.brand-a.com', { validity: 1440, redirectStatus: 301, preview: true });
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  it('gives every domain its own shortcode namespace and short URLs', async () => {
+    const onDefault = await urlService.createShortUrl({ url: 'https://example.com/a', shortcode: 'promo1' });
+    const onBrand = await urlService.createShortUrl({ url: 'https://example.com/b', shortcode: 'promo1', domain: 'Go.Brand-A.com' });
+
+    expect(onDefault).toMatchObject({ domain: null, shortUrl: 'https://sho.rt/promo1' });
+    expect(onBrand).toMatchObject({ shortcode: 'promo1', domain: 'go.brand-a.com', shortUrl: 'https://go.brand-a.com/promo1' });
+    await expect(urlService.createShortUrl({ url: 'https://example.com/c', shortcode: 'promo1', domain: 'go.brand-a.com' }))
+      .rejects.toThrow('already exists');
+
+    expect((await urlService.getUrlByShortcode('go.brand-a.com/promo1')).originalUrl).toBe('https://example.com/b');
+    expect(await urlService.getUrlHistory('go.brand-a.com/promo1'))
+      .toMatchObject({ shortcode: 'promo1', domain: 'go.brand-a.com', currentRevision: 1 });
+  });
+
+  it('applies domain defaults to settings the request leaves out', async () => {
+    const defaulted = await urlService.createShortUrl({ url: 'https://example.com/', domain: 'go.brand-a.com' });
+    expect(defaulted).toMatchObject({ redirectStatus: 301, preview: true });
+    expect(Math.round((new Date(defaulted.expiresAt) - new Date(defaulted.createdAt)) / 60000)).toBe(1440);
+
+    const overridden = await urlService.createShortUrl({
+      url: 'https://example.com/',
+      domain: 'go.brand-a.com',
+      validity: 5,
+      preview: false
+    });
+    expect(overridden).toMatchObject({ redirectStatus: 301, preview: false });
+    expect(Math.round((new Date(overridden.expiresAt) - new Date(overridden.createdAt)) / 60000)).toBe(5);
+  });
+
+  it('rejects unregistered domains as invalid', async () => {
+    const error = await urlService.createShortUrl({ url: 'https://example.com/', domain: 'go.brand-b.com' })
+      .catch(caught => caught);
+
+    expect(error.message).toBe("Short domain 'go.brand-b.com' is not registered");
+    expect(errorCodeOf(error)).toBe('invalid');
+    expect(urlService.validateCreateData({ url: 'https://example.com/', domain: 42 }))
+      .toBe('domain must be a hostname such as go.example.com');
+  });
+});
@@ -0,0 +1,83 @@
+const { PassThrough } = require('stream');
+const exportService = require('../../src/services/exportService');
+const { setStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const { parseCsv } = require('../../src/utils/csv');
+
+describe('ExportService', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+  let storage;
+
+  // Exports as an admin, who gets every click field
+  const run = async (format, filters) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+
+    const count = await exportService.exportTo(stream, format, filters, true);
+    stream.end();
+    return { count, body: Buffer.concat(chunks).toString('utf8') };
+  };
+
+  beforeEach(async () => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    process.env.BASE_URL = 'http://sho.rt';
+    storage = new InMemoryAdapter();
+    setStorage(storage);
+
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    await storage.create({ shortcode: 'exp001', originalUrl: 'https://example.com/a', expiresAt });
+    await storage.create({ shortcode: 'exp002', originalUrl: 'https://example.com/b', expiresAt, isActive: false });
+    await storage.addClick('exp001', { ip: '10.0.0.1', userAgent: 'ua, "quoted"' });
+    await storage.addClick('exp001', { ip: '10.0.0.2', userAgent: '=cmd' });
+    await storage.create({ shortcode: 'exp001', domain: 'go.brand-a.com', originalUrl: 'https://example.com/c', expiresAt });
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  it('writes one CSV row per click and one per link without clicks', async () => {
+    const { count, body } = await run('csv');
+    const [header, ...rows] = parseCsv(body);
+
+    expect(count).toBe(3);
+    expect(header).toContain('clickUserAgent');
+    expect(rows).toHaveLength(4);
+    expect(rows[0].slice(0, 4)).toEqual(['exp001', '', 'https://example.com/a', 'http://sho.rt/exp001']);
+    expect(rows[0][header.indexOf('clickUserAgent')]).toBe('ua, "quoted"');
+    expect(rows[1][header.indexOf('clickUserAgent')]).toBe("'=cmd");
+    expect(rows[2][header.indexOf('status')]).toBe('inactive');
+    expect(rows[2][header.indexOf('clickIp')]).toBe('');
+    expect(rows[3].slice(0, 4)).toEqual(['exp001', 'go.brand-a.com', 'https://example.com/c', 'http://go.brand-a.com/exp001']);
+  });
+
+  it('writes a JSON array and NDJSON records with click history', async () => {
+    const json = JSON.parse((await run('json')).body);
+    expect(json.map(link => [link.domain, link.shortcode])).toEqual([
+      [null, 'exp001'],
+      [null, 'exp002'],
+      ['go.brand-a.com', 'exp001']
+    ]);
+    expect(json[0].clicks).toEqual([
+      expect.objectContaining({ ip: '10.0.0.1' }),
+      expect.objectContaining({ ip: '10.0.0.2' })
+    ]);
+
+    const lines = (await run('ndjson', { status: 'inactive' })).body.trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).shortcode)).toEqual(['exp002']);
+
+    const domainLines = (await run('ndjson', { shortDomain: 'go.brand-a.com' })).body.trim().split('\n');
+    expect(domainLines.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ shortcode: 'exp001', domain: 'go.brand-a.com', shortUrl: 'http://go.brand-a.com/exp001' })
+    ]);
+  });
+
+  it('writes an empty JSON array when nothing matches', async () => {
+    expect(JSON.parse((await run('json', { status: 'expired' })).body)).toEqual([]);
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(run('xml')).rejects.toThrow("Unknown export format 'xml'");
+  });
+});
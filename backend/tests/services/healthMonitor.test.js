@@ -0,0 +1,109 @@
+const http = require('http');
+const { setStorage, getStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const urlService = require('../../src/services/urlService');
+const healthMonitor = require('../../src/services/healthMonitor');
+
+describe('HealthMonitor', () => {
+  let server;
+  let base;
+  let status;
+  let inFlight;
+  let maxInFlight;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        if (req.url === '/moved') return res.writeHead(301, { Location: '/page' }).end();
+        res.writeHead(req.url === '/page' ? status : 404).end();
+      }, 20);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+    status = 200;
+    inFlight = 0;
+    maxInFlight = 0;
+    process.env.HEALTH_CHECK_CONCURRENCY = '2';
+    process.env.HEALTH_CHECK_RETRY_MINUTES = '5';
+    process.env.HEALTH_CHECK_MAX_BACKOFF_MINUTES = '15';
+    // The test server listens on loopback
+    process.env.HEALTH_CHECK_ALLOW_PRIVATE_ADDRESSES = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.HEALTH_CHECK_CONCURRENCY;
+    delete process.env.HEALTH_CHECK_RETRY_MINUTES;
+    delete process.env.HEALTH_CHECK_MAX_BACKOFF_MINUTES;
+    delete process.env.HEALTH_CHECK_ALLOW_PRIVATE_ADDRESSES;
+  });
+
+  it('checks active links with limited concurrency and marks broken ones', async () => {
+    const working = await urlService.createShortUrl({ url: `${base}/moved` });
+    const broken = await urlService.createShortUrl({ url: `${base}/missing` });
+    await urlService.createShortUrl({ url: `${base}/page` });
+    await urlService.createShortUrl({ url: `${base}/page`, activeFrom: new Date(Date.now() + 60000).toISOString() });
+
+    expect(await healthMonitor.run()).toMatchObject({ checked: 3, broken: 1 });
+    expect(maxInFlight).toBe(2);
+
+    expect((await urlService.getUrlAnalytics(working.shortcode)).health).toMatchObject({
+      status: 'ok',
+      statusCode: 200,
+      redirects: [{ url: `${base}/moved`, statusCode: 301 }],
+      failures: 0,
+      brokenSince: null
+    });
+
+    const report = await urlService.listUrls({ page: 1, limit: 20, health: 'broken' });
+    expect(report.items.map(item => item.shortcode)).toEqual([broken.shortcode]);
+    expect(report.items[0].health).toMatchObject({ status: 'broken', statusCode: 404, failures: 1 });
+
+    // Nothing is due until the next check time
+    expect(await healthMonitor.run()).toMatchObject({ checked: 0 });
+  });
+
+  it('backs off while a destination stays broken and notices recovery', async () => {
+    const link = await urlService.createShortUrl({ url: `${base}/page` });
+    const settings = healthMonitor.settings();
+    const entry = () => getStorage().findByShortcode(link.shortcode);
+    status = 503;
+
+    const checks = [];
+    for (let i = 0; i < 4; i++) {
+      checks.push(await healthMonitor.checkLink(await entry(), settings));
+    }
+    expect(checks.map(health => (new Date(health.nextCheckAt) - new Date(health.checkedAt)) / 60000))
+      .toEqual([5, 10, 15, 15]);
+    expect((await entry()).health).toMatchObject({ status: 'broken', failures: 4, brokenSince: checks[0].checkedAt });
+
+    status = 200;
+    expect(await healthMonitor.checkLink(await entry(), settings))
+      .toMatchObject({ status: 'ok', failures: 0, brokenSince: null });
+  });
+
+  it('forgets the health of a link whose destination changes', async () => {
+    const link = await urlService.createShortUrl({ url: `${base}/missing` });
+    await healthMonitor.run();
+
+    const updated = await urlService.updateShortUrl(link.shortcode, { url: `${base}/page` });
+    expect(updated.health).toBeNull();
+    expect((await getStorage().listDueHealthChecks(new Date(), 10)).map(entry => entry.shortcode)).toEqual([link.shortcode]);
+
+    await healthMonitor.run();
+    expect((await urlService.updateShortUrl(link.shortcode, { note: 'checked' })).health)
+      .toMatchObject({ status: 'ok', url: `${base}/page` });
+  });
+});
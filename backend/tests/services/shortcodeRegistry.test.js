@@ -0,0 +1,78 @@
+const express = require('express');
+const shortcodeRegistry = require('../../src/services/shortcodeRegistry');
+const { setStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+
+describe('shortcode registry', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new InMemoryAdapter();
+    setStorage(storage);
+  });
+
+  beforeAll(() => {
+    const router = express.Router();
+    router.post('/shorturls', () => {});
+    router.get('/shorturls/:shortcode/analytics', () => {});
+    router.get('/health', () => {});
+    router.get('/:shortcode', () => {});
+    shortcodeRegistry.reserveRouteNames(router);
+    shortcodeRegistry.reserveRouteNames(express.Router(), '/admin');
+  });
+
+  it('reserves literal route names case-insensitively', () => {
+    expect(shortcodeRegistry.list().routes).toEqual(['admin', 'health', 'shorturls']);
+    expect(shortcodeRegistry.check('health')).toMatchObject({ allowed: false, reason: 'reserved' });
+    expect(shortcodeRegistry.check('ShortUrls')).toMatchObject({ allowed: false, reason: 'reserved' });
+    expect(shortcodeRegistry.check('healthy')).toEqual({ allowed: true });
+  });
+
+  it('blocks denylisted terms anywhere in the shortcode, including leetspeak and stretched spellings', () => {
+    ['shit', 'xxSHITxx', 'sh1t', '5h17', 'shiiiit', 'b1tch'].forEach(code => {
+      expect(shortcodeRegistry.check(code)).toMatchObject({ allowed: false, reason: 'blocked' });
+    });
+    expect(shortcodeRegistry.check('shirt')).toEqual({ allowed: true });
+  });
+
+  it('adds and removes runtime entries', async () => {
+    expect(await shortcodeRegistry.add('reserved', 'Pricing')).toBe(true);
+    expect(await shortcodeRegistry.add('reserved', 'pricing')).toBe(false);
+    expect(shortcodeRegistry.check('PRICING')).toMatchObject({ allowed: false, reason: 'reserved' });
+    expect(await shortcodeRegistry.remove('reserved', 'pricing')).toBe(true);
+    expect(shortcodeRegistry.check('pricing')).toEqual({ allowed: true });
+
+    expect(await shortcodeRegistry.add('blocked', 'spam')).toBe(true);
+    expect(shortcodeRegistry.check('5p4mmer')).toMatchObject({ allowed: false, term: 'spam' });
+    expect(await shortcodeRegistry.remove('blocked', 'spam')).toBe(true);
+    expect(await shortcodeRegistry.remove('blocked', 'spam')).toBe(false);
+  });
+
+  it('refuses to remove route names or accept invalid terms', async () => {
+    await expect(shortcodeRegistry.remove('reserved', 'health')).rejects.toMatchObject({ code: 'conflict' });
+    await expect(shortcodeRegistry.add('blocked', 'a b')).rejects.toThrow('alphanumeric');
+    expect(await storage.listRegistryChanges()).toEqual([]);
+  });
+
+  it('keeps runtime changes in storage and applies them after a restart', async () => {
+    await shortcodeRegistry.add('reserved', 'Careers');
+    await shortcodeRegistry.remove('blocked', 'shit');
+    expect(await storage.listRegistryChanges()).toEqual([
+      { list: 'blocked', term: 'shit', action: 'remove' },
+      { list: 'reserved', term: 'careers', action: 'add' }
+    ]);
+
+    let restarted;
+    jest.isolateModules(() => {
+      require('../../src/storage').setStorage(storage);
+      restarted = require('../../src/services/shortcodeRegistry');
+    });
+    expect(restarted.check('careers')).toEqual({ allowed: true });
+    expect(await restarted.load()).toBe(2);
+    expect(restarted.check('careers')).toMatchObject({ allowed: false, reason: 'reserved' });
+    expect(restarted.check('shit')).toEqual({ allowed: true });
+
+    await shortcodeRegistry.remove('reserved', 'careers');
+    await shortcodeRegistry.add('blocked', 'shit');
+  });
+});
@@ -0,0 +1,37 @@
+const unlockThrottle = require('../../src/services/unlockThrottle');
+
+describe('unlock throttle', () => {
+  beforeEach(() => {
+    process.env.UNLOCK_MAX_ATTEMPTS = '3';
+    process.env.UNLOCK_LOCKOUT_MINUTES = '15';
+    unlockThrottle.attempts.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.UNLOCK_MAX_ATTEMPTS;
+    delete process.env.UNLOCK_LOCKOUT_MINUTES;
+  });
+
+  it('locks a client out of a link after too many failures', () => {
+    expect(unlockThrottle.recordFailure('abc123', '10.0.0.1')).toBe(2);
+    expect(unlockThrottle.recordFailure('abc123', '10.0.0.1')).toBe(1);
+    expect(unlockThrottle.retryAfter('abc123', '10.0.0.1')).toBe(0);
+    expect(unlockThrottle.recordFailure('abc123', '10.0.0.1')).toBe(0);
+
+    expect(unlockThrottle.retryAfter('abc123', '10.0.0.1')).toBe(15 * 60);
+    expect(unlockThrottle.retryAfter('abc123', '10.0.0.2')).toBe(0);
+    expect(unlockThrottle.retryAfter('xyz789', '10.0.0.1')).toBe(0);
+  });
+
+  it('lifts the lockout after the window and on success', () => {
+    for (let i = 0; i < 3; i++) unlockThrottle.recordFailure('abc123', '10.0.0.1');
+
+    jest.useFakeTimers({ now: Date.now() + 16 * 60 * 1000 });
+    expect(unlockThrottle.retryAfter('abc123', '10.0.0.1')).toBe(0);
+
+    for (let i = 0; i < 3; i++) unlockThrottle.recordFailure('abc123', '10.0.0.1');
+    unlockThrottle.reset('abc123', '10.0.0.1');
+    expect(unlockThrottle.retryAfter('abc123', '10.0.0.1')).toBe(0);
+  });
+});
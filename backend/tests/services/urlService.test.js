@@ -0,0 +1,519 @@
+const { setStorage } = require('../../src/storage');
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const urlService = require('../../src/services/urlService');
+const shortcodeRegistry = require('../../src/services/shortcodeRegistry');
+const { errorCodeOf } = require('../../src/utils/errors');
+
+describe('UrlService reuse of existing links', () => {
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+  });
+
+  it('returns the live link for the same normalized URL when asked to', async () => {
+    const created = await urlService.createShortUrl({ url: 'https://EXAMPLE.com/page' });
+    const reused = await urlService.createShortUrl({ url: 'https://example.com/page', reuseExisting: true });
+
+    expect(reused).toMatchObject({ shortcode: created.shortcode, reused: true });
+  });
+
+  it('never hands out or reuses click-limited links', async () => {
+    const oneTime = await urlService.createShortUrl({ url: 'https://example.com/doc', maxClicks: 1 });
+    expect(oneTime.maxClicks).toBe(1);
+
+    const reused = await urlService.createShortUrl({ url: 'https://example.com/doc', reuseExisting: true });
+    expect(reused.shortcode).not.toBe(oneTime.shortcode);
+    expect((await urlService.createShortUrl({ url: 'https://example.com/doc', maxClicks: 1, reuseExisting: true })).shortcode)
+      .not.toBe(reused.shortcode);
+    expect(urlService.validateCreateData({ url: 'https://example.com/', maxClicks: 0 })).toBe('maxClicks must be a positive integer');
+  });
+
+  it('mints a new link without the flag or with a custom shortcode', async () => {
+    const created = await urlService.createShortUrl({ url: 'https://example.com/page' });
+
+    expect((await urlService.createShortUrl({ url: 'https://example.com/page' })).shortcode).not.toBe(created.shortcode);
+    expect((await urlService.createShortUrl({
+      url: 'https://example.com/page',
+      shortcode: 'mine01',
+      reuseExisting: true
+    })).shortcode).toBe('mine01');
+  });
+});
+
+describe('UrlService link management', () => {
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+  });
+
+  it('pages through links with totals and status', async () => {
+    for (const shortcode of ['man001', 'man002', 'man003']) {
+      await urlService.createShortUrl({ url: 'https://example.com/', shortcode });
+    }
+    await urlService.updateShortUrl('man002', { isActive: false });
+
+    const result = await urlService.listUrls({ page: 2, limit: 2, sort: 'shortcode', order: 'asc' });
+    expect(result).toMatchObject({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    expect(result.items).toEqual([expect.objectContaining({ shortcode: 'man003', status: 'active', clickCount: 0 })]);
+    expect((await urlService.listUrls({ page: 1, limit: 10, status: 'inactive' })).items[0].shortcode).toBe('man002');
+  });
+
+  it('stores link passwords hashed and never returns them', async () => {
+    const created = await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'pwd001', password: 'hunter22' });
+    expect(created.passwordProtected).toBe(true);
+    expect(JSON.stringify(created)).not.toContain('hunter22');
+
+    const urlDoc = await urlService.getUrlByShortcode('pwd001');
+    expect(urlDoc.passwordHash).not.toContain('hunter22');
+    expect(await urlService.verifyUnlockPassword(urlDoc, 'hunter22')).toBe(true);
+    expect(await urlService.verifyUnlockPassword(urlDoc, 'hunter2')).toBe(false);
+    expect((await urlService.listUrls({ page: 1, limit: 10 })).items[0]).not.toHaveProperty('passwordHash');
+    expect(urlService.validateCreateData({ url: 'https://example.com/', password: 'abc' }))
+      .toBe('password must be a string of 4-128 characters');
+  });
+
+  it('reports one-time links as exhausted after their click', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man006', maxClicks: 1 });
+
+    expect(await urlService.recordClick('man006', { ip: '10.0.0.1' })).toBe(true);
+    expect(await urlService.recordClick('man006', { ip: '10.0.0.2' })).toBe(false);
+    const { items } = await urlService.listUrls({ page: 1, limit: 10 });
+    expect(items[0]).toMatchObject({ shortcode: 'man006', status: 'exhausted', maxClicks: 1, clickCount: 1 });
+  });
+
+  it('normalizes a new destination and recomputes expiry from validity', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man004' });
+
+    const updated = await urlService.updateShortUrl('man004', { url: 'https://EXAMPLE.org', validity: 120 });
+    expect(updated.originalUrl).toBe('https://example.org/');
+    expect(new Date(updated.expiresAt).getTime()).toBeGreaterThan(Date.now() + 119 * 60 * 1000);
+    await expect(urlService.updateShortUrl('man004', { url: 'ftp://example.org' })).rejects.toThrow('Invalid URL format');
+  });
+
+  it('normalizes tags and updates or clears labels', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/',
+      shortcode: 'man007',
+      tags: ['Promo', 'promo ', 'q3-launch'],
+      campaign: '  Autumn  ',
+      note: 'Printed on flyers'
+    });
+    expect(created).toMatchObject({ tags: ['promo', 'q3-launch'], campaign: 'Autumn', note: 'Printed on flyers' });
+
+    const updated = await urlService.updateShortUrl('man007', { tags: [], campaign: null });
+    expect(updated).toMatchObject({ tags: [], campaign: null, note: 'Printed on flyers' });
+    expect(await urlService.rollbackShortUrl('man007', 1)).toMatchObject({ tags: ['promo', 'q3-launch'], campaign: 'Autumn' });
+    expect(urlService.validateCreateData({ url: 'https://example.com/', tags: ['no spaces'] }))
+      .toBe('Each tag must be 1-32 letters, digits, hyphens or underscores, starting with a letter or digit');
+    expect(urlService.validateLabelFields({ campaign: ' ' })).toBe('campaign must be a string of 1-100 characters');
+    expect(urlService.validateLabelFields({ note: null, campaign: null, tags: [] })).toBeNull();
+  });
+
+  it('never reuses a link for a labeled create', async () => {
+    const plain = await urlService.createShortUrl({ url: 'https://example.com/labels' });
+    const tagged = await urlService.createShortUrl({ url: 'https://example.com/labels', tags: ['ads'], reuseExisting: true });
+
+    expect(tagged.shortcode).not.toBe(plain.shortcode);
+    expect(tagged.tags).toEqual(['ads']);
+  });
+
+  it('searches links and rolls up clicks per tag', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/a', shortcode: 'man008', tags: ['ads'], note: 'Newsletter footer' });
+    await urlService.createShortUrl({ url: 'https://example.com/b', shortcode: 'man009', tags: ['ads', 'social'] });
+    await urlService.recordClick('man009', { ip: '10.0.0.1' });
+
+    const result = await urlService.listUrls({ page: 1, limit: 10, q: 'news' });
+    expect(result.items.map(item => item.shortcode)).toEqual(['man008']);
+    expect(await urlService.rollupClicks('tag')).toEqual({
+      by: 'tag',
+      items: [{ key: 'ads', links: 2, clicks: 1 }, { key: 'social', links: 1, clicks: 1 }]
+    });
+  });
+
+  it('merges utm fields into the destination and breaks clicks down by campaign', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/?utm_source=old',
+      shortcode: 'man010',
+      utm: { source: 'newsletter', campaign: 'launch' },
+      utmDefaults: { medium: 'email', campaign: 'ignored' }
+    });
+    expect(created.originalUrl).toBe('https://example.com/?utm_source=newsletter&utm_campaign=launch');
+    expect(urlService.redirectTarget(await urlService.getUrlByShortcode('man010')))
+      .toBe('https://example.com/?utm_source=newsletter&utm_campaign=launch&utm_medium=email');
+
+    await urlService.recordClick('man010', { ip: '10.0.0.1', utmCampaign: 'launch' });
+    await urlService.recordClick('man010', { ip: '10.0.0.2', utmCampaign: 'launch' });
+    await urlService.recordClick('man010', { ip: '10.0.0.3' });
+    expect((await urlService.getUrlAnalytics('man010')).utmCampaigns).toEqual([
+      { campaign: 'launch', clicks: 2 },
+      { campaign: null, clicks: 1 }
+    ]);
+    expect(urlService.validateCreateData({ url: 'https://example.com/', utm: { source: 5 } }))
+      .toBe('utm.source must be a string of 1-200 characters');
+  });
+
+  it('forwards path and query before filling in UTM defaults', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/docs/',
+      shortcode: 'man011',
+      passthrough: { onConflict: 'request' },
+      utmDefaults: { source: 'short' },
+      reuseExisting: true
+    });
+    expect(created.passthrough).toEqual({ path: true, query: true, onConflict: 'request' });
+
+    const urlDoc = await urlService.getUrlByShortcode('man011');
+    expect(urlService.redirectTarget(urlDoc, { path: '/v2/api', search: '?utm_source=ad&lang=de' }))
+      .toBe('https://example.com/docs/v2/api?utm_source=ad&lang=de');
+    expect(urlService.redirectTarget(urlDoc, { path: '', search: '' })).toBe('https://example.com/docs/?utm_source=short');
+
+    await urlService.updateShortUrl('man011', { passthrough: null });
+    expect(urlService.redirectTarget(await urlService.getUrlByShortcode('man011'), { path: '/x', search: '?y=1' }))
+      .toBe('https://example.com/docs/?utm_source=short');
+  });
+
+  it('sends visitors to the first matching rule and counts clicks per rule', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/app',
+      shortcode: 'man012',
+      redirectRules: [
+        { name: 'ios', when: { os: 'iOS' }, url: 'https://apps.apple.com/app/id1' },
+        { when: { os: 'Android' }, url: 'https://play.google.com/store/apps/details?id=app' }
+      ],
+      utmDefaults: { source: 'short' },
+      reuseExisting: true
+    });
+    expect(created.redirectRules.map(rule => rule.name)).toEqual(['ios', 'rule-2']);
+
+    const urlDoc = await urlService.getUrlByShortcode('man012');
+    const iphone = { userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) Mobile/15E148 Safari/604.1' };
+    const rule = urlService.matchRedirectRule(urlDoc, iphone);
+    expect(urlService.redirectTarget(urlDoc, undefined, { rule })).toBe('https://apps.apple.com/app/id1?utm_source=short');
+    expect(urlService.matchRedirectRule(urlDoc, { userAgent: 'curl/8.0' })).toBeNull();
+
+    await urlService.recordClick('man012', { ip: '10.0.0.1', rule: 'ios' });
+    await urlService.recordClick('man012', { ip: '10.0.0.2' });
+    await urlService.recordClick('man012', { ip: '10.0.0.3' });
+    expect((await urlService.getUrlAnalytics('man012')).rules).toEqual([
+      { rule: null, clicks: 2 },
+      { rule: 'ios', clicks: 1 }
+    ]);
+
+    await urlService.updateShortUrl('man012', { redirectRules: null });
+    expect(urlService.matchRedirectRule(await urlService.getUrlByShortcode('man012'), iphone)).toBeNull();
+  });
+
+  it('splits visitors between variants and reports clicks and visitors per variant', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/landing',
+      shortcode: 'man013',
+      variants: [
+        { name: 'blue', url: 'https://example.com/blue' },
+        { name: 'green', url: 'https://example.com/green', weight: 0 }
+      ],
+      reuseExisting: true
+    });
+    expect(created.variants.map(variant => variant.weight)).toEqual([1, 0]);
+
+    const visitor = { ip: '10.0.0.1', userAgent: 'ua-1' };
+    const variant = urlService.chooseVariant(await urlService.getUrlByShortcode('man013'), visitor);
+    expect(variant.name).toBe('blue');
+    expect(urlService.redirectTarget(created, undefined, { variant })).toBe('https://example.com/blue');
+
+    await urlService.recordClick('man013', { ...visitor, variant: 'blue' });
+    await urlService.recordClick('man013', { ...visitor, variant: 'blue' });
+    await urlService.recordClick('man013', { ip: '10.0.0.2', userAgent: 'ua-2', variant: 'old' });
+    await urlService.updateShortUrl('man013', {
+      variants: [
+        { name: 'blue', url: 'https://example.com/blue', retired: true },
+        { name: 'green', url: 'https://example.com/green', weight: 2 }
+      ]
+    });
+
+    expect(urlService.chooseVariant(await urlService.getUrlByShortcode('man013'), visitor).name).toBe('green');
+    expect((await urlService.getUrlAnalytics('man013')).variants).toEqual([
+      { name: 'blue', url: 'https://example.com/blue', weight: 1, retired: true, clicks: 2, uniqueVisitors: 1 },
+      { name: 'green', url: 'https://example.com/green', weight: 2, retired: false, clicks: 0, uniqueVisitors: 0 },
+      { name: 'old', url: null, weight: null, retired: true, clicks: 1, uniqueVisitors: 1 }
+    ]);
+  });
+
+  it('keeps the redirect status per link and never caches a redirect past expiry', async () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const inSeconds = (seconds) => new Date(now.getTime() + seconds * 1000);
+    const created = await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man014', redirectStatus: 301 });
+    expect(created.redirectStatus).toBe(301);
+    expect((await urlService.updateShortUrl('man014', { redirectStatus: null })).redirectStatus).toBe(302);
+    expect(urlService.validateCreateData({ url: 'https://example.com/', redirectStatus: 303 }))
+      .toBe('redirectStatus must be one of: 301, 302, 307, 308');
+
+    expect(urlService.redirectCacheHeaders({ expiresAt: inSeconds(3600) }, now)).toEqual({
+      'Cache-Control': 'public, max-age=300',
+      Expires: 'Thu, 01 Jan 2026 00:05:00 GMT'
+    });
+    expect(urlService.redirectCacheHeaders({ expiresAt: inSeconds(90), variants: [] }, now)).toEqual({
+      'Cache-Control': 'private, max-age=90',
+      Expires: 'Thu, 01 Jan 2026 00:01:30 GMT'
+    });
+    expect(urlService.redirectCacheHeaders({ expiresAt: inSeconds(3600), maxClicks: 5 }, now)['Cache-Control']).toBe('no-store');
+    expect(urlService.redirectCacheHeaders({ expiresAt: inSeconds(0.5) }, now)['Cache-Control']).toBe('no-store');
+
+    process.env.REDIRECT_CACHE_MAX_AGE = '86400';
+    try {
+      expect(urlService.redirectCacheHeaders({ expiresAt: null }, now)['Cache-Control']).toBe('public, max-age=86400');
+    } finally {
+      delete process.env.REDIRECT_CACHE_MAX_AGE;
+    }
+  });
+
+  it('forces preview per link and counts previews apart from clicks', async () => {
+    const created = await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man015', preview: true, reuseExisting: true });
+    expect(created.preview).toBe(true);
+
+    expect(await urlService.recordPreview('man015')).toBe(true);
+    expect(await urlService.getUrlAnalytics('man015')).toMatchObject({ totalClicks: 0, totalPreviews: 1 });
+    expect((await urlService.updateShortUrl('man015', { preview: null })).preview).toBe(false);
+    expect(urlService.validateCreateData({ url: 'https://example.com/', preview: 'yes' })).toBe('preview must be a boolean');
+  });
+
+  it('sends dead links to their own fallback URL, else the deployment default', async () => {
+    const created = await urlService.createShortUrl({
+      url: 'https://example.com/', shortcode: 'man016', fallbackUrl: 'https://example.com/expired', reuseExisting: true
+    });
+    expect(created.fallbackUrl).toBe('https://example.com/expired');
+    expect(created.reused).toBeUndefined();
+    expect(urlService.validateCreateData({ url: 'https://example.com/', fallbackUrl: 'javascript:alert(1)' }))
+      .toBe('fallbackUrl must be an HTTP or HTTPS URL');
+
+    const plain = { shortcode: 'x', fallbackUrl: null };
+    expect(urlService.fallbackUrlFor(created, 'expired')).toBe('https://example.com/expired');
+    expect(urlService.fallbackUrlFor(plain, 'expired')).toBeNull();
+
+    process.env.FALLBACK_URL = 'https://example.com/gone';
+    process.env.CLICK_LIMIT_FALLBACK_URL = 'https://example.com/sold-out';
+    try {
+      expect(urlService.fallbackUrlFor(plain, 'expired')).toBe('https://example.com/gone');
+      expect(urlService.fallbackUrlFor(plain, 'exhausted')).toBe('https://example.com/sold-out');
+      expect(urlService.fallbackUrlFor(created, 'exhausted')).toBe('https://example.com/expired');
+    } finally {
+      delete process.env.FALLBACK_URL;
+      delete process.env.CLICK_LIMIT_FALLBACK_URL;
+    }
+
+    expect((await urlService.updateShortUrl('man016', { fallbackUrl: null })).fallbackUrl).toBeNull();
+  });
+
+  it('breaks clicks down by source', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man017' });
+    await urlService.recordClick('man017', { ip: '10.0.0.1', source: 'qr' });
+    await urlService.recordClick('man017', { ip: '10.0.0.2', source: 'qr' });
+    await urlService.recordClick('man017', { ip: '10.0.0.3' });
+
+    expect((await urlService.getUrlAnalytics('man017')).sources).toEqual([
+      { source: 'qr', clicks: 2 },
+      { source: null, clicks: 1 }
+    ]);
+  });
+
+  it('reports missing links on update and delete', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'man005' });
+
+    expect(await urlService.updateShortUrl('nope00', { isActive: false })).toBeNull();
+    expect(await urlService.deleteShortUrl('man005')).toBe(true);
+    expect(await urlService.deleteShortUrl('man005')).toBe(false);
+  });
+});
+
+describe('UrlService scheduling', () => {
+  const MINUTE = 60 * 1000;
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * MINUTE).toISOString();
+
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+  });
+
+  it('counts validity from activeFrom and accepts an exact expiry', async () => {
+    const activeFrom = inMinutes(60);
+    const scheduled = await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'sch001', activeFrom, validity: 30 });
+    expect(scheduled.activeFrom).toBe(activeFrom);
+    expect(new Date(scheduled.expiresAt).getTime()).toBe(new Date(activeFrom).getTime() + 30 * MINUTE);
+
+    const expiresAt = inMinutes(90);
+    expect((await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'sch002', expiresAt })).expiresAt).toBe(expiresAt);
+    expect((await urlService.listUrls({ page: 1, limit: 10, status: 'scheduled' })).items.map(item => item.shortcode)).toEqual(['sch001']);
+  });
+
+  it('rejects expiries before activation or beyond a week from it', async () => {
+    const create = (data) => urlService.createShortUrl({ url: 'https://example.com/', ...data });
+
+    await expect(create({ activeFrom: inMinutes(60), expiresAt: inMinutes(30) })).rejects.toThrow('after activeFrom');
+    await expect(create({ expiresAt: 'tomorrow' })).rejects.toThrow('expiresAt must be an ISO 8601 date');
+    await expect(create({ activeFrom: 'soon' })).rejects.toThrow('activeFrom must be an ISO 8601 date');
+    await expect(create({ expiresAt: inMinutes(10081) })).rejects.toThrow('at most 10080 minutes');
+    // The cap runs from activation, not from now
+    expect((await create({ activeFrom: inMinutes(60), expiresAt: inMinutes(10100) })).shortcode).toBeDefined();
+    expect(urlService.validateCreateData({ url: 'https://example.com/', validity: 5, neverExpires: true }))
+      .toBe('Provide only one of validity, expiresAt or neverExpires');
+  });
+
+  it('lets only authorized callers create links that never expire', async () => {
+    const data = { url: 'https://example.com/', neverExpires: true };
+
+    const error = await urlService.createShortUrl(data).catch(e => e);
+    expect(error.message).toBe('Not authorized to create links that never expire');
+    expect(errorCodeOf(error)).toBe('forbidden');
+    // Only refusals are classified; other failures stay server errors whatever their message says
+    expect(errorCodeOf(new Error('Unable to generate unique shortcode after maximum attempts')))
+      .toBe('error');
+
+    const created = await urlService.createShortUrl({ ...data, shortcode: 'nvr001' }, { authorized: true });
+    expect(created.expiresAt).toBeNull();
+    expect((await urlService.updateShortUrl('nvr001', { validity: 60 })).status).toBe('active');
+  });
+
+  it('restores activeFrom and a missing expiry on rollback', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'sch003', neverExpires: true }, { authorized: true });
+    await urlService.updateShortUrl('sch003', { activeFrom: inMinutes(60), validity: 30 });
+
+    const result = await urlService.rollbackShortUrl('sch003', 1);
+    expect(result).toMatchObject({ expiresAt: null, activeFrom: null, status: 'active' });
+    await expect(urlService.updateShortUrl('sch003', { expiresAt: inMinutes(10), activeFrom: inMinutes(20) }))
+      .rejects.toThrow('after activeFrom');
+  });
+});
+
+describe('UrlService revision history', () => {
+  const context = { changedBy: { ip: '10.0.0.9', userAgent: 'jest', admin: true }, requestId: 'req-42' };
+
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+  });
+
+  it('records who changed what on create and update', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'his001' }, context);
+    await urlService.updateShortUrl('his001', { url: 'https://evil.example/' });
+
+    const history = await urlService.getUrlHistory('his001');
+    expect(history.currentRevision).toBe(2);
+    expect(history.revisions).toEqual([
+      expect.objectContaining({ revision: 1, action: 'create', originalUrl: 'https://example.com/', isActive: true, changedBy: context.changedBy, requestId: 'req-42' }),
+      expect.objectContaining({ revision: 2, action: 'update', originalUrl: 'https://evil.example/', changedBy: null })
+    ]);
+    expect(await urlService.getUrlHistory('nope00')).toBeNull();
+  });
+
+  it('rolls back to an earlier revision and logs it', async () => {
+    const created = await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'his002' });
+    await urlService.updateShortUrl('his002', { url: 'https://evil.example/', validity: 600, isActive: false });
+
+    const result = await urlService.rollbackShortUrl('his002', 1, context);
+    expect(result).toMatchObject({ originalUrl: 'https://example.com/', isActive: true, expiresAt: created.expiresAt, revision: 3 });
+
+    const history = await urlService.getUrlHistory('his002');
+    expect(history.revisions[2]).toMatchObject({ action: 'rollback', sourceRevision: 1, requestId: 'req-42' });
+    expect(global.appLogger.Log).toHaveBeenCalledWith('backend', 'info', 'url-service', 'Short URL rolled back', expect.objectContaining({
+      shortcode: 'his002',
+      fromRevision: 2,
+      restoredRevision: 1,
+      newRevision: 3,
+      previousUrl: 'https://evil.example/',
+      restoredUrl: 'https://example.com/'
+    }));
+  });
+
+  it('distinguishes unknown links from unknown revisions', async () => {
+    await urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'his003' });
+
+    expect(await urlService.rollbackShortUrl('nope00', 1)).toBeNull();
+    await expect(urlService.rollbackShortUrl('his003', 7))
+      .rejects.toMatchObject({ code: 'not_found', message: 'Revision 7 not found' });
+  });
+});
+
+describe('UrlService bulk creation', () => {
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    setStorage(new InMemoryAdapter());
+  });
+
+  it('commits good rows and reports every failure in input order', async () => {
+    const results = await urlService.createShortUrls([
+      { url: 'https://example.com/a', shortcode: 'bulk01' },
+      { url: 'not a url' },
+      { url: 'https://example.com/b', shortcode: 'bulk01' },
+      { validity: 10 },
+      { url: 'https://example.com/c', validity: 99999 },
+      { url: 'https://example.com/a', reuseExisting: true }
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['created', 'invalid', 'conflict', 'invalid', 'invalid', 'reused']);
+    expect(results.map(result => result.row)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(results[1].message).toBe('Invalid URL format');
+    expect(results[3].message).toBe('URL is required');
+    expect(results[5].shortUrl.shortcode).toBe('bulk01');
+    expect(await urlService.getUrlByShortcode('bulk01')).not.toBeNull();
+  });
+});
+
+describe('UrlService shortcode generation', () => {
+  let storage;
+
+  beforeEach(() => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    storage = new InMemoryAdapter();
+    setStorage(storage);
+  });
+
+  afterEach(() => {
+    urlService.configureShortcodes({ strategy: 'random' });
+  });
+
+  it.each(['random', 'sequential', 'hashids', 'pronounceable'])('creates links with the %s strategy', async (strategy) => {
+    urlService.configureShortcodes({ strategy, length: 5 });
+
+    const result = await urlService.createShortUrl({ url: 'https://example.com/' });
+    expect(result.shortcode).toMatch(/^[a-zA-Z0-9]{5,20}$/);
+    expect(await storage.findByShortcode(result.shortcode)).not.toBeNull();
+  });
+
+  it('retries past codes that are already taken', async () => {
+    urlService.configureShortcodes({ strategy: 'sequential', length: 3 });
+    await storage.create({ shortcode: 'aab', originalUrl: 'https://example.com/' });
+
+    expect(await urlService.generateUniqueShortcode()).toBe('aac');
+  });
+
+  it('skips generated codes rejected by the registry', async () => {
+    urlService.configureShortcodes({ strategy: 'sequential', length: 3 });
+    await shortcodeRegistry.add('reserved', 'aab');
+
+    try {
+      expect(await urlService.generateUniqueShortcode()).toBe('aac');
+    } finally {
+      await shortcodeRegistry.remove('reserved', 'aab');
+    }
+  });
+
+  it('rejects reserved and blocked custom shortcodes', async () => {
+    await shortcodeRegistry.add('reserved', 'pricing');
+
+    try {
+      await expect(urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'Pricing' }))
+        .rejects.toThrow('Custom shortcode is reserved');
+      await expect(urlService.createShortUrl({ url: 'https://example.com/', shortcode: 'n4z1party' }))
+        .rejects.toThrow('Custom shortcode contains a blocked term');
+    } finally {
+      await shortcodeRegistry.remove('reserved', 'pricing');
+    }
+  });
+
+  it('gives up after the maximum number of attempts', async () => {
+    urlService.configureShortcodes({ strategy: 'sequential', length: 3 });
+    await storage.create({ shortcode: 'aab', originalUrl: 'https://example.com/' });
+    await storage.create({ shortcode: 'aac', originalUrl: 'https://example.com/' });
+
+    await expect(urlService.generateUniqueShortcode(null, 2)).rejects.toThrow('Unable to generate unique shortcode');
+  });
+});
@@ -0,0 +1,903 @@
+/**
+ * Shared conformance suite for storage adapters.
+ * Every adapter registered in src/storage must pass it so the
+ * backends stay interchangeable behind UrlService.
+ *
+ * @param {string} name - Adapter name used in the describe block
+ * @param {Function} createAdapter - Async factory taking adapter options and returning
+ *   a connected, empty adapter
+ * @param {Function} [destroyAdapter] - Async teardown for an adapter
+ */
+const runStorageConformanceSuite = (name, createAdapter, destroyAdapter = async (adapter) => adapter.close()) => {
+  describe(`${name} storage adapter conformance`, () => {
+    const RETENTION_MS = 10 * 60 * 1000;
+    let storage;
+
+    const future = () => new Date(Date.now() + 60 * 60 * 1000);
+    // Expired, but still inside the tombstone retention window
+    const past = () => new Date(Date.now() - 60 * 1000);
+    // Expired and past the tombstone retention window
+    const purged = () => new Date(Date.now() - RETENTION_MS - 60 * 1000);
+
+    // Move only the wall clock forward; real timers keep drivers working
+    const advanceClock = (ms) => {
+      jest.useFakeTimers({
+        doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+          'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'],
+        now: Date.now() + ms
+      });
+    };
+
+    beforeEach(async () => {
+      storage = await createAdapter({ tombstoneRetentionMs: RETENTION_MS });
+    });
+
+    afterEach(async () => {
+      jest.useRealTimers();
+      await destroyAdapter(storage);
+    });
+
+    describe('create', () => {
+      it('returns the created entry', async () => {
+        const expiresAt = future();
+        const entry = await storage.create({
+          shortcode: 'abc123',
+          originalUrl: 'https://example.com/',
+          expiresAt
+        });
+
+        expect(entry.shortcode).toBe('abc123');
+        expect(entry.originalUrl).toBe('https://example.com/');
+        expect(entry.expiresAt.getTime()).toBe(expiresAt.getTime());
+        expect(entry.createdAt).toBeInstanceOf(Date);
+        expect(entry.clickCount).toBe(0);
+      });
+
+      it('rejects duplicate shortcodes', async () => {
+        await storage.create({ shortcode: 'dupe01', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        await expect(
+          storage.create({ shortcode: 'dupe01', originalUrl: 'https://example.org/', expiresAt: future() })
+        ).rejects.toMatchObject({ code: 'conflict', message: 'Shortcode already exists' });
+      });
+
+      it('rejects shortcodes held by a retained tombstone', async () => {
+        await storage.create({ shortcode: 'tomb01', originalUrl: 'https://example.com/', expiresAt: past() });
+
+        await expect(
+          storage.create({ shortcode: 'tomb01', originalUrl: 'https://example.org/', expiresAt: future() })
+        ).rejects.toThrow('Shortcode already exists');
+      });
+
+      it('reclaims shortcodes whose tombstone retention has passed', async () => {
+        await storage.create({ shortcode: 'gone01', originalUrl: 'https://example.com/', expiresAt: purged() });
+
+        const entry = await storage.create({ shortcode: 'gone01', originalUrl: 'https://example.org/', expiresAt: future() });
+        expect(entry.originalUrl).toBe('https://example.org/');
+        expect((await storage.findByShortcode('gone01')).originalUrl).toBe('https://example.org/');
+      });
+    });
+
+    describe('findByShortcode', () => {
+      it('finds a live entry', async () => {
+        await storage.create({ shortcode: 'live01', originalUrl: 'https://example.com/a', expiresAt: future() });
+
+        const entry = await storage.findByShortcode('live01');
+        expect(entry).not.toBeNull();
+        expect(entry.originalUrl).toBe('https://example.com/a');
+      });
+
+      it('returns null for unknown shortcodes', async () => {
+        expect(await storage.findByShortcode('nope00')).toBeNull();
+      });
+
+      it('carries the click count', async () => {
+        await storage.create({ shortcode: 'cnt001', originalUrl: 'https://example.com/c', expiresAt: future() });
+        await storage.addClick('cnt001', { ip: '10.0.0.1' });
+        await storage.addClick('cnt001', { ip: '10.0.0.2' });
+
+        expect((await storage.findByShortcode('cnt001')).clickCount).toBe(2);
+        expect((await storage.findActiveByOriginalUrl('https://example.com/c')).clickCount).toBe(2);
+      });
+
+      it('returns expired entries as tombstones during retention', async () => {
+        const expiresAt = past();
+        await storage.create({ shortcode: 'old001', originalUrl: 'https://example.com/', expiresAt });
+
+        const entry = await storage.findByShortcode('old001');
+        expect(entry).not.toBeNull();
+        expect(entry.expiresAt.getTime()).toBe(expiresAt.getTime());
+      });
+
+      it('returns null once tombstone retention has passed', async () => {
+        await storage.create({ shortcode: 'old006', originalUrl: 'https://example.com/', expiresAt: purged() });
+
+        expect(await storage.findByShortcode('old006')).toBeNull();
+      });
+    });
+
+    describe('findActiveByOriginalUrl', () => {
+      it('returns the live entry for a destination that expires last', async () => {
+        await storage.create({ shortcode: 'dst001', originalUrl: 'https://example.com/d', expiresAt: future() });
+        await storage.create({
+          shortcode: 'dst002',
+          originalUrl: 'https://example.com/d',
+          expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+        });
+        await storage.create({ shortcode: 'dst003', originalUrl: 'https://example.com/other', expiresAt: future() });
+
+        expect((await storage.findActiveByOriginalUrl('https://example.com/d')).shortcode).toBe('dst002');
+      });
+
+      it('ignores expired entries and unknown destinations', async () => {
+        await storage.create({ shortcode: 'dst004', originalUrl: 'https://example.com/e', expiresAt: past() });
+
+        expect(await storage.findActiveByOriginalUrl('https://example.com/e')).toBeNull();
+        expect(await storage.findActiveByOriginalUrl('https://example.com/none')).toBeNull();
+      });
+    });
+
+    describe('update', () => {
+      it('changes destination, expiry and active flag', async () => {
+        await storage.create({ shortcode: 'upd001', originalUrl: 'https://example.com/a', expiresAt: future() });
+        const expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+        const entry = await storage.update('upd001', { originalUrl: 'https://example.org/b', expiresAt, isActive: false });
+        expect(entry).toMatchObject({ shortcode: 'upd001', originalUrl: 'https://example.org/b', isActive: false });
+        expect(entry.expiresAt.getTime()).toBe(expiresAt.getTime());
+
+        const found = await storage.findByShortcode('upd001');
+        expect(found).toMatchObject({ originalUrl: 'https://example.org/b', isActive: false });
+        expect(await storage.findActiveByOriginalUrl('https://example.org/b')).toBeNull();
+        expect(await storage.findActiveByOriginalUrl('https://example.com/a')).toBeNull();
+      });
+
+      it('leaves unspecified fields untouched', async () => {
+        const created = await storage.create({ shortcode: 'upd002', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        const entry = await storage.update('upd002', { isActive: false });
+        expect(entry.originalUrl).toBe('https://example.com/');
+        expect(entry.expiresAt.getTime()).toBe(created.expiresAt.getTime());
+        expect((await storage.update('upd002', { isActive: true })).isActive).toBe(true);
+      });
+
+      it('revives a retained tombstone when its expiry is extended', async () => {
+        await storage.create({ shortcode: 'upd003', originalUrl: 'https://example.com/', expiresAt: past() });
+
+        await storage.update('upd003', { expiresAt: future() });
+        expect(await storage.addClick('upd003', { ip: '10.0.0.1' })).toBe(true);
+      });
+
+      it('returns null for unknown or purgeable entries', async () => {
+        await storage.create({ shortcode: 'upd004', originalUrl: 'https://example.com/', expiresAt: purged() });
+
+        expect(await storage.update('nope00', { isActive: false })).toBeNull();
+        expect(await storage.update('upd004', { expiresAt: future() })).toBeNull();
+      });
+    });
+
+    describe('scheduling', () => {
+      it('keeps entries without an expiry indefinitely', async () => {
+        const entry = await storage.create({ shortcode: 'nvr001', originalUrl: 'https://example.com/', expiresAt: null });
+        await storage.create({ shortcode: 'nvr002', originalUrl: 'https://example.com/', expiresAt: future() });
+        expect(entry.expiresAt).toBeNull();
+
+        advanceClock(10 * 365 * 24 * 60 * 60 * 1000);
+        expect(await storage.cleanupExpired()).toBe(1);
+        expect((await storage.findByShortcode('nvr001')).expiresAt).toBeNull();
+        expect((await storage.findActiveByOriginalUrl('https://example.com/')).shortcode).toBe('nvr001');
+        expect(await storage.addClick('nvr001', {})).toBe(true);
+        expect(await storage.getAnalytics('nvr001')).toMatchObject({ expiresAt: null, isExpired: false, totalClicks: 1 });
+      });
+
+      it('sorts entries without an expiry after dated ones and can give them one', async () => {
+        await storage.create({ shortcode: 'nvr001', originalUrl: 'https://example.com/1', expiresAt: null });
+        await storage.create({ shortcode: 'nvr002', originalUrl: 'https://example.com/2', expiresAt: future() });
+
+        const sorted = await storage.list({ sort: 'expiresAt', order: 'asc' });
+        expect(sorted.entries.map(entry => entry.shortcode)).toEqual(['nvr002', 'nvr001']);
+
+        const expiresAt = future();
+        expect((await storage.update('nvr001', { expiresAt })).expiresAt.getTime()).toBe(expiresAt.getTime());
+        expect((await storage.update('nvr002', { expiresAt: null })).expiresAt).toBeNull();
+      });
+
+      it('holds back clicks and reuse until activeFrom', async () => {
+        const activeFrom = new Date(Date.now() + 5 * 60 * 1000);
+        const entry = await storage.create({ shortcode: 'sch001', originalUrl: 'https://example.com/', expiresAt: future(), activeFrom });
+        expect(entry.activeFrom.getTime()).toBe(activeFrom.getTime());
+
+        expect(await storage.addClick('sch001', {})).toBe(false);
+        expect(await storage.findActiveByOriginalUrl('https://example.com/')).toBeNull();
+        expect((await storage.list({ status: 'scheduled' })).entries.map(e => e.shortcode)).toEqual(['sch001']);
+        expect((await storage.list({ status: 'active' })).total).toBe(0);
+
+        advanceClock(6 * 60 * 1000);
+        expect(await storage.addClick('sch001', {})).toBe(true);
+        expect((await storage.list({ status: 'active' })).entries.map(e => e.shortcode)).toEqual(['sch001']);
+      });
+
+      it('moves or clears activeFrom on update', async () => {
+        await storage.create({ shortcode: 'sch001', originalUrl: 'https://example.com/', expiresAt: future() });
+        expect((await storage.findByShortcode('sch001')).activeFrom).toBeNull();
+
+        const activeFrom = new Date(Date.now() + 5 * 60 * 1000);
+        expect((await storage.update('sch001', { activeFrom })).activeFrom.getTime()).toBe(activeFrom.getTime());
+        expect((await storage.update('sch001', { isActive: true })).activeFrom.getTime()).toBe(activeFrom.getTime());
+        expect((await storage.update('sch001', { activeFrom: null })).activeFrom).toBeNull();
+        expect(await storage.addClick('sch001', {})).toBe(true);
+      });
+    });
+
+    describe('click limits', () => {
+      it('stops accepting clicks once maxClicks is reached', async () => {
+        const entry = await storage.create({ shortcode: 'lim001', originalUrl: 'https://example.com/', expiresAt: future(), maxClicks: 2 });
+        expect(entry.maxClicks).toBe(2);
+
+        expect(await storage.addClick('lim001', { ip: '10.0.0.1' })).toBe(true);
+        expect((await storage.list({ status: 'active' })).total).toBe(1);
+        expect(await storage.addClick('lim001', { ip: '10.0.0.2' })).toBe(true);
+        expect(await storage.addClick('lim001', { ip: '10.0.0.3' })).toBe(false);
+
+        expect(await storage.getAnalytics('lim001')).toMatchObject({ maxClicks: 2, totalClicks: 2 });
+        expect((await storage.list({ status: 'exhausted' })).entries.map(e => e.shortcode)).toEqual(['lim001']);
+        expect((await storage.list({ status: 'active' })).total).toBe(0);
+      });
+
+      it('lets exactly maxClicks concurrent clicks through', async () => {
+        await storage.create({ shortcode: 'lim002', originalUrl: 'https://example.com/', expiresAt: future(), maxClicks: 3 });
+
+        const results = await Promise.all(Array.from({ length: 10 }, (_, i) => storage.addClick('lim002', { ip: `10.0.0.${i}` })));
+        expect(results.filter(Boolean)).toHaveLength(3);
+        expect((await storage.getAnalytics('lim002')).totalClicks).toBe(3);
+      });
+
+      it('never offers click-limited or password-protected entries for reuse', async () => {
+        await storage.create({ shortcode: 'lim003', originalUrl: 'https://example.com/', expiresAt: future(), maxClicks: 1 });
+        await storage.create({ shortcode: 'pwd001', originalUrl: 'https://example.com/', expiresAt: future(), passwordHash: 'scrypt$00$11' });
+        expect(await storage.findActiveByOriginalUrl('https://example.com/')).toBeNull();
+        expect((await storage.findByShortcode('lim003')).maxClicks).toBe(1);
+        expect((await storage.findByShortcode('pwd001')).passwordHash).toBe('scrypt$00$11');
+        expect(await storage.getAnalytics('pwd001')).toMatchObject({ passwordProtected: true });
+        expect(await storage.getAnalytics('lim003')).toMatchObject({ passwordProtected: false });
+      });
+    });
+
+    describe('delete', () => {
+      it('removes the entry and its clicks', async () => {
+        await storage.create({ shortcode: 'del001', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.addClick('del001', { ip: '10.0.0.1' });
+
+        expect(await storage.delete('del001')).toBe(true);
+        expect(await storage.findByShortcode('del001')).toBeNull();
+        expect(await storage.getAnalytics('del001')).toBeNull();
+        expect(await storage.getStats()).toEqual({ totalUrls: 0, totalClicks: 0 });
+
+        const entry = await storage.create({ shortcode: 'del001', originalUrl: 'https://example.org/', expiresAt: future() });
+        expect(entry.originalUrl).toBe('https://example.org/');
+      });
+
+      it('returns false for unknown entries', async () => {
+        expect(await storage.delete('nope00')).toBe(false);
+      });
+    });
+
+    describe('list', () => {
+      const seed = async () => {
+        const base = Date.now();
+        await storage.create({ shortcode: 'lst001', originalUrl: 'https://example.com/1', expiresAt: future() });
+        advanceClock(1000);
+        await storage.create({ shortcode: 'lst002', originalUrl: 'https://shop.example.com/2', expiresAt: future() });
+        advanceClock(2000);
+        await storage.create({ shortcode: 'lst003', originalUrl: 'https://example.org/3', expiresAt: future(), isActive: false });
+        advanceClock(3000);
+        await storage.create({ shortcode: 'lst004', originalUrl: 'https://notexample.com/4', expiresAt: past() });
+        await storage.create({ shortcode: 'lst005', originalUrl: 'https://example.com/5', expiresAt: purged() });
+        await storage.addClick('lst002', { ip: '10.0.0.1' });
+        await storage.addClick('lst002', { ip: '10.0.0.2' });
+        await storage.addClick('lst001', { ip: '10.0.0.1' });
+        return base;
+      };
+      const codes = (result) => result.entries.map(entry => entry.shortcode);
+
+      it('lists retained entries newest first with click counts', async () => {
+        await seed();
+
+        const result = await storage.list();
+        expect(result.total).toBe(4);
+        expect(codes(result)).toEqual(['lst004', 'lst003', 'lst002', 'lst001']);
+        expect(result.entries[2]).toMatchObject({ originalUrl: 'https://shop.example.com/2', isActive: true, clickCount: 2 });
+        expect(result.entries[2].clicks).toBeUndefined();
+      });
+
+      it('sorts and paginates', async () => {
+        await seed();
+
+        expect(codes(await storage.list({ sort: 'clickCount', order: 'desc' }))).toEqual(['lst002', 'lst001', 'lst003', 'lst004']);
+        expect(codes(await storage.list({ sort: 'shortcode', order: 'asc', offset: 1, limit: 2 }))).toEqual(['lst002', 'lst003']);
+
+        const page = await storage.list({ sort: 'createdAt', order: 'asc', offset: 2, limit: 2 });
+        expect(page.total).toBe(4);
+        expect(codes(page)).toEqual(['lst003', 'lst004']);
+      });
+
+      it('filters by status, creation date and destination domain', async () => {
+        const base = await seed();
+
+        expect(codes(await storage.list({ status: 'active' }))).toEqual(['lst002', 'lst001']);
+        expect(codes(await storage.list({ status: 'inactive' }))).toEqual(['lst003']);
+        expect(codes(await storage.list({ status: 'expired' }))).toEqual(['lst004']);
+        expect(codes(await storage.list({ domain: 'example.com' }))).toEqual(['lst002', 'lst001']);
+        expect(codes(await storage.list({
+          createdAfter: new Date(base + 500),
+          createdBefore: new Date(base + 4000)
+        }))).toEqual(['lst003', 'lst002']);
+      });
+    });
+
+    describe('labels and search', () => {
+      const seed = async () => {
+        await storage.create({
+          shortcode: 'lab001',
+          originalUrl: 'https://example.com/sale',
+          expiresAt: future(),
+          tags: ['promo', 'summer'],
+          campaign: 'Launch 2026',
+          note: 'Banner on the homepage'
+        });
+        await storage.create({
+          shortcode: 'lab002',
+          originalUrl: 'https://docs.example.org/getting-started',
+          expiresAt: future(),
+          tags: ['promo']
+        });
+        await storage.create({ shortcode: 'lab003', originalUrl: 'https://example.net/', expiresAt: future() });
+      };
+      const codes = async (query) =>
+        (await storage.list({ ...query, sort: 'shortcode', order: 'asc' })).entries.map(entry => entry.shortcode);
+
+      it('stores tags, campaign and note', async () => {
+        await seed();
+
+        expect(await storage.findByShortcode('lab001')).toMatchObject({
+          tags: ['promo', 'summer'],
+          campaign: 'Launch 2026',
+          note: 'Banner on the homepage'
+        });
+        expect(await storage.findByShortcode('lab003')).toMatchObject({ tags: [], campaign: null, note: null });
+      });
+
+      it('filters by tag and campaign', async () => {
+        await seed();
+
+        expect(await codes({ tag: 'promo' })).toEqual(['lab001', 'lab002']);
+        expect(await codes({ tag: 'summer' })).toEqual(['lab001']);
+        expect(await codes({ campaign: 'Launch 2026' })).toEqual(['lab001']);
+        expect(await codes({ campaign: 'launch 2026' })).toEqual([]);
+      });
+
+      it('matches every search word as a prefix of a word of the entry', async () => {
+        await seed();
+
+        expect(await codes({ q: 'home' })).toEqual(['lab001']);
+        expect(await codes({ q: 'Getting STAR' })).toEqual(['lab002']);
+        expect(await codes({ q: 'example promo' })).toEqual(['lab001', 'lab002']);
+        expect(await codes({ q: 'lab00' })).toEqual(['lab001', 'lab002', 'lab003']);
+        expect(await codes({ q: 'launch banner' })).toEqual(['lab001']);
+        expect(await codes({ q: 'banner docs' })).toEqual([]);
+        expect(await codes({ q: 'promo', tag: 'summer' })).toEqual(['lab001']);
+      });
+
+      it('reindexes entries on update and delete', async () => {
+        await seed();
+
+        const updated = await storage.update('lab001', { tags: ['winter'], campaign: null, note: 'Footer link' });
+        expect(updated).toMatchObject({ tags: ['winter'], campaign: null, note: 'Footer link' });
+        expect(await codes({ tag: 'promo' })).toEqual(['lab002']);
+        expect(await codes({ campaign: 'Launch 2026' })).toEqual([]);
+        expect(await codes({ q: 'banner' })).toEqual([]);
+        expect(await codes({ q: 'footer' })).toEqual(['lab001']);
+
+        await storage.update('lab002', { originalUrl: 'https://example.org/pricing' });
+        expect(await codes({ q: 'getting' })).toEqual([]);
+        expect(await codes({ q: 'pricing' })).toEqual(['lab002']);
+
+        await storage.delete('lab002');
+        expect(await codes({ q: 'pricing' })).toEqual([]);
+        expect(await codes({ tag: 'promo' })).toEqual([]);
+      });
+
+      it('rolls up retained entries and clicks per tag and campaign', async () => {
+        await seed();
+        await storage.create({ shortcode: 'lab004', originalUrl: 'https://example.com/', expiresAt: past(), tags: ['summer'], campaign: 'Retarget' });
+        await storage.create({ shortcode: 'lab005', originalUrl: 'https://example.com/', expiresAt: purged(), tags: ['promo'], campaign: 'Retarget' });
+        await storage.addClick('lab001', { ip: '10.0.0.1' });
+        await storage.addClick('lab002', { ip: '10.0.0.1' });
+        await storage.addClick('lab002', { ip: '10.0.0.2' });
+
+        expect(await storage.rollupClicks('tag')).toEqual([
+          { key: 'promo', links: 2, clicks: 3 },
+          { key: 'summer', links: 2, clicks: 1 }
+        ]);
+        expect(await storage.rollupClicks('campaign')).toEqual([
+          { key: 'Launch 2026', links: 1, clicks: 1 },
+          { key: 'Retarget', links: 1, clicks: 0 }
+        ]);
+      });
+    });
+
+    describe('iterate', () => {
+      const collect = async (query) => {
+        const entries = [];
+        for await (const entry of storage.iterate(query)) {
+          entries.push(entry);
+        }
+        return entries;
+      };
+
+      it('yields retained entries with clicks, oldest first', async () => {
+        await storage.create({ shortcode: 'itr002', originalUrl: 'https://example.com/', expiresAt: future() });
+        advanceClock(1000);
+        await storage.create({ shortcode: 'itr001', originalUrl: 'https://example.com/', expiresAt: past() });
+        await storage.create({ shortcode: 'itr003', originalUrl: 'https://example.com/', expiresAt: purged() });
+        await storage.addClick('itr002', { ip: '10.0.0.1' });
+
+        const entries = await collect();
+        expect(entries.map(entry => entry.shortcode)).toEqual(['itr002', 'itr001']);
+        expect(entries[0].clicks).toHaveLength(1);
+        expect(entries[0].clicks[0].timestamp).toBeInstanceOf(Date);
+      });
+
+      it('applies the list filters', async () => {
+        await storage.create({ shortcode: 'itr004', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'itr005', originalUrl: 'https://example.com/', expiresAt: past() });
+
+        expect((await collect({ status: 'expired' })).map(entry => entry.shortcode)).toEqual(['itr005']);
+        expect(await collect({ createdAfter: new Date(Date.now() + 60 * 1000) })).toEqual([]);
+      });
+    });
+
+    describe('addRevision and listRevisions', () => {
+      const revision = (originalUrl, extra = {}) => ({
+        action: 'update',
+        state: { originalUrl, isActive: true },
+        changedAt: new Date(),
+        changedBy: { ip: '10.0.0.1', admin: false },
+        requestId: 'req-1',
+        sourceRevision: null,
+        ...extra
+      });
+
+      it('numbers revisions per shortcode and lists them oldest first', async () => {
+        await storage.create({ shortcode: 'rev001', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'rev002', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect((await storage.addRevision('rev001', revision('https://example.com/', { action: 'create' }))).revision).toBe(1);
+        expect((await storage.addRevision('rev001', revision('https://example.org/'))).revision).toBe(2);
+        expect((await storage.addRevision('rev002', revision('https://example.net/'))).revision).toBe(1);
+        await storage.addRevision('rev001', revision('https://example.com/', { action: 'rollback', sourceRevision: 1 }));
+
+        const revisions = await storage.listRevisions('rev001');
+        expect(revisions.map(r => [r.revision, r.action, r.state.originalUrl])).toEqual([
+          [1, 'create', 'https://example.com/'],
+          [2, 'update', 'https://example.org/'],
+          [3, 'rollback', 'https://example.com/']
+        ]);
+        expect(revisions[0]).toMatchObject({ changedBy: { ip: '10.0.0.1', admin: false }, requestId: 'req-1', sourceRevision: null });
+        expect(revisions[0].changedAt).toBeInstanceOf(Date);
+        expect(revisions[2].sourceRevision).toBe(1);
+      });
+
+      it('drops history with the entry', async () => {
+        await storage.create({ shortcode: 'rev003', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.addRevision('rev003', revision('https://example.com/'));
+        await storage.delete('rev003');
+
+        expect(await storage.addRevision('rev003', revision('https://example.com/'))).toBeNull();
+        await storage.create({ shortcode: 'rev003', originalUrl: 'https://example.org/', expiresAt: future() });
+        expect(await storage.listRevisions('rev003')).toEqual([]);
+        expect(await storage.listRevisions('nope00')).toEqual([]);
+      });
+    });
+
+    describe('addClick and getAnalytics', () => {
+      it('records clicks and counts unique visitors by IP', async () => {
+        await storage.create({ shortcode: 'clk001', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect(await storage.addClick('clk001', { ip: '10.0.0.1', userAgent: 'ua-1', referer: 'https://ref.example/' })).toBe(true);
+        expect(await storage.addClick('clk001', { ip: '10.0.0.1', userAgent: 'ua-1' })).toBe(true);
+        expect(await storage.addClick('clk001', { ip: '10.0.0.2' })).toBe(true);
+
+        const analytics = await storage.getAnalytics('clk001');
+        expect(analytics).toMatchObject({
+          shortcode: 'clk001',
+          originalUrl: 'https://example.com/',
+          isExpired: false,
+          totalClicks: 3,
+          uniqueClicks: 2
+        });
+        expect(analytics.clicks).toHaveLength(3);
+        expect(analytics.clicks[0]).toMatchObject({
+          ip: '10.0.0.1',
+          userAgent: 'ua-1',
+          referer: 'https://ref.example/'
+        });
+        expect(analytics.clicks[0].timestamp).toBeInstanceOf(Date);
+        expect(analytics.clicks[2]).toMatchObject({ userAgent: '', referer: '' });
+
+        const page = await storage.getAnalytics('clk001', { offset: 1, limit: 1 });
+        expect(page).toMatchObject({ totalClicks: 3, uniqueClicks: 2 });
+        expect(page.clicks.map(click => click.userAgent)).toEqual(['ua-1']);
+        expect(page.clicks[0].referer).toBe('');
+        expect((await storage.getAnalytics('clk001', { offset: 3, limit: 10 })).clicks).toEqual([]);
+      });
+
+      it('stores UTM defaults and the UTM campaign of each click', async () => {
+        await storage.create({
+          shortcode: 'utm001',
+          originalUrl: 'https://example.com/',
+          expiresAt: future(),
+          utmDefaults: { source: 'qr', campaign: 'fall' }
+        });
+        await storage.addClick('utm001', { ip: '10.0.0.1', utmCampaign: 'fall' });
+        await storage.addClick('utm001', { ip: '10.0.0.2' });
+
+        expect((await storage.findByShortcode('utm001')).utmDefaults).toEqual({ source: 'qr', campaign: 'fall' });
+        const { clicks } = await storage.getAnalytics('utm001');
+        expect(clicks.map(click => click.utmCampaign)).toEqual(['fall', null]);
+
+        expect((await storage.update('utm001', { utmDefaults: { medium: 'print' } })).utmDefaults).toEqual({ medium: 'print' });
+        expect((await storage.update('utm001', { isActive: true })).utmDefaults).toEqual({ medium: 'print' });
+        expect((await storage.update('utm001', { utmDefaults: null })).utmDefaults).toBeNull();
+      });
+
+      it('stores and updates the passthrough setting', async () => {
+        const passthrough = { path: true, query: false, onConflict: 'destination' };
+        await storage.create({ shortcode: 'fwd001', originalUrl: 'https://example.com/', expiresAt: future(), passthrough });
+        await storage.create({ shortcode: 'fwd002', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect((await storage.findByShortcode('fwd001')).passthrough).toEqual(passthrough);
+        expect((await storage.findByShortcode('fwd002')).passthrough).toBeNull();
+        expect((await storage.update('fwd001', { isActive: false })).passthrough).toEqual(passthrough);
+        expect((await storage.update('fwd001', { passthrough: null })).passthrough).toBeNull();
+      });
+
+      it('stores redirect rules and the rule behind each click', async () => {
+        const redirectRules = [{ name: 'ios', when: { os: ['ios'] }, url: 'https://apps.apple.com/app/id1' }];
+        await storage.create({ shortcode: 'rul001', originalUrl: 'https://example.com/', expiresAt: future(), redirectRules });
+        await storage.addClick('rul001', { ip: '10.0.0.1', rule: 'ios' });
+        await storage.addClick('rul001', { ip: '10.0.0.2' });
+
+        expect((await storage.findByShortcode('rul001')).redirectRules).toEqual(redirectRules);
+        const { clicks } = await storage.getAnalytics('rul001');
+        expect(clicks.map(click => click.rule)).toEqual(['ios', null]);
+
+        expect((await storage.update('rul001', { isActive: true })).redirectRules).toEqual(redirectRules);
+        expect((await storage.update('rul001', { redirectRules: null })).redirectRules).toBeNull();
+      });
+
+      it('stores the redirect status, 302 unless given', async () => {
+        await storage.create({ shortcode: 'sts001', originalUrl: 'https://example.com/', expiresAt: future(), redirectStatus: 308 });
+        await storage.create({ shortcode: 'sts002', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect((await storage.findByShortcode('sts001')).redirectStatus).toBe(308);
+        expect((await storage.findByShortcode('sts002')).redirectStatus).toBe(302);
+        expect((await storage.update('sts001', { isActive: true })).redirectStatus).toBe(308);
+        expect((await storage.update('sts001', { redirectStatus: 307 })).redirectStatus).toBe(307);
+      });
+
+      it('counts previews apart from clicks', async () => {
+        await storage.create({ shortcode: 'pre001', originalUrl: 'https://example.com/', expiresAt: future(), preview: true, maxClicks: 1 });
+        await storage.create({ shortcode: 'pre002', originalUrl: 'https://example.com/', expiresAt: past() });
+
+        expect(await storage.addPreview('pre001')).toBe(true);
+        expect(await storage.addPreview('pre001')).toBe(true);
+        expect(await storage.addPreview('pre002')).toBe(false);
+        expect(await storage.addPreview('nope00')).toBe(false);
+
+        expect(await storage.getAnalytics('pre001')).toMatchObject({ totalClicks: 0, totalPreviews: 2 });
+        expect(await storage.addClick('pre001', { ip: '10.0.0.1' })).toBe(true);
+        expect((await storage.findByShortcode('pre001')).preview).toBe(true);
+        expect((await storage.update('pre001', { preview: false })).preview).toBe(false);
+      });
+
+      it('stores the source marked on each click', async () => {
+        await storage.create({ shortcode: 'src001', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.addClick('src001', { ip: '10.0.0.1', source: 'qr' });
+        await storage.addClick('src001', { ip: '10.0.0.2' });
+
+        const { clicks } = await storage.getAnalytics('src001');
+        expect(clicks.map(click => click.source)).toEqual(['qr', null]);
+      });
+
+      it('stores the fallback URL', async () => {
+        await storage.create({ shortcode: 'fbk001', originalUrl: 'https://example.com/', expiresAt: future(), fallbackUrl: 'https://example.com/gone' });
+        await storage.create({ shortcode: 'fbk002', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect((await storage.findByShortcode('fbk001')).fallbackUrl).toBe('https://example.com/gone');
+        expect((await storage.findByShortcode('fbk002')).fallbackUrl).toBeNull();
+        expect((await storage.update('fbk001', { isActive: true })).fallbackUrl).toBe('https://example.com/gone');
+        expect((await storage.update('fbk001', { fallbackUrl: null })).fallbackUrl).toBeNull();
+      });
+
+      it('stores split variants and the variant of each click', async () => {
+        const variants = [
+          { name: 'a', url: 'https://example.com/a', weight: 1, retired: false },
+          { name: 'b', url: 'https://example.com/b', weight: 1, retired: false }
+        ];
+        await storage.create({ shortcode: 'var001', originalUrl: 'https://example.com/', expiresAt: future(), variants });
+        await storage.addClick('var001', { ip: '10.0.0.1', variant: 'b' });
+        await storage.addClick('var001', { ip: '10.0.0.2' });
+
+        const analytics = await storage.getAnalytics('var001');
+        expect(analytics.variants).toEqual(variants);
+        expect(analytics.clicks.map(click => click.variant)).toEqual(['b', null]);
+
+        const retired = [variants[0], { ...variants[1], retired: true }];
+        expect((await storage.update('var001', { variants: retired })).variants).toEqual(retired);
+        expect((await storage.update('var001', { variants: null })).variants).toBeNull();
+      });
+
+      it('groups clicks by a click field with unique visitors', async () => {
+        await storage.create({ shortcode: 'grp001', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.addClick('grp001', { ip: '10.0.0.1', userAgent: 'ua', source: 'qr', variant: 'a' });
+        await storage.addClick('grp001', { ip: '10.0.0.1', userAgent: 'ua', source: 'qr', variant: 'a' });
+        await storage.addClick('grp001', { ip: '10.0.0.1', userAgent: 'other', source: 'qr', variant: 'b' });
+        await storage.addClick('grp001', { ip: '10.0.0.2', userAgent: 'ua' });
+
+        const byValue = (a, b) => String(a.value).localeCompare(String(b.value));
+        expect((await storage.countClicks('grp001', 'source')).sort(byValue)).toEqual([
+          { value: null, clicks: 1, uniqueVisitors: 1 },
+          { value: 'qr', clicks: 3, uniqueVisitors: 2 }
+        ]);
+        expect((await storage.countClicks('grp001', 'variant')).sort(byValue)).toEqual([
+          { value: 'a', clicks: 2, uniqueVisitors: 1 },
+          { value: 'b', clicks: 1, uniqueVisitors: 1 },
+          { value: null, clicks: 1, uniqueVisitors: 1 }
+        ]);
+        expect(await storage.countClicks('grp001', 'rule')).toEqual([{ value: null, clicks: 4, uniqueVisitors: 3 }]);
+        expect(await storage.countClicks('nope00', 'source')).toEqual([]);
+      });
+
+      it('keeps every click when clicks arrive concurrently', async () => {
+        await storage.create({ shortcode: 'burst1', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        await Promise.all(
+          Array.from({ length: 20 }, (_, i) => storage.addClick('burst1', { ip: `10.0.0.${i}` }))
+        );
+
+        const analytics = await storage.getAnalytics('burst1');
+        expect(analytics.totalClicks).toBe(20);
+        expect(analytics.uniqueClicks).toBe(20);
+      });
+
+      it('refuses clicks on inactive entries', async () => {
+        await storage.create({ shortcode: 'off001', originalUrl: 'https://example.com/', expiresAt: future(), isActive: false });
+
+        expect(await storage.addClick('off001', {})).toBe(false);
+        expect(await storage.getAnalytics('off001')).toMatchObject({ isActive: false, totalClicks: 0 });
+      });
+
+      it('refuses clicks on unknown, expired or purgeable entries', async () => {
+        await storage.create({ shortcode: 'old002', originalUrl: 'https://example.com/', expiresAt: past() });
+        await storage.create({ shortcode: 'old007', originalUrl: 'https://example.com/', expiresAt: purged() });
+
+        expect(await storage.addClick('nope00', {})).toBe(false);
+        expect(await storage.addClick('old002', {})).toBe(false);
+        expect(await storage.addClick('old007', {})).toBe(false);
+      });
+
+      it('keeps analytics readable after expiry until retention passes', async () => {
+        await storage.create({
+          shortcode: 'old003',
+          originalUrl: 'https://example.com/',
+          expiresAt: new Date(Date.now() + 60 * 1000)
+        });
+        await storage.addClick('old003', { ip: '10.0.0.1' });
+
+        advanceClock(2 * 60 * 1000);
+        expect(await storage.getAnalytics('old003')).toMatchObject({ isExpired: true, totalClicks: 1 });
+        expect(await storage.addClick('old003', { ip: '10.0.0.2' })).toBe(false);
+
+        advanceClock(RETENTION_MS + 2 * 60 * 1000);
+        expect(await storage.getAnalytics('old003')).toBeNull();
+      });
+
+      it('returns null analytics for unknown entries', async () => {
+        expect(await storage.getAnalytics('nope00')).toBeNull();
+      });
+    });
+
+    describe('cleanupExpired', () => {
+      it('purges only tombstones past retention and reports how many', async () => {
+        await storage.create({ shortcode: 'old004', originalUrl: 'https://example.com/', expiresAt: purged() });
+        await storage.create({ shortcode: 'old005', originalUrl: 'https://example.com/', expiresAt: purged() });
+        await storage.create({ shortcode: 'tomb02', originalUrl: 'https://example.com/', expiresAt: past() });
+        await storage.create({ shortcode: 'live02', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        expect(await storage.cleanupExpired()).toBe(2);
+        expect(await storage.findByShortcode('live02')).not.toBeNull();
+        expect(await storage.findByShortcode('tomb02')).not.toBeNull();
+        expect((await storage.getStats()).totalUrls).toBe(2);
+      });
+    });
+
+    describe('nextSequence', () => {
+      it('counts up from 1 independently per name', async () => {
+        expect(await storage.nextSequence('alpha')).toBe(1);
+        expect(await storage.nextSequence('alpha')).toBe(2);
+        expect(await storage.nextSequence('beta')).toBe(1);
+        expect(await storage.nextSequence('alpha')).toBe(3);
+      });
+
+      it('never hands out the same value twice under concurrency', async () => {
+        const values = await Promise.all(Array.from({ length: 20 }, () => storage.nextSequence('burst')));
+
+        expect(new Set(values).size).toBe(20);
+        expect(Math.max(...values)).toBe(20);
+      });
+    });
+
+    describe('short domains', () => {
+      const brand = 'go.brand-a.com';
+
+      it('keeps a separate shortcode namespace per domain', async () => {
+        await storage.create({ shortcode: 'dom001', originalUrl: 'https://example.com/default', expiresAt: future() });
+        const created = await storage.create({
+          shortcode: 'dom001',
+          domain: brand,
+          originalUrl: 'https://example.com/brand',
+          expiresAt: future()
+        });
+        expect(created).toMatchObject({ id: `${brand}/dom001`, shortcode: 'dom001', domain: brand });
+        await expect(storage.create({ shortcode: 'dom001', domain: brand, originalUrl: 'https://example.com/', expiresAt: future() }))
+          .rejects.toThrow('Shortcode already exists');
+
+        expect(await storage.findByShortcode('dom001')).toMatchObject({ id: 'dom001', domain: null, originalUrl: 'https://example.com/default' });
+        expect(await storage.findByShortcode(`${brand}/dom001`)).toMatchObject({ shortcode: 'dom001', domain: brand, originalUrl: 'https://example.com/brand' });
+
+        expect(await storage.addClick(`${brand}/dom001`, { ip: '10.0.0.1' })).toBe(true);
+        expect(await storage.getAnalytics(`${brand}/dom001`)).toMatchObject({ shortcode: 'dom001', domain: brand, totalClicks: 1 });
+        expect(await storage.getAnalytics('dom001')).toMatchObject({ shortcode: 'dom001', domain: null, totalClicks: 0 });
+
+        expect((await storage.update(`${brand}/dom001`, { note: 'brand a' })).note).toBe('brand a');
+        expect((await storage.findByShortcode('dom001')).note).toBeNull();
+        expect(await storage.addRevision(`${brand}/dom001`, { action: 'create', state: {}, changedAt: new Date() }))
+          .toMatchObject({ revision: 1 });
+        expect(await storage.listRevisions('dom001')).toEqual([]);
+
+        expect(await storage.delete(`${brand}/dom001`)).toBe(true);
+        expect(await storage.findByShortcode(`${brand}/dom001`)).toBeNull();
+        expect(await storage.findByShortcode('dom001')).not.toBeNull();
+      });
+
+      it('lists and searches entries of one short domain', async () => {
+        await storage.create({ shortcode: 'dom002', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'dom002', domain: brand, originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'dom003', domain: 'go.brand-b.com', originalUrl: 'https://example.com/', expiresAt: future() });
+
+        const { entries, total } = await storage.list({ shortDomain: brand });
+        expect(total).toBe(1);
+        expect(entries[0]).toMatchObject({ shortcode: 'dom002', domain: brand });
+        expect((await storage.list({ q: 'dom002' })).total).toBe(2);
+
+        const iterated = [];
+        for await (const entry of storage.iterate({ shortDomain: 'go.brand-b.com' })) iterated.push(entry.id);
+        expect(iterated).toEqual(['go.brand-b.com/dom003']);
+      });
+
+      it('reuses live entries only on the same domain', async () => {
+        await storage.create({ shortcode: 'dom004', domain: brand, originalUrl: 'https://example.com/r', expiresAt: future() });
+
+        expect(await storage.findActiveByOriginalUrl('https://example.com/r')).toBeNull();
+        expect((await storage.findActiveByOriginalUrl('https://example.com/r', brand)).id).toBe(`${brand}/dom004`);
+        expect(await storage.findActiveByOriginalUrl('https://example.com/r', 'go.brand-b.com')).toBeNull();
+      });
+
+      it('registers, lists and removes domains', async () => {
+        const createdAt = new Date('2026-01-01T00:00:00Z');
+        await storage.saveDomain({ host: 'go.brand-b.com', defaults: {}, createdAt });
+        expect(await storage.saveDomain({ host: brand, defaults: { validity: 60 }, createdAt }))
+          .toEqual({ host: brand, defaults: { validity: 60 }, createdAt });
+
+        expect((await storage.listDomains()).map(domain => domain.host)).toEqual([brand, 'go.brand-b.com']);
+        expect(await storage.saveDomain({ host: brand, defaults: { preview: true }, createdAt }))
+          .toMatchObject({ defaults: { preview: true } });
+        expect((await storage.findDomain(brand)).defaults).toEqual({ preview: true });
+        expect((await storage.findDomain(brand)).createdAt.getTime()).toBe(createdAt.getTime());
+
+        expect(await storage.deleteDomain(brand)).toBe(true);
+        expect(await storage.deleteDomain(brand)).toBe(false);
+        expect(await storage.findDomain(brand)).toBeNull();
+        expect(await storage.listDomains()).toHaveLength(1);
+      });
+    });
+
+    describe('shortcode registry changes', () => {
+      it('keeps the latest change of each term', async () => {
+        expect(await storage.listRegistryChanges()).toEqual([]);
+
+        await storage.saveRegistryChange({ list: 'reserved', term: 'pricing', action: 'add' });
+        await storage.saveRegistryChange({ list: 'blocked', term: 'spam', action: 'add' });
+        await storage.saveRegistryChange({ list: 'blocked', term: 'pricing', action: 'remove' });
+        await storage.saveRegistryChange({ list: 'reserved', term: 'pricing', action: 'remove' });
+
+        expect(await storage.listRegistryChanges()).toEqual([
+          { list: 'blocked', term: 'pricing', action: 'remove' },
+          { list: 'blocked', term: 'spam', action: 'add' },
+          { list: 'reserved', term: 'pricing', action: 'remove' }
+        ]);
+      });
+    });
+
+    describe('destination health', () => {
+      const broken = {
+        status: 'broken',
+        statusCode: 404,
+        latencyMs: 12,
+        redirects: [{ url: 'https://example.com/old', statusCode: 301 }],
+        checkedAt: '2025-07-28T09:00:00.000Z'
+      };
+
+      it('stores the latest check on the entry and in its analytics', async () => {
+        await storage.create({ shortcode: 'hea001', originalUrl: 'https://example.com/old', expiresAt: future() });
+        expect((await storage.findByShortcode('hea001')).health).toBeNull();
+
+        expect(await storage.setHealth('hea001', broken)).toBe(true);
+        expect((await storage.findByShortcode('hea001')).health).toEqual(broken);
+        expect((await storage.getAnalytics('hea001')).health).toEqual(broken);
+
+        expect(await storage.setHealth('hea001', null)).toBe(true);
+        expect((await storage.findByShortcode('hea001')).health).toBeNull();
+        expect(await storage.setHealth('missing', broken)).toBe(false);
+      });
+
+      it('lists entries by the outcome of their latest check', async () => {
+        await storage.create({ shortcode: 'hea002', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'hea003', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'hea004', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.setHealth('hea002', broken);
+        await storage.setHealth('hea003', { ...broken, status: 'ok', statusCode: 200 });
+
+        const { entries, total } = await storage.list({ health: 'broken' });
+        expect(total).toBe(1);
+        expect(entries[0]).toMatchObject({ shortcode: 'hea002', health: broken });
+        expect((await storage.list({ health: 'ok' })).entries.map(entry => entry.shortcode)).toEqual(['hea003']);
+      });
+
+      it('lists live entries due for a check, soonest due first', async () => {
+        const now = new Date();
+        const at = (minutes) => new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+        for (const shortcode of ['due001', 'due002', 'due003', 'due004', 'due005', 'due006']) {
+          await storage.create({ shortcode, originalUrl: 'https://example.com/', expiresAt: future() });
+        }
+        await storage.create({ shortcode: 'due007', originalUrl: 'https://example.com/', expiresAt: future(), isActive: false });
+        await storage.create({ shortcode: 'due008', originalUrl: 'https://example.com/', expiresAt: past() });
+        await storage.setHealth('due001', { ...broken, nextCheckAt: at(-5) });
+        await storage.setHealth('due002', { ...broken, nextCheckAt: at(-10) });
+        await storage.setHealth('due003', { ...broken, nextCheckAt: at(10) });
+        await storage.setHealth('due004', broken);
+        await storage.setHealth('due005', { ...broken, nextCheckAt: at(10) });
+        await storage.setHealth('due005', null);
+
+        const due = async (limit) => (await storage.listDueHealthChecks(now, limit)).map(entry => entry.shortcode);
+        expect(await due(10)).toEqual(['due005', 'due006', 'due002', 'due001']);
+        expect(await due(3)).toEqual(['due005', 'due006', 'due002']);
+      });
+    });
+
+    describe('getStats', () => {
+      it('reports total URLs and clicks', async () => {
+        await storage.create({ shortcode: 'sta001', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.create({ shortcode: 'sta002', originalUrl: 'https://example.com/', expiresAt: future() });
+        await storage.addClick('sta001', { ip: '10.0.0.1' });
+        await storage.addClick('sta002', { ip: '10.0.0.1' });
+        await storage.addClick('sta002', { ip: '10.0.0.2' });
+
+        expect(await storage.getStats()).toEqual({ totalUrls: 2, totalClicks: 3 });
+      });
+    });
+  });
+};
+
+module.exports = { runStorageConformanceSuite };
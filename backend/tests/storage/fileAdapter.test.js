@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileAdapter = require('../../src/storage/FileAdapter');
+const { runStorageConformanceSuite } = require('./conformance');
+
+const makeDataDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'url-shortener-file-'));
+
+const openAdapter = async (dataDir, options = {}) => {
+  const adapter = new FileAdapter({ dataDir, snapshotInterval: 0, fsync: false, ...options });
+  await adapter.connect();
+  return adapter;
+};
+
+runStorageConformanceSuite(
+  'file',
+  async (options) => openAdapter(makeDataDir(), options),
+  async (adapter) => {
+    await adapter.close();
+    fs.rmSync(adapter.dataDir, { recursive: true, force: true });
+  }
+);
+
+describe('file storage adapter durability', () => {
+  const future = () => new Date(Date.now() + 60 * 60 * 1000);
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = makeDataDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Simulates a crash: drop the adapter without snapshotting on close
+  const crash = (adapter) => adapter.journal.close();
+
+  it('replays the journal after a crash', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'keep01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('keep01', { ip: '10.0.0.1' });
+    await first.addClick('keep01', { ip: '10.0.0.2' });
+    await first.addPreview('keep01');
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    const analytics = await second.getAnalytics('keep01');
+    expect(analytics.totalClicks).toBe(2);
+    expect(analytics.totalPreviews).toBe(1);
+    expect(analytics.uniqueClicks).toBe(2);
+    expect(analytics.createdAt).toBeInstanceOf(Date);
+    expect(analytics.clicks[0].timestamp).toBeInstanceOf(Date);
+    await second.close();
+  });
+
+  it('replays updates and deletes after a crash', async () => {
+    const expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'edit01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.create({ shortcode: 'drop01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.update('edit01', { originalUrl: 'https://example.org/', expiresAt, isActive: false });
+    await first.delete('drop01');
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    const entry = await second.findByShortcode('edit01');
+    expect(entry).toMatchObject({ originalUrl: 'https://example.org/', isActive: false });
+    expect(entry.expiresAt.getTime()).toBe(expiresAt.getTime());
+    expect(await second.findByShortcode('drop01')).toBeNull();
+    await second.close();
+
+    const third = await openAdapter(dataDir);
+    expect((await third.findByShortcode('edit01')).isActive).toBe(false);
+    await third.close();
+  });
+
+  it('replays an update that extended the expiry after the original expiry and retention', async () => {
+    const expiresAt = future();
+    const first = await openAdapter(dataDir, { tombstoneRetentionMs: 50 });
+    await first.create({ shortcode: 'late01', originalUrl: 'https://example.com/', expiresAt: new Date(Date.now() + 50) });
+    await first.update('late01', { expiresAt });
+    await first.setHealth('late01', { status: 'ok', statusCode: 200 });
+    crash(first);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const second = await openAdapter(dataDir, { tombstoneRetentionMs: 50 });
+    const entry = await second.findByShortcode('late01');
+    expect(entry.expiresAt.getTime()).toBe(expiresAt.getTime());
+    expect(entry.health).toEqual({ status: 'ok', statusCode: 200 });
+    await second.close();
+  });
+
+  it('keeps revision history across crashes and snapshots', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'hist01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addRevision('hist01', { action: 'create', state: { originalUrl: 'https://example.com/' }, changedAt: new Date() });
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    await second.addRevision('hist01', { action: 'update', state: { originalUrl: 'https://example.org/' }, changedAt: new Date() });
+    await second.close();
+
+    const third = await openAdapter(dataDir);
+    const revisions = await third.listRevisions('hist01');
+    expect(revisions.map(r => r.revision)).toEqual([1, 2]);
+    expect(revisions[1].changedAt).toBeInstanceOf(Date);
+    expect((await third.addRevision('hist01', { action: 'update', state: {}, changedAt: new Date() })).revision).toBe(3);
+    await third.close();
+  });
+
+  it('keeps sequences across restarts', async () => {
+    const first = await openAdapter(dataDir);
+    await first.nextSequence('shortcode');
+    await first.nextSequence('shortcode');
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    expect(await second.nextSequence('shortcode')).toBe(3);
+    await second.close();
+
+    const third = await openAdapter(dataDir);
+    expect(await third.nextSequence('shortcode')).toBe(4);
+    await third.close();
+  });
+
+  it('keeps short domains and their links across crashes and snapshots', async () => {
+    const first = await openAdapter(dataDir);
+    await first.saveDomain({ host: 'go.brand-a.com', defaults: { preview: true }, createdAt: new Date() });
+    await first.saveDomain({ host: 'go.brand-b.com', defaults: {}, createdAt: new Date() });
+    await first.create({ shortcode: 'dom001', domain: 'go.brand-a.com', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('go.brand-a.com/dom001', { ip: '10.0.0.1' });
+    first.snapshot();
+    await first.deleteDomain('go.brand-b.com');
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    expect(await second.listDomains()).toEqual([
+      { host: 'go.brand-a.com', defaults: { preview: true }, createdAt: expect.any(Date) }
+    ]);
+    expect(await second.getAnalytics('go.brand-a.com/dom001')).toMatchObject({ domain: 'go.brand-a.com', totalClicks: 1 });
+    expect(await second.findByShortcode('dom001')).toBeNull();
+    await second.close();
+  });
+
+  it('keeps health checks across crashes and snapshots', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'hea001', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.create({ shortcode: 'hea002', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.setHealth('hea001', { status: 'broken', statusCode: 500 });
+    first.snapshot();
+    await first.setHealth('hea002', { status: 'ok', statusCode: 200 });
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    expect((await second.findByShortcode('hea001')).health).toEqual({ status: 'broken', statusCode: 500 });
+    expect((await second.findByShortcode('hea002')).health).toEqual({ status: 'ok', statusCode: 200 });
+    await second.close();
+  });
+
+  it('keeps shortcode registry changes across crashes and snapshots', async () => {
+    const first = await openAdapter(dataDir);
+    await first.saveRegistryChange({ list: 'reserved', term: 'pricing', action: 'add' });
+    first.snapshot();
+    await first.saveRegistryChange({ list: 'reserved', term: 'pricing', action: 'remove' });
+    await first.saveRegistryChange({ list: 'blocked', term: 'spam', action: 'add' });
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    expect(await second.listRegistryChanges()).toEqual([
+      { list: 'blocked', term: 'spam', action: 'add' },
+      { list: 'reserved', term: 'pricing', action: 'remove' }
+    ]);
+    await second.close();
+  });
+
+  it('restores from a snapshot after a clean shutdown', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'snap01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('snap01', { ip: '10.0.0.1' });
+    await first.addPreview('snap01');
+    await first.close();
+
+    expect(fs.statSync(path.join(dataDir, 'journal.log')).size).toBe(0);
+
+    const second = await openAdapter(dataDir);
+    expect(await second.getAnalytics('snap01')).toMatchObject({ totalClicks: 1, totalPreviews: 1 });
+    await second.close();
+  });
+
+  it('restores the unique click count of a busy link from a snapshot', async () => {
+    const first = await openAdapter(dataDir, { snapshotThreshold: 100000 });
+    await first.create({ shortcode: 'busy01', originalUrl: 'https://example.com/', expiresAt: future() });
+    for (let i = 0; i < 5000; i++) {
+      await first.addClick('busy01', { ip: `10.0.0.${i % 3}` });
+    }
+    await first.close();
+
+    const second = await openAdapter(dataDir);
+    expect(await second.getAnalytics('busy01', { limit: 1 }))
+      .toMatchObject({ totalClicks: 5000, uniqueClicks: 3 });
+    await second.close();
+  });
+
+  it('compacts the journal once it reaches the snapshot threshold', async () => {
+    const adapter = await openAdapter(dataDir, { snapshotThreshold: 3 });
+    await adapter.create({ shortcode: 'cmp001', originalUrl: 'https://example.com/', expiresAt: future() });
+    await adapter.addClick('cmp001', {});
+    expect(adapter.journal.length).toBe(2);
+
+    await adapter.addClick('cmp001', {});
+    expect(adapter.journal.length).toBe(0);
+    expect(fs.existsSync(path.join(dataDir, 'snapshot.json'))).toBe(true);
+    await adapter.close();
+  });
+
+  it('keeps serving from the journal when a snapshot fails', async () => {
+    global.appLogger = { Log: jest.fn(), logError: jest.fn() };
+    const first = await openAdapter(dataDir, { snapshotThreshold: 1, snapshotInterval: 10 });
+    const noSpace = Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    jest.spyOn(first.journal, 'writeSnapshot').mockImplementation(() => { throw noSpace; });
+
+    await first.create({ shortcode: 'full01', originalUrl: 'https://example.com/', expiresAt: future() });
+    expect(await first.addClick('full01', { ip: '10.0.0.1' })).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(global.appLogger.logError).toHaveBeenCalledWith('backend', 'file-adapter', noSpace, 'Snapshot failed', expect.any(Object));
+    clearInterval(first.snapshotTimer);
+    crash(first);
+
+    const second = await openAdapter(dataDir);
+    expect(await second.getAnalytics('full01')).toMatchObject({ totalClicks: 1 });
+    await second.close();
+  });
+
+  it('does not reapply records already covered by the snapshot', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'dup001', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('dup001', {});
+    const journal = fs.readFileSync(path.join(dataDir, 'journal.log'));
+    first.snapshot();
+    crash(first);
+
+    // Crash after the snapshot rename but before the journal was truncated
+    fs.writeFileSync(path.join(dataDir, 'journal.log'), journal);
+
+    const second = await openAdapter(dataDir);
+    expect((await second.getAnalytics('dup001')).totalClicks).toBe(1);
+    await second.close();
+  });
+
+  it('discards a torn final journal record', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'torn01', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('torn01', {});
+    crash(first);
+
+    const journalPath = path.join(dataDir, 'journal.log');
+    const content = fs.readFileSync(journalPath, 'utf8');
+    fs.writeFileSync(journalPath, content.slice(0, content.length - 10));
+
+    const second = await openAdapter(dataDir);
+    expect((await second.getAnalytics('torn01')).totalClicks).toBe(0);
+
+    // The journal stays appendable after recovery
+    await second.addClick('torn01', {});
+    crash(second);
+
+    const third = await openAdapter(dataDir);
+    expect((await third.getAnalytics('torn01')).totalClicks).toBe(1);
+    await third.close();
+  });
+
+  it('refuses to start from a journal damaged before its tail', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'bad001', originalUrl: 'https://example.com/', expiresAt: future() });
+    await first.addClick('bad001', {});
+    crash(first);
+
+    const journalPath = path.join(dataDir, 'journal.log');
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    lines[0] = lines[0].replace('example.com', 'example.org');
+    fs.writeFileSync(journalPath, lines.join('\n'));
+
+    await expect(openAdapter(dataDir)).rejects.toThrow('corrupted at line 1');
+  });
+
+  it('ignores an unfinished snapshot file', async () => {
+    const first = await openAdapter(dataDir);
+    await first.create({ shortcode: 'tmp001', originalUrl: 'https://example.com/', expiresAt: future() });
+    crash(first);
+    fs.writeFileSync(path.join(dataDir, 'snapshot.json.tmp'), '{"seq": 9, "urls": [');
+
+    const second = await openAdapter(dataDir);
+    expect(await second.findByShortcode('tmp001')).not.toBeNull();
+    expect(fs.existsSync(path.join(dataDir, 'snapshot.json.tmp'))).toBe(false);
+    await second.close();
+  });
+});
@@ -0,0 +1,54 @@
+const InMemoryAdapter = require('../../src/storage/InMemoryAdapter');
+const { runStorageConformanceSuite } = require('./conformance');
+
+runStorageConformanceSuite('memory', async (options) => {
+  const adapter = new InMemoryAdapter(options);
+  await adapter.connect();
+  return adapter;
+});
+
+describe('in-memory search index', () => {
+  it('keeps the sorted token list in step with the token index', async () => {
+    const adapter = new InMemoryAdapter();
+    await adapter.connect();
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const tokens = () => adapter.store.sortedSearchTokens;
+
+    await adapter.create({ shortcode: 'idx001', originalUrl: 'https://example.com/spring-sale', expiresAt, tags: ['promo'] });
+    await adapter.create({ shortcode: 'idx002', originalUrl: 'https://example.com/spring', expiresAt, note: 'Sale sale' });
+    await adapter.update('idx001', { originalUrl: 'https://example.org/autumn' });
+    await adapter.delete('idx002');
+
+    expect(tokens()).toEqual([...adapter.store.bySearchToken.keys()].sort());
+    expect(tokens()).toEqual(['autumn', 'example', 'https', 'idx001', 'org', 'promo']);
+    expect((await adapter.list({ q: 'sp' })).total).toBe(0);
+    expect((await adapter.list({ q: 'au pro' })).entries.map(entry => entry.shortcode)).toEqual(['idx001']);
+  });
+});
+
+describe('in-memory due health check index', () => {
+  it('files links under their next check time as health checks are stored', async () => {
+    const adapter = new InMemoryAdapter();
+    await adapter.connect();
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const checked = (minutes) => ({ status: 'ok', nextCheckAt: new Date(Date.now() + minutes * 60 * 1000).toISOString() });
+    const index = () => adapter.store.dueHealthChecks.map(item => item.id);
+
+    await adapter.create({ shortcode: 'due001', originalUrl: 'https://example.com/', expiresAt });
+    await adapter.create({ shortcode: 'due002', originalUrl: 'https://example.com/', expiresAt });
+    await adapter.create({ shortcode: 'due003', originalUrl: 'https://example.com/', expiresAt });
+    expect(index()).toEqual(['due001', 'due002', 'due003']);
+
+    await adapter.setHealth('due001', checked(10));
+    await adapter.setHealth('due002', checked(-10));
+    await adapter.setHealth('due002', checked(5));
+    await adapter.setHealth('due003', { status: 'ok', nextCheckAt: 'never' });
+    expect(index()).toEqual(['due002', 'due001']);
+
+    await adapter.delete('due002');
+    expect(index()).toEqual(['due001']);
+    expect(adapter.store.healthCheckDueAt).toEqual(new Map([['due001', adapter.store.dueHealthChecks[0].dueAt]]));
+    expect(await adapter.listDueHealthChecks(new Date(Date.now() + 20 * 60 * 1000), 10))
+      .toEqual([expect.objectContaining({ shortcode: 'due001' })]);
+  });
+});
@@ -0,0 +1,30 @@
+const MongooseAdapter = require('../../src/storage/MongooseAdapter');
+const Url = require('../../src/models/Url');
+const Counter = require('../../src/models/Counter');
+const Domain = require('../../src/models/Domain');
+const RegistryChange = require('../../src/models/RegistryChange');
+const { runStorageConformanceSuite } = require('./conformance');
+
+// Requires a disposable MongoDB database, e.g.
+// MONGODB_TEST_URI=mongodb://localhost:27017/urlshortener_test npm test
+const uri = process.env.MONGODB_TEST_URI;
+
+if (uri) {
+  runStorageConformanceSuite(
+    'mongodb',
+    async (options) => {
+      const adapter = new MongooseAdapter({ uri, ...options });
+      await adapter.connect();
+      await Promise.all([Url.deleteMany({}), Counter.deleteMany({}), Domain.deleteMany({}), RegistryChange.deleteMany({})]);
+      return adapter;
+    },
+    async (adapter) => {
+      await Promise.all([Url.deleteMany({}), Counter.deleteMany({}), Domain.deleteMany({}), RegistryChange.deleteMany({})]);
+      await adapter.close();
+    }
+  );
+} else {
+  describe.skip('mongodb storage adapter conformance (set MONGODB_TEST_URI to run)', () => {
+    it('is skipped without a test database', () => {});
+  });
+}
@@ -0,0 +1,118 @@
+const Database = require('better-sqlite3');
+const SqliteAdapter = require('../../src/storage/SqliteAdapter');
+const { runMigrations } = require('../../src/storage/sqlite/migrator');
+const migrations = require('../../src/storage/sqlite/migrations');
+const { runStorageConformanceSuite } = require('./conformance');
+
+runStorageConformanceSuite('sqlite', async (options) => {
+  const adapter = new SqliteAdapter({ filename: ':memory:', ...options });
+  await adapter.connect();
+  return adapter;
+});
+
+describe('sqlite migration runner', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const latestVersion = migrations[migrations.length - 1].version;
+
+  it('applies every migration once and records it', () => {
+    expect(runMigrations(db)).toEqual(migrations.map(m => m.version));
+    expect(runMigrations(db)).toEqual([]);
+
+    const { version } = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    expect(version).toBe(latestVersion);
+  });
+
+  it('creates the indexes declared on the Url model', () => {
+    runMigrations(db);
+
+    const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'urls'")
+      .all()
+      .map(row => row.name);
+    expect(indexes).toEqual(expect.arrayContaining(['idx_urls_expires_at', 'idx_urls_created_at']));
+  });
+
+  it('rolls back a failing migration', () => {
+    const broken = [
+      ...migrations,
+      { version: latestVersion + 1, name: 'broken', up: 'CREATE TABLE partial (id INTEGER); SELECT * FROM missing_table;' }
+    ];
+
+    expect(() => runMigrations(db, broken)).toThrow();
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'partial'").all();
+    expect(tables).toEqual([]);
+    const { version } = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    expect(version).toBe(latestVersion);
+  });
+
+  it('indexes links created before search existed', () => {
+    const searchMigration = migrations.findIndex(m => m.name === 'add-urls-labels-and-search');
+    runMigrations(db, migrations.slice(0, searchMigration));
+    db.prepare('INSERT INTO urls (shortcode, original_url, created_at, expires_at) VALUES (?, ?, ?, ?)')
+      .run('old001', 'https://example.com/Spring-Sale', Date.now(), Date.now() + 60 * 1000);
+
+    runMigrations(db);
+
+    const tokens = db.prepare('SELECT token FROM url_search_tokens WHERE shortcode = ? ORDER BY token').all('old001');
+    expect(tokens.map(row => row.token)).toEqual(['com', 'example', 'https', 'old001', 'sale', 'spring']);
+    expect(db.prepare('SELECT tags FROM urls').get().tags).toBe('[]');
+  });
+
+  it('schedules health checks of links checked before due times were stored', () => {
+    const dueMigration = migrations.findIndex(m => m.name === 'add-urls-next-check-at');
+    runMigrations(db, migrations.slice(0, dueMigration));
+    const insert = db.prepare('INSERT INTO urls (shortcode, original_url, created_at, expires_at, health) VALUES (?, ?, ?, ?, ?)');
+    insert.run('new001', 'https://example.com/', Date.now(), Date.now() + 60 * 1000, null);
+    insert.run('chk001', 'https://example.com/', Date.now(), Date.now() + 60 * 1000,
+      JSON.stringify({ status: 'ok', nextCheckAt: '2025-07-28T10:00:00.000Z' }));
+
+    runMigrations(db);
+
+    const rows = db.prepare('SELECT shortcode, next_check_at FROM urls ORDER BY shortcode').all();
+    expect(rows).toEqual([
+      { shortcode: 'chk001', next_check_at: Date.parse('2025-07-28T10:00:00.000Z') },
+      { shortcode: 'new001', next_check_at: 0 }
+    ]);
+  });
+
+  it('refuses a database migrated by a newer build', () => {
+    runMigrations(db);
+    db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .run(latestVersion + 1, 'from-the-future', Date.now());
+
+    expect(() => runMigrations(db)).toThrow('newer than the latest known migration');
+  });
+});
+
+describe('sqlite storage adapter iteration', () => {
+  it('pages through more entries than one batch, including same-millisecond ties', async () => {
+    const adapter = new SqliteAdapter({ filename: ':memory:' });
+    await adapter.connect();
+
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'], now: Date.now() });
+    for (let i = 0; i < 1203; i++) {
+      await adapter.create({ shortcode: `bat${String(i).padStart(4, '0')}`, originalUrl: 'https://example.com/', expiresAt });
+    }
+    jest.useRealTimers();
+
+    const shortcodes = [];
+    for await (const entry of adapter.iterate()) {
+      shortcodes.push(entry.shortcode);
+    }
+
+    expect(shortcodes).toHaveLength(1203);
+    expect(new Set(shortcodes).size).toBe(1203);
+    expect(shortcodes).toEqual([...shortcodes].sort());
+    await adapter.close();
+  });
+});
@@ -0,0 +1,38 @@
+const { parseCsv, toCsvRow } = require('../../src/utils/csv');
+
+describe('parseCsv', () => {
+  it('splits rows and fields with CRLF or LF line endings', () => {
+    expect(parseCsv('url,validity\r\nhttps://a.example/,10\nhttps://b.example/,')).toEqual([
+      ['url', 'validity'],
+      ['https://a.example/', '10'],
+      ['https://b.example/', '']
+    ]);
+  });
+
+  it('handles quoted fields with commas, quotes and newlines', () => {
+    expect(parseCsv('"https://a.example/?q=1,2","say ""hi""","two\nlines"\n')).toEqual([
+      ['https://a.example/?q=1,2', 'say "hi"', 'two\nlines']
+    ]);
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('﻿url\n\nhttps://a.example/\n\n')).toEqual([['url'], ['https://a.example/']]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('url\n"https://a.example/')).toThrow('unterminated quoted field');
+  });
+});
+
+describe('toCsvRow', () => {
+  it('quotes fields that need it and round-trips through parseCsv', () => {
+    const row = toCsvRow(['a,b', 'say "hi"', 'two\nlines', null, 3]);
+
+    expect(row).toBe('"a,b","say ""hi""","two\nlines",,3\r\n');
+    expect(parseCsv(row)).toEqual([['a,b', 'say "hi"', 'two\nlines', '', '3']]);
+  });
+
+  it('neutralizes string fields a spreadsheet would run as formulas', () => {
+    expect(toCsvRow(['=SUM(A1)', '@cmd', '+1', 'safe', -1])).toBe("'=SUM(A1),'@cmd,'+1,safe,-1\r\n");
+  });
+});
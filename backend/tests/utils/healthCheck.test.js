@@ -0,0 +1,89 @@
+const http = require('http');
+const { checkDestination: checkAnyDestination, isHealthy, isReservedAddress } = require('../../src/utils/healthCheck');
+
+// The test server listens on loopback, which is refused unless allowed
+const checkDestination = (url, options) => checkAnyDestination(url, { allowPrivateAddresses: true, ...options });
+
+describe('destination health check', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/ok') return res.writeHead(200).end('ok');
+      if (req.url === '/gone') return res.writeHead(404).end();
+      if (req.url === '/moved') return res.writeHead(301, { Location: '/temporary' }).end();
+      if (req.url === '/temporary') return res.writeHead(302, { Location: `${base}/ok` }).end();
+      if (req.url === '/loop') return res.writeHead(302, { Location: '/loop' }).end();
+      if (req.url === '/ftp') return res.writeHead(302, { Location: 'ftp://example.com/file' }).end();
+      if (req.url === '/get-only') return res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+      if (req.url === '/slow') return; // never answers
+      res.writeHead(500).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('records status, latency and the redirect chain', async () => {
+    const result = await checkDestination(`${base}/moved`);
+
+    expect(result).toMatchObject({
+      method: 'HEAD',
+      statusCode: 200,
+      error: null,
+      redirects: [
+        { url: `${base}/moved`, statusCode: 301 },
+        { url: `${base}/temporary`, statusCode: 302 }
+      ],
+      finalUrl: `${base}/ok`
+    });
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(isHealthy(result)).toBe(true);
+  });
+
+  it('reports error statuses and falls back to GET when HEAD is refused', async () => {
+    const gone = await checkDestination(`${base}/gone`);
+    expect(gone).toMatchObject({ statusCode: 404, error: null, redirects: [] });
+    expect(isHealthy(gone)).toBe(false);
+    expect(isHealthy(await checkDestination(`${base}/error`))).toBe(false);
+
+    expect(await checkDestination(`${base}/get-only`)).toMatchObject({ method: 'GET', statusCode: 200 });
+    expect(isHealthy({ statusCode: 429, error: null })).toBe(true);
+  });
+
+  it('gives up on redirect loops, other protocols, timeouts and refused connections', async () => {
+    const loop = await checkDestination(`${base}/loop`, { maxRedirects: 3 });
+    expect(loop).toMatchObject({ statusCode: 302, error: 'More than 3 redirects' });
+    expect(loop.redirects).toHaveLength(3);
+
+    expect((await checkDestination(`${base}/ftp`)).error).toBe('Redirect to unsupported protocol ftp:');
+    expect(await checkDestination(`${base}/slow`, { timeoutMs: 100 }))
+      .toMatchObject({ statusCode: null, error: 'No response within 100 ms' });
+
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const refused = await checkDestination(`http://127.0.0.1:${port}/`);
+    expect(refused).toMatchObject({ statusCode: null, error: 'ECONNREFUSED' });
+    expect(isHealthy(refused)).toBe(false);
+  });
+
+  it('refuses private and reserved addresses unless allowed', async () => {
+    const { port } = server.address();
+    for (const url of [`${base}/ok`, `http://localhost:${port}/ok`, `http://[::1]:${port}/ok`, 'http://169.254.169.254/']) {
+      const result = await checkAnyDestination(url);
+      expect(result).toMatchObject({ statusCode: null, error: 'Refused private or reserved address' });
+      expect(isHealthy(result)).toBe(false);
+    }
+
+    expect(['10.0.0.1', '172.16.5.4', '192.168.1.1', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1'].every(isReservedAddress)).toBe(true);
+    expect(['93.184.216.34', '2606:4700::1111'].some(isReservedAddress)).toBe(false);
+  });
+});
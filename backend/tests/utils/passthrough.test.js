@@ -0,0 +1,45 @@
+const {
+  validatePassthrough,
+  normalizePassthrough,
+  isSafeForwardPath,
+  forwardRequest
+} = require('../../src/utils/passthrough');
+
+describe('passthrough forwarding', () => {
+  const forward = (destination, setting, forwarded) =>
+    forwardRequest(destination, normalizePassthrough(setting), forwarded);
+
+  it('validates and fills in the setting', () => {
+    expect(validatePassthrough({})).toBeNull();
+    expect(normalizePassthrough({ query: false })).toEqual({ path: true, query: false, onConflict: 'destination' });
+    expect(validatePassthrough(true)).toBe('passthrough must be an object with any of: path, query, onConflict');
+    expect(validatePassthrough({ onConflict: 'merge' })).toBe('passthrough.onConflict must be one of: destination, request, both');
+    expect(validatePassthrough({ path: false, query: false })).toBe('passthrough must forward the path, the query or both');
+  });
+
+  it('appends the forwarded path below the destination path', () => {
+    expect(forward('https://example.com/docs/', {}, { path: '/guide/intro', search: '' }))
+      .toBe('https://example.com/docs/guide/intro');
+    expect(forward('https://example.com/docs?v=2#top', {}, { path: '/a%20b', search: '' }))
+      .toBe('https://example.com/docs/a%20b?v=2#top');
+    expect(forward('https://example.com/', { path: false }, { path: '/ignored', search: '' }))
+      .toBe('https://example.com/');
+  });
+
+  it('merges query parameters according to the conflict policy', () => {
+    const destination = 'https://example.com/?a=1&b=dest';
+    const forwarded = { path: '', search: '?b=req&c=x%20y' };
+
+    expect(forward(destination, {}, forwarded)).toBe('https://example.com/?a=1&b=dest&c=x%20y');
+    expect(forward(destination, { onConflict: 'request' }, forwarded)).toBe('https://example.com/?a=1&b=req&c=x%20y');
+    expect(forward(destination, { onConflict: 'both' }, forwarded)).toBe('https://example.com/?a=1&b=dest&b=req&c=x%20y');
+    expect(forward(destination, { query: false }, forwarded)).toBe(destination);
+  });
+
+  it('refuses dot segments, encoded or not', () => {
+    expect(isSafeForwardPath('/guide/v1.2/intro')).toBe(true);
+    expect(isSafeForwardPath('/../admin')).toBe(false);
+    expect(isSafeForwardPath('/%2e%2E/admin')).toBe(false);
+    expect(isSafeForwardPath('/a/..%5Cadmin')).toBe(false);
+  });
+});
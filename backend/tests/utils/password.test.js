@@ -0,0 +1,21 @@
+const { hashPassword, verifyPassword } = require('../../src/utils/password');
+
+describe('password hashing', () => {
+  it('verifies the original password only', async () => {
+    const stored = await hashPassword('open sesame');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    expect(await verifyPassword('open sesame', stored)).toBe(true);
+    expect(await verifyPassword('open sesame!', stored)).toBe(false);
+  });
+
+  it('salts every hash', async () => {
+    expect(await hashPassword('same')).not.toBe(await hashPassword('same'));
+  });
+
+  it('rejects malformed hashes and non-string input', async () => {
+    expect(await verifyPassword('x', 'plain')).toBe(false);
+    expect(await verifyPassword('x', null)).toBe(false);
+    expect(await verifyPassword(undefined, await hashPassword('x'))).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+const { encodeQr } = require('../../src/utils/qrcode');
+
+/**
+ * Read the 15 format bits next to the top-left finder pattern and check them
+ * @param {Array<Array<boolean>>} modules - Module matrix
+ * @returns {Object} - { level, mask } decoded from the format information
+ */
+const readFormat = (modules) => {
+  const size = modules.length;
+  const positions = [0, 1, 2, 3, 4, 5, 7, 8].map(y => [8, y]).concat([[7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]]);
+  const bits = positions.reduce((value, [x, y], i) => value | (modules[y][x] ? 1 << i : 0), 0);
+  // The second copy, split between the bottom-left and top-right corners, must agree
+  const copy = [...Array(15).keys()].reduce((value, i) => {
+    const dark = i < 8 ? modules[8][size - 1 - i] : modules[size - 15 + i][8];
+    return value | (dark ? 1 << i : 0);
+  }, 0);
+  expect(copy).toBe(bits);
+
+  const data = (bits ^ 0x5412) >>> 10;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  expect(((data << 10) | remainder) ^ 0x5412).toBe(bits);
+  return { level: ['M', 'L', 'H', 'Q'][data >>> 3], mask: data & 7 };
+};
+
+describe('QR code encoder', () => {
+  it('picks the smallest version that holds the text at the error correction level', () => {
+    expect(encodeQr('https://sho.rt/abc123?src=qr')).toMatchObject({ version: 3, size: 29 });
+    expect(encodeQr('https://sho.rt/abc123?src=qr', { errorCorrection: 'H' })).toMatchObject({ version: 4, size: 33 });
+    expect(encodeQr('x'.repeat(2953), { errorCorrection: 'L' })).toMatchObject({ version: 40, size: 177 });
+    expect(() => encodeQr('x'.repeat(2954), { errorCorrection: 'L' })).toThrow('Text is too long for a QR code');
+    expect(() => encodeQr('x', { errorCorrection: 'X' })).toThrow('errorCorrection must be one of: L, M, Q, H');
+  });
+
+  it('draws finder and timing patterns', () => {
+    const { size, modules } = encodeQr('https://example.com/');
+    const finder = ['1111111', '1000001', '1011101', '1011101', '1011101', '1000001', '1111111'];
+    for (const [left, top] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      const drawn = finder.map((_, y) => finder[y].split('').map((_, x) => (modules[top + y][left + x] ? '1' : '0')).join(''));
+      expect(drawn).toEqual(finder);
+    }
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('writes matching format information for the level', () => {
+    for (const level of ['L', 'M', 'Q', 'H']) {
+      const { modules } = encodeQr('https://example.com/some/path', { errorCorrection: level });
+      expect(readFormat(modules).level).toBe(level);
+    }
+  });
+
+  it('is deterministic', () => {
+    expect(encodeQr('Grüße 🎉').modules).toEqual(encodeQr('Grüße 🎉').modules);
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  validateRedirectRules,
+  normalizeRedirectRules,
+  describeVisitor,
+  matchRedirectRule
+} = require('../../src/utils/redirectRules');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 ' +
+  '(KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const EDGE = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0';
+
+describe('redirect rules', () => {
+  it('validates rules and names them by position', () => {
+    expect(validateRedirectRules([{ when: { os: 'iOS' }, url: 'https://apps.apple.com/app/id1' }])).toBeNull();
+    expect(validateRedirectRules([])).toBe('redirectRules must be an array of 1-20 rules');
+    expect(validateRedirectRules([{ when: {}, url: 'https://example.com/' }]))
+      .toBe('redirectRules[0].when must be an object with any of: os, browser, device, language, referrerDomain, time');
+    expect(validateRedirectRules([{ when: { os: 'iOS' }, url: 'ftp://example.com/' }]))
+      .toBe('redirectRules[0].url must be an HTTP or HTTPS URL');
+    expect(validateRedirectRules([{ when: { time: { from: '9:00', to: '17:00' } }, url: 'https://example.com/' }]))
+      .toBe('redirectRules[0].when.time must be { from, to, timezone } with HH:MM times');
+    expect(validateRedirectRules([
+      { when: { os: 'iOS' }, url: 'https://example.com/' },
+      { name: 'rule-1', when: { os: 'Android' }, url: 'https://example.com/' }
+    ])).toBe('redirectRules[0] needs a name; rule-1 is taken');
+
+    expect(normalizeRedirectRules([
+      { when: { os: [' iOS ', 'ios'], time: { from: '22:00', to: '06:00' } }, url: 'https://Example.com' },
+      { name: 'german', when: { language: 'DE' }, url: 'https://example.de/' }
+    ])).toEqual([
+      { name: 'rule-1', when: { os: ['ios'], time: { from: '22:00', to: '06:00', timezone: 'UTC' } }, url: 'https://example.com/' },
+      { name: 'german', when: { language: ['de'] }, url: 'https://example.de/' }
+    ]);
+  });
+
+  it('describes mobile visitors by their real platform', () => {
+    expect(describeVisitor({ userAgent: IPHONE })).toMatchObject({ os: 'ios', browser: 'safari', device: 'mobile' });
+    expect(describeVisitor({ userAgent: ANDROID })).toMatchObject({ os: 'android', browser: 'chrome', device: 'mobile' });
+    expect(describeVisitor({ userAgent: EDGE })).toMatchObject({ os: 'windows', browser: 'edge', device: 'desktop' });
+    expect(describeVisitor({ acceptLanguage: 'fr;q=0.5, de-CH, *;q=0.1', referer: 'https://M.Twitter.com/x' }))
+      .toMatchObject({ language: 'de-ch', referrerHost: 'm.twitter.com' });
+  });
+
+  it('returns the first rule whose conditions all hold', () => {
+    const rules = normalizeRedirectRules([
+      { name: 'app-store', when: { os: 'iOS' }, url: 'https://apps.apple.com/app/id1' },
+      { name: 'play', when: { os: 'Android' }, url: 'https://play.google.com/store/apps/details?id=app' },
+      { name: 'german-social', when: { language: 'de', referrerDomain: ['twitter.com', 'x.com'] }, url: 'https://example.de/' }
+    ]);
+    const match = (request) => (matchRedirectRule(rules, describeVisitor(request)) || {}).name;
+
+    expect(match({ userAgent: IPHONE, acceptLanguage: 'de' })).toBe('app-store');
+    expect(match({ userAgent: ANDROID })).toBe('play');
+    expect(match({ userAgent: EDGE, acceptLanguage: 'de-AT', referer: 'https://mobile.twitter.com/' })).toBe('german-social');
+    expect(match({ userAgent: EDGE, acceptLanguage: 'de-AT', referer: 'https://nottwitter.com/' })).toBeUndefined();
+    expect(match({ userAgent: EDGE, acceptLanguage: 'en' })).toBeUndefined();
+  });
+
+  it('matches time windows in the rule time zone, across midnight', () => {
+    const [night] = normalizeRedirectRules([
+      { when: { time: { from: '22:00', to: '06:00', timezone: 'Europe/Berlin' } }, url: 'https://example.com/night' }
+    ]);
+    const at = (iso) => matchRedirectRule([night], describeVisitor({ now: new Date(iso) }));
+
+    expect(at('2026-01-15T21:30:00Z')).toBe(night); // 22:30 in Berlin
+    expect(at('2026-01-15T04:59:00Z')).toBe(night); // 05:59
+    expect(at('2026-01-15T05:00:00Z')).toBeNull(); // 06:00, end is exclusive
+    expect(at('2026-01-15T12:00:00Z')).toBeNull();
+  });
+});
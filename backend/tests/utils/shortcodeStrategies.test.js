@@ -0,0 +1,66 @@
+const { createShortcodeStrategy, consistentShuffle } = require('../../src/utils/shortcodeStrategies');
+
+const counter = () => {
+  let value = 0;
+  return async () => ++value;
+};
+
+describe('shortcode strategies', () => {
+  it('random produces base62 codes of the configured length', async () => {
+    const strategy = createShortcodeStrategy({ strategy: 'random', length: 8 });
+
+    for (let i = 0; i < 50; i++) {
+      expect(await strategy.generate()).toMatch(/^[a-zA-Z0-9]{8}$/);
+    }
+  });
+
+  it('sequential encodes the counter in base62, padded to the configured length', async () => {
+    const strategy = createShortcodeStrategy({ strategy: 'sequential', length: 4, nextSequence: counter() });
+
+    expect(await strategy.generate()).toBe('aaab');
+    expect(await strategy.generate()).toBe('aaac');
+  });
+
+  it('hashids gives distinct codes of at least the configured length', async () => {
+    const strategy = createShortcodeStrategy({ strategy: 'hashids', length: 6, salt: 'pepper', nextSequence: counter() });
+
+    const codes = [];
+    for (let i = 0; i < 500; i++) {
+      codes.push(await strategy.generate());
+    }
+
+    codes.forEach(code => expect(code).toMatch(/^[a-zA-Z0-9]{6,20}$/));
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it('hashids output depends on the salt', async () => {
+    const a = createShortcodeStrategy({ strategy: 'hashids', salt: 'one', nextSequence: counter() });
+    const b = createShortcodeStrategy({ strategy: 'hashids', salt: 'two', nextSequence: counter() });
+
+    expect(await a.generate()).not.toBe(await b.generate());
+  });
+
+  it('pronounceable alternates consonants and vowels', async () => {
+    const strategy = createShortcodeStrategy({ strategy: 'pronounceable', length: 7 });
+
+    for (let i = 0; i < 50; i++) {
+      expect(await strategy.generate()).toMatch(/^([bdfghjklmnprstvz][aeiou]){3}[bdfghjklmnprstvz]$/);
+    }
+  });
+
+  it('rejects unknown strategies, invalid lengths and missing sequence sources', () => {
+    expect(() => createShortcodeStrategy({ strategy: 'nope' })).toThrow('Unknown shortcode strategy');
+    expect(() => createShortcodeStrategy({ length: 2 })).toThrow('between 3-20');
+    expect(() => createShortcodeStrategy({ length: 21 })).toThrow('between 3-20');
+    expect(() => createShortcodeStrategy({ strategy: 'sequential' })).toThrow('requires a sequence source');
+  });
+
+  it('consistentShuffle is a deterministic permutation', () => {
+    const alphabet = 'abcdefghij';
+    const shuffled = consistentShuffle(alphabet, 'salt');
+
+    expect(shuffled).toBe(consistentShuffle(alphabet, 'salt'));
+    expect(shuffled.split('').sort().join('')).toBe(alphabet);
+    expect(consistentShuffle(alphabet, '')).toBe(alphabet);
+  });
+});
@@ -0,0 +1,34 @@
+const { validateUtm, normalizeUtm, applyUtm, utmCampaignOf } = require('../../src/utils/utm');
+
+describe('UTM helpers', () => {
+  it('validates field names and values', () => {
+    expect(validateUtm({ source: 'newsletter', medium: 'email' }, 'utm')).toBeNull();
+    expect(validateUtm('source=x', 'utm')).toBe('utm must be an object with any of: source, medium, campaign, term, content');
+    expect(validateUtm({}, 'utm')).toBe('utm must set at least one of: source, medium, campaign, term, content');
+    expect(validateUtm({ id: '1' }, 'utm')).toBe('utm.id is not supported (use source, medium, campaign, term, content)');
+    expect(validateUtm({ source: ' ' }, 'utmDefaults')).toBe('utmDefaults.source must be a string of 1-200 characters');
+  });
+
+  it('overwrites parameters when building a destination', () => {
+    const utm = normalizeUtm({ campaign: ' spring sale ', source: 'mail' });
+
+    expect(utm).toEqual({ source: 'mail', campaign: 'spring sale' });
+    expect(applyUtm('https://example.com/?utm_source=old&id=7', utm, { overwrite: true }))
+      .toBe('https://example.com/?utm_source=mail&id=7&utm_campaign=spring+sale');
+  });
+
+  it('only adds missing parameters and keeps the query and fragment as they were', () => {
+    const defaults = { source: 'qr', campaign: 'fall' };
+
+    expect(applyUtm('https://example.com/p?q=a%20b&utm_source=ad#top', defaults))
+      .toBe('https://example.com/p?q=a%20b&utm_source=ad&utm_campaign=fall#top');
+    expect(applyUtm('https://example.com/', defaults)).toBe('https://example.com/?utm_source=qr&utm_campaign=fall');
+    expect(applyUtm('https://example.com/?utm_source=a&utm_campaign=b', defaults))
+      .toBe('https://example.com/?utm_source=a&utm_campaign=b');
+  });
+
+  it('reads the campaign of a URL', () => {
+    expect(utmCampaignOf('https://example.com/?utm_campaign=fall%202026')).toBe('fall 2026');
+    expect(utmCampaignOf('https://example.com/')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+const { validateVariants, normalizeVariants, visitorKey, chooseVariant } = require('../../src/utils/variants');
+
+describe('split variants', () => {
+  const visitors = Array.from({ length: 2000 }, (_, i) => visitorKey({ ip: `10.0.${i >> 8}.${i & 255}`, userAgent: 'ua' }));
+  const assign = (variants) => visitors.map(key => chooseVariant(variants, `abc123|${key}`).name);
+
+  it('validates variants and fills in names and weights', () => {
+    expect(validateVariants([{ url: 'https://example.com/a' }])).toBeNull();
+    expect(validateVariants([])).toBe('variants must be an array of 1-10 variants');
+    expect(validateVariants([{ url: 'https://example.com/a', weight: 1.5 }]))
+      .toBe('variants[0].weight must be an integer from 0 to 1000');
+    expect(validateVariants([{ url: 'https://example.com/a', share: 1 }]))
+      .toBe('variants[0].share is not supported (use name, url, weight, retired)');
+    expect(validateVariants([{ url: 'https://example.com/a', retired: true }, { url: 'https://example.com/b', weight: 0 }]))
+      .toBe('variants must include one that is not retired and has a weight above 0');
+
+    expect(normalizeVariants([{ url: 'https://Example.com' }, { name: 'b', url: 'https://example.com/b', weight: 3 }])).toEqual([
+      { name: 'variant-1', url: 'https://example.com/', weight: 1, retired: false },
+      { name: 'b', url: 'https://example.com/b', weight: 3, retired: false }
+    ]);
+  });
+
+  it('splits visitors by weight and keeps each on the same variant', () => {
+    const variants = normalizeVariants([
+      { name: 'a', url: 'https://example.com/a', weight: 3 },
+      { name: 'b', url: 'https://example.com/b', weight: 1 }
+    ]);
+    const first = assign(variants);
+    const shareA = first.filter(name => name === 'a').length / visitors.length;
+
+    expect(shareA).toBeGreaterThan(0.7);
+    expect(shareA).toBeLessThan(0.8);
+    expect(assign(variants)).toEqual(first);
+  });
+
+  it('only moves the visitors of a retired variant', () => {
+    const before = assign(normalizeVariants([
+      { name: 'a', url: 'https://example.com/a' },
+      { name: 'b', url: 'https://example.com/b' },
+      { name: 'c', url: 'https://example.com/c' }
+    ]));
+    const after = assign(normalizeVariants([
+      { name: 'a', url: 'https://example.com/a' },
+      { name: 'b', url: 'https://example.com/b', retired: true },
+      { name: 'c', url: 'https://example.com/c' }
+    ]));
+
+    expect(after).not.toContain('b');
+    expect(after.filter((name, i) => before[i] !== 'b' && name !== before[i])).toEqual([]);
+  });
+});
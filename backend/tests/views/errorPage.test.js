@@ -0,0 +1,27 @@
+const { renderErrorPage } = require('../../src/views/errorPage');
+
+describe('error page', () => {
+  it('shows a heading for the status and the escaped message', () => {
+    const html = renderErrorPage({ statusCode: 410, message: 'Short URL has <expired>' });
+
+    expect(html).toContain('<h1>This link is no longer available</h1>');
+    expect(html).toContain('Short URL has &lt;expired&gt;');
+    expect(html).toContain('<p class="brand">URL Shortener</p>');
+    expect(html).not.toContain('class="home"');
+  });
+
+  it('uses the configured brand, home link and activation time', () => {
+    const html = renderErrorPage({
+      statusCode: 403,
+      message: 'Short URL is not active yet',
+      brandName: 'Acme Links',
+      homeUrl: 'https://acme.example/?a=1&b=2',
+      activeFrom: new Date('2026-02-01T09:00:00Z')
+    });
+
+    expect(html).toContain('<title>This link is not active yet - Acme Links</title>');
+    expect(html).toContain('href="https://acme.example/?a=1&amp;b=2"');
+    expect(html).toContain('datetime="2026-02-01T09:00:00.000Z"');
+    expect(renderErrorPage({ statusCode: 500, message: 'Failed' })).toContain('<h1>Something went wrong</h1>');
+  });
+});
@@ -0,0 +1,29 @@
+const { renderPreviewPage } = require('../../src/views/previewPage');
+
+describe('preview page', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const render = (options) => renderPreviewPage({
+    shortcode: 'abc123',
+    destination: 'https://example.com/landing?a=1&b=<2>',
+    createdAt: new Date('2026-01-01T10:00:00Z'),
+    expiresAt: null,
+    continueUrl: '/abc123?preview=0',
+    now,
+    ...options
+  });
+
+  it('shows the domain, escaped destination and a continue link', () => {
+    const html = render();
+
+    expect(html).toContain('<dd class="domain">example.com</dd>');
+    expect(html).toContain('https://example.com/landing?a=1&amp;b=&lt;2&gt;');
+    expect(html).toContain('href="/abc123?preview=0"');
+    expect(html).toContain('never expires');
+  });
+
+  it('describes the remaining validity', () => {
+    expect(render({ expiresAt: new Date('2026-01-03T15:30:00Z') })).toContain('2 days 3 hours (until');
+    expect(render({ expiresAt: new Date('2026-01-01T12:45:30Z') })).toContain('45 minutes (until');
+    expect(render({ expiresAt: new Date('2026-01-01T12:00:30Z') })).toContain('less than a minute');
+  });
+});
@@ -0,0 +1,38 @@
+const zlib = require('zlib');
+const { encodeQr } = require('../../src/utils/qrcode');
+const { renderQrSvg, renderQrPng } = require('../../src/views/qrCode');
+
+describe('QR code images', () => {
+  const qr = encodeQr('https://sho.rt/abc123?src=qr');
+  const options = { size: 148, margin: 4, foreground: '#1a73e8', background: '#ffffff' };
+
+  it('renders SVG with the quiet zone in the view box', () => {
+    const svg = renderQrSvg(qr, options);
+
+    expect(svg).toContain('width="148" height="148" viewBox="0 0 37 37"');
+    expect(svg).toContain('<rect width="37" height="37" fill="#ffffff"/>');
+    expect(svg).toContain('fill="#1a73e8"');
+    // The top-left finder pattern starts with a run of seven dark modules
+    expect(svg).toContain('M4 4h7v1h-7z');
+  });
+
+  it('renders a two-color PNG of the requested size', () => {
+    const png = renderQrPng(qr, options);
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+    expect([png.readUInt32BE(16), png.readUInt32BE(20), png[24], png[25]]).toEqual([148, 148, 1, 3]);
+
+    const plteStart = png.indexOf('PLTE');
+    expect([...png.subarray(plteStart + 4, plteStart + 10)]).toEqual([255, 255, 255, 0x1a, 0x73, 0xe8]);
+
+    const idatStart = png.indexOf('IDAT');
+    const raw = zlib.inflateSync(png.subarray(idatStart + 4, idatStart + 4 + png.readUInt32BE(idatStart - 4)));
+    const stride = Math.ceil(148 / 8) + 1;
+    const pixel = (x, y) => (raw[y * stride + 1 + (x >>> 3)] & (0x80 >>> (x & 7))) !== 0;
+    expect(raw.length).toBe(stride * 148);
+    expect(pixel(0, 0)).toBe(false); // quiet zone
+    expect(pixel(16, 16)).toBe(true); // first finder module
+    expect(pixel(20, 20)).toBe(false); // ring inside the finder
+  });
+});